@@ -1,3 +1,6 @@
+const StowagePosition = require('../modules/stowage-position');
+const DGSegregationChecker = require('../modules/dg-segregation');
+
 /**
  * Maritime Rules Engine
  * Deterministic validation rules for cargo processing
@@ -68,29 +71,33 @@ class MaritimeRulesEngine {
      * Temperature validation rules
      */
     temperatureValidationRules() {
+        // Standard reefer temperature ranges per cargo type
+        const ranges = {
+            'general': { min: -30, max: 30 },
+            'frozen': { min: -30, max: -10 },
+            'chilled': { min: -5, max: 15 },
+            'pharmaceutical': { min: 2, max: 8 },
+            'banana': { min: 12.5, max: 14.5 },
+            'citrus': { min: -1, max: 15 }
+        };
+
         return {
-            // Standard reefer temperature ranges
-            validateRange: (temperature, cargoType = 'general') => {
+            ranges: ranges,
+
+            // Standard reefer temperature ranges (rangeOverride narrows a cargo type, e.g. per commodity)
+            validateRange: (temperature, cargoType = 'general', rangeOverride = null) => {
                 if (temperature == null) return { valid: false, error: 'Temperature is null' };
                 
                 const temp = parseFloat(temperature);
                 if (isNaN(temp)) return { valid: false, error: `Invalid temperature: ${temperature}` };
                 
-                const ranges = {
-                    'general': { min: -30, max: 30 },
-                    'frozen': { min: -30, max: -10 },
-                    'chilled': { min: -5, max: 15 },
-                    'pharmaceutical': { min: 2, max: 8 },
-                    'banana': { min: 12.5, max: 14.5 },
-                    'citrus': { min: -1, max: 15 }
-                };
-                
-                const range = ranges[cargoType] || ranges.general;
+                const range = rangeOverride || ranges[cargoType] || ranges.general;
                 
                 if (temp < range.min || temp > range.max) {
                     return { 
                         valid: false, 
-                        error: `Temperature ${temp}°C outside ${cargoType} range: ${range.min}°C to ${range.max}°C` 
+                        error: `Temperature ${temp}°C outside ${cargoType} range: ${range.min}°C to ${range.max}°C`,
+                        range
                     };
                 }
                 
@@ -132,41 +139,34 @@ class MaritimeRulesEngine {
                 
                 const pos = stowage.toString().trim();
                 
-                // Common formats: 123456, 12.34.56, 12 34 56
-                const patterns = [
-                    /^\d{6}$/, // 123456
-                    /^\d{2,3}\.\d{2}\.\d{2}$/, // 12.34.56 or 123.34.56
-                    /^\d{2,3}\s\d{2}\s\d{2}$/, // 12 34 56 or 123 34 56
-                ];
-                
-                const isValid = patterns.some(pattern => pattern.test(pos));
+                // Common formats: 123456, 0123456, 12.34.56, 123 34 56 (see StowagePosition)
+                const position = StowagePosition.parse(stowage);
                 
-                if (!isValid) {
+                if (!position) {
                     return { 
                         valid: false, 
-                        error: `Invalid stowage format: ${pos}. Expected: BBRRTT (e.g., 123456, 12.34.56)` 
+                        error: `Invalid stowage format: ${pos}. Expected: BBRRTT or BBBRRTT (e.g., 123456, 0123456, 12.34.56)` 
                     };
                 }
                 
-                // Normalize to 6-digit format
-                const normalized = pos.replace(/[\.\s]/g, '').padStart(6, '0');
-                const bay = normalized.substring(0, normalized.length - 4);
-                const row = normalized.substring(normalized.length - 4, normalized.length - 2);
-                const tier = normalized.substring(normalized.length - 2);
+                // Normalize to BBRRTT / BBBRRTT
+                const normalized = position.toString();
                 
                 return {
                     valid: true,
                     original: pos,
                     normalized: normalized,
-                    bay: bay,
-                    row: row,
-                    tier: tier
+                    position: position,
+                    bay: normalized.slice(0, -4),
+                    row: normalized.slice(-4, -2),
+                    tier: normalized.slice(-2)
                 };
             },
 
-            // Check stowage conflicts (same position for different containers)
+            // Check stowage conflicts (same slot for different containers; a 40ft bay
+            // overlaps the two 20ft bays it covers)
             findConflicts: (stowageList) => {
-                const positions = {};
+                const occupied = [];
                 const conflicts = [];
                 
                 stowageList.forEach(({ containerId, stowage }) => {
@@ -174,15 +174,15 @@ class MaritimeRulesEngine {
                     
                     const validation = this.rules.stowageValidation.validateFormat(stowage);
                     if (validation.valid) {
-                        const pos = validation.normalized;
+                        const clash = occupied.find(entry => entry.position.sameSlot(validation.position));
                         
-                        if (positions[pos]) {
+                        if (clash) {
                             conflicts.push({
-                                position: pos,
-                                containers: [positions[pos], containerId]
+                                position: validation.normalized,
+                                containers: [clash.containerId, containerId]
                             });
                         } else {
-                            positions[pos] = containerId;
+                            occupied.push({ position: validation.position, containerId });
                         }
                     }
                 });
@@ -193,46 +193,35 @@ class MaritimeRulesEngine {
     }
 
     /**
-     * Dangerous goods rules
+     * Dangerous goods rules (IMDG 7.2.4 segregation table, see DGSegregationChecker)
      */
     dangerousGoodsRules() {
+        const segregation = new DGSegregationChecker();
+        const requirements = segregation.getRequirements();
+
         return {
-            // IMDG class compatibility
+            // IMDG class compatibility: any segregation requirement makes a pair incompatible
             checkCompatibility: (class1, class2) => {
-                const incompatibleCombinations = [
-                    ['1', '3'], ['1', '4'], ['1', '5'], // Explosives with flammables/oxidizers
-                    ['2.3', '3'], ['2.3', '4'], // Toxic gases with flammables
-                    ['4.3', '5.1'], // Water-reactive with oxidizers
-                    ['6.1', '3'] // Toxic substances with flammables
-                ];
-                
-                const isIncompatible = incompatibleCombinations.some(([c1, c2]) => 
-                    (class1 === c1 && class2 === c2) || (class1 === c2 && class2 === c1)
-                );
-                
+                const requirement = segregation.getRequirement([class1], [class2]);
+                const compatible = requirement.code === 0 && !requirement.manual;
+
                 return {
-                    compatible: !isIncompatible,
+                    compatible: compatible,
                     class1: class1,
                     class2: class2,
-                    rule: isIncompatible ? 'IMDG segregation required' : 'Compatible'
+                    rule: requirement.code > 0
+                        ? `IMDG segregation: ${requirements[requirement.code]}`
+                        : requirement.manual ? 'IMDG 7.2.7: check compatibility groups' : 'Compatible'
                 };
             },
 
-            // Segregation distance requirements
-            getSegregationDistance: (class1, class2) => {
-                const distances = {
-                    'same_class': 0,
-                    'compatible': 3, // 3 meters minimum
-                    'separate': 6, // 6 meters minimum  
-                    'segregate': 12, // 12 meters minimum
-                    'separate_longitudinally': 24 // 24 meters minimum
+            // Segregation requirement between two classes: 0 (none) or IMDG 1-4
+            getSegregationRequirement: (class1, class2) => {
+                const requirement = segregation.getRequirement([class1], [class2]);
+                return {
+                    code: requirement.code,
+                    label: requirements[requirement.code] || 'None'
                 };
-                
-                // Simplified logic - in real implementation, consult IMDG code
-                if (class1 === class2) return distances.same_class;
-                
-                const compatibility = this.checkCompatibility(class1, class2);
-                return compatibility.compatible ? distances.compatible : distances.segregate;
             }
         };
     }
@@ -5,9 +5,13 @@ const LicenseChecker = require('./verifier/checkLicense');
 
 // Import cargo modules
 const ReeferChecker = require('../modules/reefer');
+const ReeferLoggerAnalyzer = require('../modules/reefer-logger');
 const CTStowageSorter = require('../modules/ct');
 const DGChecker = require('../modules/dg');
 const ListCompare = require('../modules/compare');
+const StowageDiff = require('../modules/stowage-diff');
+const BayPlanBuilder = require('../modules/bay-plan');
+const DGReeferAdjacency = require('../modules/dg-reefer-adjacency');
 const LoggingSystem = require('../modules/logging');
 
 class SafeMariApp {
@@ -18,9 +22,13 @@ class SafeMariApp {
         
         // Initialize cargo modules
         this.reeferChecker = new ReeferChecker();
+        this.reeferLogger = new ReeferLoggerAnalyzer();
         this.ctSorter = new CTStowageSorter();
         this.dgChecker = new DGChecker();
         this.listCompare = new ListCompare();
+        this.stowageDiff = new StowageDiff();
+        this.bayPlan = new BayPlanBuilder();
+        this.dgReeferAdjacency = new DGReeferAdjacency(this.dgChecker.dgList, this.dgChecker.shipProfile);
         this.logger = new LoggingSystem();
         
         // App settings
@@ -123,6 +131,31 @@ class SafeMariApp {
         }
     }
 
+    /**
+     * Print the bay plan to an A3 landscape PDF through a hidden window
+     */
+    async exportBayPlanPDF(outputPath, options = {}) {
+        const printWindow = new BrowserWindow({
+            show: false,
+            webPreferences: { javascript: false, contextIsolation: true, nodeIntegration: false }
+        });
+
+        try {
+            const html = this.bayPlan.renderPrintHTML(this.bayPlan.plan, options);
+            await printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+            const pdf = await printWindow.webContents.printToPDF({
+                landscape: true,
+                pageSize: 'A3',
+                printBackground: true,
+                preferCSSPageSize: true
+            });
+            fs.writeFileSync(outputPath, pdf);
+            return outputPath;
+        } finally {
+            printWindow.destroy();
+        }
+    }
+
     checkLicenseOnStartup() {
         try {
             // First check if license file exists and load it
@@ -237,7 +270,7 @@ class SafeMariApp {
         ipcMain.handle('select-file', async (event, options = {}) => {
             try {
                 const result = await dialog.showOpenDialog(this.mainWindow, {
-                    properties: ['openFile'],
+                    properties: options.multiple ? ['openFile', 'multiSelections'] : ['openFile'],
                     filters: options.filters || [
                         { name: 'Excel Files', extensions: ['xlsx', 'xls'] },
                         { name: 'PDF Files', extensions: ['pdf'] },
@@ -249,7 +282,8 @@ class SafeMariApp {
                 return {
                     success: true,
                     cancelled: result.canceled,
-                    filePath: result.canceled ? null : result.filePaths[0]
+                    filePath: result.canceled ? null : result.filePaths[0],
+                    filePaths: result.canceled ? [] : result.filePaths
                 };
             } catch (error) {
                 return {
@@ -375,10 +409,18 @@ class SafeMariApp {
             return await this.processReeferOperation(data);
         });
 
+        ipcMain.handle('process-reefer-logger', async (event, data) => {
+            return await this.processReeferLoggerOperation(data);
+        });
+
         ipcMain.handle('process-ct', async (event, data) => {
             return await this.processCTOperation(data);
         });
 
+        ipcMain.handle('generate-ct-sheet', async (event, data) => {
+            return await this.generateCTSheetOperation(data);
+        });
+
         ipcMain.handle('process-dg', async (event, data) => {
             return await this.processDGOperation(data);
         });
@@ -387,6 +429,10 @@ class SafeMariApp {
             return await this.processCompareOperation(data);
         });
 
+        ipcMain.handle('process-stowage-diff', async (event, data) => {
+            return await this.processStowageDiffOperation(data);
+        });
+
         // Logging handlers
         ipcMain.handle('get-logs', async (event, filters) => {
             return await this.logger.getLogs(filters);
@@ -452,6 +498,92 @@ class SafeMariApp {
             }
         });
 
+        // Reefer commodity set-point table
+        ipcMain.handle('get-commodity-ranges', async () => {
+            try {
+                return {
+                    success: true,
+                    ranges: this.reeferChecker.loadCommodityRanges(),
+                    defaults: this.reeferChecker.getDefaultCommodityRanges(),
+                    cargoTypes: Object.keys(this.reeferChecker.rulesEngine.rules.temperatureValidation.ranges)
+                };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('save-commodity-ranges', async (event, ranges) => {
+            return this.reeferChecker.saveCommodityRanges(ranges);
+        });
+
+        ipcMain.handle('get-ct-protocols', async () => {
+            try {
+                return {
+                    success: true,
+                    protocols: this.ctSorter.protocolValidator.loadProtocols(),
+                    defaults: this.ctSorter.protocolValidator.getDefaultProtocols()
+                };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('save-ct-protocols', async (event, protocols) => {
+            return this.ctSorter.protocolValidator.saveProtocols(protocols);
+        });
+
+        ipcMain.handle('get-ct-templates', async () => {
+            try {
+                return {
+                    success: true,
+                    templates: this.ctSorter.templateRegistry.loadTemplates(),
+                    defaults: this.ctSorter.templateRegistry.getDefaultTemplates()
+                };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('save-ct-templates', async (event, templates) => {
+            return this.ctSorter.templateRegistry.saveTemplates(templates);
+        });
+
+        // Ship profile (holds, on-deck tier, accommodation and heat-source bays)
+        ipcMain.handle('get-ship-profile', async () => {
+            try {
+                return {
+                    success: true,
+                    profile: this.dgChecker.shipProfile.load(),
+                    defaults: this.dgChecker.shipProfile.getDefaultProfile()
+                };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('save-ship-profile', async (event, profile) => {
+            return this.dgChecker.shipProfile.save(profile);
+        });
+
+        // Dangerous Goods List (UN number reference)
+        ipcMain.handle('get-dg-list-status', async () => {
+            try {
+                return { success: true, status: this.dgChecker.dgList.getStatus() };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('import-dg-list', async (event, filePath) => {
+            const result = await this.dgChecker.dgList.importList(filePath);
+            return result.success ? { ...result, status: this.dgChecker.dgList.getStatus() } : result;
+        });
+
+        ipcMain.handle('restore-dg-list', async () => {
+            const result = this.dgChecker.dgList.restoreBuiltIn();
+            return result.success ? { ...result, status: this.dgChecker.dgList.getStatus() } : result;
+        });
+
         // Excel download handler
         ipcMain.handle('download-excel-report', async (event, data) => {
             try {
@@ -525,15 +657,11 @@ class SafeMariApp {
             }
         });
 
-        ipcMain.handle('download-ct-report', async (event, data) => {
+        ipcMain.handle('download-reefer-report', async (event, data = {}) => {
             try {
-                const { dialog } = require('electron');
-                const ExcelJS = require('exceljs');
-                
-                // Show save dialog
                 const result = await dialog.showSaveDialog(this.mainWindow, {
-                    title: 'Save CT Sorted Report',
-                    defaultPath: 'CT_Sorted_By_Stowage.xlsx',
+                    title: 'Save Reefer Temperature Report',
+                    defaultPath: data.filename || 'reefer_temperature_report.xlsx',
                     filters: [
                         { name: 'Excel Files', extensions: ['xlsx'] },
                         { name: 'All Files', extensions: ['*'] }
@@ -541,31 +669,59 @@ class SafeMariApp {
                 });
                 
                 if (result.canceled) {
-                    return { success: false, canceled: true };
+                    return { success: false, cancelled: true };
                 }
                 
-                // Create workbook
-                const workbook = new ExcelJS.Workbook();
-                const worksheet = workbook.addWorksheet('CT_Sorted');
-                
-                // Add sorted CT rows
-                if (data.sortedCtRows && data.sortedCtRows.length > 0) {
-                    data.sortedCtRows.forEach((rowData, rowIndex) => {
-                        const row = worksheet.getRow(rowIndex + 1);
-                        rowData.forEach((cellValue, colIndex) => {
-                            row.getCell(colIndex + 1).value = cellValue;
-                        });
-                    });
+                const exportResult = await this.reeferChecker.exportResults(result.filePath, { pod: data.pod });
+                
+                if (exportResult.success) {
+                    return { 
+                        success: true, 
+                        filePath: result.filePath,
+                        message: 'Reefer report exported successfully' 
+                    };
+                } else {
+                    return exportResult;
                 }
                 
-                // Save file
-                await workbook.xlsx.writeFile(result.filePath);
+            } catch (error) {
+                console.error('Reefer download error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('download-ct-report', async (event, data = {}) => {
+            try {
+                // Default to the original template name so the export can replace it
+                const ctFile = this.ctSorter.ctFilePath;
+                const defaultPath = ctFile
+                    ? `${path.basename(ctFile, path.extname(ctFile))}_sorted.xlsx`
+                    : (data.filename || 'CT_Sorted_By_Stowage.xlsx');
+
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Save CT Sorted Report',
+                    defaultPath: defaultPath,
+                    filters: [
+                        { name: 'Excel Files', extensions: ['xlsx'] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
                 
-                return { 
-                    success: true, 
-                    filePath: result.filePath,
-                    message: 'CT Report downloaded successfully' 
-                };
+                if (result.canceled) {
+                    return { success: false, cancelled: true };
+                }
+                
+                const exportResult = await this.ctSorter.exportResults(result.filePath);
+                
+                if (exportResult.success) {
+                    return { 
+                        success: true, 
+                        filePath: result.filePath,
+                        message: 'CT Report downloaded successfully' 
+                    };
+                } else {
+                    return exportResult;
+                }
                 
             } catch (error) {
                 console.error('CT download error:', error);
@@ -609,6 +765,108 @@ class SafeMariApp {
             }
         });
 
+        // Bay plan from the latest CT, temperature and DG runs
+        ipcMain.handle('get-bay-plan', async (event, data = {}) => {
+            try {
+                const plan = this.bayPlan.build({
+                    stowageMap: this.ctSorter.stowageMap || {},
+                    reeferCTContainers: this.ctSorter.reeferCTContainers,
+                    ctResults: this.ctSorter.results,
+                    reeferResults: this.reeferChecker.results,
+                    dgResults: this.dgChecker.results,
+                    tierThreshold: this.getTierThreshold(data)
+                });
+                return { success: true, plan: plan, svg: this.bayPlan.renderSVG(plan, { title: data.title }) };
+            } catch (error) {
+                console.error('Bay plan error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('download-bay-plan', async (event, data = {}) => {
+            try {
+                if (!this.bayPlan.plan) {
+                    return { success: false, error: 'No bay plan to export' };
+                }
+
+                const format = data.format === 'pdf' ? 'pdf' : 'svg';
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Save Bay Plan',
+                    defaultPath: `bay_plan.${format}`,
+                    filters: [
+                        format === 'pdf'
+                            ? { name: 'PDF Files', extensions: ['pdf'] }
+                            : { name: 'SVG Images', extensions: ['svg'] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled) {
+                    return { success: false, cancelled: true };
+                }
+
+                if (format === 'pdf') {
+                    await this.exportBayPlanPDF(result.filePath, { title: data.title });
+                } else {
+                    await this.bayPlan.exportSVG(result.filePath, { title: data.title });
+                }
+
+                return { success: true, filePath: result.filePath, message: 'Bay plan exported successfully' };
+            } catch (error) {
+                console.error('Bay plan export error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('check-dg-reefer-adjacency', async (event, data = {}) => {
+            try {
+                if (!this.ctSorter.stowageMap) {
+                    return { success: false, error: 'No reefer stowage loaded - run CT Stowage first' };
+                }
+                if (!this.dgChecker.stowageData) {
+                    return { success: false, error: 'No DG stowage loaded - run the DG Checker first' };
+                }
+
+                const results = this.dgReeferAdjacency.check({
+                    reeferStowage: this.ctSorter.stowageMap,
+                    dgLines: this.dgChecker.stowageData,
+                    manifestLines: this.dgChecker.manifestData || [],
+                    options: data.options
+                });
+                return { success: true, results: results };
+            } catch (error) {
+                console.error('DG / reefer adjacency error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('download-dg-reefer-adjacency-report', async (event, data = {}) => {
+            try {
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Save DG Next to Reefers Report',
+                    defaultPath: data.filename || 'dg_reefer_adjacency_report.xlsx',
+                    filters: [
+                        { name: 'Excel Files', extensions: ['xlsx'] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled) {
+                    return { success: false, cancelled: true };
+                }
+
+                const exportResult = await this.dgReeferAdjacency.exportResults(result.filePath);
+                if (!exportResult.success) {
+                    return exportResult;
+                }
+
+                return { success: true, filePath: result.filePath, message: 'DG next to reefers report exported successfully' };
+            } catch (error) {
+                console.error('DG / reefer adjacency download error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         ipcMain.handle('download-compare-report', async (event, data) => {
             try {
                 const { dialog } = require('electron');
@@ -645,6 +903,33 @@ class SafeMariApp {
             }
         });
 
+        ipcMain.handle('download-stowage-diff-report', async (event, data = {}) => {
+            try {
+                const result = await dialog.showSaveDialog(this.mainWindow, {
+                    title: 'Save Stowage Diff Report',
+                    defaultPath: data.filename || 'stowage_diff_report.xlsx',
+                    filters: [
+                        { name: 'Excel Files', extensions: ['xlsx'] },
+                        { name: 'All Files', extensions: ['*'] }
+                    ]
+                });
+
+                if (result.canceled) {
+                    return { success: false, cancelled: true };
+                }
+
+                const exportResult = await this.stowageDiff.exportResults(result.filePath);
+                if (!exportResult.success) {
+                    return exportResult;
+                }
+
+                return { success: true, filePath: result.filePath, message: 'Stowage diff report exported successfully' };
+            } catch (error) {
+                console.error('Stowage diff download error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         ipcMain.handle('clear-cache', async () => {
             try {
                 // Clear old logs (keep last 30 days)
@@ -666,6 +951,11 @@ class SafeMariApp {
             }
 
             const result = await this.reeferChecker.processReeferCheck(data);
+
+            if (result.success && data.voyage) {
+                await this.trackReeferRun(data);
+            }
+
             const duration = Date.now() - startTime;
 
             // Log the operation
@@ -694,6 +984,73 @@ class SafeMariApp {
         }
     }
 
+    /**
+     * Diff the reefer set points against the previous run of the voyage, then save this run
+     */
+    async trackReeferRun(data) {
+        try {
+            const previous = await this.logger.getLatestReeferRun(data.voyage);
+            const currentDate = new Date().toISOString();
+
+            if (previous.success && previous.run) {
+                this.reeferChecker.diffSetPoints(previous.run, currentDate);
+            }
+
+            await this.logger.saveReeferRun({
+                voyage: data.voyage,
+                username: this.settings.username,
+                checkFile: path.basename(data.checkFilePath),
+                manifestFile: path.basename(data.manifestFilePath),
+                containers: this.reeferChecker.getRunSnapshot(),
+                summary: this.reeferChecker.generateSummary()
+            });
+        } catch (error) {
+            // Run history is an audit trail; never fail the check because of it
+            console.error('Failed to track reefer run:', error);
+        }
+    }
+
+    async processReeferLoggerOperation(data) {
+        const startTime = Date.now();
+        
+        try {
+            if (!this.isLicensed) {
+                return { success: false, error: 'License required for this operation' };
+            }
+
+            const result = await this.reeferLogger.processLoggerCheck(data);
+            const duration = Date.now() - startTime;
+
+            // Log the operation
+            const licenseStatus = this.licenseChecker.getLicenseStatus();
+            const validation = this.licenseChecker.validateLicense();
+            
+            await this.logger.logCargoOperation(
+                'reefer-logger',
+                { fileA: (data.loggerFilePaths || [])[0], fileB: data.manifestFilePath },
+                result,
+                this.settings.username,
+                licenseStatus.machineId,
+                validation.daysRemaining,
+                duration
+            );
+
+            return result;
+
+        } catch (error) {
+            console.error('Reefer logger operation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * First on-deck tier of a request, defaulting to the ship profile so the CT sort,
+     * bay plan, stowage diff and DG checks agree on deck / hold
+     */
+    getTierThreshold(data = {}) {
+        return parseInt(data.tierThreshold, 10) || this.dgChecker.shipProfile.load().tierThreshold;
+    }
+
     async processCTOperation(data) {
         const startTime = Date.now();
         
@@ -702,7 +1059,7 @@ class SafeMariApp {
                 return { success: false, error: 'License required for this operation' };
             }
 
-            const result = await this.ctSorter.processCTStowage(data);
+            const result = await this.ctSorter.processCTStowage({ ...data, tierThreshold: this.getTierThreshold(data) });
             const duration = Date.now() - startTime;
 
             // Log the operation
@@ -731,6 +1088,52 @@ class SafeMariApp {
         }
     }
 
+    async generateCTSheetOperation(data) {
+        const startTime = Date.now();
+        
+        try {
+            if (!this.isLicensed) {
+                return { success: false, error: 'License required for this operation' };
+            }
+
+            const saveResult = await dialog.showSaveDialog(this.mainWindow, {
+                title: 'Save CT Monitoring Sheet',
+                defaultPath: `CT_Monitoring${data.voyage ? '_' + data.voyage.replace(/[^\w-]+/g, '_') : ''}.xlsx`,
+                filters: [
+                    { name: 'Excel Files', extensions: ['xlsx'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (saveResult.canceled) {
+                return { success: false, cancelled: true };
+            }
+
+            const result = await this.ctSorter.generateCTWorkbook({ ...data, tierThreshold: this.getTierThreshold(data), outputPath: saveResult.filePath });
+            const duration = Date.now() - startTime;
+
+            // Log the operation
+            const licenseStatus = this.licenseChecker.getLicenseStatus();
+            const validation = this.licenseChecker.validateLicense();
+            
+            await this.logger.logCargoOperation(
+                'ct',
+                { fileA: data.reeferListPath, fileB: saveResult.filePath },
+                result,
+                this.settings.username,
+                licenseStatus.machineId,
+                validation.daysRemaining,
+                duration
+            );
+
+            return result;
+
+        } catch (error) {
+            console.error('CT generation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     async processDGOperation(data) {
         const startTime = Date.now();
         
@@ -804,6 +1207,39 @@ class SafeMariApp {
             return { success: false, error: error.message };
         }
     }
+
+    async processStowageDiffOperation(data) {
+        const startTime = Date.now();
+
+        try {
+            if (!this.isLicensed) {
+                return { success: false, error: 'License required for this operation' };
+            }
+
+            const result = await this.stowageDiff.processStowageDiff({ ...data, tierThreshold: this.getTierThreshold(data) });
+            const duration = Date.now() - startTime;
+
+            // Log the operation
+            const licenseStatus = this.licenseChecker.getLicenseStatus();
+            const validation = this.licenseChecker.validateLicense();
+
+            await this.logger.logCargoOperation(
+                'stowage-diff',
+                { fileA: data.previousListPath, fileB: data.currentListPath },
+                result,
+                this.settings.username,
+                licenseStatus.machineId,
+                validation.daysRemaining,
+                duration
+            );
+
+            return result;
+
+        } catch (error) {
+            console.error('Stowage diff operation error:', error);
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 // Create app instance
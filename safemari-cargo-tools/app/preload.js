@@ -26,9 +26,12 @@ contextBridge.exposeInMainWorld('safeMariAPI', {
 
     // Cargo module operations (will be implemented with modules)
     processReefer: (data) => ipcRenderer.invoke('process-reefer', data),
+    processReeferLogger: (data) => ipcRenderer.invoke('process-reefer-logger', data),
     processCT: (data) => ipcRenderer.invoke('process-ct', data),
+    generateCTSheet: (data) => ipcRenderer.invoke('generate-ct-sheet', data),
     processDG: (data) => ipcRenderer.invoke('process-dg', data),
     processCompare: (data) => ipcRenderer.invoke('process-compare', data),
+    processStowageDiff: (data) => ipcRenderer.invoke('process-stowage-diff', data),
 
     // Logging operations
     getLogs: (filters) => ipcRenderer.invoke('get-logs', filters),
@@ -37,13 +40,32 @@ contextBridge.exposeInMainWorld('safeMariAPI', {
 
     // Download operations
     downloadExcelReport: (data) => ipcRenderer.invoke('download-excel-report', data),
+    downloadReeferReport: (data) => ipcRenderer.invoke('download-reefer-report', data),
     downloadCTReport: (data) => ipcRenderer.invoke('download-ct-report', data),
     downloadDGReport: (data) => ipcRenderer.invoke('download-dg-report', data),
     downloadCompareReport: (data) => ipcRenderer.invoke('download-compare-report', data),
+    downloadStowageDiffReport: (data) => ipcRenderer.invoke('download-stowage-diff-report', data),
+
+    // Bay plan
+    getBayPlan: (data) => ipcRenderer.invoke('get-bay-plan', data),
+    downloadBayPlan: (data) => ipcRenderer.invoke('download-bay-plan', data),
+    checkDGReeferAdjacency: (data) => ipcRenderer.invoke('check-dg-reefer-adjacency', data),
+    downloadDGReeferAdjacencyReport: (data) => ipcRenderer.invoke('download-dg-reefer-adjacency-report', data),
 
     // Settings operations
     getSettings: () => ipcRenderer.invoke('get-settings'),
     saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+    getCommodityRanges: () => ipcRenderer.invoke('get-commodity-ranges'),
+    saveCommodityRanges: (ranges) => ipcRenderer.invoke('save-commodity-ranges', ranges),
+    getCTProtocols: () => ipcRenderer.invoke('get-ct-protocols'),
+    saveCTProtocols: (protocols) => ipcRenderer.invoke('save-ct-protocols', protocols),
+    getCTTemplates: () => ipcRenderer.invoke('get-ct-templates'),
+    saveCTTemplates: (templates) => ipcRenderer.invoke('save-ct-templates', templates),
+    getShipProfile: () => ipcRenderer.invoke('get-ship-profile'),
+    saveShipProfile: (profile) => ipcRenderer.invoke('save-ship-profile', profile),
+    getDGListStatus: () => ipcRenderer.invoke('get-dg-list-status'),
+    importDGList: (filePath) => ipcRenderer.invoke('import-dg-list', filePath),
+    restoreDGList: () => ipcRenderer.invoke('restore-dg-list'),
     clearCache: () => ipcRenderer.invoke('clear-cache')
 });
 
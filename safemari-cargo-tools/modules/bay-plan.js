@@ -0,0 +1,492 @@
+const fs = require('fs').promises;
+const StowagePosition = require('./stowage-position');
+
+/**
+ * Bay Plan Builder
+ * Places the reefer and DG containers of the latest CT, temperature and DG runs into
+ * row / tier grids per bay (on deck and under deck) and renders them as SVG
+ */
+class BayPlanBuilder {
+    constructor() {
+        this.plan = null;
+    }
+
+    /**
+     * Reefer fill colours by temperature-check status
+     */
+    getReeferStatuses() {
+        return {
+            matched: { label: 'Reefer: set point matches manifest', color: '#bbf7d0' },
+            mismatched: { label: 'Reefer: set point mismatch', color: '#fca5a5' },
+            missing: { label: 'Reefer: missing from check list or manifest', color: '#fde68a' },
+            unchecked: { label: 'Reefer: not temperature-checked', color: '#e0f2fe' }
+        };
+    }
+
+    /**
+     * DG fill colours by main IMDG class (after the class labels, simplified to one colour each)
+     */
+    getDGClassColors() {
+        return {
+            '1': '#f97316',
+            '2': '#16a34a',
+            '3': '#dc2626',
+            '4': '#2563eb',
+            '5': '#facc15',
+            '6': '#9333ea',
+            '7': '#db2777',
+            '8': '#374151',
+            '9': '#94a3b8'
+        };
+    }
+
+    /**
+     * Build the plan from the latest module results
+     * @param {Object} sources
+     * @param {Object} sources.stowageMap - containerId -> stowage, from the CT reefer list
+     * @param {Array} sources.reeferCTContainers - Reefers marked cold treatment in the reefer list
+     * @param {Object} sources.ctResults - CTStowageSorter results (CT blocks, protocol check)
+     * @param {Object} sources.reeferResults - ReeferChecker results (set point comparison)
+     * @param {Object} sources.dgResults - DGChecker results (manifest vs stowage)
+     * @param {number} sources.tierThreshold - First on-deck tier (default 80)
+     * @returns {Object} { tierThreshold, bays, containers, unplaced, summary, legend }
+     */
+    build(sources = {}) {
+        const {
+            stowageMap = {}, reeferCTContainers = [], ctResults = null, reeferResults = null, dgResults = null,
+            tierThreshold = 80
+        } = sources;
+
+        const containers = {};
+        const positions = {};
+        const entry = id => containers[id] || (containers[id] = { id, stowage: null, reefer: null, dg: null, notes: [] });
+
+        const place = (container, value) => {
+            const position = StowagePosition.parse(value);
+            if (!position) return;
+            const existing = positions[container.id];
+            if (existing && !existing.sameSlot(position)) {
+                container.notes.push(`Listed at ${existing.toString()} and at ${position.toString()}`);
+                return;
+            }
+            if (!existing) {
+                positions[container.id] = position;
+                container.stowage = position.toString();
+            }
+        };
+
+        // Reefers: position from the reefer list, status from the temperature check
+        const reeferStatus = this.reeferStatusLookup(reeferResults);
+        const ctBlocks = new Set(ctResults ? ctResults.blocksWithKey.map(block => block.id) : []);
+        const ctFlagged = new Set(reeferCTContainers.map(container => container.id));
+        const compliance = {};
+        (ctResults && ctResults.compliance ? ctResults.compliance.containers : []).forEach(c => {
+            compliance[c.id] = c;
+        });
+
+        const reeferIds = new Set([...Object.keys(stowageMap), ...reeferStatus.keys(), ...ctBlocks]);
+        for (const id of reeferIds) {
+            const container = entry(id);
+            const status = reeferStatus.get(id) || { status: 'unchecked', detail: 'Not in the temperature check' };
+            container.reefer = {
+                status: status.status,
+                detail: status.detail,
+                coldTreatment: ctBlocks.has(id) || ctFlagged.has(id),
+                ctBlock: ctBlocks.has(id),
+                ctStatus: compliance[id] ? compliance[id].status : null,
+                ctMessage: compliance[id] ? compliance[id].message : null
+            };
+            place(container, stowageMap[id]);
+        }
+
+        // DG units: class and position from the DG manifest / stowage check
+        // A mixed load lists every class, UN number and PSN and takes the colour of its first class
+        for (const item of this.dgItems(dgResults)) {
+            const container = entry(item.id);
+            const lines = item.manifest.length > 0 ? item.manifest : item.stowage;
+            const values = field => [...new Set(lines.map(line => line[field]).filter(Boolean))];
+            const stowedLine = [...item.stowage, ...item.manifest].find(line => line.stowage);
+            const classes = values('class');
+            container.dg = {
+                class: classes.join('/') || null,
+                classes: classes,
+                mixed: classes.length > 1,
+                unNumber: values('unNumber').join(', ') || null,
+                psn: values('psn').join('; ') || null,
+                status: item.status,
+                mismatches: (item.mismatches || []).map(m => `${m.unNumber ? `UN${m.unNumber} ` : ''}${m.field}: manifest ${m.manifest}, stowage ${m.stowage}`)
+            };
+            place(container, stowedLine ? stowedLine.stowage : null);
+        }
+
+        // Group by bay, then on deck / under deck
+        const bays = new Map();
+        const unplaced = [];
+        for (const container of Object.values(containers)) {
+            const position = positions[container.id];
+            if (!position) {
+                unplaced.push({ id: container.id, reason: container.reefer && container.dg ? 'DG reefer without stowage' : container.dg ? 'DG unit without stowage' : 'Reefer without stowage' });
+                continue;
+            }
+            if (!bays.has(position.bay)) {
+                bays.set(position.bay, { bay: position.bay, deck: [], hold: [] });
+            }
+            bays.get(position.bay)[position.isOnDeck(tierThreshold) ? 'deck' : 'hold'].push({ id: container.id, position });
+        }
+
+        const bayList = [...bays.values()]
+            .sort((a, b) => a.bay - b.bay)
+            .map(bay => this.layoutBay(bay));
+
+        const all = Object.values(containers);
+        const summary = {
+            containers: all.length,
+            reefers: all.filter(c => c.reefer).length,
+            dg: all.filter(c => c.dg).length,
+            dgReefers: all.filter(c => c.reefer && c.dg).length,
+            dgMixed: all.filter(c => c.dg && c.dg.mixed).length,
+            placed: all.length - unplaced.length,
+            unplaced: unplaced.length,
+            bays: bayList.length,
+            reeferStatus: {},
+            dgClasses: {}
+        };
+        all.forEach(c => {
+            if (c.reefer) summary.reeferStatus[c.reefer.status] = (summary.reeferStatus[c.reefer.status] || 0) + 1;
+            if (c.dg) {
+                // A mixed load counts once under each of its classes
+                const dgClasses = new Set(c.dg.classes.map(dgClass => this.mainClass(dgClass)).filter(Boolean));
+                if (dgClasses.size === 0) dgClasses.add('?');
+                dgClasses.forEach(dgClass => {
+                    summary.dgClasses[dgClass] = (summary.dgClasses[dgClass] || 0) + 1;
+                });
+            }
+        });
+
+        console.log(`\n🗺️ BAY PLAN: ${summary.placed} containers in ${summary.bays} bays ` +
+            `(${summary.reefers} reefers, ${summary.dg} DG), ${summary.unplaced} without stowage`);
+
+        this.plan = {
+            tierThreshold: tierThreshold,
+            bays: bayList,
+            containers: containers,
+            unplaced: unplaced.sort((a, b) => a.id.localeCompare(b.id)),
+            summary: summary,
+            legend: { reefer: this.getReeferStatuses(), dg: this.getDGClassColors() }
+        };
+        return this.plan;
+    }
+
+    /**
+     * Reefer status per container from a temperature check
+     * @returns {Map} containerId -> { status, detail }
+     */
+    reeferStatusLookup(results) {
+        const lookup = new Map();
+        if (!results) return lookup;
+
+        (results.matched || []).forEach(m => {
+            lookup.set(m.id, { status: 'matched', detail: `Set ${m.setT}°C, manifest ${m.manT}°C` });
+        });
+        (results.mismatches || []).forEach(m => {
+            lookup.set(m.id, { status: 'mismatched', detail: `Set ${m.setT}°C, manifest ${m.manT}°C (${m.severity || 'mismatch'})` });
+        });
+        (results.missing || []).forEach(id => {
+            lookup.set(id, { status: 'missing', detail: 'In the check list, not in the manifest' });
+        });
+        (results.manifestOnly || []).forEach(id => {
+            lookup.set(id, { status: 'missing', detail: 'In the manifest, not in the check list' });
+        });
+
+        return lookup;
+    }
+
+    /**
+     * DG units of a DG check with their manifest / stowage DG lines
+     */
+    dgItems(results) {
+        if (!results) return [];
+
+        // Missing / extra containers come as one entry per DG line
+        const byContainer = (lines, side, status) => {
+            const units = new Map();
+            lines.forEach(line => {
+                if (!units.has(line.containerId)) {
+                    units.set(line.containerId, { id: line.containerId, manifest: [], stowage: [], status });
+                }
+                units.get(line.containerId)[side].push(line);
+            });
+            return [...units.values()];
+        };
+
+        return [
+            ...(results.matches || []).map(m => ({ id: m.containerId, manifest: m.manifestData, stowage: m.stowageData, status: 'Manifest and stowage agree' })),
+            ...(results.unClassMismatches || []).map(m => ({ id: m.containerId, manifest: m.manifestData, stowage: m.stowageData, status: 'Manifest / stowage mismatch', mismatches: m.mismatches })),
+            ...byContainer(results.missingInStowage || [], 'manifest', 'Missing from stowage'),
+            ...byContainer(results.extraInStowage || [], 'stowage', 'Not in DG manifest')
+        ].filter(item => item.id);
+    }
+
+    /**
+     * Grid of one bay: rows port to starboard (shared by deck and hold), tiers top down
+     */
+    layoutBay(bay) {
+        const all = [...bay.deck, ...bay.hold];
+        const rows = [...new Set(all.map(item => item.position.row))]
+            .sort((a, b) => new StowagePosition(1, a, 1).lateralPosition - new StowagePosition(1, b, 1).lateralPosition);
+
+        const section = items => {
+            const slots = {};
+            items.forEach(item => {
+                const key = `${item.position.row}-${item.position.tier}`;
+                (slots[key] = slots[key] || { row: item.position.row, tier: item.position.tier, ids: [] }).ids.push(item.id);
+            });
+            return { tiers: this.tierRange(items.map(item => item.position.tier)), slots: Object.values(slots) };
+        };
+
+        return {
+            bay: bay.bay,
+            label: `Bay ${String(bay.bay).padStart(2, '0')}${bay.bay % 2 === 0 ? ' (40\')' : ''}`,
+            rows: rows,
+            deck: section(bay.deck),
+            hold: section(bay.hold)
+        };
+    }
+
+    /**
+     * Tiers from the highest down, gaps filled in steps of 2 (tiers are numbered 02, 04, ... / 82, 84, ...)
+     */
+    tierRange(tiers) {
+        if (tiers.length === 0) return [];
+        const min = Math.min(...tiers);
+        const max = Math.max(...tiers);
+        if (tiers.some(tier => (tier - min) % 2 !== 0)) {
+            return [...new Set(tiers)].sort((a, b) => b - a);
+        }
+        const range = [];
+        for (let tier = max; tier >= min; tier -= 2) range.push(tier);
+        return range;
+    }
+
+    mainClass(dgClass) {
+        const match = (dgClass || '').toString().match(/^\s*(\d)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Render the plan as a standalone SVG document
+     * Slots carry data-ids (comma separated) for click handling and a <title> tooltip
+     * @param {Object} plan - Output of build (defaults to the last plan)
+     * @param {Object} options - { title }
+     */
+    renderSVG(plan = this.plan, options = {}) {
+        if (!plan) {
+            throw new Error('No bay plan built yet');
+        }
+
+        const CELL_W = 48;
+        const CELL_H = 30;
+        const LABEL_W = 26;
+        const TITLE_H = 20;
+        const ROW_LABEL_H = 14;
+        const HATCH_GAP = 12;
+        const GAP = 28;
+        const MAX_WIDTH = 1600;
+        const LEGEND_H = 78;
+
+        const statuses = plan.legend.reefer;
+        const classColors = plan.legend.dg;
+        const parts = [];
+
+        // Panels flow left to right, wrapping at MAX_WIDTH
+        let x = 0;
+        let y = LEGEND_H;
+        let lineHeight = 0;
+        let width = 0;
+
+        for (const bay of plan.bays) {
+            const panelW = LABEL_W + Math.max(bay.rows.length, 1) * CELL_W;
+            const panelH = TITLE_H + ROW_LABEL_H + bay.deck.tiers.length * CELL_H + HATCH_GAP + bay.hold.tiers.length * CELL_H;
+
+            if (x > 0 && x + panelW > MAX_WIDTH) {
+                x = 0;
+                y += lineHeight + GAP;
+                lineHeight = 0;
+            }
+
+            parts.push(this.renderBay(bay, plan, x, y, { CELL_W, CELL_H, LABEL_W, TITLE_H, ROW_LABEL_H, HATCH_GAP }));
+
+            x += panelW + GAP;
+            width = Math.max(width, x - GAP);
+            lineHeight = Math.max(lineHeight, panelH);
+        }
+
+        width = Math.max(width, 900);
+        const height = y + lineHeight + 10;
+
+        // Title and legend
+        const legend = [];
+        const title = options.title || 'Bay Plan - Reefer and DG Positions';
+        legend.push(`<text x="0" y="16" font-size="16" font-weight="bold" fill="#1e293b">${this.escapeXml(title)}</text>`);
+        legend.push(`<text x="0" y="32" font-size="10" fill="#64748b">${this.escapeXml(`${plan.summary.placed} containers in ${plan.summary.bays} bays; ` +
+            `on deck from tier ${plan.tierThreshold}; rows port to starboard as seen from aft`)}</text>`);
+
+        let lx = 0;
+        Object.values(statuses).forEach(status => {
+            legend.push(`<rect x="${lx}" y="42" width="12" height="12" fill="${status.color}" stroke="#64748b"/>`);
+            legend.push(`<text x="${lx + 16}" y="52" font-size="10" fill="#334155">${this.escapeXml(status.label)}</text>`);
+            lx += 16 + status.label.length * 5.5 + 14;
+        });
+        lx = 0;
+        Object.entries(classColors).forEach(([dgClass, color]) => {
+            legend.push(`<rect x="${lx}" y="60" width="12" height="12" fill="${color}" stroke="#64748b"/>`);
+            legend.push(`<text x="${lx + 16}" y="70" font-size="10" fill="#334155">DG ${dgClass}</text>`);
+            lx += 58;
+        });
+        legend.push(`<text x="${lx + 10}" y="70" font-size="10" fill="#334155">DG reefer: class colour with a thick reefer-status border</text>`);
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`,
+            `<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`,
+            ...legend,
+            ...parts,
+            '</svg>'
+        ].join('\n');
+    }
+
+    /**
+     * One bay panel: title, row numbers, deck grid, hatch line, hold grid
+     */
+    renderBay(bay, plan, x0, y0, size) {
+        const { CELL_W, CELL_H, LABEL_W, TITLE_H, ROW_LABEL_H, HATCH_GAP } = size;
+        const out = [];
+        const gridX = x0 + LABEL_W;
+        const gridW = bay.rows.length * CELL_W;
+
+        out.push(`<g class="bay" data-bay="${bay.bay}">`);
+        out.push(`<text x="${x0}" y="${y0 + 14}" font-size="13" font-weight="bold" fill="#1e293b">${this.escapeXml(bay.label)}</text>`);
+        bay.rows.forEach((row, index) => {
+            out.push(`<text x="${gridX + index * CELL_W + CELL_W / 2}" y="${y0 + TITLE_H + 10}" font-size="9" text-anchor="middle" fill="#64748b">${String(row).padStart(2, '0')}</text>`);
+        });
+
+        let y = y0 + TITLE_H + ROW_LABEL_H;
+        y = this.renderSection(out, bay, bay.deck, plan, gridX, y, size);
+
+        // Hatch cover between on deck and under deck
+        out.push(`<line x1="${gridX - 4}" y1="${y + HATCH_GAP / 2}" x2="${gridX + gridW + 4}" y2="${y + HATCH_GAP / 2}" stroke="#1e293b" stroke-width="2"/>`);
+        y += HATCH_GAP;
+
+        this.renderSection(out, bay, bay.hold, plan, gridX, y, size);
+        out.push('</g>');
+        return out.join('\n');
+    }
+
+    renderSection(out, bay, section, plan, gridX, y, size) {
+        const { CELL_W, CELL_H, LABEL_W } = size;
+
+        section.tiers.forEach((tier, tierIndex) => {
+            const cy = y + tierIndex * CELL_H;
+            out.push(`<text x="${gridX - LABEL_W + 2}" y="${cy + CELL_H / 2 + 3}" font-size="9" fill="#64748b">${String(tier).padStart(2, '0')}</text>`);
+
+            bay.rows.forEach((row, rowIndex) => {
+                const cx = gridX + rowIndex * CELL_W;
+                const slot = section.slots.find(s => s.row === row && s.tier === tier);
+                if (!slot) {
+                    out.push(`<rect x="${cx + 1}" y="${cy + 1}" width="${CELL_W - 2}" height="${CELL_H - 2}" fill="#ffffff" stroke="#e2e8f0"/>`);
+                    return;
+                }
+                out.push(this.renderSlot(slot, plan, cx, cy, size));
+            });
+        });
+
+        return y + section.tiers.length * CELL_H;
+    }
+
+    renderSlot(slot, plan, cx, cy, size) {
+        const { CELL_W, CELL_H } = size;
+        const containers = slot.ids.map(id => plan.containers[id]);
+        const container = containers[0];
+        const statuses = plan.legend.reefer;
+        const dgClass = container.dg ? this.mainClass(container.dg.class) : null;
+
+        let fill = '#f1f5f9';
+        let stroke = '#64748b';
+        let strokeWidth = 1;
+        if (container.dg) {
+            fill = plan.legend.dg[dgClass] || '#cbd5e1';
+            if (container.reefer) {
+                stroke = statuses[container.reefer.status].color;
+                strokeWidth = 3;
+            }
+        } else if (container.reefer) {
+            fill = statuses[container.reefer.status].color;
+        }
+
+        const textColor = this.textColor(fill);
+        const tooltip = containers.map(c => this.describe(c)).join('\n');
+        const out = [];
+
+        out.push(`<g class="slot" data-ids="${slot.ids.join(',')}" style="cursor: pointer;">`);
+        out.push(`<title>${this.escapeXml(tooltip)}</title>`);
+        out.push(`<rect x="${cx + 1.5}" y="${cy + 1.5}" width="${CELL_W - 3}" height="${CELL_H - 3}" rx="2" fill="${fill}" stroke="${slot.ids.length > 1 ? '#dc2626' : stroke}" stroke-width="${strokeWidth}"${slot.ids.length > 1 ? ' stroke-dasharray="3,2"' : ''}/>`);
+        out.push(`<text x="${cx + 4}" y="${cy + 12}" font-size="8" font-weight="bold" fill="${textColor}">${this.escapeXml(container.id.slice(0, 4))}${dgClass ? ` ${this.escapeXml(container.dg.class)}` : ''}</text>`);
+        out.push(`<text x="${cx + 4}" y="${cy + 23}" font-size="8" fill="${textColor}">${this.escapeXml(container.id.slice(4))}${slot.ids.length > 1 ? ` ×${slot.ids.length}` : ''}</text>`);
+        out.push('</g>');
+        return out.join('');
+    }
+
+    /**
+     * One-line-per-fact description of a container (tooltips)
+     */
+    describe(container) {
+        const lines = [`${container.id} ${container.stowage || ''}`.trim()];
+        if (container.reefer) {
+            lines.push(`Reefer: ${container.reefer.detail}`);
+            if (container.reefer.ctStatus) lines.push(`CT: ${container.reefer.ctStatus} - ${container.reefer.ctMessage}`);
+            else if (container.reefer.coldTreatment) lines.push('Cold treatment');
+        }
+        if (container.dg) {
+            lines.push(`DG class ${container.dg.class || '?'}${container.dg.mixed ? ' (mixed load)' : ''}, UN ${container.dg.unNumber || '?'}${container.dg.psn ? `, ${container.dg.psn}` : ''}`);
+            lines.push(container.dg.status);
+        }
+        return lines.concat(container.notes).join('\n');
+    }
+
+    /**
+     * Black or white text, whichever reads better on the fill
+     */
+    textColor(fill) {
+        const hex = fill.replace('#', '');
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.substr(i, 2), 16));
+        return (0.299 * r + 0.587 * g + 0.114 * b) > 150 ? '#0f172a' : '#ffffff';
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Printable page around the SVG (A3 landscape PDF export)
+     */
+    renderPrintHTML(plan = this.plan, options = {}) {
+        return `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+            @page { size: A3 landscape; margin: 10mm; }
+            body { margin: 0; }
+            svg { width: 100%; height: auto; }
+        </style></head><body>${this.renderSVG(plan, options)}</body></html>`;
+    }
+
+    /**
+     * Write the plan as an .svg file
+     */
+    async exportSVG(outputPath, options = {}) {
+        await fs.writeFile(outputPath, this.renderSVG(this.plan, options), 'utf8');
+        return outputPath;
+    }
+}
+
+module.exports = BayPlanBuilder;
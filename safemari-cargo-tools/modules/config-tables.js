@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Config Tables Module
+ * Loads and saves the editable JSON tables kept in the app storage folder
+ * (tolerance profiles, commodity ranges, protocols, ...)
+ */
+class ConfigTables {
+    constructor(storageDir = path.join(__dirname, '..', 'storage')) {
+        this.storageDir = storageDir;
+    }
+
+    /**
+     * Resolve the file path of a named table
+     */
+    getTablePath(name) {
+        return path.join(this.storageDir, `${name}.json`);
+    }
+
+    /**
+     * Load a table, falling back to (and merging over) the built-in defaults
+     * @param {string} name - Table name (file name without .json)
+     * @param {Object|Array} defaults - Built-in default table
+     */
+    load(name, defaults) {
+        const tablePath = this.getTablePath(name);
+
+        try {
+            if (!fs.existsSync(tablePath)) {
+                return defaults;
+            }
+
+            const saved = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+
+            // Keyed tables: saved entries override or extend the defaults
+            if (this.isPlainObject(defaults) && this.isPlainObject(saved)) {
+                return { ...defaults, ...saved };
+            }
+
+            return saved;
+        } catch (error) {
+            console.warn(`Failed to load table '${name}', using defaults:`, error.message);
+            return defaults;
+        }
+    }
+
+    /**
+     * Save a table to the storage folder
+     */
+    save(name, data) {
+        try {
+            if (!fs.existsSync(this.storageDir)) {
+                fs.mkdirSync(this.storageDir, { recursive: true });
+            }
+
+            fs.writeFileSync(this.getTablePath(name), JSON.stringify(data, null, 2));
+            return { success: true };
+        } catch (error) {
+            console.error(`Failed to save table '${name}':`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+module.exports = ConfigTables;
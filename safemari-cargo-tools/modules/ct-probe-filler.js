@@ -0,0 +1,215 @@
+/**
+ * CT Probe Filler
+ * Writes the readings of controller logger exports into the day / probe cells of CT blocks.
+ * Each cell gets the warmest reading of its day (or half day for AM / PM columns), the
+ * conservative figure for a quarantine record
+ */
+class CTProbeFiller {
+    /**
+     * @param {CTProtocolValidator} protocolValidator - Supplies reading columns, probe rows and cell parsing
+     */
+    constructor(protocolValidator) {
+        this.protocolValidator = protocolValidator;
+    }
+
+    /**
+     * Fill logger readings into the CT blocks
+     * Sheet rows are updated in place; each block gets cellWrites [{ row, col, value, aboveThreshold }]
+     * @param {Object} ctStructure - Parsed CT sheet (with its resolved template)
+     * @param {Object} loggerData - containerId -> { readings: [{ time, channels }] } (ReeferLoggerAnalyzer)
+     * @param {Object} options
+     * @param {number|null} options.threshold - Readings above it are flagged (protocol temperature)
+     * @param {string} options.treatmentStart - yyyy-mm-dd of DAY 1, for sheets headed DAY 1, DAY 2, ...
+     * @param {boolean} options.overwriteExisting - Replace differing values already in the sheet
+     * @returns {Object} { filled, skipped, overwritten, aboveThreshold, noLoggerData, notInCtSheet, unmatchedDays, threshold }
+     */
+    fill(ctStructure, loggerData, options = {}) {
+        const { threshold = null, treatmentStart = null, overwriteExisting = false } = options;
+        const validator = this.protocolValidator;
+        const { rows, headerRows, blocks, template } = ctStructure;
+
+        const columns = validator.getReadingColumns(headerRows, rows, blocks);
+        if (!columns.dated) {
+            throw new Error('The CT sheet has no dated reading columns (dates or DAY n) to fill logger readings into');
+        }
+
+        const start = treatmentStart ? this.parseIsoDate(treatmentStart) : null;
+        if (treatmentStart && !start) {
+            throw new Error(`Treatment start must be a date (yyyy-mm-dd): ${treatmentStart}`);
+        }
+        if (!start && columns.some(column => /^DAY\d+$/.test(column.key))) {
+            console.warn('⚠️ CT sheet is headed DAY n but no treatment start date was given: those columns stay empty');
+        }
+
+        const columnDays = columns.map(column => ({ ...column, day: this.columnDay(column.key, start) }));
+
+        const result = {
+            filled: 0,
+            skipped: [],
+            overwritten: [],
+            aboveThreshold: [],
+            noLoggerData: [],
+            notInCtSheet: [],
+            unmatchedDays: [],
+            threshold: threshold
+        };
+
+        console.log(`\n🌡️ CT PROBE FILL: ${Object.keys(loggerData).length} logger units, ${columns.length} reading columns`);
+
+        const sheetIds = new Set(blocks.map(block => block.id));
+        result.notInCtSheet = Object.keys(loggerData).filter(id => !sheetIds.has(id)).sort();
+
+        const unmatchedDays = new Set();
+
+        for (const block of blocks) {
+            block.cellWrites = [];
+            const unit = loggerData[block.id];
+            if (!unit || unit.readings.length === 0) {
+                result.noLoggerData.push(block.id);
+                continue;
+            }
+
+            const daily = this.dailyMaxima(unit.readings);
+            const probes = validator.findProbeRows(rows, block, template);
+
+            for (const day of daily.days) {
+                if (!columnDays.some(column => column.day && this.sameDay(column.day, day))) {
+                    unmatchedDays.add(day);
+                }
+            }
+
+            probes.forEach((probe, index) => {
+                const channel = this.probeChannel(probe.label, index);
+
+                for (const column of columnDays) {
+                    if (!column.day) continue;
+
+                    const day = daily.days.find(d => this.sameDay(column.day, d));
+                    const value = day ? daily.values.get(`${day}|${column.period || ''}|${channel}`) : undefined;
+                    if (value === undefined) continue;
+
+                    const row = rows[probe.row];
+                    const existing = row[column.col];
+                    const cell = {
+                        id: block.id,
+                        probe: probe.label,
+                        day: column.period ? `${column.label} ${column.period}` : column.label,
+                        logger: value
+                    };
+
+                    if (!this.isEmpty(existing)) {
+                        const current = validator.parseReading(existing);
+                        if (current !== null && Math.abs(current - value) < 0.05) continue;
+
+                        cell.existing = this.cellText(validator.cellValue(existing));
+                        if (!overwriteExisting) {
+                            result.skipped.push(cell);
+                            continue;
+                        }
+                        result.overwritten.push(cell);
+                    }
+
+                    const aboveThreshold = threshold !== null && value > threshold;
+                    row[column.col] = value;
+                    block.cellWrites.push({ row: probe.row, col: column.col, value, aboveThreshold });
+                    result.filled++;
+
+                    if (aboveThreshold) {
+                        result.aboveThreshold.push(cell);
+                    }
+                }
+            });
+        }
+
+        result.unmatchedDays = [...unmatchedDays].sort();
+
+        console.log(`   ✅ Filled: ${result.filled}, ⚠️ Kept existing: ${result.skipped.length}, ` +
+            `✏️ Overwritten: ${result.overwritten.length}, 🔥 Above ${threshold}°C: ${result.aboveThreshold.length}`);
+        if (result.skipped.length > 0) {
+            console.warn(`⚠️ ${result.skipped.length} cells already hold a different value and were not overwritten`);
+        }
+        if (result.overwritten.length > 0) {
+            console.warn(`⚠️ ${result.overwritten.length} existing values were overwritten with logger readings`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Warmest reading per UTC day, half day and channel
+     * @returns {Object} { days: ['yyyy-mm-dd'], values: Map 'day|period|channel' -> °C } (period '' = whole day)
+     */
+    dailyMaxima(readings) {
+        const values = new Map();
+        const days = new Set();
+
+        const keep = (key, value) => {
+            if (!values.has(key) || value > values.get(key)) values.set(key, value);
+        };
+
+        for (const reading of readings) {
+            const time = new Date(reading.time);
+            const day = time.toISOString().split('T')[0];
+            const period = time.getUTCHours() < 12 ? 'AM' : 'PM';
+
+            for (const [channel, value] of Object.entries(reading.channels)) {
+                if (value === null || value === undefined || isNaN(value)) continue;
+                keep(`${day}|${period}|${channel}`, value);
+                keep(`${day}||${channel}`, value);
+                days.add(day);
+            }
+        }
+
+        return { days: [...days].sort(), values: values };
+    }
+
+    /**
+     * Day of a reading column: 'yyyy-mm-dd', or 'mm-dd' when the header has no year
+     * DAY n columns count from the treatment start
+     */
+    columnDay(key, start) {
+        let match;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(key)) return key;
+        if ((match = key.match(/^(\d{2})-(\d{2}-\d{2})$/))) return `20${match[1]}-${match[2]}`;
+        if (/^\d{2}-\d{2}$/.test(key)) return key;
+        if ((match = key.match(/^DAY(\d+)$/)) && start) {
+            const date = new Date(start.getTime() + (parseInt(match[1], 10) - 1) * 86400000);
+            return date.toISOString().split('T')[0];
+        }
+        return null;
+    }
+
+    /**
+     * Column day against a logger day (a column without a year matches on month and day)
+     */
+    sameDay(columnDay, loggerDay) {
+        return columnDay.length === 5 ? loggerDay.slice(5) === columnDay : loggerDay === columnDay;
+    }
+
+    /**
+     * Logger channel of a probe row: the number at the end of its label (PROBE 2, USDA 2 -> usda2),
+     * otherwise its position among the block's probe rows
+     */
+    probeChannel(label, index) {
+        const match = label.match(/(\d+)\s*$/);
+        return `usda${match ? parseInt(match[1], 10) : index + 1}`;
+    }
+
+    parseIsoDate(value) {
+        const match = value.toString().trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+        return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    }
+
+    isEmpty(cell) {
+        cell = this.protocolValidator.cellValue(cell);
+        return cell === undefined || cell === null || cell.toString().trim() === '';
+    }
+
+    cellText(cell) {
+        if (cell instanceof Date) return cell.toISOString().split('T')[0];
+        return cell === undefined || cell === null ? '' : cell.toString();
+    }
+}
+
+module.exports = CTProbeFiller;
@@ -0,0 +1,438 @@
+const ConfigTables = require('./config-tables');
+const CTTemplateRegistry = require('./ct-templates');
+
+/**
+ * Cold-Treatment Protocol Validator
+ * Checks the probe readings recorded in CT monitoring blocks against a quarantine
+ * protocol: every probe at or below the threshold for the required consecutive days
+ */
+class CTProtocolValidator {
+    constructor() {
+        this.configTables = new ConfigTables();
+        this.templateRegistry = new CTTemplateRegistry();
+        this.template = null;
+        this.protocols = this.loadProtocols();
+    }
+
+    /**
+     * Built-in protocols (USDA T107-a schedule), keyed by protocol ID
+     * Override or extend in storage/ct_protocols.json
+     */
+    getDefaultProtocols() {
+        return {
+            'T107-a-0.00': { label: 'USDA T107-a: 0.00°C or below, 10 days', maxTemp: 0.00, days: 10 },
+            'T107-a-0.56': { label: 'USDA T107-a: 0.56°C or below, 11 days', maxTemp: 0.56, days: 11 },
+            'T107-a-1.11': { label: 'USDA T107-a: 1.11°C or below, 12 days', maxTemp: 1.11, days: 12 },
+            'T107-a-1.67': { label: 'USDA T107-a: 1.67°C or below, 14 days', maxTemp: 1.67, days: 14 },
+            'T107-a-2.22': { label: 'USDA T107-a: 2.22°C or below, 16 days', maxTemp: 2.22, days: 16 }
+        };
+    }
+
+    /**
+     * Load protocols from the editable table
+     */
+    loadProtocols() {
+        return this.configTables.load('ct_protocols', this.getDefaultProtocols());
+    }
+
+    /**
+     * Validate and save the protocol table
+     * @param {Object} table - protocolId -> { label, maxTemp, days }
+     */
+    saveProtocols(table) {
+        const cleaned = {};
+
+        for (const [id, protocol] of Object.entries(table || {})) {
+            const key = (id || '').toString().trim();
+            const maxTemp = parseFloat(protocol.maxTemp);
+            const days = parseInt(protocol.days, 10);
+
+            if (!key) {
+                return { success: false, error: 'Every protocol needs an ID' };
+            }
+            if (isNaN(maxTemp) || isNaN(days) || days < 1) {
+                return { success: false, error: `Protocol '${key}' needs a temperature threshold and a number of days` };
+            }
+
+            cleaned[key] = {
+                label: (protocol.label || key).toString().trim(),
+                maxTemp: maxTemp,
+                days: days
+            };
+        }
+
+        const result = this.configTables.save('ct_protocols', cleaned);
+        if (result.success) {
+            this.protocols = this.loadProtocols();
+        }
+        return result;
+    }
+
+    /**
+     * Validate every CT block against a protocol
+     * @param {Object} ctStructure - Output of CTStowageSorter.parseCtBlocksUniversal
+     * @param {string} protocolId - Key in the protocol table
+     * @returns {Object} { protocol, containers, summary }
+     */
+    validate(ctStructure, protocolId) {
+        this.protocols = this.loadProtocols();
+        const protocol = this.protocols[protocolId];
+
+        if (!protocol) {
+            throw new Error(`Unknown cold-treatment protocol: ${protocolId}`);
+        }
+
+        const { rows, headerRows, blocks } = ctStructure;
+        this.template = ctStructure.template || null;
+        const columns = this.getReadingColumns(headerRows, rows, blocks);
+
+        console.log(`\n❄️ CT PROTOCOL CHECK: ${protocol.label} (≤${protocol.maxTemp}°C for ${protocol.days} days)`);
+        console.log(`   Reading columns: ${columns.length} (${columns.dated ? 'dated header' : 'no date header, days not counted'})`);
+
+        const containers = blocks.map(block => this.validateBlock(rows, block, columns, protocol));
+
+        const summary = {
+            total: containers.length,
+            compliant: containers.filter(c => c.status === 'COMPLIANT').length,
+            broken: containers.filter(c => c.status === 'BROKEN').length,
+            insufficient: containers.filter(c => c.status === 'INSUFFICIENT_DATA').length
+        };
+
+        console.log(`   ✅ Compliant: ${summary.compliant}, ❌ Broken: ${summary.broken}, ⚠️ Insufficient data: ${summary.insufficient}`);
+
+        return {
+            protocol: { id: protocolId, ...protocol },
+            containers: containers,
+            summary: summary
+        };
+    }
+
+    /**
+     * Probe rows of a block: the CT template's probe rows, or rows labelled PROBE n / USDA n / PULP n
+     * @returns {Array} [{ label, row, labelCol }]
+     */
+    findProbeRows(rows, block, template = this.template) {
+        if (template && template.probeRows && template.probeRows.length > 0) {
+            return this.templateRegistry.findProbeRows(rows, block, template);
+        }
+
+        const probes = [];
+
+        for (let r = block.start; r < block.end; r++) {
+            const row = rows[r] || [];
+            for (let c = 0; c < row.length; c++) {
+                const label = this.normalizeLabel(row[c]);
+                if (/\b(PROBE|USDA|PULP)\b/.test(label) && !/SUPPLY|RETURN|AMBIENT/.test(label)) {
+                    probes.push({ label: label, row: r, labelCol: c });
+                    break;
+                }
+            }
+        }
+
+        return probes;
+    }
+
+    /**
+     * Reading columns in date order
+     * Uses the header row with the most dates, else an AM / PM header paired into days;
+     * without either, the columns holding probe readings are listed undated (days are not counted)
+     */
+    getReadingColumns(headerRows, rows, blocks) {
+        let bestRow = null;
+        let bestCount = 0;
+
+        for (const row of headerRows || []) {
+            const count = (row || []).filter(cell => this.parseDateCell(cell)).length;
+            if (count > bestCount) {
+                bestCount = count;
+                bestRow = row;
+            }
+        }
+
+        if (bestRow && bestCount >= 2) {
+            const columns = [];
+            let yearShift = 0;
+            bestRow.forEach((cell, col) => {
+                const date = this.parseDateCell(cell);
+                if (!date) return;
+
+                // Dates without a year run on into January
+                const previous = columns[columns.length - 1];
+                if (date.yearless && previous && date.dayNumber + yearShift < previous.dayNumber - 180) {
+                    yearShift += 365;
+                }
+                columns.push({ col, ...date, dayNumber: date.dayNumber + (date.yearless ? yearShift : 0) });
+            });
+            columns.dated = true;
+            return columns;
+        }
+
+        const periodColumns = this.getPeriodColumns(headerRows);
+        if (periodColumns) {
+            return periodColumns;
+        }
+
+        // No dated header: collect every column with a probe reading
+        const readingCols = new Set();
+        for (const block of blocks) {
+            for (const probe of this.findProbeRows(rows, block)) {
+                const row = rows[probe.row] || [];
+                for (let c = probe.labelCol + 1; c < row.length; c++) {
+                    if (this.parseReading(row[c]) !== null) readingCols.add(c);
+                }
+            }
+        }
+
+        const columns = [...readingCols].sort((a, b) => a - b)
+            .map((col, index) => ({ col, key: `R${index + 1}`, label: `Reading ${index + 1}` }));
+        columns.dated = false;
+        return columns;
+    }
+
+    /**
+     * Reading columns from an AM / PM header: each AM starts a day, the next PM belongs to it
+     * @returns {Array|null} Columns keyed Day 1, Day 2 ... or null without an AM / PM header
+     */
+    getPeriodColumns(headerRows) {
+        const periodOf = cell => {
+            const match = (this.cellValue(cell) || '').toString().trim().match(/^(A|P)\.?M\.?$/i);
+            return match ? `${match[1].toUpperCase()}M` : null;
+        };
+
+        const row = (headerRows || []).find(candidate => (candidate || []).filter(periodOf).length >= 2);
+        if (!row) return null;
+
+        const columns = [];
+        let day = 0;
+        let hasPM = true;
+        row.forEach((cell, col) => {
+            const period = periodOf(cell);
+            if (!period) return;
+            if (period === 'AM' || hasPM) {
+                day++;
+                hasPM = false;
+            }
+            if (period === 'PM') hasPM = true;
+            columns.push({ col, key: `DAY${day}`, label: `Day ${day}`, period, dayNumber: day });
+        });
+        columns.dated = true;
+        return columns;
+    }
+
+    /**
+     * Check one container: warmest probe per day against the protocol
+     */
+    validateBlock(rows, block, columns, protocol) {
+        const probes = this.findProbeRows(rows, block);
+
+        // Warmest probe reading per day (several columns may share a date, e.g. AM/PM)
+        const days = [];
+        const byKey = {};
+        for (const column of columns) {
+            const values = probes
+                .map(probe => this.parseReading((rows[probe.row] || [])[column.col]))
+                .filter(v => v !== null);
+
+            if (!byKey[column.key]) {
+                byKey[column.key] = { key: column.key, label: column.label, dayNumber: column.dayNumber, max: null, count: 0 };
+                days.push(byKey[column.key]);
+            }
+            if (values.length > 0) {
+                const day = byKey[column.key];
+                day.max = day.max === null ? Math.max(...values) : Math.max(day.max, ...values);
+                day.count += values.length;
+            }
+        }
+
+        const firstIndex = days.findIndex(d => d.count > 0);
+        const lastIndex = days.length - 1 - [...days].reverse().findIndex(d => d.count > 0);
+        const recorded = firstIndex === -1 ? [] : days.slice(firstIndex, lastIndex + 1);
+
+        const result = {
+            id: block.id,
+            status: 'INSUFFICIENT_DATA',
+            probes: probes.length,
+            readings: recorded.filter(d => d.count > 0).length,
+            daysRequired: protocol.days,
+            daysCompleted: 0,
+            maxTemp: protocol.maxTemp,
+            startDate: null,
+            restartDate: null,
+            completedOn: null,
+            warmest: null,
+            breaks: [],
+            gaps: [],
+            message: ''
+        };
+
+        if (probes.length === 0 || recorded.length === 0) {
+            result.message = probes.length === 0 ? 'No probe rows in CT block' : 'No probe readings recorded';
+            return result;
+        }
+
+        // Column order alone does not certify treatment days
+        if (!columns.dated) {
+            const maxima = recorded.filter(d => d.count > 0).map(d => d.max);
+            result.warmest = Math.max(...maxima);
+            result.message = `No dated header (dates, DAY n or AM / PM): ${result.readings} reading columns, days not counted`;
+            return result;
+        }
+
+        let streak = 0;
+        let streakStart = null;
+        let previous = null;
+
+        for (const day of recorded) {
+            // A calendar day without a column breaks continuity as well
+            const skipped = previous && typeof day.dayNumber === 'number' && typeof previous.dayNumber === 'number'
+                ? day.dayNumber - previous.dayNumber - 1
+                : 0;
+            if (skipped > 0) {
+                result.gaps.push(`${skipped} day${skipped > 1 ? 's' : ''} after ${previous.label}`);
+                streak = 0;
+                streakStart = null;
+            }
+            previous = day;
+
+            if (day.count === 0) {
+                // A missing day breaks continuity of the treatment record
+                result.gaps.push(day.label);
+                streak = 0;
+                streakStart = null;
+                continue;
+            }
+
+            result.warmest = result.warmest === null ? day.max : Math.max(result.warmest, day.max);
+
+            if (day.max > protocol.maxTemp) {
+                result.breaks.push({ date: day.label, temp: day.max });
+                streak = 0;
+                streakStart = null;
+                continue;
+            }
+
+            if (!streakStart) {
+                streakStart = day.label;
+                if (!result.startDate) result.startDate = day.label;
+            }
+            streak++;
+
+            if (streak >= protocol.days) {
+                result.completedOn = day.label;
+                break;
+            }
+        }
+
+        result.daysCompleted = streak;
+
+        if (result.completedOn) {
+            result.status = 'COMPLIANT';
+            if (result.breaks.length > 0 || result.gaps.length > 0) {
+                result.restartDate = streakStart;
+                result.message = `Completed ${protocol.days} days on ${result.completedOn} after restart on ${streakStart}`;
+            } else {
+                result.message = `Completed ${protocol.days} days on ${result.completedOn}`;
+            }
+        } else if (result.breaks.length > 0) {
+            const lastBreak = result.breaks[result.breaks.length - 1];
+            result.status = 'BROKEN';
+            result.restartDate = streakStart;
+            result.message = `Broken on ${lastBreak.date} (${lastBreak.temp}°C > ${protocol.maxTemp}°C); ` +
+                (streakStart
+                    ? `restarted ${streakStart}, ${streak}/${protocol.days} days`
+                    : 'restarts from the next in-spec reading');
+        } else {
+            result.message = `${streak}/${protocol.days} days recorded` +
+                (result.gaps.length > 0 ? `; missing readings: ${result.gaps.join(', ')}` : '');
+        }
+
+        return result;
+    }
+
+    /**
+     * Date of a header cell: Date, dd/mm(/yy), yyyy-mm-dd or DAY n (optionally AM / PM)
+     * @returns {Object|null} { key, label, period, dayNumber, yearless } - period is 'AM', 'PM' or null;
+     * dayNumber counts calendar days (DAY n: n), yearless dates count from 1 January
+     */
+    parseDateCell(cell) {
+        cell = this.cellValue(cell);
+        if (cell === undefined || cell === null) return null;
+
+        if (cell instanceof Date && !isNaN(cell.getTime())) {
+            const iso = cell.toISOString().split('T')[0];
+            return { key: iso, label: iso, dayNumber: this.dayNumber(cell.getUTCFullYear(), cell.getUTCMonth() + 1, cell.getUTCDate()) };
+        }
+
+        const s = cell.toString().trim();
+        const ymd = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (ymd) {
+            return { key: s.substring(0, 10), label: s.substring(0, 10), dayNumber: this.dayNumber(+ymd[1], +ymd[2], +ymd[3]) };
+        }
+
+        const dm = s.match(/^(\d{1,2})[\/\.\-](\d{1,2})(?:[\/\.\-](\d{2,4}))?(?:\s+(AM|PM))?$/i);
+        if (dm) {
+            const key = `${dm[3] ? dm[3] + '-' : ''}${dm[2].padStart(2, '0')}-${dm[1].padStart(2, '0')}`;
+            const year = dm[3] ? (dm[3].length === 2 ? 2000 + parseInt(dm[3], 10) : parseInt(dm[3], 10)) : 2001;
+            return {
+                key: key,
+                label: s.replace(/\s+(AM|PM)$/i, ''),
+                period: dm[4] ? dm[4].toUpperCase() : null,
+                dayNumber: this.dayNumber(year, +dm[2], +dm[1]),
+                yearless: !dm[3]
+            };
+        }
+
+        const day = s.match(/^DAY\s*(\d+)(?:\s+(AM|PM))?$/i);
+        if (day) {
+            return { key: `DAY${parseInt(day[1], 10)}`, label: `Day ${parseInt(day[1], 10)}`, period: day[2] ? day[2].toUpperCase() : null, dayNumber: parseInt(day[1], 10) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Days since 1970-01-01 of a calendar date
+     */
+    dayNumber(year, month, day) {
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    }
+
+    /**
+     * Numeric probe reading (°C); decimal comma accepted
+     */
+    parseReading(cell) {
+        cell = this.cellValue(cell);
+        if (cell === undefined || cell === null || cell instanceof Date) return null;
+
+        let value = null;
+        if (typeof cell === 'number') {
+            value = cell;
+        } else {
+            const s = cell.toString().trim().replace(/\s*°?\s*C$/i, '');
+            if (/^[-+]?\d+([.,]\d+)?$/.test(s)) {
+                value = parseFloat(s.replace(',', '.'));
+            }
+        }
+
+        // Anything outside a plausible pulp range is a day number, count or note
+        if (value === null || isNaN(value) || value < -10 || value > 30) return null;
+        return value;
+    }
+
+    /**
+     * Plain value of an ExcelJS cell (formula cells carry their cached result)
+     */
+    cellValue(cell) {
+        if (cell && typeof cell === 'object' && !(cell instanceof Date) && 'result' in cell) {
+            return cell.result;
+        }
+        return cell;
+    }
+
+    normalizeLabel(cell) {
+        if (cell === undefined || cell === null) return '';
+        return cell.toString().trim().toUpperCase().replace(/\s+/g, ' ');
+    }
+}
+
+module.exports = CTProtocolValidator;
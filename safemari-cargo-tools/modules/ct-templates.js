@@ -0,0 +1,269 @@
+const ConfigTables = require('./config-tables');
+
+/**
+ * CT Template Registry
+ * Declarative descriptions of the shipping lines' CT monitoring forms: which labels
+ * identify a form, and where each field sits relative to an anchor label
+ */
+class CTTemplateRegistry {
+    constructor() {
+        this.configTables = new ConfigTables();
+        this.templates = this.loadTemplates();
+    }
+
+    /**
+     * Built-in templates, keyed by template ID
+     * Override or extend in storage/ct_templates.json
+     *
+     * Template: { label, detect: [labels that must all appear], fields: { name: field }, probeRows: [label prefixes] }
+     * Field:    { anchor: label(s) or '@id' (the container ID cell), scope: 'block' | 'header',
+     *             rowOffset, colOffset }
+     * Block-scope anchors are looked up inside each CT block; header-scope anchors are column
+     * headers above the blocks, with rowOffset counted from the block's first row
+     *
+     * Optional layout for generating a blank form: { header: [rows], block: [rows] }
+     * Cells may hold {containerId}, {stowage}, {commodity}, {setPoint}, {vessel}, {voyage},
+     * {protocol}; {readings} (header) and {slots} (block) expand into one column per reading
+     * and must sit in the same column
+     */
+    getDefaultTemplates() {
+        return {
+            'probe-form': {
+                label: 'Numbered probe form ((5) PROBE 3)',
+                detect: ['(5) PROBE 3'],
+                fields: {
+                    containerId: { anchor: '@id', scope: 'block', rowOffset: 0, colOffset: 0 },
+                    stowage: { anchor: '(5) PROBE 3', scope: 'block', rowOffset: 0, colOffset: -1 },
+                    commodity: { anchor: '(2) RETURN', scope: 'block', rowOffset: 0, colOffset: -1 },
+                    setPoint: { anchor: '(3) PROBE 1', scope: 'block', rowOffset: 0, colOffset: -1 }
+                },
+                probeRows: ['PROBE', '(3) PROBE', '(4) PROBE', '(5) PROBE'],
+                layout: {
+                    header: [
+                        ['COLD TREATMENT TEMPERATURE RECORD'],
+                        ['VESSEL', '{vessel}', 'VOYAGE', '{voyage}'],
+                        ['PROTOCOL', '{protocol}'],
+                        ['CONTAINER', 'SENSOR', '{readings}']
+                    ],
+                    block: [
+                        ['{containerId}', '(1) SUPPLY', '{slots}'],
+                        ['{commodity}', '(2) RETURN', '{slots}'],
+                        ['{setPoint}', '(3) PROBE 1', '{slots}'],
+                        ['', '(4) PROBE 2', '{slots}'],
+                        ['{stowage}', '(5) PROBE 3', '{slots}']
+                    ]
+                }
+            },
+            'labelled-fields': {
+                label: 'Labelled fields (STOWAGE: / SET POINT:)',
+                detect: ['STOWAGE'],
+                fields: {
+                    containerId: { anchor: '@id', scope: 'block', rowOffset: 0, colOffset: 0 },
+                    stowage: { anchor: ['STOWAGE', 'STOWAGE POSITION', 'POSITION'], scope: 'block', rowOffset: 0, colOffset: 1 },
+                    setPoint: { anchor: ['SET POINT', 'SETPOINT', 'SET TEMP'], scope: 'block', rowOffset: 0, colOffset: 1 },
+                    commodity: { anchor: 'COMMODITY', scope: 'block', rowOffset: 0, colOffset: 1 }
+                },
+                probeRows: ['USDA', 'PROBE', 'PULP'],
+                layout: {
+                    header: [
+                        ['COLD TREATMENT MONITORING SHEET'],
+                        ['VESSEL:', '{vessel}', 'VOYAGE:', '{voyage}'],
+                        ['PROTOCOL:', '{protocol}'],
+                        ['CONTAINER', '', '', 'SENSOR', '{readings}']
+                    ],
+                    block: [
+                        ['{containerId}', 'STOWAGE:', '{stowage}', 'USDA 1', '{slots}'],
+                        ['', 'SET POINT:', '{setPoint}', 'USDA 2', '{slots}'],
+                        ['', 'COMMODITY:', '{commodity}', 'USDA 3', '{slots}'],
+                        ['', '', '', 'PULP', '{slots}']
+                    ]
+                }
+            }
+        };
+    }
+
+    /**
+     * Load templates from the editable table
+     */
+    loadTemplates() {
+        return this.configTables.load('ct_templates', this.getDefaultTemplates());
+    }
+
+    /**
+     * Validate and save the template table
+     * @param {Object} table - templateId -> template
+     */
+    saveTemplates(table) {
+        const cleaned = {};
+
+        for (const [id, template] of Object.entries(table || {})) {
+            const key = (id || '').toString().trim();
+            if (!key) {
+                return { success: false, error: 'Every template needs an ID' };
+            }
+            if (!template || typeof template !== 'object' || !template.fields || typeof template.fields !== 'object') {
+                return { success: false, error: `Template '${key}' needs a fields object` };
+            }
+
+            const fields = {};
+            for (const [name, field] of Object.entries(template.fields)) {
+                const anchors = this.toList(field && field.anchor);
+                const scope = (field && field.scope) || 'block';
+                const rowOffset = parseInt((field && field.rowOffset) || 0, 10);
+                const colOffset = parseInt((field && field.colOffset) || 0, 10);
+
+                if (anchors.length === 0) {
+                    return { success: false, error: `Template '${key}', field '${name}' needs an anchor label` };
+                }
+                if (scope !== 'block' && scope !== 'header') {
+                    return { success: false, error: `Template '${key}', field '${name}': scope must be 'block' or 'header'` };
+                }
+                if (isNaN(rowOffset) || isNaN(colOffset)) {
+                    return { success: false, error: `Template '${key}', field '${name}': offsets must be whole numbers` };
+                }
+
+                fields[name] = { anchor: anchors.length === 1 ? anchors[0] : anchors, scope, rowOffset, colOffset };
+            }
+
+            cleaned[key] = {
+                label: (template.label || key).toString().trim(),
+                detect: this.toList(template.detect),
+                fields: fields,
+                probeRows: this.toList(template.probeRows)
+            };
+
+            if (template.layout) {
+                const { header = [], block } = template.layout;
+                const isGrid = grid => Array.isArray(grid) && grid.every(row => Array.isArray(row));
+                if (!isGrid(header) || !isGrid(block) || block.length === 0) {
+                    return { success: false, error: `Template '${key}': layout needs a header and a block given as rows of cells` };
+                }
+                cleaned[key].layout = { header, block };
+            }
+        }
+
+        const result = this.configTables.save('ct_templates', cleaned);
+        if (result.success) {
+            this.templates = this.loadTemplates();
+        }
+        return result;
+    }
+
+    /**
+     * Template by ID, or the best auto-detected one ('auto' / empty)
+     * Auto-detection picks the template with the most detect labels, all of them present in the sheet
+     * @param {Object} ctStructure - Output of CTStowageSorter.parseCtBlocksUniversal
+     * @returns {Object|null} { id, ...template }
+     */
+    resolve(ctStructure, templateId = 'auto') {
+        this.templates = this.loadTemplates();
+
+        if (templateId && templateId !== 'auto') {
+            const template = this.templates[templateId];
+            if (!template) {
+                throw new Error(`Unknown CT template: ${templateId}`);
+            }
+            return { id: templateId, ...template };
+        }
+
+        const labels = new Set();
+        for (const row of ctStructure.rows) {
+            for (const cell of row || []) {
+                const label = this.normalizeLabel(cell);
+                if (label) labels.add(label);
+            }
+        }
+
+        let best = null;
+        for (const [id, template] of Object.entries(this.templates)) {
+            const detect = this.toList(template.detect).map(label => this.normalizeLabel(label));
+            if (detect.length === 0 || !detect.every(label => labels.has(label))) continue;
+            if (!best || detect.length > best.score) {
+                best = { id, score: detect.length };
+            }
+        }
+
+        return best ? { id: best.id, ...this.templates[best.id] } : null;
+    }
+
+    /**
+     * Cell of a template field inside a block
+     * @param {Object} block - { start, end, idCol }
+     * @returns {Object|null} { row, col } (row index in ctStructure.rows, 0-based column)
+     */
+    locateField(ctStructure, block, template, fieldName) {
+        const field = template && template.fields && template.fields[fieldName];
+        if (!field) return null;
+
+        const { rows, headerRows } = ctStructure;
+        const anchors = this.toList(field.anchor).map(label => this.normalizeLabel(label));
+        const rowOffset = field.rowOffset || 0;
+        const colOffset = field.colOffset || 0;
+        let anchor = null;
+
+        if (field.scope === 'header') {
+            for (let r = headerRows.length - 1; r >= 0 && !anchor; r--) {
+                const c = (rows[r] || []).findIndex(cell => anchors.includes(this.normalizeLabel(cell)));
+                if (c !== -1) anchor = { row: block.start, col: c };
+            }
+        } else if (anchors.includes('@ID')) {
+            if (block.idCol !== undefined) anchor = { row: block.start, col: block.idCol };
+        } else {
+            for (let r = block.start; r < block.end && !anchor; r++) {
+                const c = (rows[r] || []).findIndex(cell => anchors.includes(this.normalizeLabel(cell)));
+                if (c !== -1) anchor = { row: r, col: c };
+            }
+        }
+
+        if (!anchor) return null;
+
+        const target = { row: anchor.row + rowOffset, col: anchor.col + colOffset };
+        if (target.col < 0 || target.row < block.start || target.row >= block.end) {
+            return null;
+        }
+        return target;
+    }
+
+    /**
+     * Probe rows of a block: rows with a label starting with one of the template's probe labels
+     * @returns {Array} [{ label, row, labelCol }]
+     */
+    findProbeRows(rows, block, template) {
+        const prefixes = this.toList(template && template.probeRows).map(label => this.normalizeLabel(label));
+        const probes = [];
+        if (prefixes.length === 0) return probes;
+
+        for (let r = block.start; r < block.end; r++) {
+            const row = rows[r] || [];
+            for (let c = 0; c < row.length; c++) {
+                const label = this.normalizeLabel(row[c]);
+                if (label && prefixes.some(prefix => label.startsWith(prefix))) {
+                    probes.push({ label: label, row: r, labelCol: c });
+                    break;
+                }
+            }
+        }
+
+        return probes;
+    }
+
+    toList(value) {
+        if (value === undefined || value === null || value === '') return [];
+        return (Array.isArray(value) ? value : [value])
+            .map(item => item.toString().trim())
+            .filter(item => item.length > 0);
+    }
+
+    /**
+     * Comparable label: upper case, single spaces, no trailing colon
+     */
+    normalizeLabel(cell) {
+        if (cell && typeof cell === 'object' && !(cell instanceof Date) && 'result' in cell) {
+            cell = cell.result;
+        }
+        if (cell === undefined || cell === null || cell instanceof Date) return '';
+        return cell.toString().trim().toUpperCase().replace(/\s+/g, ' ').replace(/\s*:$/, '');
+    }
+}
+
+module.exports = CTTemplateRegistry;
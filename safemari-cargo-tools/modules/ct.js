@@ -3,6 +3,11 @@ const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const fs = require('fs').promises;
 const path = require('path');
+const CTProtocolValidator = require('./ct-protocol');
+const CTTemplateRegistry = require('./ct-templates');
+const CTProbeFiller = require('./ct-probe-filler');
+const ReeferLoggerAnalyzer = require('./reefer-logger');
+const StowagePosition = require('./stowage-position');
 
 /**
  * CT Reefer Stowage Sorter Module
@@ -15,6 +20,11 @@ class CTStowageSorter {
         this.ctData = null;
         this.results = null;
         this.sortedCtRows = null;
+        this.stowageMap = null;
+        this.reeferCTContainers = [];
+        this.protocolValidator = new CTProtocolValidator();
+        this.templateRegistry = new CTTemplateRegistry();
+        this.probeFiller = new CTProbeFiller(this.protocolValidator);
     }
 
     /**
@@ -22,18 +32,29 @@ class CTStowageSorter {
      * @param {Object} options - Processing options
      * @param {string} options.reeferListPath - Path to FULL reefer list Excel file (with stowage + container ID)
      * @param {string} options.ctSheetPath - Path to CT monitoring sheet Excel file
+     * @param {string} options.templateId - CT form template (see ct-templates.js), 'auto' to detect
+     * @param {string} options.protocolId - Optional cold-treatment protocol to validate the probe readings against
+     * @param {string} options.sortStrategy - Block order, see getSortStrategies (default 'bbrrtt')
+     * @param {number} options.tierThreshold - First on-deck tier for the deck/hold split (default 80)
+     * @param {string[]} options.loggerFilePaths - Optional logger exports (CSV / XLSX) to fill the probe readings from
+     * @param {string} options.treatmentStart - yyyy-mm-dd of DAY 1, for CT sheets headed DAY 1, DAY 2, ...
+     * @param {boolean} options.overwriteReadings - Replace readings already in the sheet that differ from the logger
      * @returns {Object} Processing results
      */
     async processCTStowage(options) {
         try {
-            const { reeferListPath, ctSheetPath } = options;
+            const {
+                reeferListPath, ctSheetPath, templateId = 'auto', protocolId = null, sortStrategy = 'bbrrtt', tierThreshold = 80,
+                loggerFilePaths = [], treatmentStart = null, overwriteReadings = false
+            } = options;
+            this.ctFilePath = ctSheetPath;
 
             console.log('\n=== CT STOWAGE PROCESSING WITH UNIVERSAL ANALYSIS ===');
             console.log('Loading CT files:', { reeferListPath, ctSheetPath });
 
             // Load files based on extension
             this.fullReeferData = await this.loadFile(reeferListPath);
-            this.ctData = await this.loadFile(ctSheetPath);
+            this.ctData = await this.loadFile(ctSheetPath, { mergedValuesOnce: true });
 
             // Universal analysis of both files
             const reeferAnalysis = await this.analyzeDocumentStructure(this.fullReeferData, 'reefer', reeferListPath);
@@ -59,17 +80,41 @@ class CTStowageSorter {
             // Build stowage map using intelligent analysis
             const stowageMap = await this.buildStowageMapUniversal(reeferAnalysis);
             console.log('Built stowage map with', Object.keys(stowageMap).length, 'containers');
+            const reeferCTContainers = this.extractCTContainers(reeferAnalysis);
+
+            // Reefer positions of the latest run, for the bay plan
+            this.stowageMap = stowageMap;
+            this.reeferCTContainers = reeferCTContainers;
 
             // Parse CT sheet structure using intelligent analysis
             const ctStructure = await this.parseCtBlocksUniversal(ctAnalysis);
+            this.ctStructure = ctStructure;
             console.log('Parsed CT structure:', {
                 headerRows: ctStructure.headerRows.length,
                 blocks: ctStructure.blocks.length,
                 tailRows: ctStructure.tailRows.length
             });
 
+            // Which CT form this is decides where the stowage is written
+            ctStructure.template = this.templateRegistry.resolve(ctStructure, templateId);
+            console.log(ctStructure.template
+                ? `   📋 CT template: ${ctStructure.template.label}`
+                : '   ⚠️ No CT template matched - stowage only replaces existing stowage cells');
+
+            // Logger readings go in first, so the protocol check sees them
+            const probeFill = loggerFilePaths.length > 0
+                ? await this.fillProbeReadings(ctStructure, loggerFilePaths, { protocolId, treatmentStart, overwriteReadings })
+                : null;
+
+            // Check probe readings before the blocks are reordered
+            const compliance = protocolId ? this.protocolValidator.validate(ctStructure, protocolId) : null;
+
             // Process and sort blocks
-            const processedResults = this.processAndSortBlocks(stowageMap, ctStructure);
+            const processedResults = this.processAndSortBlocks(stowageMap, ctStructure, sortStrategy, { tierThreshold });
+            processedResults.compliance = compliance;
+            processedResults.probeFill = probeFill;
+            processedResults.reconciliation = this.reconcileCT(ctStructure, stowageMap, reeferCTContainers);
+            this.results = processedResults;
 
             return {
                 success: true,
@@ -90,10 +135,37 @@ class CTStowageSorter {
         }
     }
 
+    /**
+     * Fill the CT blocks' probe readings from logger exports
+     * Readings above the protocol temperature are flagged; without a protocol nothing is flagged
+     * @returns {Object} Fill report (see CTProbeFiller.fill) with the logger file names
+     */
+    async fillProbeReadings(ctStructure, loggerFilePaths, options) {
+        const { protocolId, treatmentStart, overwriteReadings } = options;
+        const protocol = protocolId ? this.protocolValidator.loadProtocols()[protocolId] : null;
+
+        const loggerData = await new ReeferLoggerAnalyzer().loadLoggerData(loggerFilePaths);
+        if (Object.keys(loggerData).length === 0) {
+            throw new Error('No container readings found in the data-logger files');
+        }
+        if (!protocol) {
+            console.warn('   ⚠️ No CT protocol selected - logger readings are filled without a threshold check');
+        }
+
+        const probeFill = this.probeFiller.fill(ctStructure, loggerData, {
+            threshold: protocol ? protocol.maxTemp : null,
+            treatmentStart: treatmentStart,
+            overwriteExisting: overwriteReadings
+        });
+        probeFill.files = loggerFilePaths.map(filePath => path.basename(filePath));
+        return probeFill;
+    }
+
     /**
      * Universal file loader supporting Excel, PDF, and Word formats
+     * @param {Object} options - mergedValuesOnce: see convertWorkbookToArrays (Excel only)
      */
-    async loadFile(filePath) {
+    async loadFile(filePath, options = {}) {
         const ext = path.extname(filePath).toLowerCase();
         
         console.log(`Loading CT file: ${path.basename(filePath)} (${ext})`);
@@ -103,7 +175,7 @@ class CTStowageSorter {
         } else if (ext === '.docx' || ext === '.doc') {
             return await this.loadDOCX(filePath);
         } else {
-            return await this.loadExcel(filePath);
+            return await this.loadExcel(filePath, options);
         }
     }
 
@@ -130,31 +202,41 @@ class CTStowageSorter {
     /**
      * Load Excel file (existing functionality)
      */
-    async loadExcel(filePath) {
+    async loadExcel(filePath, options = {}) {
         const workbook = new ExcelJS.Workbook();
         await workbook.xlsx.readFile(filePath);
-        return this.convertWorkbookToArrays(workbook);
+        return this.convertWorkbookToArrays(workbook, options);
     }
 
     /**
      * Convert ExcelJS workbook to array format for processing
+     * @param {Object} options
+     * @param {boolean} options.mergedValuesOnce - Keep a merged value in its master cell only
+     *   (CT sheet sorted in place); lists keep the value in every cell of the merge
      */
-    convertWorkbookToArrays(workbook) {
+    convertWorkbookToArrays(workbook, options = {}) {
         const sheets = {};
+        const rowNumbers = {};
         
         workbook.eachSheet((worksheet) => {
             const rows = [];
+            const numbers = [];
             worksheet.eachRow((row, rowNumber) => {
                 const rowData = [];
                 row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
-                    rowData[colNumber - 1] = cell.value;
+                    // Merged slaves echo the master value; a container ID merged down
+                    // a CT block must appear once or every row looks like a new block
+                    rowData[colNumber - 1] = options.mergedValuesOnce && cell.type === ExcelJS.ValueType.Merge ? null : cell.value;
                 });
                 rows.push(rowData);
+                numbers.push(rowNumber);
             });
             sheets[worksheet.name] = rows;
+            rowNumbers[worksheet.name] = numbers;
         });
         
-        return { SheetNames: Object.keys(sheets), Sheets: sheets };
+        // RowNumbers maps array rows back to sheet rows (empty rows are skipped)
+        return { SheetNames: Object.keys(sheets), Sheets: sheets, RowNumbers: rowNumbers };
     }
 
     /**
@@ -257,6 +339,7 @@ class CTStowageSorter {
      */
     async buildStowageMapUniversal(reeferAnalysis) {
         const map = {};
+        this.podMap = {};
         
         if (!this.fullReeferData || !reeferAnalysis.validSheets) return map;
 
@@ -267,6 +350,7 @@ class CTStowageSorter {
         for (const sheetInfo of reeferAnalysis.validSheets) {
             const rows = this.fullReeferData.Sheets[sheetInfo.sheetName];
             const extracted = this.extractStowageFromSheet(rows, sheetInfo.sheetName, sheetInfo.containerCol, sheetInfo.stowageCol);
+            this.extractPodsFromSheet(rows, sheetInfo.containerCol, sheetInfo.podCol, this.podMap);
             
             // Merge into main map (avoid duplicates)
             for (const [containerId, stowage] of Object.entries(extracted)) {
@@ -343,93 +427,56 @@ class CTStowageSorter {
     }
 
     /**
-     * Universal stowage detection with adaptive patterns
+     * Port of discharge per container, when the reefer list has a POD column
+     */
+    extractPodsFromSheet(rows, containerCol, podCol, podMap) {
+        if (containerCol === -1 || podCol === undefined || podCol === -1) return;
+
+        for (let r = 1; r < rows.length; r++) {
+            const row = rows[r] || [];
+            const id = this.detectContainerId(row[containerCol]);
+            const pod = row[podCol] ? row[podCol].toString().trim().replace(/\s+/g, ' ').toUpperCase() : '';
+            if (id && pod && !(id in podMap)) {
+                podMap[id] = pod;
+            }
+        }
+    }
+
+    /**
+     * Universal stowage detection (6- and 7-digit, separated or labelled, see StowagePosition)
+     * @returns {string|null} Stowage as written in the cell
      */
     detectStowage(cell) {
         if (cell === undefined || cell === null) return null;
-        let s = cell.toString().trim();
-        
-        // Handle various stowage formats with context
-        const stowagePatterns = [
-            /^(\d{2})[\s\.]?(\d{2})[\s\.]?(\d{2})$/,     // 12.34.56, 12 34 56, 123456
-            /^(\d{3})[\s\.]?(\d{2})[\s\.]?(\d{2})$/,     // 123.45.67 (3-digit bay)
-            /^(\d{2})[-_](\d{2})[-_](\d{2})$/,          // 12-34-56, 12_34_56
-            /^Hold\s*(\d{1,3})\s*Bay\s*(\d{1,2})\s*Tier\s*(\d{1,2})$/i, // Hold 12 Bay 34 Tier 56
-            /^Bay\s*(\d{1,3})\s*Row\s*(\d{1,2})\s*Tier\s*(\d{1,2})$/i,  // Bay 123 Row 45 Tier 67
-            /^(\d{6})$/,                                // 123456 (6 digits)
-            /^(\d{2,3})(\d{2})(\d{2})$/                 // 12|34|56 or 123|45|67
-        ];
-        
-        // Try pattern matching first
-        for (const pattern of stowagePatterns) {
-            const match = s.match(pattern);
-            if (match) {
-                let bay, row, tier;
-                
-                if (match.length === 4) {
-                    // Three capture groups: bay, row, tier
-                    bay = match[1];
-                    row = match[2];
-                    tier = match[3];
-                } else if (match.length === 2 && match[1].length === 6) {
-                    // Single 6-digit string
-                    const digits = match[1];
-                    bay = digits.substring(0, digits.length - 4);
-                    row = digits.substring(digits.length - 4, digits.length - 2);
-                    tier = digits.substring(digits.length - 2);
-                }
-                
-                if (bay && row && tier) {
-                    // Validate ranges (reasonable stowage values)
-                    const bayNum = parseInt(bay);
-                    const rowNum = parseInt(row);
-                    const tierNum = parseInt(tier);
-                    
-                    if (bayNum >= 1 && bayNum <= 999 && 
-                        rowNum >= 1 && rowNum <= 99 && 
-                        tierNum >= 1 && tierNum <= 99) {
-                        return s; // Return original format
-                    }
-                }
-            }
+        if (StowagePosition.parse(cell)) {
+            return cell.toString().trim(); // Return original format
         }
         
-        // Fallback: look for any 6-digit number in reasonable range
-        const digitMatch = s.match(/\d{6}/);
-        if (digitMatch) {
-            const digits = digitMatch[0];
-            const bay = parseInt(digits.substring(0, 2));
-            const row = parseInt(digits.substring(2, 4));
-            const tier = parseInt(digits.substring(4, 6));
-            
-            if (bay >= 1 && bay <= 99 && row >= 1 && row <= 99 && tier >= 1 && tier <= 99) {
-                return digits;
-            }
+        // Fallback: a 6- or 7-digit position inside other text, only right after a stowage label
+        // ("Stowage: 120882", "POS 0120882"), so booking or seal numbers are not taken for one
+        const labelMatch = cell.toString().match(/\b(?:stow(?:age)?|pos(?:ition)?|slot|cell)\b\W*(\d{6,7})\b/i);
+        if (labelMatch && StowagePosition.parse(labelMatch[1])) {
+            return labelMatch[1];
         }
         
         return null;
     }
 
     /**
-     * Format stowage for display in CT sheet
+     * Format stowage for display in CT sheet (BBRRTT, or BBBRRTT for 3-digit bays)
      */
     prettyStow(stow) {
         if (stow == null) return "";
-        let digits = stow.toString().replace(/[^\d]/g, "");
-        if (digits.length < 6) digits = digits.padStart(6, "0");
-        return digits;
+        const position = StowagePosition.parse(stow);
+        return position ? position.toString() : stow.toString().trim();
     }
 
     /**
-     * Normalize stowage to 6-digit key BBRRTT for sorting (enhanced from HTML logic)
+     * Fixed-width BBBRRTT sort key, compared numerically by bay, row and tier
      */
     brtKeyFromStowage(stow) {
-        if (stow == null) return "ZZZZZZ";  // missing -> goes to bottom
-        let s = stow.toString();
-        let digits = s.replace(/[^\d]/g, "");
-        if (digits.length > 6) digits = digits.slice(0, 6);
-        if (digits.length < 6) digits = digits.padStart(6, "0");
-        return digits;
+        const position = StowagePosition.parse(stow);
+        return position ? position.key() : StowagePosition.MISSING_KEY;  // missing -> goes to bottom
     }
 
     /**
@@ -472,10 +519,12 @@ class CTStowageSorter {
         while (i < rows.length) {
             const row = rows[i] || [];
             let id = null;
+            let idCol = -1;
             for (let c = 0; c < row.length; c++) {
                 const maybe = this.detectContainerId(row[c]);
                 if (maybe) {
                     id = maybe;
+                    idCol = c;
                     break;
                 }
             }
@@ -502,7 +551,7 @@ class CTStowageSorter {
             }
             
             const end = i;
-            blocks.push({ id: id, start: start, end: end });
+            blocks.push({ id: id, idCol: idCol, start: start, end: end });
         }
 
         const tailRows = rows.slice(i);
@@ -512,6 +561,7 @@ class CTStowageSorter {
         return {
             sheetName: sheetName,
             rows: rows,
+            rowNumbers: (this.ctData.RowNumbers && this.ctData.RowNumbers[sheetName]) || null,
             headerRows: headerRows,
             blocks: blocks,
             tailRows: tailRows
@@ -624,6 +674,10 @@ class CTStowageSorter {
             stowageCount: stowageCol.count,
             containerCol: containerCol.col,
             stowageCol: stowageCol.col,
+            podCol: headerAnalysis.podHeaders.length > 0 ? headerAnalysis.podHeaders[0].col : -1,
+            commodityCol: headerAnalysis.commodityHeaders.length > 0 ? headerAnalysis.commodityHeaders[0].col : -1,
+            setPointCol: headerAnalysis.setPointHeaders.length > 0 ? headerAnalysis.setPointHeaders[0].col : -1,
+            ctCol: headerAnalysis.ctHeaders.length > 0 ? headerAnalysis.ctHeaders[0].col : -1,
             confidence: confidence,
             reason: isValid ? 'Valid container data detected' : this.getDiagnosticReason(containerCol, stowageCol, confidence),
             headerAnalysis,
@@ -638,6 +692,10 @@ class CTStowageSorter {
     analyzeHeaders(headerRow, maxCols, fileType) {
         const containerHeaders = [];
         const stowageHeaders = [];
+        const podHeaders = [];
+        const commodityHeaders = [];
+        const setPointHeaders = [];
+        const ctHeaders = [];
         
         for (let col = 0; col < maxCols; col++) {
             const header = headerRow[col];
@@ -654,9 +712,25 @@ class CTStowageSorter {
             if (/stow|position|location|bay|row|tier|hold|deck|slot/.test(headerStr)) {
                 stowageHeaders.push({ col, header: headerStr, confidence: this.getStowageHeaderConfidence(headerStr) });
             }
+            
+            // Port of discharge (used by the POD sort strategy)
+            if (/\bpod\b|port\s*of\s*disch|disch(arge|\.)?\s*port|destination|\bdest\b/.test(headerStr)) {
+                podHeaders.push({ col, header: headerStr });
+            }
+            
+            // Commodity, set point and cold-treatment flag (used to generate CT sheets)
+            if (/commodit|cargo\s*desc|description|goods/.test(headerStr)) {
+                commodityHeaders.push({ col, header: headerStr });
+            }
+            if (/set\s*-?\s*(point|temp)|setpoint|\btemp/.test(headerStr)) {
+                setPointHeaders.push({ col, header: headerStr });
+            }
+            if (/\bct\b|cold\s*treat|usda|treatment/.test(headerStr)) {
+                ctHeaders.push({ col, header: headerStr });
+            }
         }
         
-        return { containerHeaders, stowageHeaders };
+        return { containerHeaders, stowageHeaders, podHeaders, commodityHeaders, setPointHeaders, ctHeaders };
     }
 
     /**
@@ -736,18 +810,28 @@ class CTStowageSorter {
     }
 
     /**
-     * Update stowage cell inside a CT block (from HTML logic)
+     * Update stowage cell inside a CT block
+     * Writes into the template's stowage cell, otherwise over an existing NN.NN.NN cell;
+     * never into an arbitrary empty cell
+     * @returns {Object|null} Written cell { row, col, value } for template-preserving export
      */
-    overwriteCtBlockStowage(rows, block, stow) {
-        if (!stow) return;
+    overwriteCtBlockStowage(ctStructure, block, stow) {
+        if (!stow) return null;
 
+        const { rows, template } = ctStructure;
         const display = this.prettyStow(stow);
-        const start = block.start;
-        const end = block.end;
         const stowPattern = /^\d{2}[\s\.]\d{2}[\s\.]\d{2}$/;
 
-        // 1) Try to overwrite an existing stowage-looking cell
-        for (let r = start; r < end; r++) {
+        // 1) Cell declared by the CT template
+        const target = template ? this.templateRegistry.locateField(ctStructure, block, template, 'stowage') : null;
+        if (target) {
+            rows[target.row] = rows[target.row] || [];
+            rows[target.row][target.col] = display;
+            return { row: target.row, col: target.col, value: display };
+        }
+
+        // 2) Overwrite an existing stowage-looking cell
+        for (let r = block.start; r < block.end; r++) {
             const row = rows[r] || [];
             for (let c = 0; c < row.length; c++) {
                 const val = row[c];
@@ -755,43 +839,12 @@ class CTStowageSorter {
                 const s = val.toString().trim();
                 if (stowPattern.test(s)) {
                     row[c] = display;
-                    return;
-                }
-            }
-        }
-
-        // 2) Try to place it just before "(5) PROBE 3"
-        for (let r = start; r < end; r++) {
-            const row = rows[r] || [];
-            for (let c = 0; c < row.length; c++) {
-                const val = row[c];
-                if (val == null) continue;
-                const s = val.toString().trim().toUpperCase().replace(/\s+/g, " ");
-                if (s === "(5) PROBE 3") {
-                    const targetCol = c > 0 ? c - 1 : c + 1;
-                    if (row[targetCol] === null || row[targetCol] === undefined || 
-                        row[targetCol].toString().trim() === "") {
-                        row[targetCol] = display;
-                    } else {
-                        // even if something is there but not a stowage, we still override
-                        row[targetCol] = display;
-                    }
-                    return;
+                    return { row: r, col: c, value: display };
                 }
             }
         }
 
-        // 3) Fallback: first empty cell in this block (limit to first ~8 rows to avoid footer)
-        for (let r = start; r < Math.min(end, start + 8); r++) {
-            const row = rows[r] || [];
-            for (let c = 0; c < row.length; c++) {
-                const val = row[c];
-                if (val === null || val === undefined || val.toString().trim() === "") {
-                    row[c] = display;
-                    return;
-                }
-            }
-        }
+        return null;
     }
 
     /**
@@ -871,20 +924,121 @@ class CTStowageSorter {
         return Math.min(confidence, 1.0);
     }
 
+    /**
+     * Available CT block orderings
+     */
+    getSortStrategies() {
+        return {
+            'bbrrtt': { label: 'Bay-Row-Tier (BBRRTT)', description: 'Plain BBRRTT order' },
+            'deck-split': { label: 'On deck, then under deck', description: 'BBRRTT within on-deck and under-deck groups, split by tier threshold' },
+            'serpentine': { label: 'Walking route (serpentine)', description: 'On deck then under deck, bay by bay, alternating port/starboard direction per bay' },
+            'pod': { label: 'Port of discharge', description: 'Grouped by POD from the reefer list, BBRRTT within each port' }
+        };
+    }
+
+    /**
+     * Sort key (array, compared element by element) and group label of a block
+     * Blocks without stowage always go last
+     */
+    blockSortKey(block, strategy, context) {
+        const missing = block.stow ? 0 : 1;
+        const position = StowagePosition.parse(block.stow);
+        const onDeck = position ? position.isOnDeck(context.tierThreshold) : false;
+        const deckGroup = position ? (onDeck ? 'ON DECK' : 'UNDER DECK') : 'NO STOWAGE';
+
+        switch (strategy) {
+            case 'deck-split':
+                return { key: [missing, onDeck ? 0 : 1, block.key], group: deckGroup };
+
+            case 'serpentine': {
+                if (!position) return { key: [missing], group: deckGroup };
+                // Walking direction flips with every bay visited within the deck / hold pass
+                const bays = onDeck ? context.deckBays : context.holdBays;
+                const direction = bays.indexOf(position.bay) % 2 === 0 ? 1 : -1;
+                return {
+                    key: [missing, onDeck ? 0 : 1, position.bay, direction * position.lateralPosition, position.tier],
+                    group: `${deckGroup} BAY ${String(position.bay).padStart(position.bayDigits, '0')}`
+                };
+            }
+
+            case 'pod': {
+                const pod = (this.podMap && this.podMap[block.id]) || 'UNKNOWN';
+                return { key: [missing, pod === 'UNKNOWN' ? 1 : 0, pod, block.key], group: pod };
+            }
+
+            default:
+                return { key: [missing, block.key], group: null };
+        }
+    }
+
+    compareSortKeys(a, b) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (a[i] === undefined) return -1;
+            if (b[i] === undefined) return 1;
+            if (a[i] < b[i]) return -1;
+            if (a[i] > b[i]) return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Sort blocks ({ id, stow, key }) in place by a strategy
+     * Each block gets its sortKey and group label
+     * @returns {Object} Strategy descriptor { id, label, tierThreshold }
+     */
+    sortByStrategy(blocks, strategy = 'bbrrtt', tierThreshold = 80) {
+        const strategies = this.getSortStrategies();
+        if (!strategies[strategy]) {
+            throw new Error(`Unknown CT sort strategy: ${strategy}`);
+        }
+        tierThreshold = tierThreshold || 80;
+
+        // Bays in walking order for the serpentine route (deck and hold walked separately)
+        const baysOf = deck => [...new Set(blocks
+            .map(block => StowagePosition.parse(block.stow))
+            .filter(position => position && position.isOnDeck(tierThreshold) === deck)
+            .map(position => position.bay))].sort((a, b) => a - b);
+        const context = { tierThreshold, deckBays: baysOf(true), holdBays: baysOf(false) };
+        
+        blocks.forEach(block => {
+            const { key, group } = this.blockSortKey(block, strategy, context);
+            block.sortKey = key;
+            block.group = group;
+        });
+        
+        // Sort blocks by the strategy key (stable, so equal keys keep sheet order)
+        blocks.sort((a, b) => this.compareSortKeys(a.sortKey, b.sortKey));
+        
+        const usesThreshold = strategy === 'deck-split' || strategy === 'serpentine';
+        console.log(`   🔀 Sort strategy: ${strategies[strategy].label}${usesThreshold ? ` (on deck from tier ${tierThreshold})` : ''}`);
+
+        return {
+            id: strategy,
+            label: strategies[strategy].label,
+            tierThreshold: usesThreshold ? tierThreshold : null
+        };
+    }
+
     /**
      * Process and sort CT blocks (main processing logic from HTML)
+     * @param {string} strategy - Sort strategy ID (see getSortStrategies)
+     * @param {number} strategyOptions.tierThreshold - First on-deck tier
      */
-    processAndSortBlocks(stowageMap, ctStructure) {
+    processAndSortBlocks(stowageMap, ctStructure, strategy = 'bbrrtt', strategyOptions = {}) {
         const { rows, headerRows, blocks, tailRows } = ctStructure;
         let matched = 0;
         let missing = 0;
+        const unplaced = [];
 
         // Attach sort key & overwrite stow cell for each block
         const blocksWithKey = blocks.map(block => {
             const stow = stowageMap[block.id] || null;
             if (stow) matched++; else missing++;
             
-            this.overwriteCtBlockStowage(rows, block, stow);
+            const stowCell = this.overwriteCtBlockStowage(ctStructure, block, stow);
+            if (stow && !stowCell) {
+                unplaced.push(block.id);
+            }
             const key = this.brtKeyFromStowage(stow);
             
             return {
@@ -892,16 +1046,13 @@ class CTStowageSorter {
                 start: block.start,
                 end: block.end,
                 key: key,
-                stow: stow
+                stow: stow,
+                stowCell: stowCell,
+                cellWrites: block.cellWrites || []
             };
         });
 
-        // Sort blocks by BBRRTT key
-        blocksWithKey.sort((a, b) => {
-            if (a.key < b.key) return -1;
-            if (a.key > b.key) return 1;
-            return 0;
-        });
+        this.sortStrategy = this.sortByStrategy(blocksWithKey, strategy, strategyOptions.tierThreshold);
 
         // Rebuild rows: header + sorted blocks + tail
         const newRows = [];
@@ -923,17 +1074,162 @@ class CTStowageSorter {
             newRows.push(tailRows[r]);
         }
 
+        if (unplaced.length > 0) {
+            console.warn(`   ⚠️ No stowage cell in ${unplaced.length} CT block(s): ${unplaced.slice(0, 10).join(', ')}`);
+        }
+
         this.sortedCtRows = newRows;
+        this.sortedBlocks = blocksWithKey;
 
         return {
+            sortStrategy: this.sortStrategy,
+            template: ctStructure.template ? { id: ctStructure.template.id, label: ctStructure.template.label } : null,
             totalContainers: blocks.length,
             matched: matched,
             missing: missing,
+            unplaced: unplaced,
             blocksWithKey: blocksWithKey,
             preview: blocksWithKey.slice(0, 10) // First 10 for preview
         };
     }
 
+    /**
+     * Cross-check the CT sheet against the reefer list: blocks without stowage, CT-flagged
+     * reefers without a block, and containers with more than one block
+     * @returns {Object} { noStowage, notInCtSheet, duplicates, summary }
+     */
+    reconcileCT(ctStructure, stowageMap, reeferCTContainers) {
+        const { blocks, rowNumbers } = ctStructure;
+        const sheetRow = block => rowNumbers ? rowNumbers[block.start] : block.start + 1;
+
+        const rowsById = {};
+        blocks.forEach(block => {
+            (rowsById[block.id] = rowsById[block.id] || []).push(sheetRow(block));
+        });
+
+        const noStowage = blocks
+            .filter(block => !stowageMap[block.id])
+            .map(block => ({ id: block.id, sheetRow: sheetRow(block) }));
+
+        const notInCtSheet = reeferCTContainers
+            .filter(container => !rowsById[container.id])
+            .map(container => ({
+                id: container.id,
+                stowage: this.prettyStow(stowageMap[container.id]),
+                commodity: container.commodity,
+                setPoint: container.setPoint
+            }));
+
+        const duplicates = Object.entries(rowsById)
+            .filter(([, rows]) => rows.length > 1)
+            .map(([id, rows]) => ({ id, count: rows.length, sheetRows: rows }));
+
+        const summary = {
+            ctBlocks: blocks.length,
+            reeferCTFlagged: reeferCTContainers.length,
+            noStowage: noStowage.length,
+            notInCtSheet: notInCtSheet.length,
+            duplicates: duplicates.length
+        };
+
+        console.log(`\n🔎 CT CROSS-CHECK: ${summary.noStowage} without stowage, ${summary.notInCtSheet} CT reefers without a block, ${summary.duplicates} duplicated blocks`);
+        if (reeferCTContainers.length === 0) {
+            console.log('   ℹ️ Reefer list has no CT column or cold-treatment remarks - missing blocks cannot be checked');
+        }
+
+        return { noStowage, notInCtSheet, duplicates, summary };
+    }
+
+    /**
+     * Add the cross-check as a sheet of the CT output (replaces an earlier one)
+     */
+    addReconciliationSheet(workbook) {
+        const reconciliation = this.results && this.results.reconciliation;
+        if (!reconciliation) return;
+
+        const existing = workbook.getWorksheet('CT_Cross_Check');
+        if (existing) {
+            workbook.removeWorksheet(existing.id);
+        }
+
+        const headers = ['Issue', 'Container ID', 'Original CT Row(s)', 'Stowage', 'Commodity', 'Set Point'];
+        const sheet = workbook.addWorksheet('CT_Cross_Check');
+        const headerRow = sheet.addRow(headers);
+        headerRow.font = { bold: true };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+        reconciliation.noStowage.forEach(item => {
+            sheet.addRow(['No stowage in reefer list', item.id, item.sheetRow, '', '', '']);
+        });
+        reconciliation.notInCtSheet.forEach(item => {
+            sheet.addRow(['Cold treatment in reefer list, no CT block', item.id, '', item.stowage, item.commodity, item.setPoint]);
+        });
+        reconciliation.duplicates.forEach(item => {
+            sheet.addRow([`Duplicated CT block (${item.count}x)`, item.id, item.sheetRows.join(', '), '', '', '']);
+        });
+
+        if (sheet.rowCount === 1) {
+            sheet.addRow(['No discrepancies found']);
+        }
+        if (reconciliation.summary.reeferCTFlagged === 0) {
+            sheet.addRow([]);
+            sheet.addRow(['Note: the reefer list has no CT column or cold-treatment remarks, so missing CT blocks were not checked']);
+        }
+
+        sheet.columns.forEach((column, index) => {
+            column.width = index === 0 ? 44 : Math.max(headers[index].length, 12) + 4;
+        });
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    }
+
+    /**
+     * Add the logger fill warnings as a sheet of the CT output (replaces an earlier one)
+     */
+    addProbeFillSheet(workbook) {
+        const probeFill = this.results && this.results.probeFill;
+        if (!probeFill) return;
+
+        const existing = workbook.getWorksheet('CT_Probe_Fill');
+        if (existing) {
+            workbook.removeWorksheet(existing.id);
+        }
+
+        const headers = ['Issue', 'Container ID', 'Probe', 'Day', 'Logger °C', 'Value In Sheet'];
+        const sheet = workbook.addWorksheet('CT_Probe_Fill');
+        const headerRow = sheet.addRow(headers);
+        headerRow.font = { bold: true };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+        probeFill.aboveThreshold.forEach(item => {
+            const row = sheet.addRow([`Above ${probeFill.threshold}°C`, item.id, item.probe, item.day, item.logger, item.existing || '']);
+            row.font = { color: { argb: 'FFDC2626' } };
+        });
+        probeFill.skipped.forEach(item => {
+            sheet.addRow(['Sheet value kept (differs from logger)', item.id, item.probe, item.day, item.logger, item.existing]);
+        });
+        probeFill.overwritten.forEach(item => {
+            sheet.addRow(['Sheet value overwritten', item.id, item.probe, item.day, item.logger, item.existing]);
+        });
+        probeFill.noLoggerData.forEach(id => {
+            sheet.addRow(['No logger data', id, '', '', '', '']);
+        });
+        probeFill.notInCtSheet.forEach(id => {
+            sheet.addRow(['Logger unit without a CT block', id, '', '', '', '']);
+        });
+        if (probeFill.unmatchedDays.length > 0) {
+            sheet.addRow(['Logger days without a sheet column', '', '', probeFill.unmatchedDays.join(', '), '', '']);
+        }
+
+        if (sheet.rowCount === 1) {
+            sheet.addRow([`${probeFill.filled} readings filled, no warnings`]);
+        }
+
+        sheet.columns.forEach((column, index) => {
+            column.width = index === 0 ? 40 : Math.max(headers[index].length, 12) + 4;
+        });
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    }
+
     /**
      * Helper methods for universal analysis
      */
@@ -1126,26 +1422,67 @@ class CTStowageSorter {
      * Generate summary like the HTML version
      */
     generateSummary(results) {
-        const { totalContainers, matched, missing } = results;
+        const { totalContainers, matched, missing, compliance } = results;
         
         let summary = `CT Stowage Processing Summary:\n`;
         summary += `• Total CT containers detected: ${totalContainers}\n`;
         summary += `• Matched with stowage in FULL list: ${matched}\n`;
         summary += `• Not found in FULL list: ${missing}\n`;
-        summary += `• Containers sorted by Bay-Row-Tier position\n`;
-        summary += `• Stowage positions updated in CT blocks`;
+        summary += `• Containers sorted by ${results.sortStrategy ? results.sortStrategy.label : 'Bay-Row-Tier position'}\n`;
+        summary += `• Stowage positions updated in CT blocks` +
+            (results.template ? ` (template: ${results.template.label})` : '');
+        
+        if (results.reconciliation) {
+            const { summary: check } = results.reconciliation;
+            summary += `\n• Cross-check: ${check.noStowage} without stowage, ${check.notInCtSheet} CT reefers without a block, ` +
+                `${check.duplicates} duplicated blocks`;
+        }
+        
+        if (results.unplaced && results.unplaced.length > 0) {
+            summary += `\n• No stowage cell found for ${results.unplaced.length} container(s): ${results.unplaced.slice(0, 10).join(', ')}`;
+        }
+        
+        if (results.probeFill) {
+            const fill = results.probeFill;
+            summary += `\n• Logger readings filled: ${fill.filled} (${fill.skipped.length} existing values kept, ` +
+                `${fill.overwritten.length} overwritten, ${fill.aboveThreshold.length} above threshold)`;
+        }
+        
+        if (compliance) {
+            summary += `\n• Protocol ${compliance.protocol.label}: ${compliance.summary.compliant} compliant, ` +
+                `${compliance.summary.broken} broken, ${compliance.summary.insufficient} insufficient data`;
+        }
 
         return summary;
     }
 
+    /**
+     * Export results (processCTOperation with an export path)
+     */
+    async exportResults(outputPath) {
+        try {
+            await this.exportSortedCT(outputPath);
+            return { success: true, outputPath: outputPath };
+        } catch (error) {
+            console.error('CT export error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Export sorted CT sheet to Excel
+     * .xlsx templates are reordered inside the original workbook, so the output is a
+     * drop-in replacement; PDF / DOCX sources are written as plain rows
      */
     async exportSortedCT(outputPath) {
         if (!this.sortedCtRows) {
             throw new Error('No sorted CT data available for export');
         }
 
+        if (this.canPreserveTemplate()) {
+            return await this.exportPreservingTemplate(outputPath);
+        }
+
         const workbook = new ExcelJS.Workbook();
         const worksheet = workbook.addWorksheet('CT_Sorted');
 
@@ -1157,10 +1494,515 @@ class CTStowageSorter {
             });
         });
 
+        this.recordSortStrategy(workbook, worksheet);
+        this.addReconciliationSheet(workbook);
+        this.addProbeFillSheet(workbook);
         await workbook.xlsx.writeFile(outputPath);
         return outputPath;
     }
 
+    /**
+     * Record the block order in the printed page header and the workbook description
+     * An existing right-hand header section in the template is left as it is
+     */
+    recordSortStrategy(workbook, worksheet, sortStrategy = this.sortStrategy) {
+        if (!sortStrategy) return;
+
+        const text = `Sort order: ${sortStrategy.label}` +
+            (sortStrategy.tierThreshold ? ` (on deck from tier ${sortStrategy.tierThreshold})` : '');
+
+        workbook.description = text;
+
+        const header = (worksheet.headerFooter && worksheet.headerFooter.oddHeader) || '';
+        if (/&R/.test(header)) {
+            console.warn('   ⚠️ Template already has a right page header; sort order recorded in workbook properties only');
+            return;
+        }
+        worksheet.headerFooter = {
+            ...worksheet.headerFooter,
+            oddHeader: `${header}&R${text.replace(/&/g, '&&')}`
+        };
+    }
+
+    /**
+     * Template-preserving export needs the original .xlsx and the sheet row of every block
+     */
+    canPreserveTemplate() {
+        return Boolean(
+            this.ctFilePath && /\.xlsx$/i.test(this.ctFilePath) &&
+            this.ctStructure && this.ctStructure.rowNumbers && this.sortedBlocks
+        );
+    }
+
+    /**
+     * Reorder the block row ranges inside the original workbook
+     * Row models carry values, styles, heights and hidden state; merges inside a block
+     * move with it; column widths, print area and page setup are untouched
+     */
+    async exportPreservingTemplate(outputPath) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(this.ctFilePath);
+
+        const { sheetName, rows, rowNumbers, blocks } = this.ctStructure;
+        const worksheet = workbook.getWorksheet(sheetName);
+        if (!worksheet || blocks.length === 0) {
+            throw new Error(`CT sheet '${sheetName}' not found in ${path.basename(this.ctFilePath)}`);
+        }
+
+        // Sheet rows of a block: from its ID row up to the next block (or tail) row
+        const lastSheetRow = rowNumbers[rows.length - 1];
+        const spanOf = block => ({
+            first: rowNumbers[block.start],
+            last: (block.end < rows.length ? rowNumbers[block.end] : lastSheetRow + 1) - 1
+        });
+        const regionFirst = spanOf(blocks[0]).first;
+        const regionLast = spanOf(blocks[blocks.length - 1]).last;
+
+        // Snapshot every block before any row is overwritten
+        const snapshots = this.sortedBlocks.map(block => {
+            const span = spanOf(block);
+            const models = [];
+            for (let n = span.first; n <= span.last; n++) {
+                models.push(this.copyRowModel(worksheet.findRow(n)));
+            }
+            return { block, span, models, merges: [] };
+        });
+
+        // Merges inside a block move with it; merges across blocks cannot be kept
+        for (const range of worksheet.model.merges || []) {
+            const merge = this.decodeRange(worksheet, range);
+            if (!merge || merge.bottom < regionFirst || merge.top > regionLast) continue;
+
+            const owner = snapshots.find(snap => merge.top >= snap.span.first && merge.bottom <= snap.span.last);
+            if (owner) {
+                owner.merges.push(merge);
+            } else {
+                console.warn(`   ⚠️ Merge ${range} spans several CT blocks and is removed`);
+            }
+            worksheet.unMergeCells(range);
+        }
+
+        // New sheet row of every moved row, for the row references in formulas
+        const rowMap = new Map();
+        let target = regionFirst;
+        for (const snap of snapshots) {
+            for (let n = snap.span.first; n <= snap.span.last; n++) {
+                rowMap.set(n, target + n - snap.span.first);
+            }
+            target += snap.span.last - snap.span.first + 1;
+        }
+
+        target = regionFirst;
+        for (const snap of snapshots) {
+            const offset = target - snap.span.first;
+
+            snap.models.forEach((model, index) => {
+                const rowNumber = target + index;
+                worksheet.getRow(rowNumber).model = this.shiftRowModel(model, rowNumber, rowMap);
+            });
+
+            snap.merges.forEach(merge => {
+                worksheet.mergeCellsWithoutStyle(merge.top + offset, merge.left, merge.bottom + offset, merge.right);
+            });
+
+            // Stowage written by the sorter, in the block's new position
+            const stowCell = snap.block.stowCell;
+            if (stowCell) {
+                worksheet.getCell(rowNumbers[stowCell.row] + offset, stowCell.col + 1).value = stowCell.value;
+            }
+
+            // Logger readings, readings above the protocol temperature in red
+            for (const write of snap.block.cellWrites) {
+                const cell = worksheet.getCell(rowNumbers[write.row] + offset, write.col + 1);
+                cell.value = write.value;
+                if (write.aboveThreshold) {
+                    // Styles loaded from a file are shared between cells: copy before changing
+                    cell.style = { ...cell.style, font: { ...cell.font, bold: true, color: { argb: 'FFDC2626' } } };
+                }
+            }
+
+            target += snap.span.last - snap.span.first + 1;
+        }
+
+        this.recordSortStrategy(workbook, worksheet);
+        this.addReconciliationSheet(workbook);
+        this.addProbeFillSheet(workbook);
+        await workbook.xlsx.writeFile(outputPath);
+        console.log(`   ✅ Sorted ${snapshots.length} CT blocks inside ${path.basename(this.ctFilePath)} (formatting preserved)`);
+        return outputPath;
+    }
+
+    /**
+     * Detached copy of a row model (missing rows become empty rows)
+     */
+    copyRowModel(row) {
+        if (!row) {
+            return { cells: [], height: undefined, hidden: false, outlineLevel: 0, style: {} };
+        }
+        const model = row.model;
+        return {
+            ...model,
+            cells: model.cells.map(cell => ({ ...cell })),
+            style: model.style ? JSON.parse(JSON.stringify(model.style)) : {}
+        };
+    }
+
+    /**
+     * Row model moved to another sheet row
+     * Merge slaves keep their own style (merges are re-applied), shared formulas become values.
+     * Formula references to moved rows follow them; a formula whose range no longer maps to
+     * one block keeps its cached value
+     * @param {Map} rowMap - Old sheet row -> new sheet row of every moved row
+     */
+    shiftRowModel(model, rowNumber, rowMap = new Map()) {
+        return {
+            ...model,
+            number: rowNumber,
+            cells: model.cells.map(cell => {
+                const address = cell.address.replace(/\d+$/, '') + rowNumber;
+
+                if (cell.type === ExcelJS.ValueType.Merge) {
+                    return { address, type: ExcelJS.ValueType.Null, style: cell.style };
+                }
+                if (cell.sharedFormula) {
+                    return { address, style: cell.style, ...this.valueModel(cell.result) };
+                }
+                if (cell.formula) {
+                    const formula = this.shiftFormula(cell.formula, rowMap);
+                    const ref = cell.ref && cell.shareType !== 'shared' ? this.shiftFormula(cell.ref, rowMap) : undefined;
+                    if (formula === null || ref === null) {
+                        console.warn(`   ⚠️ Formula ${cell.address} =${cell.formula} spans several CT blocks and is kept as its value`);
+                        return { address, style: cell.style, ...this.valueModel(cell.result) };
+                    }
+
+                    // Shared-formula slaves become values, so the master becomes a plain formula
+                    const { shareType, ref: oldRef, ...rest } = cell;
+                    return shareType === 'shared'
+                        ? { ...rest, address, formula }
+                        : { ...cell, address, formula, ...(ref ? { ref } : {}) };
+                }
+                return { ...cell, address };
+            })
+        };
+    }
+
+    /**
+     * Formula with its references to moved rows rewritten (other sheets and strings untouched)
+     * @returns {string|null} null when a range has its ends in different blocks
+     */
+    shiftFormula(formula, rowMap) {
+        const reference = /(?<![A-Za-z0-9_.!'$])(\$?[A-Z]{1,3}\$?)(\d+)(?::(\$?[A-Z]{1,3}\$?)(\d+))?(?![A-Za-z0-9_(!])/g;
+        let broken = false;
+
+        // Odd parts are string literals
+        const shifted = formula.split('"').map((part, index) => index % 2 === 1 ? part : part.replace(reference, (match, col1, row1, col2, row2) => {
+            const top = parseInt(row1, 10);
+            if (!col2) {
+                return rowMap.has(top) ? `${col1}${rowMap.get(top)}` : match;
+            }
+
+            const bottom = parseInt(row2, 10);
+            if (!rowMap.has(top) && !rowMap.has(bottom)) return match;
+            const newTop = rowMap.get(top);
+            const newBottom = rowMap.get(bottom);
+            if (newTop === undefined || newBottom === undefined || newTop - top !== newBottom - bottom) {
+                broken = true;
+                return match;
+            }
+            return `${col1}${newTop}:${col2}${newBottom}`;
+        })).join('"');
+
+        return broken ? null : shifted;
+    }
+
+    /**
+     * Cell model of a plain value
+     */
+    valueModel(value) {
+        const { ValueType } = ExcelJS;
+        if (value === undefined || value === null || typeof value === 'object' && !(value instanceof Date)) {
+            return { type: ValueType.Null };
+        }
+        if (value instanceof Date) return { type: ValueType.Date, value };
+        if (typeof value === 'number') return { type: ValueType.Number, value };
+        if (typeof value === 'boolean') return { type: ValueType.Boolean, value };
+        return { type: ValueType.String, value: value.toString() };
+    }
+
+    /**
+     * Decode an 'A1:C3' range into row / column numbers
+     */
+    decodeRange(worksheet, range) {
+        const match = /^\$?([A-Z]+)\$?(\d+):\$?([A-Z]+)\$?(\d+)$/.exec(range);
+        if (!match) return null;
+        return {
+            top: parseInt(match[2], 10),
+            left: worksheet.getColumn(match[1]).number,
+            bottom: parseInt(match[4], 10),
+            right: worksheet.getColumn(match[3]).number
+        };
+    }
+
+    /**
+     * Generate a blank CT monitoring workbook from the reefer list
+     * One block per cold-treatment container, laid out by the template and in stowage order
+     * @param {Object} options - Generation options
+     * @param {string} options.reeferListPath - Reefer list with stowage and a CT column or cold-treatment remark
+     * @param {string} options.outputPath - .xlsx file to write
+     * @param {string} options.templateId - Template with a layout (default 'probe-form')
+     * @param {string} options.sortStrategy - Block order, see getSortStrategies (default 'bbrrtt')
+     * @param {number} options.tierThreshold - First on-deck tier (default 80)
+     * @param {number} options.readingDays - Days to record; otherwise from startDate/endDate or the protocol
+     * @param {string} options.startDate - Departure (yyyy-mm-dd); dates the reading columns
+     * @param {string} options.endDate - Arrival (yyyy-mm-dd)
+     * @param {number} options.readingsPerDay - 1, or 2 for AM / PM readings
+     * @param {string} options.protocolId - Cold-treatment protocol printed on the sheet
+     * @returns {Object} Generation results
+     */
+    async generateCTWorkbook(options) {
+        try {
+            const {
+                reeferListPath, outputPath, templateId = 'probe-form', sortStrategy = 'bbrrtt', tierThreshold = 80,
+                protocolId = null, vessel = '', voyage = ''
+            } = options;
+
+            console.log('\n=== CT SHEET GENERATION ===');
+            console.log('Reefer list:', reeferListPath);
+
+            const template = this.templateRegistry.loadTemplates()[templateId];
+            if (!template) {
+                throw new Error(`Unknown CT template: ${templateId}`);
+            }
+            if (!template.layout) {
+                throw new Error(`CT template '${template.label}' has no layout to generate a sheet from`);
+            }
+
+            const protocol = protocolId ? this.protocolValidator.loadProtocols()[protocolId] : null;
+            if (protocolId && !protocol) {
+                throw new Error(`Unknown cold-treatment protocol: ${protocolId}`);
+            }
+
+            const readingLabels = this.getReadingLabels(options, protocol);
+
+            this.fullReeferData = await this.loadFile(reeferListPath);
+            const reeferAnalysis = await this.analyzeDocumentStructure(this.fullReeferData, 'reefer', reeferListPath);
+            const stowageMap = await this.buildStowageMapUniversal(reeferAnalysis);
+
+            const containers = this.extractCTContainers(reeferAnalysis);
+            if (containers.length === 0) {
+                throw new Error('No cold-treatment containers found in the reefer list (needs a CT / cold treatment column or remark)');
+            }
+            this.stowageMap = stowageMap;
+            this.reeferCTContainers = containers;
+
+            containers.forEach(container => {
+                container.stow = stowageMap[container.id] || null;
+                container.key = this.brtKeyFromStowage(container.stow);
+            });
+            const strategyInfo = this.sortByStrategy(containers, sortStrategy, tierThreshold);
+
+            const workbook = new ExcelJS.Workbook();
+            const worksheet = workbook.addWorksheet('CT Monitoring');
+            const sheetValues = { vessel, voyage, protocol: protocol ? protocol.label : '' };
+            const { header = [], block } = template.layout;
+            const thin = { style: 'thin' };
+            let rowNumber = 1;
+
+            header.forEach((layoutRow, index) => {
+                const row = this.writeLayoutRow(worksheet, rowNumber++, layoutRow, sheetValues, readingLabels);
+                if (index === 0) {
+                    row.font = { bold: true, size: 14 };
+                } else if (layoutRow.includes('{readings}')) {
+                    row.font = { bold: true };
+                    row.eachCell(cell => { cell.border = { top: thin, left: thin, bottom: thin, right: thin }; });
+                }
+            });
+
+            const width = Math.max(...[...header, ...block].map(layoutRow => this.layoutRowWidth(layoutRow, readingLabels)));
+
+            for (const container of containers) {
+                const values = {
+                    ...sheetValues,
+                    containerId: container.id,
+                    stowage: this.prettyStow(container.stow),
+                    commodity: container.commodity,
+                    setPoint: container.setPoint
+                };
+
+                block.forEach((layoutRow, index) => {
+                    const row = this.writeLayoutRow(worksheet, rowNumber++, layoutRow, values, readingLabels);
+                    for (let col = 1; col <= width; col++) {
+                        row.getCell(col).border = { top: index === 0 ? { style: 'medium' } : thin, left: thin, bottom: thin, right: thin };
+                    }
+                });
+                worksheet.getRow(rowNumber - block.length).getCell(1).font = { bold: true };
+            }
+
+            // Column widths from content, readings stay narrow for handwriting
+            for (let col = 1; col <= width; col++) {
+                let longest = 0;
+                worksheet.getColumn(col).eachCell(cell => {
+                    longest = Math.max(longest, cell.value == null ? 0 : cell.value.toString().length);
+                });
+                worksheet.getColumn(col).width = Math.min(28, Math.max(8, longest + 2));
+            }
+
+            worksheet.views = [{ state: 'frozen', ySplit: header.length }];
+            worksheet.pageSetup = {
+                orientation: 'landscape',
+                paperSize: 9,
+                fitToPage: true,
+                fitToWidth: 1,
+                fitToHeight: 0,
+                printTitlesRow: header.length > 0 ? `1:${header.length}` : undefined
+            };
+            this.recordSortStrategy(workbook, worksheet, strategyInfo);
+
+            await workbook.xlsx.writeFile(outputPath);
+
+            const withoutStowage = containers.filter(container => !container.stow).map(container => container.id);
+            console.log(`   ✅ Generated ${containers.length} CT blocks (${readingLabels.length} reading slots) in ${path.basename(outputPath)}`);
+            if (withoutStowage.length > 0) {
+                console.warn(`   ⚠️ No stowage for ${withoutStowage.length} CT container(s): ${withoutStowage.slice(0, 10).join(', ')}`);
+            }
+
+            return {
+                success: true,
+                outputPath: outputPath,
+                template: { id: templateId, label: template.label },
+                sortStrategy: strategyInfo,
+                containers: containers.length,
+                readingSlots: readingLabels.length,
+                withoutStowage: withoutStowage,
+                summary: `Generated CT sheet with ${containers.length} containers, ${readingLabels.length} reading slots ` +
+                    `(${template.label}, ${strategyInfo.label})`
+            };
+
+        } catch (error) {
+            console.error('CT generation error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Cold-treatment containers of the reefer list with commodity and set point as listed
+     * A container is under CT when its CT column is marked, or any cell mentions cold treatment / USDA
+     */
+    extractCTContainers(reeferAnalysis) {
+        const containers = [];
+        const seen = new Set();
+
+        for (const sheetInfo of reeferAnalysis.validSheets) {
+            const rows = this.fullReeferData.Sheets[sheetInfo.sheetName];
+            const { containerCol, ctCol, commodityCol, setPointCol } = sheetInfo;
+
+            for (let r = 1; r < rows.length; r++) {
+                const row = rows[r] || [];
+                const id = this.detectContainerId(row[containerCol]);
+                if (!id || seen.has(id)) continue;
+
+                const flagged = ctCol !== -1 && /^(Y|YES|X|TRUE|1|CT)$/.test(this.cellText(row[ctCol]).toUpperCase());
+                const remarked = row.some(cell => /COLD\s*TREAT|\bUSDA\b|\bT107/i.test(this.cellText(cell)));
+                if (!flagged && !remarked) continue;
+
+                seen.add(id);
+                containers.push({
+                    id: id,
+                    commodity: commodityCol !== -1 ? this.cellText(row[commodityCol]) : '',
+                    setPoint: setPointCol !== -1 ? this.cellText(row[setPointCol]) : ''
+                });
+            }
+        }
+
+        console.log(`   ❄️ Cold-treatment containers in reefer list: ${containers.length}`);
+        return containers;
+    }
+
+    /**
+     * Reading column labels: dd/mm from the departure date, otherwise DAY n; AM / PM for two readings a day
+     */
+    getReadingLabels(options, protocol) {
+        const { readingDays, startDate, endDate } = options;
+        const perDay = parseInt(options.readingsPerDay, 10) === 2 ? 2 : 1;
+        const start = startDate ? new Date(`${startDate}T00:00:00Z`) : null;
+        const end = endDate ? new Date(`${endDate}T00:00:00Z`) : null;
+
+        let days = parseInt(readingDays, 10);
+        if (!days && start && end && !isNaN(start) && !isNaN(end)) {
+            days = Math.round((end - start) / 86400000) + 1;
+        }
+        if (!days && protocol) {
+            days = protocol.days;
+        }
+        if (!days || days < 1 || days > 90) {
+            throw new Error('Enter the number of reading days (1-90), or departure and arrival dates');
+        }
+        if (protocol && days < protocol.days) {
+            console.warn(`   ⚠️ ${days} reading days is shorter than the protocol's ${protocol.days} days`);
+        }
+
+        const labels = [];
+        for (let day = 0; day < days; day++) {
+            let label = `DAY ${day + 1}`;
+            if (start && !isNaN(start)) {
+                const date = new Date(start.getTime() + day * 86400000);
+                label = `${String(date.getUTCDate()).padStart(2, '0')}/${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+            }
+            if (perDay === 2) {
+                labels.push(`${label} AM`, `${label} PM`);
+            } else {
+                labels.push(label);
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Write one template layout row, filling {placeholders} and expanding {readings} / {slots}
+     */
+    writeLayoutRow(worksheet, rowNumber, layoutRow, values, readingLabels) {
+        const row = worksheet.getRow(rowNumber);
+        let col = 1;
+
+        for (const cell of layoutRow) {
+            const text = cell == null ? '' : cell.toString();
+
+            if (text === '{readings}' || text === '{slots}') {
+                readingLabels.forEach(label => {
+                    row.getCell(col++).value = text === '{readings}' ? label : null;
+                });
+                continue;
+            }
+
+            const value = text.replace(/\{(\w+)\}/g, (match, name) => values[name] != null ? values[name] : '');
+            row.getCell(col++).value = value === '' ? null : value;
+        }
+
+        return row;
+    }
+
+    layoutRowWidth(layoutRow, readingLabels) {
+        return layoutRow.reduce((width, cell) =>
+            width + (cell === '{readings}' || cell === '{slots}' ? readingLabels.length : 1), 0);
+    }
+
+    /**
+     * Display text of a raw ExcelJS cell value
+     */
+    cellText(cell) {
+        if (cell === undefined || cell === null) return '';
+        if (cell instanceof Date) return cell.toISOString().split('T')[0];
+        if (typeof cell === 'object') {
+            if ('result' in cell) return this.cellText(cell.result);
+            if (Array.isArray(cell.richText)) return cell.richText.map(part => part.text).join('').trim();
+            if ('text' in cell) return this.cellText(cell.text);
+        }
+        return cell.toString().trim();
+    }
+
     /**
      * Get results for display
      */
@@ -0,0 +1,297 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const ConfigTables = require('./config-tables');
+
+/**
+ * Dangerous Goods List
+ * Offline UN number reference (PSN, class, subsidiary risks, packing group, EmS,
+ * stowage category and codes, marine pollutant). The built-in list covers the entries common in
+ * container trades; a full DGL exported from the current IMDG edition can be imported
+ * (Excel / CSV) and is kept in storage/dg_list.json, overriding the built-in entries by UN number
+ */
+class DGList {
+    constructor() {
+        this.configTables = new ConfigTables();
+        this.entries = this.load();
+    }
+
+    /**
+     * Built-in entries, keyed by UN number; one entry per packing group
+     * Row: UN, PSN, class, subsidiary risks, packing groups, EmS, stowage category (per PG), marine pollutant,
+     * stowage codes (built in: SW1 protected from sources of heat and SW2 clear of living quarters only)
+     */
+    getDefaultList() {
+        const rows = [
+            ['0012', 'CARTRIDGES FOR WEAPONS, INERT PROJECTILE or CARTRIDGES, SMALL ARMS', '1.4S', '', '', 'F-B,S-X', '01', false],
+            ['0336', 'FIREWORKS', '1.4G', '', '', 'F-B,S-X', '02', false],
+            ['1001', 'ACETYLENE, DISSOLVED', '2.1', '', '', 'F-D,S-U', 'D', false, 'SW2'],
+            ['1002', 'AIR, COMPRESSED', '2.2', '', '', 'F-C,S-V', 'A', false],
+            ['1005', 'AMMONIA, ANHYDROUS', '2.3', '8', '', 'F-C,S-U', 'D', false, 'SW2'],
+            ['1011', 'BUTANE', '2.1', '', '', 'F-D,S-U', 'E', false, 'SW2'],
+            ['1013', 'CARBON DIOXIDE', '2.2', '', '', 'F-C,S-V', 'A', false],
+            ['1017', 'CHLORINE', '2.3', '5.1 8', '', 'F-C,S-U', 'D', true, 'SW2'],
+            ['1049', 'HYDROGEN, COMPRESSED', '2.1', '', '', 'F-D,S-U', 'E', false, 'SW2'],
+            ['1057', 'LIGHTERS or LIGHTER REFILLS', '2.1', '', '', 'F-D,S-U', 'B', false, 'SW2'],
+            ['1066', 'NITROGEN, COMPRESSED', '2.2', '', '', 'F-C,S-V', 'A', false],
+            ['1072', 'OXYGEN, COMPRESSED', '2.2', '5.1', '', 'F-C,S-W', 'A', false],
+            ['1075', 'PETROLEUM GASES, LIQUEFIED', '2.1', '', '', 'F-D,S-U', 'E', false, 'SW2'],
+            ['1090', 'ACETONE', '3', '', 'II', 'F-E,S-D', 'E', false],
+            ['1114', 'BENZENE', '3', '', 'II', 'F-E,S-D', 'B', false],
+            ['1120', 'BUTANOLS', '3', '', 'II III', 'F-E,S-D', 'B A', false],
+            ['1133', 'ADHESIVES containing flammable liquid', '3', '', 'I II III', 'F-E,S-D', 'E B A', false],
+            ['1170', 'ETHANOL or ETHYL ALCOHOL or ETHANOL SOLUTION or ETHYL ALCOHOL SOLUTION', '3', '', 'II III', 'F-E,S-D', 'A A', false],
+            ['1202', 'GAS OIL or DIESEL FUEL or HEATING OIL, LIGHT', '3', '', 'III', 'F-E,S-E', 'A', false],
+            ['1203', 'MOTOR SPIRIT or GASOLINE or PETROL', '3', '', 'II', 'F-E,S-E', 'E', false],
+            ['1210', 'PRINTING INK or PRINTING INK RELATED MATERIAL', '3', '', 'I II III', 'F-E,S-D', 'E B A', false],
+            ['1219', 'ISOPROPANOL or ISOPROPYL ALCOHOL', '3', '', 'II', 'F-E,S-D', 'B', false],
+            ['1223', 'KEROSENE', '3', '', 'III', 'F-E,S-E', 'A', false],
+            ['1230', 'METHANOL', '3', '6.1', 'II', 'F-E,S-D', 'B', false],
+            ['1263', 'PAINT or PAINT RELATED MATERIAL', '3', '', 'I II III', 'F-E,S-E', 'E B A', false],
+            ['1266', 'PERFUMERY PRODUCTS with flammable solvents', '3', '', 'II III', 'F-E,S-D', 'B A', false],
+            ['1268', 'PETROLEUM DISTILLATES, N.O.S. or PETROLEUM PRODUCTS, N.O.S.', '3', '', 'I II III', 'F-E,S-E', 'E B A', false],
+            ['1294', 'TOLUENE', '3', '', 'II', 'F-E,S-D', 'B', false],
+            ['1307', 'XYLENES', '3', '', 'II III', 'F-E,S-D', 'B A', false],
+            ['1325', 'FLAMMABLE SOLID, ORGANIC, N.O.S.', '4.1', '', 'II III', 'F-A,S-G', 'B B', false],
+            ['1350', 'SULPHUR', '4.1', '', 'III', 'F-A,S-G', 'A', false],
+            ['1361', 'CARBON, animal or vegetable origin', '4.2', '', 'II III', 'F-A,S-J', 'A A', false],
+            ['1362', 'CARBON, ACTIVATED', '4.2', '', 'III', 'F-A,S-J', 'A', false],
+            ['1363', 'COPRA', '4.2', '', 'III', 'F-A,S-J', 'A', false],
+            ['1402', 'CALCIUM CARBIDE', '4.3', '', 'I II', 'F-G,S-N', 'B B', false],
+            ['1428', 'SODIUM', '4.3', '', 'I', 'F-G,S-N', 'D', false],
+            ['1479', 'OXIDIZING SOLID, N.O.S.', '5.1', '', 'I II III', 'F-A,S-Q', 'C B A', false],
+            ['1486', 'POTASSIUM NITRATE', '5.1', '', 'III', 'F-A,S-Q', 'A', false],
+            ['1498', 'SODIUM NITRATE', '5.1', '', 'III', 'F-A,S-Q', 'A', false],
+            ['1547', 'ANILINE', '6.1', '', 'II', 'F-A,S-A', 'A', false],
+            ['1593', 'DICHLOROMETHANE', '6.1', '', 'III', 'F-A,S-A', 'A', false],
+            ['1648', 'ACETONITRILE', '3', '', 'II', 'F-E,S-D', 'B', false],
+            ['1719', 'CAUSTIC ALKALI LIQUID, N.O.S.', '8', '', 'II III', 'F-A,S-B', 'A A', false],
+            ['1748', 'CALCIUM HYPOCHLORITE, DRY or CALCIUM HYPOCHLORITE MIXTURE, DRY', '5.1', '', 'II III', 'F-H,S-Q', 'D D', true, 'SW1'],
+            ['1760', 'CORROSIVE LIQUID, N.O.S.', '8', '', 'I II III', 'F-A,S-B', 'B A A', false],
+            ['1789', 'HYDROCHLORIC ACID', '8', '', 'II III', 'F-A,S-B', 'C C', false],
+            ['1791', 'HYPOCHLORITE SOLUTION', '8', '', 'II III', 'F-A,S-B', 'B B', false],
+            ['1805', 'PHOSPHORIC ACID, SOLUTION', '8', '', 'III', 'F-A,S-B', 'A', false],
+            ['1823', 'SODIUM HYDROXIDE, SOLID', '8', '', 'II', 'F-A,S-B', 'A', false],
+            ['1824', 'SODIUM HYDROXIDE SOLUTION', '8', '', 'II III', 'F-A,S-B', 'A A', false],
+            ['1830', 'SULPHURIC ACID', '8', '', 'II', 'F-A,S-B', 'C', false],
+            ['1845', 'CARBON DIOXIDE, SOLID (DRY ICE)', '9', '', '', 'F-C,S-V', 'A', false],
+            ['1866', 'RESIN SOLUTION, flammable', '3', '', 'I II III', 'F-E,S-E', 'E B A', false],
+            ['1897', 'TETRACHLOROETHYLENE', '6.1', '', 'III', 'F-A,S-A', 'A', true],
+            ['1942', 'AMMONIUM NITRATE', '5.1', '', 'III', 'F-H,S-Q', 'C', false, 'SW1'],
+            ['1977', 'NITROGEN, REFRIGERATED LIQUID', '2.2', '', '', 'F-C,S-V', 'D', false],
+            ['1978', 'PROPANE', '2.1', '', '', 'F-D,S-U', 'E', false, 'SW2'],
+            ['1987', 'ALCOHOLS, N.O.S.', '3', '', 'II III', 'F-E,S-D', 'B A', false],
+            ['1992', 'FLAMMABLE LIQUID, TOXIC, N.O.S.', '3', '6.1', 'I II III', 'F-E,S-D', 'E B A', false],
+            ['1993', 'FLAMMABLE LIQUID, N.O.S.', '3', '', 'I II III', 'F-E,S-E', 'E B A', false],
+            ['2014', 'HYDROGEN PEROXIDE, AQUEOUS SOLUTION', '5.1', '8', 'II', 'F-H,S-Q', 'D', false, 'SW1'],
+            ['2067', 'AMMONIUM NITRATE BASED FERTILIZER', '5.1', '', 'III', 'F-H,S-Q', 'A', false, 'SW1'],
+            ['2211', 'POLYMERIC BEADS, EXPANDABLE', '9', '', 'III', 'F-A,S-I', 'E', false],
+            ['2216', 'FISH MEAL, STABILIZED or FISH SCRAP, STABILIZED', '9', '', 'III', 'F-A,S-J', 'A', false],
+            ['2315', 'POLYCHLORINATED BIPHENYLS, LIQUID', '9', '', 'II', 'F-A,S-A', 'A', true],
+            ['2794', 'BATTERIES, WET, FILLED WITH ACID', '8', '', 'III', 'F-A,S-B', 'A', false],
+            ['2814', 'INFECTIOUS SUBSTANCE, AFFECTING HUMANS', '6.2', '', '', 'F-A,S-T', 'C', false],
+            ['2880', 'CALCIUM HYPOCHLORITE, HYDRATED or CALCIUM HYPOCHLORITE, HYDRATED MIXTURE', '5.1', '', 'II III', 'F-H,S-Q', 'D D', true, 'SW1'],
+            ['2908', 'RADIOACTIVE MATERIAL, EXCEPTED PACKAGE - EMPTY PACKAGING', '7', '', '', 'F-I,S-S', 'A', false],
+            ['2915', 'RADIOACTIVE MATERIAL, TYPE A PACKAGE', '7', '', '', 'F-I,S-S', 'A', false],
+            ['2924', 'FLAMMABLE LIQUID, CORROSIVE, N.O.S.', '3', '8', 'I II III', 'F-E,S-C', 'E B A', false],
+            ['2990', 'LIFE-SAVING APPLIANCES, SELF-INFLATING', '9', '', '', 'F-A,S-V', 'A', false],
+            ['3065', 'ALCOHOLIC BEVERAGES', '3', '', 'II III', 'F-E,S-D', 'A A', false],
+            ['3077', 'ENVIRONMENTALLY HAZARDOUS SUBSTANCE, SOLID, N.O.S.', '9', '', 'III', 'F-A,S-F', 'A', true],
+            ['3082', 'ENVIRONMENTALLY HAZARDOUS SUBSTANCE, LIQUID, N.O.S.', '9', '', 'III', 'F-A,S-F', 'A', true],
+            ['3090', 'LITHIUM METAL BATTERIES', '9', '', '', 'F-A,S-I', 'A', false],
+            ['3091', 'LITHIUM METAL BATTERIES CONTAINED IN EQUIPMENT or LITHIUM METAL BATTERIES PACKED WITH EQUIPMENT', '9', '', '', 'F-A,S-I', 'A', false],
+            ['3103', 'ORGANIC PEROXIDE TYPE C, LIQUID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3104', 'ORGANIC PEROXIDE TYPE C, SOLID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3105', 'ORGANIC PEROXIDE TYPE D, LIQUID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3106', 'ORGANIC PEROXIDE TYPE D, SOLID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3107', 'ORGANIC PEROXIDE TYPE E, LIQUID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3108', 'ORGANIC PEROXIDE TYPE E, SOLID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3109', 'ORGANIC PEROXIDE TYPE F, LIQUID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3110', 'ORGANIC PEROXIDE TYPE F, SOLID', '5.2', '', '', 'F-J,S-R', 'D', false, 'SW1'],
+            ['3171', 'BATTERY-POWERED VEHICLE or BATTERY-POWERED EQUIPMENT', '9', '', '', 'F-A,S-I', 'A', false],
+            ['3226', 'SELF-REACTIVE SOLID TYPE D', '4.1', '', '', 'F-J,S-G', 'D', false, 'SW1'],
+            ['3257', 'ELEVATED TEMPERATURE LIQUID, N.O.S.', '9', '', 'III', 'F-A,S-P', 'D', false],
+            ['3264', 'CORROSIVE LIQUID, ACIDIC, INORGANIC, N.O.S.', '8', '', 'I II III', 'F-A,S-B', 'B A A', false],
+            ['3266', 'CORROSIVE LIQUID, BASIC, INORGANIC, N.O.S.', '8', '', 'I II III', 'F-A,S-B', 'B A A', false],
+            ['3291', 'CLINICAL WASTE, UNSPECIFIED, N.O.S.', '6.2', '', 'II', 'F-A,S-T', 'A', false],
+            ['3373', 'BIOLOGICAL SUBSTANCE, CATEGORY B', '6.2', '', '', 'F-A,S-T', 'A', false],
+            ['3480', 'LITHIUM ION BATTERIES', '9', '', '', 'F-A,S-I', 'A', false],
+            ['3481', 'LITHIUM ION BATTERIES CONTAINED IN EQUIPMENT or LITHIUM ION BATTERIES PACKED WITH EQUIPMENT', '9', '', '', 'F-A,S-I', 'A', false]
+        ];
+
+        const list = {};
+        for (const [un, psn, dgClass, subsidiary, packingGroups, ems, categories, marinePollutant, stowageCodes = ''] of rows) {
+            const groups = packingGroups ? packingGroups.split(' ') : [null];
+            const stowage = categories.split(' ');
+
+            list[un] = groups.map((packingGroup, index) => ({
+                psn: psn,
+                class: dgClass,
+                subsidiaryRisks: subsidiary ? subsidiary.split(' ') : [],
+                packingGroup: packingGroup,
+                ems: ems,
+                stowageCategory: stowage[index] || stowage[0],
+                stowageCodes: stowageCodes ? stowageCodes.split(' ') : [],
+                marinePollutant: marinePollutant
+            }));
+        }
+        return list;
+    }
+
+    /**
+     * Built-in list with the imported entries over it
+     */
+    load() {
+        return this.configTables.load('dg_list', this.getDefaultList());
+    }
+
+    /**
+     * Entries of a UN number (one per packing group), or null when it is not in the list
+     */
+    lookup(unNumber) {
+        const un = (unNumber || '').toString().replace(/\D/g, '').padStart(4, '0');
+        return this.entries[un] || null;
+    }
+
+    /**
+     * Entry count of the built-in list, the imported table and the merged list
+     */
+    getStatus() {
+        const imported = this.configTables.load('dg_list', {});
+        const builtIn = this.getDefaultList();
+        return {
+            builtIn: Object.keys(builtIn).length,
+            imported: Object.keys(imported).length,
+            total: Object.keys(this.entries).length
+        };
+    }
+
+    /**
+     * Import a DGL export (Excel or CSV, one row per UN number / packing group)
+     * Columns are found by header: UN, PSN / Name, Class, Subsidiary, PG, EmS, Stowage Category,
+     * Stowage Codes (or a combined "Stowage and handling" column: Category A SW1 ...), MP
+     * The import replaces any earlier import; the built-in entries stay underneath
+     */
+    async importList(filePath) {
+        try {
+            const workbook = new ExcelJS.Workbook();
+            const ext = path.extname(filePath).toLowerCase();
+
+            if (ext === '.csv' || ext === '.txt') {
+                await workbook.csv.readFile(filePath);
+            } else {
+                await workbook.xlsx.readFile(filePath);
+            }
+
+            const list = {};
+            let rowsRead = 0;
+
+            workbook.eachSheet(worksheet => {
+                const rows = [];
+                worksheet.eachRow(row => {
+                    rows.push(row.values.slice(1).map(cell => this.cellText(cell)));
+                });
+
+                const headerIndex = rows.findIndex(row => this.findColumns(row).un !== -1);
+                if (headerIndex === -1) return;
+
+                const columns = this.findColumns(rows[headerIndex]);
+                for (const row of rows.slice(headerIndex + 1)) {
+                    const entry = this.parseImportRow(row, columns);
+                    if (!entry) continue;
+
+                    list[entry.un] = list[entry.un] || [];
+                    list[entry.un].push(entry.data);
+                    rowsRead++;
+                }
+            });
+
+            if (rowsRead === 0) {
+                throw new Error('No DG List rows found (needs a UN number column and a class column)');
+            }
+
+            const result = this.configTables.save('dg_list', list);
+            if (!result.success) return result;
+
+            this.entries = this.load();
+            console.log(`📚 DG List imported from ${path.basename(filePath)}: ${Object.keys(list).length} UN numbers, ${rowsRead} entries`);
+
+            return { success: true, unNumbers: Object.keys(list).length, entries: rowsRead };
+        } catch (error) {
+            console.error('DG List import error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Drop the imported table and go back to the built-in entries
+     */
+    restoreBuiltIn() {
+        const result = this.configTables.save('dg_list', {});
+        if (result.success) {
+            this.entries = this.load();
+        }
+        return result;
+    }
+
+    findColumns(header) {
+        const find = pattern => header.findIndex(cell => pattern.test(cell));
+        const columns = {
+            un: find(/^un\b|un\s*no|un\s*number/i),
+            psn: find(/psn|proper shipping name|^name|description/i),
+            subsidiary: find(/sub\W*(risk|class|haz)|subsidiary/i),
+            packingGroup: find(/^pg$|packing\s*group/i),
+            ems: find(/^ems\b/i),
+            stowageCategory: find(/stowage\s*cat|^category$/i),
+            stowageCodes: find(/stowage\s*(code|and\s*handling)|^sw\b/i),
+            marinePollutant: find(/marine|pollutant|^mp$/i)
+        };
+        columns.class = header.findIndex((cell, index) => /class/i.test(cell) && index !== columns.subsidiary);
+        if (columns.class === -1) columns.un = -1;
+        return columns;
+    }
+
+    parseImportRow(row, columns) {
+        const get = col => (col === -1 ? '' : (row[col] || '').trim());
+
+        const un = get(columns.un).replace(/\D/g, '');
+        const dgClass = get(columns.class).match(/^\d(?:\.\d)?[A-HJKLNS]?/i);
+        if (un.length !== 4 || !dgClass) return null;
+
+        const packingGroup = this.normalizePackingGroup(get(columns.packingGroup));
+        const stowageText = get(columns.stowageCodes);
+        const combinedCategory = stowageText.match(/categ\w*\s*([A-E]|0[1-5])\b/i);
+        const stowageCategory = get(columns.stowageCategory).replace(/^Category\s*/i, '') || (combinedCategory ? combinedCategory[1] : '');
+
+        return {
+            un: un,
+            data: {
+                psn: get(columns.psn),
+                class: dgClass[0].toUpperCase(),
+                subsidiaryRisks: get(columns.subsidiary).match(/\d(?:\.\d)?/g) || [],
+                packingGroup: packingGroup,
+                ems: get(columns.ems).replace(/\s+/g, ''),
+                stowageCategory: stowageCategory.toUpperCase(),
+                stowageCodes: (stowageText.match(/SW\s*\d+/gi) || []).map(code => code.replace(/\s+/g, '').toUpperCase()),
+                marinePollutant: /^(p|pp|yes|y|true|x|mp)$/i.test(get(columns.marinePollutant))
+            }
+        };
+    }
+
+    /**
+     * I, II or III from 1 / 2 / 3, PG II, II, ...
+     */
+    normalizePackingGroup(value) {
+        if (value === undefined || value === null) return null;
+        const s = value.toString().toUpperCase().replace(/P\.?G\.?|PACKING\s*GROUP/g, '').trim();
+        return { 1: 'I', 2: 'II', 3: 'III', I: 'I', II: 'II', III: 'III' }[s] || null;
+    }
+
+    cellText(cell) {
+        if (cell === undefined || cell === null) return '';
+        if (typeof cell === 'object' && cell.richText) return cell.richText.map(part => part.text).join('');
+        if (typeof cell === 'object' && 'result' in cell) return String(cell.result);
+        return String(cell);
+    }
+}
+
+module.exports = DGList;
@@ -0,0 +1,251 @@
+const ExcelJS = require('exceljs');
+const DGList = require('./dg-list');
+const ShipProfile = require('./ship-profile');
+const StowagePosition = require('./stowage-position');
+const ReportSheet = require('./report-sheet');
+
+/**
+ * DG Next to Reefers
+ * Combines the reefer list stowage (CT Stowage) with the DG stowage (DG Checker) and reports
+ * heat-sensitive DG units in slots next to plugged reefers, whose compressors are heat sources.
+ * Every reefer on the reefer list counts as plugged.
+ */
+class DGReeferAdjacency {
+    /**
+     * @param {DGList} dgList - UN number reference (class, packing group, SW1 stowage code)
+     * @param {ShipProfile} shipProfile - Centre row setting for counting rows athwartships
+     */
+    constructor(dgList = new DGList(), shipProfile = new ShipProfile()) {
+        this.dgList = dgList;
+        this.shipProfile = shipProfile;
+        this.results = null;
+    }
+
+    /**
+     * Default adjacency and sensitivity settings
+     * stack: the slots directly above and below; rows / bays: neighbouring rows athwartships
+     * and 20ft bays fore and aft in the same tier (0 = not checked); flashpointLimit: class 3
+     * below this flashpoint (°C) counts as low-flashpoint
+     */
+    getDefaultOptions() {
+        return { stack: true, rows: 1, bays: 1, flashpointLimit: 23 };
+    }
+
+    /**
+     * Check every stowed DG line against the reefer positions
+     * @param {Object} sources
+     * @param {Object} sources.reeferStowage - containerId -> stowage, from the CT reefer list
+     * @param {Array} sources.dgLines - DG stowage lines { containerId, unNumber, class, packingGroup, psn, stowage }
+     * @param {Array} sources.manifestLines - DG manifest lines (flashpoint, PG, PSN missing from the stowage file)
+     * @param {Object} sources.options - See getDefaultOptions
+     * @returns {Object} { findings, notChecked, options, summary }
+     */
+    check(sources = {}) {
+        const { reeferStowage = {}, dgLines = [], manifestLines = [] } = sources;
+        const options = this.cleanOptions(sources.options);
+        const profile = this.shipProfile.load();
+
+        const reefers = Object.entries(reeferStowage)
+            .map(([containerId, stowage]) => ({ containerId, position: StowagePosition.parse(stowage) }))
+            .filter(reefer => reefer.position);
+
+        const positions = [...reefers.map(reefer => reefer.position), ...dgLines.map(line => StowagePosition.parse(line.stowage)).filter(Boolean)];
+        const centreRow = profile.centreRow === 'auto' ? positions.some(position => position.row === 0) : profile.centreRow;
+
+        // Manifest details by container and UN number
+        const manifest = new Map();
+        manifestLines.forEach(line => {
+            const key = this.lineKey(line);
+            if (key && !manifest.has(key)) manifest.set(key, line);
+        });
+
+        const findings = [];
+        const notChecked = [];
+        let sensitive = 0;
+
+        for (const line of dgLines) {
+            if (!line.containerId) continue;
+
+            const details = { ...(manifest.get(this.lineKey(line)) || {}), ...this.definedFields(line) };
+            const basis = this.heatSensitivity(details, options.flashpointLimit);
+            if (!basis) continue;
+            sensitive++;
+
+            const position = StowagePosition.parse(line.stowage);
+            if (!position) {
+                notChecked.push({ containerId: line.containerId, unNumber: details.unNumber || '', reason: 'No stowage position' });
+                continue;
+            }
+
+            const neighbours = [];
+            for (const reefer of reefers) {
+                if (reefer.containerId === line.containerId) continue;
+                const relation = this.relation(position, reefer.position, options, centreRow);
+                if (relation) {
+                    neighbours.push({ containerId: reefer.containerId, stowage: reefer.position.toString(), relation });
+                }
+            }
+
+            if (neighbours.length > 0) {
+                findings.push({
+                    containerId: line.containerId,
+                    stowage: position.toString(),
+                    unNumber: details.unNumber || '',
+                    class: details.class || '',
+                    basis: basis,
+                    reefers: neighbours
+                });
+            }
+        }
+
+        findings.sort((a, b) => StowagePosition.compare(StowagePosition.parse(a.stowage), StowagePosition.parse(b.stowage)));
+
+        const summary = {
+            reefers: reefers.length,
+            dgLines: dgLines.length,
+            sensitive: sensitive,
+            adjacent: findings.length,
+            containers: new Set(findings.map(finding => finding.containerId)).size,
+            notChecked: notChecked.length
+        };
+
+        console.log(`\n🔥 DG NEXT TO REEFERS: ${summary.sensitive} heat-sensitive DG lines, ${summary.adjacent} next to one of ${summary.reefers} plugged reefers`);
+
+        this.results = { findings, notChecked, options, summary };
+        return this.results;
+    }
+
+    cleanOptions(options = {}) {
+        const defaults = this.getDefaultOptions();
+        const count = (value, fallback) => {
+            const parsed = parseInt(value, 10);
+            return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+        };
+        const limit = parseFloat(options.flashpointLimit);
+
+        return {
+            stack: options.stack === undefined ? defaults.stack : Boolean(options.stack),
+            rows: count(options.rows, defaults.rows),
+            bays: count(options.bays, defaults.bays),
+            flashpointLimit: isNaN(limit) ? defaults.flashpointLimit : limit
+        };
+    }
+
+    /**
+     * Why a DG line is kept away from reefers, or null: organic peroxides, self-reactive
+     * substances, low-flashpoint class 3 and entries with SW1 (protected from sources of heat)
+     */
+    heatSensitivity(line, flashpointLimit) {
+        const entries = line.unNumber ? this.dgList.lookup(line.unNumber) || [] : [];
+        const entry = entries.find(candidate => candidate.packingGroup === line.packingGroup) || entries[0] || {};
+        const dgClass = (String(line.class || entry.class || '').match(/^\d(?:\.\d)?/) || [''])[0];
+        const un = parseInt(String(line.unNumber || '').replace(/\D/g, ''), 10);
+        const psn = `${line.psn || ''} ${entry.psn || ''}`;
+
+        if (dgClass === '5.2') {
+            return 'Organic peroxide (5.2)';
+        }
+        if (dgClass === '4.1' && ((un >= 3221 && un <= 3240) || /SELF-REACTIVE/i.test(psn))) {
+            return 'Self-reactive substance (4.1)';
+        }
+        if (dgClass === '3') {
+            const flashpoint = typeof line.flashpoint === 'number' ? line.flashpoint : parseFloat(line.flashpoint);
+            if (!isNaN(flashpoint)) {
+                return flashpoint < flashpointLimit ? `Class 3, flashpoint ${flashpoint} °C` : null;
+            }
+            // Packing groups I and II have a flashpoint below 23 °C
+            const packingGroup = line.packingGroup || (entries.length === 1 ? entries[0].packingGroup : null);
+            if (packingGroup === 'I' || packingGroup === 'II') {
+                return `Class 3 PG ${packingGroup} (flashpoint below 23 °C)`;
+            }
+            if (packingGroup === 'III') {
+                return flashpointLimit > 23 ? 'Class 3 PG III, flashpoint not given' : null;
+            }
+            return 'Class 3, flashpoint and packing group not given';
+        }
+        if ((entry.stowageCodes || []).includes('SW1')) {
+            return 'SW1 Protected from sources of heat';
+        }
+        return null;
+    }
+
+    /**
+     * How a reefer slot neighbours a DG slot, or null when it does not
+     */
+    relation(dg, reefer, options, centreRow) {
+        // Slots apart: 0 = same bay / row, 1 = next one
+        const bayGap = dg.slotsBetween(reefer) + 1;
+        const rowGap = dg.rowsBetween(reefer, centreRow) + 1;
+
+        if (options.stack && bayGap === 0 && rowGap === 0 && Math.abs(dg.tier - reefer.tier) === 2) {
+            return reefer.tier > dg.tier ? 'Same stack, above' : 'Same stack, below';
+        }
+        if (dg.tier !== reefer.tier) return null;
+
+        if (bayGap === 0 && rowGap > 0 && rowGap <= options.rows) {
+            return rowGap === 1 ? 'Next row' : `${rowGap} rows athwartships`;
+        }
+        if (rowGap === 0 && bayGap > 0 && bayGap <= options.bays) {
+            const direction = reefer.bay < dg.bay ? 'forward' : 'aft';
+            return bayGap === 1 ? `Next bay ${direction}` : `${bayGap} bays ${direction}`;
+        }
+        return null;
+    }
+
+    lineKey(line) {
+        if (!line.containerId) return null;
+        return `${String(line.containerId).replace(/[^A-Z0-9]/gi, '').toUpperCase()}|${String(line.unNumber || '').replace(/\D/g, '')}`;
+    }
+
+    definedFields(line) {
+        return Object.fromEntries(Object.entries(line).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    }
+
+    /**
+     * Export: Summary and one row per DG unit / reefer pair
+     */
+    async exportResults(outputPath) {
+        try {
+            if (!this.results) {
+                throw new Error('No DG / reefer adjacency results to export');
+            }
+
+            const { summary, options, findings, notChecked } = this.results;
+            const workbook = new ExcelJS.Workbook();
+
+            const summarySheet = ReportSheet.add(workbook, 'Summary', ['Item', 'Value']);
+            [
+                ['Plugged reefers (reefer list)', summary.reefers],
+                ['DG lines (stowage)', summary.dgLines],
+                ['Heat-sensitive DG lines', summary.sensitive],
+                ['Next to a reefer', summary.adjacent],
+                ['Not checked (no stowage)', summary.notChecked],
+                ['Same stack', options.stack ? 'Yes' : 'No'],
+                ['Neighbouring rows', options.rows],
+                ['Neighbouring bays', options.bays],
+                ['Class 3 flashpoint limit (°C)', options.flashpointLimit]
+            ].forEach(row => summarySheet.addRow(row));
+
+            const sheet = ReportSheet.add(workbook, 'DG_Next_To_Reefers', ['DG Container', 'DG Stowage', 'UN Number', 'Class', 'Why', 'Reefer', 'Reefer Stowage', 'Position']);
+            findings.forEach(finding => {
+                finding.reefers.forEach(reefer => {
+                    sheet.addRow([finding.containerId, finding.stowage, finding.unNumber, finding.class, finding.basis, reefer.containerId, reefer.stowage, reefer.relation]);
+                });
+            });
+
+            if (notChecked.length > 0) {
+                sheet.addRow([]);
+                sheet.addRow(['Not checked']).font = { bold: true };
+                notChecked.forEach(item => sheet.addRow([item.containerId, '', item.unNumber, '', item.reason]));
+            }
+
+            await workbook.xlsx.writeFile(outputPath);
+            return { success: true, outputPath: outputPath };
+        } catch (error) {
+            console.error('DG / reefer adjacency export error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = DGReeferAdjacency;
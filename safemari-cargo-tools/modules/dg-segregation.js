@@ -0,0 +1,334 @@
+const ShipProfile = require('./ship-profile');
+const StowagePosition = require('./stowage-position');
+
+/**
+ * DG Segregation Checker
+ * Applies the IMDG class-vs-class segregation table (7.2.4) to the stowed DG units and
+ * measures each pair on the bay/row/tier grid with the containership rules for closed
+ * freight containers (7.4.3.3). Subsidiary risks are segregated like primary classes;
+ * the strictest requirement of any class pair governs.
+ */
+class DGSegregationChecker {
+    /**
+     * @param {ShipProfile} shipProfile - On-deck tier, hold boundaries and bay length
+     */
+    constructor(shipProfile = new ShipProfile()) {
+        this.shipProfile = shipProfile;
+        this.table = this.getSegregationTable();
+    }
+
+    /**
+     * Segregation terms (IMDG 7.2.2)
+     */
+    getRequirements() {
+        return {
+            1: 'Away from',
+            2: 'Separated from',
+            3: 'Separated by a complete compartment or hold from',
+            4: 'Separated longitudinally by an intervening complete compartment or hold from'
+        };
+    }
+
+    /**
+     * IMDG 7.2.4 segregation table
+     * 1-4: requirement, X: none in general (see the Dangerous Goods List), *: class 1 vs class 1 (7.2.7)
+     * @returns {Object} class -> class -> '1' | '2' | '3' | '4' | 'X' | '*'
+     */
+    getSegregationTable() {
+        const classes = ['1.1', '1.3', '1.4', '2.1', '2.2', '2.3', '3', '4.1', '4.2', '4.3', '5.1', '5.2', '6.1', '6.2', '7', '8', '9'];
+        const rows = {
+            '1.1': '* * * 4 2 2 4 4 4 4 4 4 2 4 2 4 X', // 1.1, 1.2, 1.5
+            '1.3': '* * * 4 2 2 4 3 3 4 4 4 2 4 2 2 X', // 1.3, 1.6
+            '1.4': '* * * 2 1 1 2 2 2 2 2 2 X 4 2 2 X',
+            '2.1': '4 4 2 X X X 2 1 2 X 2 2 X 4 2 1 X',
+            '2.2': '2 2 1 X X X 1 X 1 X X 1 X 2 1 X X',
+            '2.3': '2 2 1 X X X 2 X 2 X X 2 X 2 1 X X',
+            '3':   '4 4 2 2 1 2 X X 2 1 2 2 X 3 2 X X',
+            '4.1': '4 3 2 1 X X X X 1 X 1 2 X 3 2 1 X',
+            '4.2': '4 3 2 2 1 2 2 1 X 1 2 2 1 3 2 1 X',
+            '4.3': '4 4 2 X X X 1 X 1 X 2 2 X 2 2 1 X',
+            '5.1': '4 4 2 2 X X 2 1 2 2 X 2 1 3 1 2 X',
+            '5.2': '4 4 2 2 1 2 2 2 2 2 2 X 1 3 2 2 X',
+            '6.1': '2 2 X X X X X X 1 X 1 1 X 1 X X X',
+            '6.2': '4 4 4 4 2 2 3 3 3 2 3 3 1 X 3 3 X',
+            '7':   '2 2 2 2 1 1 2 2 2 2 1 2 X 3 X 2 X',
+            '8':   '4 2 2 1 X X X 1 1 1 2 2 X 3 2 X X',
+            '9':   'X X X X X X X X X X X X X X X X X'
+        };
+
+        const table = {};
+        for (const [rowClass, values] of Object.entries(rows)) {
+            table[rowClass] = {};
+            values.split(' ').forEach((value, index) => {
+                table[rowClass][classes[index]] = value;
+            });
+        }
+        return table;
+    }
+
+    /**
+     * Check every pair of stowed DG units
+     * @param {Array} items - DG stowage lines { containerId, unNumber, class, subsidiaryRisks, stowage }
+     * @returns {Object} { violations, manualChecks, notChecked, checked, holdsConfigured, tierThreshold, summary }
+     */
+    check(items) {
+        const profile = this.shipProfile.load();
+        this.shipProfile.profile = profile;
+        const requirements = this.getRequirements();
+
+        const { units, notChecked } = this.collectUnits(items);
+        const centreRow = profile.centreRow === 'auto' ? units.some(unit => unit.position.row === 0) : profile.centreRow;
+
+        console.log(`\n🧪 DG SEGREGATION CHECK: ${units.length} stowed DG units (${notChecked.length} without position or class)`);
+        if (!this.shipProfile.holdsConfigured) {
+            console.log('   ⚠️ No holds in the ship profile: each 40ft bay is taken as a compartment');
+        }
+
+        const violations = [];
+        const manualChecks = [];
+
+        for (let i = 0; i < units.length; i++) {
+            for (let j = i + 1; j < units.length; j++) {
+                const a = units[i];
+                const b = units[j];
+                const requirement = this.getRequirement(a.classes, b.classes);
+                if (!requirement.code && !requirement.manual) continue;
+
+                const separation = this.measureSeparation(a, b, profile, centreRow);
+
+                if (requirement.manual && separation.sameCompartment) {
+                    manualChecks.push({
+                        ...this.describePair(a, b),
+                        reason: 'Class 1 with class 1: check compatibility groups (IMDG 7.2.7)',
+                        actual: this.describeSeparation(separation)
+                    });
+                }
+
+                if (!requirement.code) continue;
+
+                const rule = this.evaluate(requirement.code, separation);
+                if (!rule.compliant) {
+                    violations.push({
+                        ...this.describePair(a, b),
+                        requirement: requirement.code,
+                        requirementLabel: requirements[requirement.code],
+                        governingClasses: requirement.classes.join(' / '),
+                        required: rule.required,
+                        actual: this.describeSeparation(separation)
+                    });
+                }
+            }
+        }
+
+        violations.sort((x, y) => (y.requirement - x.requirement) || x.stowageA.localeCompare(y.stowageA));
+
+        const summary = {
+            checked: units.length,
+            notChecked: notChecked.length,
+            violations: violations.length,
+            manualChecks: manualChecks.length
+        };
+
+        console.log(`   ❌ Segregation violations: ${summary.violations}, 🔎 Class 1 pairs to check: ${summary.manualChecks}`);
+
+        return {
+            violations,
+            manualChecks,
+            notChecked,
+            checked: units.length,
+            holdsConfigured: this.shipProfile.holdsConfigured,
+            tierThreshold: profile.tierThreshold,
+            summary
+        };
+    }
+
+    /**
+     * One unit per container: all of its lines' primary and subsidiary classes at its position
+     */
+    collectUnits(items) {
+        const byContainer = new Map();
+        const notChecked = [];
+
+        for (const item of items || []) {
+            if (!item.containerId) continue;
+            if (!byContainer.has(item.containerId)) {
+                byContainer.set(item.containerId, { containerId: item.containerId, stowage: null, unNumbers: [], classes: [] });
+            }
+            const unit = byContainer.get(item.containerId);
+            unit.stowage = unit.stowage || item.stowage || null;
+            if (item.unNumber && !unit.unNumbers.includes(item.unNumber)) unit.unNumbers.push(item.unNumber);
+
+            for (const cls of [item.class, ...(item.subsidiaryRisks || [])]) {
+                const normalized = this.normalizeClass(cls);
+                if (normalized && !unit.classes.includes(normalized)) unit.classes.push(normalized);
+            }
+        }
+
+        const units = [];
+        for (const unit of byContainer.values()) {
+            unit.position = StowagePosition.parse(unit.stowage);
+            if (!unit.position) {
+                notChecked.push({ containerId: unit.containerId, reason: unit.stowage ? `Unreadable position ${unit.stowage}` : 'No stowage position' });
+            } else if (unit.classes.length === 0) {
+                notChecked.push({ containerId: unit.containerId, reason: 'No DG class' });
+            } else {
+                units.push(unit);
+            }
+        }
+
+        return { units, notChecked };
+    }
+
+    /**
+     * Strictest requirement between two sets of classes
+     * @returns {Object} { code: 0-4, classes: [classA, classB], manual: class 1 vs class 1 }
+     */
+    getRequirement(classesA, classesB) {
+        const result = { code: 0, classes: [], manual: false };
+
+        for (const classA of classesA) {
+            for (const classB of classesB) {
+                for (const keyA of this.tableKeys(classA)) {
+                    for (const keyB of this.tableKeys(classB)) {
+                        const value = this.table[keyA][keyB];
+                        if (value === '*') {
+                            result.manual = true;
+                        } else if (value !== 'X' && parseInt(value, 10) > result.code) {
+                            result.code = parseInt(value, 10);
+                            result.classes = [classA, classB];
+                        }
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Table rows of a class; a class given without division takes all of its divisions
+     */
+    tableKeys(dgClass) {
+        const match = (dgClass || '').toString().match(/^(\d)(?:\.(\d))?/);
+        if (!match) return [];
+
+        const [, main, division] = match;
+        if (main === '1') {
+            if (!division) return ['1.1'];
+            return { 3: ['1.3'], 6: ['1.3'], 4: ['1.4'] }[division] || ['1.1'];
+        }
+
+        const divisions = Object.keys(this.table).filter(key => key.split('.')[0] === main);
+        if (division && this.table[`${main}.${division}`]) return [`${main}.${division}`];
+        return divisions;
+    }
+
+    /**
+     * Class as listed on manifests: 3, 5.1, 1.4S, Class 8, (6.1)
+     */
+    normalizeClass(dgClass) {
+        if (dgClass === undefined || dgClass === null) return null;
+        const match = dgClass.toString().toUpperCase().match(/(\d)(?:\.(\d))?\s*([A-HJKLNS])?/);
+        if (!match || match[1] === '0') return null;
+        return `${match[1]}${match[2] ? `.${match[2]}` : ''}${match[1] === '1' && match[3] ? match[3] : ''}`;
+    }
+
+    measureSeparation(a, b, profile, centreRow) {
+        const baysBetween = a.position.slotsBetween(b.position);
+
+        const onDeckA = a.position.isOnDeck(profile.tierThreshold);
+        const onDeckB = b.position.isOnDeck(profile.tierThreshold);
+        const holdA = this.shipProfile.holdIndex(a.position);
+        const holdB = this.shipProfile.holdIndex(b.position);
+        const rowsBetween = a.position.rowsBetween(b.position, centreRow);
+
+        return {
+            level: onDeckA && onDeckB ? 'deck' : !onDeckA && !onDeckB ? 'hold' : 'mixed',
+            baysBetween: baysBetween,
+            rowsBetween: rowsBetween,
+            sameVerticalLine: baysBetween === -1 && rowsBetween === -1,
+            bulkheads: holdA === null || holdB === null ? 0 : Math.abs(holdA - holdB),
+            sameCompartment: holdA === holdB,
+            distance: Math.max(baysBetween, 0) * profile.bayLength
+        };
+    }
+
+    /**
+     * Containership rules for closed freight containers (IMDG 7.4.3.3)
+     * A hatch cover between an on-deck and an under-deck unit counts as the segregating deck
+     * @returns {Object} { compliant, required }
+     */
+    evaluate(code, separation) {
+        const { level, baysBetween, rowsBetween, sameVerticalLine, bulkheads, distance } = separation;
+
+        switch (code) {
+            case 1:
+                // Closed containers: one on top of the other permitted, no horizontal restriction
+                return { compliant: true, required: 'No restriction for closed containers' };
+
+            case 2:
+                return {
+                    compliant: level === 'mixed' || baysBetween >= 1 || rowsBetween >= 1,
+                    required: 'One container space fore-and-aft or athwartships, or a deck between'
+                };
+
+            case 3:
+                if (level === 'mixed') {
+                    return { compliant: true, required: 'Not in the same vertical line unless segregated by a deck' };
+                }
+                if (level === 'deck') {
+                    return {
+                        compliant: baysBetween >= 1 || rowsBetween >= 2,
+                        required: 'On deck: one container space fore-and-aft or two athwartships'
+                    };
+                }
+                return { compliant: bulkheads >= 1, required: 'Under deck: one bulkhead (different holds)' };
+
+            case 4:
+                if (sameVerticalLine) {
+                    return { compliant: false, required: 'Not in the same vertical line; separated fore-and-aft only' };
+                }
+                if (level === 'deck') {
+                    return { compliant: distance >= 24, required: 'On deck: 24 m fore-and-aft' };
+                }
+                return {
+                    compliant: bulkheads >= 1 && distance >= 24,
+                    required: 'An intervening bulkhead and 24 m fore-and-aft'
+                };
+
+            default:
+                return { compliant: true, required: '' };
+        }
+    }
+
+    describePair(a, b) {
+        return {
+            containerA: a.containerId,
+            containerB: b.containerId,
+            unA: a.unNumbers.join(', '),
+            unB: b.unNumbers.join(', '),
+            classA: a.classes.join(', '),
+            classB: b.classes.join(', '),
+            stowageA: a.position.toString(),
+            stowageB: b.position.toString()
+        };
+    }
+
+    describeSeparation(separation) {
+        const { level, baysBetween, rowsBetween, sameVerticalLine, bulkheads, distance } = separation;
+        const parts = [{ deck: 'Both on deck', hold: 'Both under deck', mixed: 'One on deck, one under deck' }[level]];
+
+        if (sameVerticalLine) {
+            parts.push('same vertical line');
+        } else {
+            parts.push(baysBetween < 0 ? 'same bay' : `${baysBetween} bay${baysBetween === 1 ? '' : 's'} between`);
+            parts.push(rowsBetween < 0 ? 'same row' : `${rowsBetween} row${rowsBetween === 1 ? '' : 's'} between`);
+        }
+        parts.push(`${bulkheads} bulkhead${bulkheads === 1 ? '' : 's'}`);
+        if (distance > 0) parts.push(`~${distance.toFixed(1)} m fore-and-aft`);
+
+        return parts.join(', ');
+    }
+}
+
+module.exports = DGSegregationChecker;
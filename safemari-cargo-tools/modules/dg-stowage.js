@@ -0,0 +1,161 @@
+const ShipProfile = require('./ship-profile');
+const StowagePosition = require('./stowage-position');
+
+/**
+ * DG Stowage Checker
+ * Checks each stowed DG line against the stowage category (IMDG 7.1.3, cargo ships) and the
+ * position-related stowage codes of its Dangerous Goods List entry: on deck / under deck from
+ * the tier, accommodation and heated-structure bays from the ship profile
+ */
+class DGStowageChecker {
+    /**
+     * @param {ShipProfile} shipProfile - On-deck tier, accommodation and heat-source bays
+     */
+    constructor(shipProfile = new ShipProfile()) {
+        this.shipProfile = shipProfile;
+    }
+
+    /**
+     * Stowage categories for cargo ships (and passenger ships within the 25 passenger limit)
+     * Class 1: 01-05 (7.1.3.1), other classes: A-E (7.1.3.2)
+     */
+    getStowageCategories() {
+        const both = { underDeck: true, label: 'On deck or under deck' };
+        const deckOnly = { underDeck: false, label: 'On deck only' };
+        return {
+            '01': both, '02': both, '03': both, '04': both, '05': { underDeck: false, label: 'On deck only (closed cargo transport unit)' },
+            A: both, B: both, C: deckOnly, D: deckOnly, E: both
+        };
+    }
+
+    /**
+     * Stowage codes measured against the ship profile zones (7.1.5, terms in 7.1.2)
+     */
+    getStowageCodes() {
+        return {
+            SW1: { zone: 'heatSources', label: 'Protected from sources of heat', required: 'At least 2.4 m from heated ship structures' },
+            SW2: { zone: 'accommodation', label: 'Clear of living quarters', required: 'At least 3 m from accommodation, air intakes and machinery spaces' }
+        };
+    }
+
+    /**
+     * Check every stowed DG line
+     * @param {Array} items - DG stowage lines { containerId, unNumber, class, packingGroup, stowage }
+     * @param {DGList} dgList - UN number reference with stowage category and codes
+     * @returns {Object} { violations, notChecked, checked, tierThreshold, zones, summary }
+     */
+    check(items, dgList) {
+        const profile = this.shipProfile.load();
+        this.shipProfile.profile = profile;
+        const categories = this.getStowageCategories();
+        const codes = this.getStowageCodes();
+
+        const violations = [];
+        const notChecked = [];
+        let checked = 0;
+
+        for (const item of items || []) {
+            if (!item.containerId || !item.unNumber) continue;
+
+            const position = StowagePosition.parse(item.stowage);
+            const entries = dgList.lookup(item.unNumber);
+            if (!position || !entries) {
+                notChecked.push({ containerId: item.containerId, unNumber: item.unNumber, reason: position ? 'UN number not in the DG List' : 'No stowage position' });
+                continue;
+            }
+
+            const { entry, assumed } = this.pickEntry(entries, item.packingGroup);
+            const onDeck = position.isOnDeck(profile.tierThreshold);
+            const unit = {
+                containerId: item.containerId,
+                stowage: position.toString(),
+                level: onDeck ? 'On deck' : 'Under deck',
+                unNumber: item.unNumber,
+                class: item.class || entry.class,
+                stowageCategory: entry.stowageCategory || '',
+                note: assumed ? 'Packing group not given: strictest DG List entry applied' : ''
+            };
+
+            const category = categories[entry.stowageCategory];
+            if (!category) {
+                notChecked.push({ containerId: item.containerId, unNumber: item.unNumber, reason: 'No stowage category in the DG List' });
+            } else {
+                checked++;
+                if (!category.underDeck && !onDeck) {
+                    violations.push({
+                        ...unit,
+                        rule: `Stowage category ${entry.stowageCategory}`,
+                        required: category.label,
+                        actual: `Under deck (tier ${String(position.tier).padStart(2, '0')})`
+                    });
+                }
+            }
+
+            for (const code of entry.stowageCodes || []) {
+                const rule = codes[code];
+                if (!rule) continue;
+
+                if (!this.shipProfile.zonesConfigured(rule.zone)) {
+                    notChecked.push({ containerId: item.containerId, unNumber: item.unNumber, reason: `${code} ${rule.label}: no ${rule.zone === 'heatSources' ? 'heat-source' : 'accommodation'} bays in the ship profile` });
+                    continue;
+                }
+
+                const zones = this.shipProfile.zonesAt(position, rule.zone);
+                if (zones.length > 0) {
+                    violations.push({
+                        ...unit,
+                        rule: `${code} ${rule.label}`,
+                        required: rule.required,
+                        actual: `${unit.level} in ${zones.map(zone => `${zone.name} (bays ${zone.fromBay}-${zone.toBay})`).join(', ')}`
+                    });
+                }
+            }
+        }
+
+        violations.sort((a, b) => StowagePosition.compare(StowagePosition.parse(a.stowage), StowagePosition.parse(b.stowage)));
+
+        const summary = {
+            checked: checked,
+            violations: violations.length,
+            categoryViolations: violations.filter(v => v.rule.startsWith('Stowage category')).length,
+            codeViolations: violations.filter(v => !v.rule.startsWith('Stowage category')).length,
+            notChecked: notChecked.length
+        };
+
+        console.log(`\n🏗️ DG STOWAGE CHECK: ${checked} stowed DG lines, ${summary.categoryViolations} stowage category and ${summary.codeViolations} stowage code violations`);
+
+        return {
+            violations,
+            notChecked,
+            checked,
+            tierThreshold: profile.tierThreshold,
+            zones: {
+                accommodation: this.shipProfile.zonesConfigured('accommodation'),
+                heatSources: this.shipProfile.zonesConfigured('heatSources')
+            },
+            summary
+        };
+    }
+
+    /**
+     * DG List entry for the packing group; without one, the strictest entry (deck-only
+     * category first) with the stowage codes of all entries
+     * @returns {Object} { entry, assumed }
+     */
+    pickEntry(entries, packingGroup) {
+        const match = packingGroup && entries.find(entry => entry.packingGroup === packingGroup);
+        if (match || entries.length === 1) {
+            return { entry: match || entries[0], assumed: false };
+        }
+
+        const categories = this.getStowageCategories();
+        const strictest = entries.find(entry => categories[entry.stowageCategory] && !categories[entry.stowageCategory].underDeck) || entries[0];
+        const stowageCodes = [...new Set(entries.flatMap(entry => entry.stowageCodes || []))];
+        const differs = entries.some(entry => entry.stowageCategory !== strictest.stowageCategory ||
+            stowageCodes.some(code => !(entry.stowageCodes || []).includes(code)));
+
+        return { entry: { ...strictest, stowageCodes }, assumed: differs };
+    }
+}
+
+module.exports = DGStowageChecker;
@@ -3,6 +3,11 @@ const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const fs = require('fs');
 const path = require('path');
+const StowagePosition = require('./stowage-position');
+const ShipProfile = require('./ship-profile');
+const DGSegregationChecker = require('./dg-segregation');
+const DGStowageChecker = require('./dg-stowage');
+const DGList = require('./dg-list');
 
 /**
  * DG (Dangerous Goods) Manifest Checker Module
@@ -13,6 +18,10 @@ class DGChecker {
         this.pdfData = null;
         this.excelData = null;
         this.results = null;
+        this.shipProfile = new ShipProfile();
+        this.segregationChecker = new DGSegregationChecker(this.shipProfile);
+        this.stowageChecker = new DGStowageChecker(this.shipProfile);
+        this.dgList = new DGList();
     }
 
     /**
@@ -55,6 +64,9 @@ class DGChecker {
 
             // Validation with processing validation
             this.results = this.validateDGData();
+            this.results.segregation = this.segregationChecker.check(this.stowageData);
+            this.results.dgListCheck = this.validateAgainstDGList();
+            this.results.stowageCheck = this.stowageChecker.check(this.stowageData, this.dgList);
             const validation = this.validateProcessing();
 
             return {
@@ -167,6 +179,12 @@ class DGChecker {
                 }
             }
             
+            // Number of packages (10 DRUMS, 4 X IBC)
+            if (!dgItem.quantity && trimmed.length <= 20 && this.parsePackageCount(trimmed) !== null) {
+                dgItem.quantity = this.parsePackageCount(trimmed);
+                continue;
+            }
+            
             // Weight
             if (!dgItem.weight && /^\d+(?:\.\d+)?\s*(?:KG|MT|T)$/i.test(trimmed)) {
                 dgItem.weight = parseFloat(trimmed.replace(/[^\d.]/g, ''));
@@ -182,6 +200,12 @@ class DGChecker {
                 }
             }
             
+            // Packing group
+            if (!dgItem.packingGroup && /^(?:P\.?G\.?\s*)?I{1,3}$/i.test(trimmed)) {
+                dgItem.packingGroup = this.dgList.normalizePackingGroup(trimmed);
+                continue;
+            }
+            
             // PSN - last resort
             if (!dgItem.psn && trimmed.length > 3 && !/^\d+$/.test(trimmed)) {
                 dgItem.psn = trimmed;
@@ -402,18 +426,18 @@ class DGChecker {
         
         // Method 1: Line-by-line contextual parsing
         const lineItems = this.extractDGFromLines(lines);
-        dgItems.push(...lineItems);
+        dgItems.push(this.mergeDGItems(lineItems));
         
         // Method 2: Tabular data extraction
         const tabularItems = this.extractDGFromTabular(text);
-        dgItems.push(...tabularItems);
+        dgItems.push(this.mergeDGItems(tabularItems));
         
         // Method 3: Block-based extraction
         const blockItems = this.extractDGFromBlocks(text);
-        dgItems.push(...blockItems);
+        dgItems.push(this.mergeDGItems(blockItems));
         
-        // Deduplicate and merge
-        return this.mergeDGItems(dgItems);
+        // Each pass finds the same lines: combine them line for line
+        return this.combineDGPasses(dgItems);
     }
     
     /**
@@ -423,6 +447,7 @@ class DGChecker {
         const dgItems = [];
         let currentContainer = null;
         let currentDG = {};
+        let lookAheadEnd = -1;
         
         console.log(`\n🔍 DETAILED LINE-BY-LINE ANALYSIS:`);
         
@@ -450,8 +475,13 @@ class DGChecker {
                 
                 // Enhanced look-ahead with context preservation
                 console.log(`   🔍 Looking ahead for DG data...`);
+                lookAheadEnd = i;
                 for (let j = i + 1; j < Math.min(i + 8, lines.length); j++) {
                     const nextLine = lines[j].trim();
+                    if (this.startsNextDGLine(nextLine, currentDG)) {
+                        break;
+                    }
+                    lookAheadEnd = j;
                     if (nextLine && !this.findContainerInLine(nextLine)) {
                         console.log(`   🔎 Checking line ${j+1}: "${nextLine.substring(0, 100)}..."`);
                         this.extractDGDataFromLine(nextLine, currentDG);
@@ -472,6 +502,13 @@ class DGChecker {
             
             // Extract DG data for current container
             if (currentContainer) {
+                // A further DG line under the same container (mixed load); lines already read ahead belong to the first
+                if (i > lookAheadEnd && this.startsNextDGLine(line, currentDG)) {
+                    console.log(`   ➕ Next DG line for ${currentContainer}: UN${this.findUNNumberInLine(line)} (line ${i+1})`);
+                    dgItems.push({ containerId: currentContainer, ...currentDG });
+                    currentDG = {};
+                }
+                
                 // Only log significant lines (with potential DG data)
                 if (/(?:un|class|dg|hazard|imdg|dangerous)/i.test(line)) {
                     console.log(`   🔍 Processing DG line ${i+1}: "${line.substring(0, 150)}..."`);
@@ -648,6 +685,22 @@ class DGChecker {
             }
         }
         
+        // Packing group patterns (PG II, P.G. III, PACKING GROUP I)
+        if (!dgData.packingGroup) {
+            const pgMatch = line.match(/\b(?:P\.?G\.?|PACKING\s+GROUP)\s*:?\s*(III|II|I|[123])\b/i);
+            if (pgMatch) {
+                dgData.packingGroup = this.dgList.normalizePackingGroup(pgMatch[1]);
+            }
+        }
+        
+        // Number of packages
+        if (!dgData.quantity) {
+            const quantity = this.parsePackageCount(line);
+            if (quantity !== null) {
+                dgData.quantity = quantity;
+            }
+        }
+        
         // Flashpoint patterns
         if (!dgData.flashpoint) {
             const fpPatterns = [
@@ -706,14 +759,21 @@ class DGChecker {
             
             const containerId = this.findContainerInLine(block);
             if (containerId) {
-                const dgData = {};
+                let dgData = {};
                 
-                // Extract from entire block
-                this.extractDGDataFromLine(block, dgData);
-                
-                // Try line-by-line within block
+                // Extract from entire block, unless it holds several DG lines (mixed load)
                 const blockLines = block.split('\n');
+                if (blockLines.filter(blockLine => this.findUNNumberInLine(blockLine)).length <= 1) {
+                    this.extractDGDataFromLine(block, dgData);
+                }
+                
+                // Try line-by-line within block, each further DG line starting a new item
                 for (const blockLine of blockLines) {
+                    if (this.startsNextDGLine(blockLine, dgData)) {
+                        dgItems.push({ containerId, ...dgData });
+                        dgData = {};
+                    }
+                    
                     this.extractDGDataFromLine(blockLine.trim(), dgData);
                     
                     // Try tabular parsing within block
@@ -733,32 +793,92 @@ class DGChecker {
     }
     
     /**
-     * Merge and deduplicate DG items
+     * Merge the fragments of one extraction pass into DG lines
+     * A fragment without UN number joins a line of the same class, and a line joins a fragment
+     * found before its UN number; lines with a UN number stay separate, so a substance listed
+     * twice in a container keeps both lines
      */
     mergeDGItems(dgItems) {
-        const merged = new Map();
+        const containers = new Map();
         
         for (const item of dgItems) {
             if (!item.containerId) continue;
             
-            const key = item.containerId;
-            if (merged.has(key)) {
-                // Merge data, preferring non-empty values
-                const existing = merged.get(key);
-                merged.set(key, {
-                    containerId: key,
-                    unNumber: item.unNumber || existing.unNumber,
-                    class: item.class || existing.class,
-                    psn: item.psn || existing.psn,
-                    flashpoint: item.flashpoint || existing.flashpoint,
-                    weight: item.weight || existing.weight
-                });
+            if (!containers.has(item.containerId)) {
+                containers.set(item.containerId, []);
+            }
+            const lines = containers.get(item.containerId);
+            
+            const existing = this.normalizeUNNumber(item.unNumber)
+                ? lines.find(line => !line.unNumber && this.sameDGClass(line, item))
+                : lines.find(line => this.sameDGClass(line, item));
+            
+            if (existing) {
+                this.fillDGLine(existing, item);
             } else {
-                merged.set(key, item);
+                lines.push({ ...item });
             }
         }
         
-        return Array.from(merged.values());
+        return Array.from(containers.values()).flat();
+    }
+
+    /**
+     * Combine the DG lines of several extraction passes
+     * Lines are paired one to one per container on UN number and packing group (as in
+     * createIntelligentLookup), a missing packing group pairs with any; unpaired lines are added
+     */
+    combineDGPasses(passes) {
+        const combined = [];
+        
+        for (const pass of passes) {
+            const paired = new Set();
+            
+            for (const item of pass) {
+                const containerId = this.normalizeContainerId(item.containerId);
+                const unNumber = this.normalizeUNNumber(item.unNumber);
+                const candidates = combined.filter(line => !paired.has(line) &&
+                    this.normalizeContainerId(line.containerId) === containerId);
+                
+                const existing = unNumber
+                    ? candidates.find(line => this.normalizeUNNumber(line.unNumber) === unNumber && line.packingGroup === item.packingGroup) ||
+                      candidates.find(line => this.normalizeUNNumber(line.unNumber) === unNumber && (!line.packingGroup || !item.packingGroup)) ||
+                      candidates.find(line => !line.unNumber && this.sameDGClass(line, item))
+                    : candidates.find(line => this.sameDGClass(line, item));
+                
+                if (existing) {
+                    this.fillDGLine(existing, item);
+                    paired.add(existing);
+                } else {
+                    const line = { ...item };
+                    combined.push(line);
+                    paired.add(line);
+                }
+            }
+        }
+        
+        return combined;
+    }
+
+    /**
+     * Fill the empty fields of a DG line, values already found are kept
+     */
+    fillDGLine(line, item) {
+        ['unNumber', 'class', 'psn', 'flashpoint', 'weight', 'packingGroup', 'quantity', 'stowage'].forEach(field => {
+            if (line[field] === undefined || line[field] === null || line[field] === '') {
+                line[field] = item[field];
+            }
+        });
+        if ((line.subsidiaryRisks || []).length === 0 && (item.subsidiaryRisks || []).length > 0) {
+            line.subsidiaryRisks = item.subsidiaryRisks;
+        }
+    }
+
+    /**
+     * Same class, or a class missing on either side
+     */
+    sameDGClass(a, b) {
+        return !a.class || !b.class || this.normalizeClass(a.class) === this.normalizeClass(b.class);
     }
 
     /**
@@ -959,6 +1079,8 @@ class DGChecker {
         console.log(`      Container: Col ${analysis.containerCol} (${analysis.containerCount} IDs)`);
         console.log(`      UN Number: Col ${analysis.unCol} (${analysis.unCount} UNs)`);
         console.log(`      Class: Col ${analysis.classCol} (${analysis.classCount} classes)`);
+        console.log(`      Stowage: Col ${analysis.stowageCol} (${analysis.stowageCount} positions)`);
+        console.log(`      Subsidiary risk: Col ${analysis.subsidiaryCol}`);
         console.log(`      Confidence: ${(analysis.confidence * 100).toFixed(1)}%`);
 
         // Extract with intelligent validation
@@ -974,12 +1096,19 @@ class DGChecker {
         
         // Multi-pass analysis
         const headerAnalysis = this.analyzeDGHeaders(rows[0] || [], maxCols);
-        const dataAnalysis = this.analyzeDGDataPatterns(rows, maxCols, scanRows);
+        const dataAnalysis = this.analyzeDGDataPatterns(rows, maxCols, scanRows, headerAnalysis.stowageHeaders);
         
         // Select best columns using confidence scoring
         const containerCol = this.selectBestDGColumn(dataAnalysis.containerCols, headerAnalysis.containerHeaders, 'container');
         const unCol = this.selectBestDGColumn(dataAnalysis.unCols, headerAnalysis.unHeaders, 'un');
-        const classCol = this.selectBestDGColumn(dataAnalysis.classCols, headerAnalysis.classHeaders, 'class');
+        
+        // Subsidiary risk columns hold class numbers too: found by header only and kept out of the class pick
+        const subsidiaryCol = headerAnalysis.subsidiaryHeaders.length > 0 ? headerAnalysis.subsidiaryHeaders[0].col : -1;
+        const psnCol = headerAnalysis.psnHeaders.length > 0 ? headerAnalysis.psnHeaders[0].col : -1;
+        const pgCol = headerAnalysis.pgHeaders.length > 0 ? headerAnalysis.pgHeaders[0].col : -1;
+        const quantityCol = headerAnalysis.quantityHeaders.length > 0 ? headerAnalysis.quantityHeaders[0].col : -1;
+        const classCol = this.selectBestDGColumn(dataAnalysis.classCols.filter(c => c.col !== subsidiaryCol), headerAnalysis.classHeaders, 'class');
+        const stowageCol = this.selectBestDGColumn(dataAnalysis.stowageCols, headerAnalysis.stowageHeaders, 'stowage');
         
         const confidence = this.calculateDGSheetConfidence(containerCol, unCol, classCol, dataAnalysis);
         const isValid = containerCol.col !== -1 && confidence > 0.3;
@@ -989,9 +1118,15 @@ class DGChecker {
             containerCount: containerCol.count,
             unCount: unCol.count,
             classCount: classCol.count,
+            stowageCount: stowageCol.count,
             containerCol: containerCol.col,
             unCol: unCol.col,
             classCol: classCol.col,
+            stowageCol: stowageCol.col,
+            subsidiaryCol: subsidiaryCol,
+            psnCol: psnCol,
+            pgCol: pgCol,
+            quantityCol: quantityCol,
             confidence: confidence,
             reason: isValid ? 'Valid DG data detected' : this.getDGDiagnosticReason(containerCol, unCol, classCol, confidence)
         };
@@ -1004,6 +1139,11 @@ class DGChecker {
         const containerHeaders = [];
         const unHeaders = [];
         const classHeaders = [];
+        const stowageHeaders = [];
+        const subsidiaryHeaders = [];
+        const psnHeaders = [];
+        const pgHeaders = [];
+        const quantityHeaders = [];
         
         for (let col = 0; col < maxCols; col++) {
             const header = headerRow[col];
@@ -1021,31 +1161,64 @@ class DGChecker {
                 unHeaders.push({ col, header: headerStr, confidence: this.getDGHeaderConfidence(headerStr, 'un') });
             }
             
+            // Proper shipping name and packing group headers (text columns, found by header only)
+            if (/psn|proper shipping|shipping name|description|substance/.test(headerStr)) {
+                psnHeaders.push({ col, header: headerStr });
+                continue;
+            }
+            if (/^pg$|^p\.g\.?$|packing\s*group/.test(headerStr)) {
+                pgHeaders.push({ col, header: headerStr });
+                continue;
+            }
+            if (/qty|quantity|pkgs|packages|no\.?\s*of\s*p/.test(headerStr)) {
+                quantityHeaders.push({ col, header: headerStr });
+                continue;
+            }
+            
+            // Subsidiary risk header patterns (Sub Risk, Subsidiary Class, 2nd Class)
+            if (/sub\W*(risk|class|haz)|subsidiary|secondary|2nd/.test(headerStr)) {
+                subsidiaryHeaders.push({ col, header: headerStr });
+                continue;
+            }
+            
             // Class header patterns
             if (/class|dg|hazard|imdg/.test(headerStr)) {
                 classHeaders.push({ col, header: headerStr, confidence: this.getDGHeaderConfidence(headerStr, 'class') });
             }
+            
+            // Stowage position header patterns
+            if (/stow|position|slot|location|bay/.test(headerStr)) {
+                stowageHeaders.push({ col, header: headerStr, confidence: this.getDGHeaderConfidence(headerStr, 'stowage') });
+            }
         }
         
-        return { containerHeaders, unHeaders, classHeaders };
+        return { containerHeaders, unHeaders, classHeaders, stowageHeaders, subsidiaryHeaders, psnHeaders, pgHeaders, quantityHeaders };
     }
 
     /**
      * Analyze data patterns in all columns (like Reefer's approach)
+     * A stowage column needs a stowage header or positions in most of its filled cells, so a
+     * column of weights or numbers with the odd 6-digit value is not taken for one
      */
-    analyzeDGDataPatterns(rows, maxCols, scanRows) {
+    analyzeDGDataPatterns(rows, maxCols, scanRows, stowageHeaders = []) {
         const containerCols = [];
         const unCols = [];
         const classCols = [];
+        const stowageCols = [];
+        const stowageHeaderCols = new Set(stowageHeaders.map(header => header.col));
         
         for (let col = 0; col < maxCols; col++) {
             let containerCount = 0;
             let unCount = 0;
             let classCount = 0;
+            let stowageCount = 0;
+            let filled = 0;
+            const stowageHeader = stowageHeaderCols.has(col);
             
             for (let row = 1; row < scanRows; row++) {
                 const cell = rows[row] && rows[row][col];
                 if (!cell) continue;
+                filled++;
                 
                 const cellStr = cell.toString().trim();
                 
@@ -1063,6 +1236,12 @@ class DGChecker {
                 if (this.detectDGClass(cellStr)) {
                     classCount++;
                 }
+                
+                // Stowage position detection; under a stowage header the raw cell, as Excel
+                // may have dropped a leading zero (12450 -> 012450)
+                if (StowagePosition.parse(stowageHeader ? cell : cellStr)) {
+                    stowageCount++;
+                }
             }
             
             if (containerCount > 0) {
@@ -1076,9 +1255,13 @@ class DGChecker {
             if (classCount > 0) {
                 classCols.push({ col, count: classCount, confidence: classCount / (scanRows - 1) });
             }
+            
+            if (stowageCount > 0 && (stowageHeader || stowageCount / filled >= 0.8)) {
+                stowageCols.push({ col, count: stowageCount, confidence: stowageCount / (scanRows - 1) });
+            }
         }
         
-        return { containerCols, unCols, classCols };
+        return { containerCols, unCols, classCols, stowageCols };
     }
 
     /**
@@ -1138,11 +1321,27 @@ class DGChecker {
             const rawClass = analysis.classCol !== -1 ? row[analysis.classCol] : null;
             const dgClass = this.detectDGClass(rawClass);
             
+            // Get stowage position
+            const stowage = analysis.stowageCol !== -1 ? this.normalizeStowage(row[analysis.stowageCol]) : null;
+            
+            // Get subsidiary risks
+            const subsidiaryRisks = analysis.subsidiaryCol !== -1 ? this.detectSubsidiaryRisks(row[analysis.subsidiaryCol]) : [];
+            
+            // Get proper shipping name and packing group
+            const psn = analysis.psnCol !== -1 && row[analysis.psnCol] ? String(row[analysis.psnCol]).trim() : null;
+            const packingGroup = analysis.pgCol !== -1 ? this.dgList.normalizePackingGroup(row[analysis.pgCol]) : null;
+            const quantity = analysis.quantityCol !== -1 ? this.parseNumber(row[analysis.quantityCol]) : null;
+            
             // Create DG item
             const dgItem = {
                 containerId: containerId,
                 unNumber: unNumber,
                 class: dgClass,
+                subsidiaryRisks: subsidiaryRisks,
+                psn: psn,
+                packingGroup: packingGroup,
+                quantity: quantity,
+                stowage: stowage,
                 sourceSheet: sheetName,
                 sourceRow: r + 1
             };
@@ -1156,7 +1355,7 @@ class DGChecker {
             }
         }
         
-        console.log(`   ✅ Extracted: ${extracted} containers (${skipped} skipped)`);
+        console.log(`   ✅ Extracted: ${extracted} DG lines (${skipped} skipped)`);
         return dgItems;
     }
 
@@ -1216,6 +1415,7 @@ class DGChecker {
         
         // Class patterns
         const patterns = [
+            /^(1\.[1-6][A-HJKLNS])$/i,     // 1.4S (explosives with compatibility group)
             /^(\d+(?:\.\d+)?)$/,         // 8, 3.1
             /class\s*(\d+(?:\.\d+)?)/i,  // Class 8
             /^(\d)$/                     // Single digit
@@ -1233,6 +1433,15 @@ class DGChecker {
         return null;
     }
 
+    /**
+     * Subsidiary risk classes of a cell: 6.1 / 8, "6.1, 8", (8)
+     */
+    detectSubsidiaryRisks(cell) {
+        if (!cell) return [];
+        const matches = cell.toString().match(/\d(?:\.\d)?/g) || [];
+        return matches.filter(cls => parseFloat(cls) >= 1 && parseFloat(cls) < 10);
+    }
+
     /**
      * Calculate sheet confidence score
      */
@@ -1275,6 +1484,9 @@ class DGChecker {
             if (/^dg$/i.test(headerStr)) confidence += 0.4;
             if (/class/i.test(headerStr)) confidence += 0.5;
             if (/hazard/i.test(headerStr)) confidence += 0.3;
+        } else if (type === 'stowage') {
+            if (/stow/i.test(headerStr)) confidence += 0.5;
+            if (/position|slot/i.test(headerStr)) confidence += 0.3;
         }
         
         return Math.min(confidence, 1.0);
@@ -1293,9 +1505,15 @@ class DGChecker {
      * Enhanced DG data validation with intelligent matching
      */
     validateDGData() {
+        // Intelligent lookup with fuzzy matching: container -> its DG lines
+        const manifestLookup = this.createIntelligentLookup(this.manifestData);
+        const stowageLookup = this.createIntelligentLookup(this.stowageData);
+
         const results = {
-            manifestCount: this.manifestData.length,
-            stowageCount: this.stowageData.length,
+            manifestCount: manifestLookup.size,
+            stowageCount: stowageLookup.size,
+            manifestLines: this.manifestData.length,
+            stowageLines: this.stowageData.length,
             missingInStowage: [],
             extraInStowage: [],
             unClassMismatches: [],
@@ -1305,34 +1523,30 @@ class DGChecker {
         };
 
         console.log(`\n🔍 DG VALIDATION:`);
-        console.log(`   Manifest containers: ${results.manifestCount}`);
-        console.log(`   Stowage containers: ${results.stowageCount}`);
-
-        // Intelligent lookup with fuzzy matching
-        const manifestLookup = this.createIntelligentLookup(this.manifestData);
-        const stowageLookup = this.createIntelligentLookup(this.stowageData);
+        console.log(`   Manifest containers: ${results.manifestCount} (${results.manifestLines} DG lines)`);
+        console.log(`   Stowage containers: ${results.stowageCount} (${results.stowageLines} DG lines)`);
 
-        // Enhanced validation with confidence scoring
-        manifestLookup.forEach((manifestItem, containerId) => {
+        // Enhanced validation with confidence scoring, line by line within each container
+        manifestLookup.forEach((manifestContainer, containerId) => {
             const stowageMatch = this.findBestStowageMatch(containerId, stowageLookup);
             
             if (!stowageMatch) {
-                results.missingInStowage.push(manifestItem);
+                results.missingInStowage.push(...manifestContainer.lines);
             } else {
-                const validation = this.validateDGMatch(manifestItem, stowageMatch.item);
+                const validation = this.validateDGContainer(manifestContainer, stowageMatch.item);
                 
                 if (validation.isMatch) {
                     results.matches.push({
                         containerId: containerId,
-                        manifestData: manifestItem,
-                        stowageData: stowageMatch.item,
+                        manifestData: manifestContainer.lines,
+                        stowageData: stowageMatch.item.lines,
                         confidence: stowageMatch.confidence
                     });
                 } else {
                     results.unClassMismatches.push({
                         containerId: containerId,
-                        manifestData: manifestItem,
-                        stowageData: stowageMatch.item,
+                        manifestData: manifestContainer.lines,
+                        stowageData: stowageMatch.item.lines,
                         mismatches: validation.mismatches,
                         confidence: stowageMatch.confidence
                     });
@@ -1341,8 +1555,8 @@ class DGChecker {
                 results.validationDetails.push({
                     containerId: containerId,
                     status: validation.isMatch ? 'match' : 'mismatch',
-                    manifestData: manifestItem,
-                    stowageData: stowageMatch.item,
+                    manifestData: manifestContainer.lines,
+                    stowageData: stowageMatch.item.lines,
                     mismatches: validation.mismatches,
                     confidence: stowageMatch.confidence
                 });
@@ -1350,9 +1564,9 @@ class DGChecker {
         });
 
         // Find extra containers in stowage
-        stowageLookup.forEach((stowageItem, containerId) => {
+        stowageLookup.forEach((stowageContainer, containerId) => {
             if (!this.findBestManifestMatch(containerId, manifestLookup)) {
-                results.extraInStowage.push(stowageItem);
+                results.extraInStowage.push(...stowageContainer.lines);
             }
         });
 
@@ -1361,8 +1575,8 @@ class DGChecker {
 
         console.log(`   ✅ Matches: ${results.matches.length}`);
         console.log(`   ⚠️ Mismatches: ${results.unClassMismatches.length}`);
-        console.log(`   ❌ Missing in stowage: ${results.missingInStowage.length}`);
-        console.log(`   ➕ Extra in stowage: ${results.extraInStowage.length}`);
+        console.log(`   ❌ Missing in stowage: ${this.countContainers(results.missingInStowage)}`);
+        console.log(`   ➕ Extra in stowage: ${this.countContainers(results.extraInStowage)}`);
         console.log(`   🎯 Overall confidence: ${(results.confidence * 100).toFixed(1)}%`);
 
         return results;
@@ -1370,6 +1584,8 @@ class DGChecker {
 
     /**
      * Create intelligent lookup with fuzzy matching capabilities
+     * Each container maps to { containerId, stowage, lines }: one DG line per substance,
+     * rows repeating a UN number and packing group add up their quantity
      */
     createIntelligentLookup(data) {
         const lookup = new Map();
@@ -1378,16 +1594,34 @@ class DGChecker {
         data.forEach(item => {
             if (item.containerId) {
                 const cleanId = this.normalizeContainerId(item.containerId);
-                lookup.set(cleanId, item);
                 
-                // Create fuzzy variants for partial matches
-                const variants = this.generateContainerVariants(cleanId);
-                variants.forEach(variant => {
-                    if (!fuzzyLookup.has(variant)) {
-                        fuzzyLookup.set(variant, []);
+                if (!lookup.has(cleanId)) {
+                    lookup.set(cleanId, { containerId: item.containerId, stowage: null, lines: [] });
+                    
+                    // Create fuzzy variants for partial matches
+                    const variants = this.generateContainerVariants(cleanId);
+                    variants.forEach(variant => {
+                        if (!fuzzyLookup.has(variant)) {
+                            fuzzyLookup.set(variant, []);
+                        }
+                        fuzzyLookup.get(variant).push({ item: lookup.get(cleanId), originalId: cleanId });
+                    });
+                }
+                
+                const container = lookup.get(cleanId);
+                container.stowage = container.stowage || item.stowage || null;
+                
+                const unNumber = this.normalizeUNNumber(item.unNumber);
+                const sameLine = unNumber && container.lines.find(line =>
+                    this.normalizeUNNumber(line.unNumber) === unNumber && (line.packingGroup || null) === (item.packingGroup || null));
+                
+                if (sameLine) {
+                    if (typeof sameLine.quantity === 'number' && typeof item.quantity === 'number') {
+                        sameLine.quantity += item.quantity;
                     }
-                    fuzzyLookup.get(variant).push({ item, originalId: cleanId });
-                });
+                } else {
+                    container.lines.push({ ...item });
+                }
             }
         });
         
@@ -1458,6 +1692,81 @@ class DGChecker {
         return (matchRate * 0.7) + (avgMatchConfidence * 0.3);
     }
 
+    /**
+     * Compare the DG lines of one container between manifest and stowage
+     * Substances missing or extra within the container are reported next to the line differences
+     */
+    validateDGContainer(manifestContainer, stowageContainer) {
+        const { pairs, missing, extra } = this.pairDGLines(manifestContainer.lines, stowageContainer.lines);
+        const mismatches = [];
+        let confidence = 1.0;
+
+        pairs.forEach(([manifestLine, stowageLine]) => {
+            const validation = this.validateDGMatch(manifestLine, stowageLine);
+            validation.mismatches.forEach(mismatch => {
+                mismatches.push(mismatch.field === 'UN Number' ? mismatch : { unNumber: manifestLine.unNumber || stowageLine.unNumber, ...mismatch });
+            });
+            confidence = Math.min(confidence, validation.confidence);
+        });
+
+        missing.forEach(line => {
+            mismatches.push({ field: 'Substance', manifest: this.describeDGLine(line), stowage: 'Not in stowage', severity: 'high' });
+        });
+        extra.forEach(line => {
+            mismatches.push({ field: 'Substance', manifest: 'Not in manifest', stowage: this.describeDGLine(line), severity: 'high' });
+        });
+
+        return {
+            isMatch: mismatches.length === 0,
+            mismatches: mismatches,
+            confidence: confidence
+        };
+    }
+
+    /**
+     * Pair manifest and stowage lines of a container: same UN number and packing group, then
+     * same UN number, then same class (UN number differs); a single line left on each side pairs up
+     * @returns {Object} { pairs: [[manifestLine, stowageLine]], missing, extra }
+     */
+    pairDGLines(manifestLines, stowageLines) {
+        const pairs = [];
+        const missing = [...manifestLines];
+        const extra = [...stowageLines];
+        const un = line => this.normalizeUNNumber(line.unNumber);
+        const dgClass = line => this.normalizeClass(line.class);
+
+        const pairBy = predicate => {
+            for (let i = 0; i < missing.length; i++) {
+                const j = extra.findIndex(stowageLine => predicate(missing[i], stowageLine));
+                if (j !== -1) {
+                    pairs.push([missing[i], extra[j]]);
+                    missing.splice(i--, 1);
+                    extra.splice(j, 1);
+                }
+            }
+        };
+
+        pairBy((m, s) => un(m) && un(m) === un(s) && m.packingGroup && m.packingGroup === s.packingGroup);
+        pairBy((m, s) => un(m) && un(m) === un(s));
+        pairBy((m, s) => dgClass(m) && dgClass(m) === dgClass(s));
+        if (missing.length === 1 && extra.length === 1) {
+            pairBy(() => true);
+        }
+
+        return { pairs, missing, extra };
+    }
+
+    describeDGLine(line) {
+        const details = [`Class ${line.class || '?'}`];
+        if (line.packingGroup) details.push(`PG ${line.packingGroup}`);
+        if (typeof line.quantity === 'number') details.push(`${line.quantity} pkgs`);
+        return `UN${line.unNumber || '????'} (${details.join(', ')})`;
+    }
+
+    countContainers(lines) {
+        return new Set(lines.map(line => line.containerId)).size;
+    }
+
     /**
      * Enhanced DG data validation with intelligent matching
      */
@@ -1497,6 +1806,29 @@ class DGChecker {
             }
         }
 
+        // Packing group
+        if (manifestItem.packingGroup && stowageItem.packingGroup && manifestItem.packingGroup !== stowageItem.packingGroup) {
+            mismatches.push({
+                field: 'Packing Group',
+                manifest: manifestItem.packingGroup,
+                stowage: stowageItem.packingGroup,
+                severity: 'high'
+            });
+            confidence -= 0.2;
+        }
+
+        // Number of packages
+        if (typeof manifestItem.quantity === 'number' && typeof stowageItem.quantity === 'number' &&
+            manifestItem.quantity !== stowageItem.quantity) {
+            mismatches.push({
+                field: 'Quantity',
+                manifest: manifestItem.quantity,
+                stowage: stowageItem.quantity,
+                severity: 'medium'
+            });
+            confidence -= 0.1;
+        }
+
         // Intelligent PSN validation with fuzzy matching
         if (manifestItem.psn && stowageItem.psn) {
             const similarity = this.calculateStringSimilarity(manifestItem.psn, stowageItem.psn);
@@ -1519,6 +1851,119 @@ class DGChecker {
         };
     }
 
+    /**
+     * Check every manifest and stowage line against the DG List, independently of the
+     * manifest-vs-stowage comparison: class, subsidiary risks, PSN and packing group for the UN number
+     * @returns {Object} { issues, notInList, checked, list }
+     */
+    validateAgainstDGList() {
+        const result = { issues: [], notInList: [], checked: 0, list: this.dgList.getStatus() };
+
+        const sources = [['Manifest', this.manifestData || []], ['Stowage', this.stowageData || []]];
+        for (const [source, items] of sources) {
+            for (const item of items) {
+                const un = this.normalizeUNNumber(item.unNumber);
+                if (!un) continue;
+
+                const entries = this.dgList.lookup(un);
+                if (!entries) {
+                    result.notInList.push({ containerId: item.containerId, source: source, unNumber: un });
+                    continue;
+                }
+
+                result.checked++;
+                this.checkDGListEntry(item, entries).forEach(issue => {
+                    result.issues.push({ containerId: item.containerId, source: source, unNumber: un, ...issue });
+                });
+            }
+        }
+
+        console.log(`\n📚 DG LIST CHECK: ${result.checked} lines checked, ${result.issues.length} inconsistencies, ${result.notInList.length} UN numbers not in the list`);
+        return result;
+    }
+
+    /**
+     * Inconsistencies of one DG line with the DG List entries of its UN number
+     * @returns {Array} [{ field, value, expected }]
+     */
+    checkDGListEntry(item, entries) {
+        const issues = [];
+        const unique = values => [...new Set(values.filter(value => value))];
+
+        if (item.class) {
+            const expected = unique(entries.map(entry => this.normalizeClass(entry.class)));
+            if (!expected.includes(this.normalizeClass(item.class))) {
+                issues.push({ field: 'Class', value: item.class, expected: expected.join(' / ') });
+            }
+        }
+
+        if (item.subsidiaryRisks && item.subsidiaryRisks.length > 0) {
+            const given = [...item.subsidiaryRisks].sort().join(', ');
+            const expected = unique(entries.map(entry => [...(entry.subsidiaryRisks || [])].sort().join(', ') || 'none'));
+            if (!expected.includes(given)) {
+                issues.push({ field: 'Subsidiary Risk', value: given, expected: expected.join(' / ') });
+            }
+        }
+
+        if (item.psn && !entries.some(entry => this.psnMatchesEntry(item.psn, entry.psn))) {
+            issues.push({ field: 'PSN', value: item.psn, expected: unique(entries.map(entry => entry.psn)).join(' / ') });
+        }
+
+        if (item.packingGroup) {
+            const expected = unique(entries.map(entry => entry.packingGroup));
+            if (!expected.includes(item.packingGroup)) {
+                issues.push({
+                    field: 'Packing Group',
+                    value: item.packingGroup,
+                    expected: expected.length > 0 ? expected.join(' / ') : 'No packing group for this UN number'
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * PSN against a DG List name: any of its "or" alternatives, ignoring a technical name
+     * in brackets; truncated names and single typos pass (similarity 0.9 or better) - near names such
+     * as ETHANOL / METHANOL are different substances
+     */
+    psnMatchesEntry(psn, entryPsn) {
+        if (!entryPsn) return true;
+        const clean = text => text.toUpperCase().replace(/\(.*?\)/g, ' ').replace(/[^A-Z0-9]+/g, ' ').trim();
+        const given = clean(psn);
+
+        return entryPsn.split(/\s+or\s+/i).map(clean).some(name =>
+            given.startsWith(name) || (given.length >= 8 && name.startsWith(given)) ||
+            this.calculateStringSimilarity(given, name) >= 0.9
+        );
+    }
+
+    /**
+     * Number of packages in a text: 10 DRUMS, 4 X IBC, 120 PKGS
+     */
+    parsePackageCount(text) {
+        if (!text) return null;
+        const match = String(text).match(/\b(\d+)\s*(?:X\s*)?(?:PKGS?|PACKAGES?|DRUMS?|IBCS?|CARTONS?|CTNS?|BOXES|BAGS?|CYLINDERS?|PCS|PIECES|JERRICANS?|PAILS?)\b/i);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    findUNNumberInLine(line) {
+        const match = String(line).match(/\bUN(?:DG)?\s*(\d{4})\b/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * A text line with a UN number opens the next DG line of a container: a different substance,
+     * or the same one listed again with its own package count
+     */
+    startsNextDGLine(line, dgData) {
+        const lineUN = this.findUNNumberInLine(line);
+        if (!lineUN || !dgData.unNumber) return false;
+        if (lineUN !== this.normalizeUNNumber(dgData.unNumber)) return true;
+        return dgData.quantity !== undefined && dgData.quantity !== null && this.parsePackageCount(line) !== null;
+    }
+
     normalizeContainerId(containerId) {
         if (!containerId) return null;
         const cleaned = String(containerId).replace(/[^A-Z0-9]/gi, '').toUpperCase();
@@ -1547,7 +1992,8 @@ class DGChecker {
 
     normalizeStowage(stowage) {
         if (!stowage) return null;
-        return String(stowage).trim().toUpperCase();
+        const position = StowagePosition.parse(stowage);
+        return position ? position.toString() : String(stowage).trim().toUpperCase();
     }
 
     parseNumber(value) {
@@ -1611,10 +2057,15 @@ class DGChecker {
         const summary = {
             manifestContainers: this.results.manifestCount,
             stowageContainers: this.results.stowageCount,
+            manifestLines: this.results.manifestLines,
+            stowageLines: this.results.stowageLines,
             matches: this.results.matches.length,
-            missingInStowage: this.results.missingInStowage.length,
-            extraInStowage: this.results.extraInStowage.length,
+            missingInStowage: this.countContainers(this.results.missingInStowage),
+            extraInStowage: this.countContainers(this.results.extraInStowage),
             unClassMismatches: this.results.unClassMismatches.length,
+            segregationViolations: this.results.segregation ? this.results.segregation.violations.length : 0,
+            dgListIssues: this.results.dgListCheck ? this.results.dgListCheck.issues.length : 0,
+            stowageViolations: this.results.stowageCheck ? this.results.stowageCheck.violations.length : 0,
             matchRate: this.results.manifestCount > 0 ? 
                 ((this.results.matches.length / this.results.manifestCount) * 100).toFixed(1) : 0,
             confidence: ((this.results.confidence || 0) * 100).toFixed(1),
@@ -1655,18 +2106,32 @@ class DGChecker {
             summarySheet.addRow(['DG Manifest Validation Results']);
             summarySheet.addRow([]);
             summarySheet.addRow(['Summary Statistics']);
-            summarySheet.addRow(['PDF Containers', this.results.pdfCount]);
-            summarySheet.addRow(['Excel Containers', this.results.excelCount]);
+            summarySheet.addRow(['Manifest Containers', this.results.manifestCount]);
+            summarySheet.addRow(['Manifest DG Lines', this.results.manifestLines]);
+            summarySheet.addRow(['Stowage Containers', this.results.stowageCount]);
+            summarySheet.addRow(['Stowage DG Lines', this.results.stowageLines]);
             summarySheet.addRow(['Matches', this.results.matches.length]);
-            summarySheet.addRow(['Missing in Stowage', this.results.missingInStowage.length]);
-            summarySheet.addRow(['Extra in Stowage', this.results.extraInStowage.length]);
+            summarySheet.addRow(['Missing in Stowage', this.countContainers(this.results.missingInStowage)]);
+            summarySheet.addRow(['Extra in Stowage', this.countContainers(this.results.extraInStowage)]);
             summarySheet.addRow(['UN/Class Mismatches', this.results.unClassMismatches.length]);
             summarySheet.addRow(['Match Rate', `${this.generateSummary().matchRate}%`]);
+            if (this.results.segregation) {
+                summarySheet.addRow(['Segregation Violations', this.results.segregation.violations.length]);
+                summarySheet.addRow(['Class 1 Pairs to Check', this.results.segregation.manualChecks.length]);
+            }
+            if (this.results.dgListCheck) {
+                summarySheet.addRow(['DG List Inconsistencies', this.results.dgListCheck.issues.length]);
+                summarySheet.addRow(['UN Numbers not in DG List', this.results.dgListCheck.notInList.length]);
+            }
+            if (this.results.stowageCheck) {
+                summarySheet.addRow(['Stowage Category Violations', this.results.stowageCheck.summary.categoryViolations]);
+                summarySheet.addRow(['Stowage Code Violations', this.results.stowageCheck.summary.codeViolations]);
+            }
 
             // Missing containers sheet
             if (this.results.missingInStowage.length > 0) {
                 const missingSheet = workbook.addWorksheet('Missing_in_Stowage');
-                missingSheet.addRow(['Container ID', 'UN Number', 'Class', 'PSN', 'Flashpoint', 'Weight']);
+                missingSheet.addRow(['Container ID', 'UN Number', 'Class', 'PSN', 'Packing Group', 'Quantity', 'Flashpoint', 'Weight']);
                 
                 this.results.missingInStowage.forEach(item => {
                     missingSheet.addRow([
@@ -1674,6 +2139,8 @@ class DGChecker {
                         item.unNumber || '',
                         item.class || '',
                         item.psn || '',
+                        item.packingGroup || '',
+                        item.quantity ?? '',
                         item.flashpoint || '',
                         item.weight || ''
                     ]);
@@ -1683,7 +2150,7 @@ class DGChecker {
             // Extra containers sheet
             if (this.results.extraInStowage.length > 0) {
                 const extraSheet = workbook.addWorksheet('Extra_in_Stowage');
-                extraSheet.addRow(['Container ID', 'UN Number', 'Class', 'PSN', 'Stowage']);
+                extraSheet.addRow(['Container ID', 'UN Number', 'Class', 'PSN', 'Packing Group', 'Quantity', 'Stowage']);
                 
                 this.results.extraInStowage.forEach(item => {
                     extraSheet.addRow([
@@ -1691,6 +2158,8 @@ class DGChecker {
                         item.unNumber || '',
                         item.class || '',
                         item.psn || '',
+                        item.packingGroup || '',
+                        item.quantity ?? '',
                         item.stowage || ''
                     ]);
                 });
@@ -1699,20 +2168,45 @@ class DGChecker {
             // Mismatches sheet
             if (this.results.unClassMismatches.length > 0) {
                 const mismatchSheet = workbook.addWorksheet('UN_Class_Mismatches');
-                mismatchSheet.addRow(['Container ID', 'Field', 'PDF Value', 'Excel Value']);
+                mismatchSheet.addRow(['Container ID', 'UN Number', 'Field', 'Manifest Value', 'Stowage Value']);
                 
                 this.results.unClassMismatches.forEach(item => {
                     item.mismatches.forEach(mismatch => {
                         mismatchSheet.addRow([
                             item.containerId,
+                            mismatch.unNumber || '',
                             mismatch.field,
-                            mismatch.pdf,
-                            mismatch.excel
+                            mismatch.manifest,
+                            mismatch.stowage
                         ]);
                     });
                 });
             }
 
+            if (this.results.segregation) {
+                this.addSegregationSheet(workbook, this.results.segregation);
+            }
+
+            if (this.results.dgListCheck && (this.results.dgListCheck.issues.length > 0 || this.results.dgListCheck.notInList.length > 0)) {
+                const listSheet = workbook.addWorksheet('DG_List_Check');
+                listSheet.addRow(['Container ID', 'Source', 'UN Number', 'Field', 'Value', 'DG List']);
+                listSheet.getRow(1).font = { bold: true };
+
+                this.results.dgListCheck.issues.forEach(issue => {
+                    listSheet.addRow([issue.containerId, issue.source, issue.unNumber, issue.field, issue.value, issue.expected]);
+                });
+                this.results.dgListCheck.notInList.forEach(item => {
+                    listSheet.addRow([item.containerId, item.source, item.unNumber, 'UN Number', item.unNumber, 'Not in DG List']);
+                });
+                listSheet.columns.forEach((column, index) => {
+                    column.width = index >= 4 ? 45 : 15;
+                });
+            }
+
+            if (this.results.stowageCheck) {
+                this.addStowageCheckSheet(workbook, this.results.stowageCheck);
+            }
+
             await workbook.xlsx.writeFile(outputPath);
 
             return {
@@ -1728,6 +2222,65 @@ class DGChecker {
             };
         }
     }
+
+    /**
+     * Segregation sheet: violating pairs with required and actual separation, then class 1 pairs
+     */
+    addSegregationSheet(workbook, segregation) {
+        const sheet = workbook.addWorksheet('Segregation');
+        const headers = ['Container A', 'Stowage A', 'UN A', 'Class A', 'Container B', 'Stowage B', 'UN B', 'Class B',
+            'Governing Classes', 'Requirement', 'Required Separation', 'Actual Separation'];
+        const headerRow = sheet.addRow(headers);
+        headerRow.font = { bold: true };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+        segregation.violations.forEach(v => {
+            sheet.addRow([v.containerA, v.stowageA, v.unA, v.classA, v.containerB, v.stowageB, v.unB, v.classB,
+                v.governingClasses, `${v.requirement} - ${v.requirementLabel}`, v.required, v.actual]);
+        });
+
+        if (segregation.manualChecks.length > 0) {
+            sheet.addRow([]);
+            sheet.addRow(['Class 1 pairs in the same compartment (check compatibility groups, IMDG 7.2.7)']).font = { bold: true };
+            segregation.manualChecks.forEach(m => {
+                sheet.addRow([m.containerA, m.stowageA, m.unA, m.classA, m.containerB, m.stowageB, m.unB, m.classB, '', '', m.reason, m.actual]);
+            });
+        }
+
+        if (segregation.notChecked.length > 0) {
+            sheet.addRow([]);
+            sheet.addRow(['Not checked']).font = { bold: true };
+            segregation.notChecked.forEach(item => sheet.addRow([item.containerId, item.reason]));
+        }
+
+        sheet.columns.forEach((column, index) => {
+            column.width = index >= 10 ? 50 : 14;
+        });
+    }
+
+    /**
+     * Stowage check sheet: units stowed where their stowage category or codes forbid, then lines not checked
+     */
+    addStowageCheckSheet(workbook, stowageCheck) {
+        const sheet = workbook.addWorksheet('Stowage_Check');
+        const headerRow = sheet.addRow(['Container ID', 'Stowage', 'Level', 'UN Number', 'Class', 'Category', 'Rule', 'Required', 'Actual', 'Note']);
+        headerRow.font = { bold: true };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+
+        stowageCheck.violations.forEach(v => {
+            sheet.addRow([v.containerId, v.stowage, v.level, v.unNumber, v.class, v.stowageCategory, v.rule, v.required, v.actual, v.note]);
+        });
+
+        if (stowageCheck.notChecked.length > 0) {
+            sheet.addRow([]);
+            sheet.addRow(['Not checked']).font = { bold: true };
+            stowageCheck.notChecked.forEach(item => sheet.addRow([item.containerId, '', '', item.unNumber, '', '', item.reason]));
+        }
+
+        sheet.columns.forEach((column, index) => {
+            column.width = index >= 6 ? 40 : 14;
+        });
+    }
 }
 
-module.exports = DGChecker;
\ No newline at end of file
+module.exports = DGChecker;
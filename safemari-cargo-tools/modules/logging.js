@@ -7,6 +7,7 @@ const crypto = require('crypto');
 /**
  * Local Logging System
  * Manages SQLite database for storing application activity logs
+ * and the reefer check run history used for voyage-over-voyage diffs
  */
 class LoggingSystem {
     constructor() {
@@ -68,14 +69,41 @@ class LoggingSystem {
                 )
             `;
 
-            this.db.run(createTableSQL, (error) => {
-                if (error) {
-                    console.error('Failed to create logs table:', error);
-                    reject(error);
-                } else {
-                    console.log('Logs table created or verified successfully');
-                    resolve();
-                }
+            // One row per reefer check run; containers holds the CHECK set points as JSON
+            const createReeferRunsSQL = `
+                CREATE TABLE IF NOT EXISTS reefer_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp TEXT NOT NULL,
+                    voyage TEXT NOT NULL,
+                    username TEXT,
+                    check_file TEXT,
+                    manifest_file TEXT,
+                    container_count INTEGER,
+                    containers TEXT NOT NULL,
+                    summary TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `;
+
+            this.db.serialize(() => {
+                this.db.run(createTableSQL, (error) => {
+                    if (error) {
+                        console.error('Failed to create logs table:', error);
+                        reject(error);
+                    } else {
+                        console.log('Logs table created or verified successfully');
+                    }
+                });
+
+                this.db.run(createReeferRunsSQL, (error) => {
+                    if (error) {
+                        console.error('Failed to create reefer runs table:', error);
+                        reject(error);
+                    } else {
+                        console.log('Reefer runs table created or verified successfully');
+                        resolve();
+                    }
+                });
             });
         });
     }
@@ -152,6 +180,96 @@ class LoggingSystem {
         }
     }
 
+    /**
+     * Save a reefer check run for later set-point diffs
+     * @param {Object} runData - { voyage, username, checkFile, manifestFile, containers, summary }
+     */
+    async saveReeferRun(runData) {
+        if (!this.initialized) {
+            return { success: false, error: 'Logging system not initialized' };
+        }
+
+        try {
+            const {
+                voyage,
+                username = null,
+                checkFile = null,
+                manifestFile = null,
+                containers = {},
+                summary = null
+            } = runData;
+
+            const insertSQL = `
+                INSERT INTO reefer_runs (
+                    timestamp, voyage, username, check_file, manifest_file,
+                    container_count, containers, summary
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const timestamp = new Date().toISOString();
+
+            return new Promise((resolve) => {
+                this.db.run(insertSQL, [
+                    timestamp,
+                    this.normalizeVoyage(voyage),
+                    username,
+                    checkFile,
+                    manifestFile,
+                    Object.keys(containers).length,
+                    JSON.stringify(containers),
+                    summary ? JSON.stringify(summary) : null
+                ], function(error) {
+                    if (error) {
+                        console.error('Failed to save reefer run:', error);
+                        resolve({ success: false, error: error.message });
+                    } else {
+                        console.log('Reefer run saved, ID:', this.lastID);
+                        resolve({ success: true, runId: this.lastID, timestamp: timestamp });
+                    }
+                });
+            });
+
+        } catch (error) {
+            console.error('Error saving reefer run:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Get the latest saved reefer run of a voyage, including its container set points
+     * @param {string} voyage - Voyage number
+     */
+    async getLatestReeferRun(voyage) {
+        if (!this.initialized) {
+            return { success: false, error: 'Logging system not initialized' };
+        }
+
+        const query = `
+            SELECT * FROM reefer_runs
+            WHERE voyage = ?
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `;
+
+        return new Promise((resolve) => {
+            this.db.get(query, [this.normalizeVoyage(voyage)], (error, row) => {
+                if (error) {
+                    console.error('Failed to retrieve reefer run:', error);
+                    resolve({ success: false, error: error.message });
+                } else {
+                    resolve({
+                        success: true,
+                        run: row ? {
+                            ...row,
+                            containers: this.safeJSONParse(row.containers) || {},
+                            summary: row.summary ? this.safeJSONParse(row.summary) : null
+                        } : null
+                    });
+                }
+            });
+        });
+    }
+
     /**
      * Get logs with optional filtering
      * @param {Object} filters - Filter options
@@ -452,6 +570,10 @@ class LoggingSystem {
             .toUpperCase();
     }
 
+    normalizeVoyage(voyage) {
+        return (voyage || '').toString().trim().replace(/\s+/g, ' ').toUpperCase();
+    }
+
     safeJSONParse(jsonString) {
         try {
             return JSON.parse(jsonString);
@@ -0,0 +1,709 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const ReeferChecker = require('./reefer');
+
+/**
+ * Reefer Data-Logger Module
+ * Reads controller trip-log downloads (CSV or Excel exports from Carrier, Thermo King, Daikin)
+ * and reports temperature excursions of each unit against its manifest set point
+ */
+class ReeferLoggerAnalyzer {
+    constructor() {
+        this.reeferChecker = new ReeferChecker();
+        this.results = null;
+        this.defrostRecoveryMinutes = 30;
+    }
+
+    /**
+     * Process logger files against a reefer manifest
+     * @param {string[]} options.loggerFilePaths - Controller CSV / Excel exports (one or many units per file)
+     * @param {string} options.manifestFilePath - Reefer manifest (Excel, PDF or DOCX)
+     * @param {number} options.defrostRecoveryMinutes - Minutes after a defrost still excluded
+     * @returns {Object} Processing results
+     */
+    async processLoggerCheck(options) {
+        try {
+            const { loggerFilePaths = [], manifestFilePath } = options;
+
+            if (loggerFilePaths.length === 0) {
+                throw new Error('No data-logger files selected');
+            }
+
+            this.defrostRecoveryMinutes = options.defrostRecoveryMinutes ?? 30;
+
+            // Same profiles as the temperature checker, reloaded for this run
+            this.reeferChecker.toleranceProfiles = this.reeferChecker.loadToleranceProfiles();
+
+            const manifestMap = manifestFilePath ? await this.loadManifest(manifestFilePath) : {};
+
+            const loggerData = await this.loadLoggerData(loggerFilePaths);
+
+            if (Object.keys(loggerData).length === 0) {
+                throw new Error('No container readings found in the data-logger files');
+            }
+
+            const units = Object.entries(loggerData).map(([containerId, unit]) =>
+                this.analyzeUnit(containerId, unit, manifestMap[containerId])
+            );
+            const notLogged = Object.keys(manifestMap).filter(id => !loggerData[id]);
+
+            this.results = {
+                units: units,
+                notLogged: notLogged,
+                loggerFiles: loggerFilePaths.map(filePath => path.basename(filePath))
+            };
+
+            this.printExcursionSummary();
+
+            return {
+                success: true,
+                results: this.results,
+                summary: this.generateSummary(),
+                downloadData: this.prepareDownloadData()
+            };
+
+        } catch (error) {
+            console.error('Reefer logger processing error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Load set points and commodities from the manifest through the temperature checker
+     */
+    async loadManifest(manifestFilePath) {
+        const workbook = await this.reeferChecker.loadFile(manifestFilePath);
+        const analysis = await this.reeferChecker.analyzeDocumentStructure(workbook, 'manifest', manifestFilePath);
+        return await this.reeferChecker.extractDataUsingPlan(workbook, analysis.processingRecommendations, analysis.sheetName);
+    }
+
+    /**
+     * Header patterns of the logger columns, checked in this order
+     * usda matches several probe columns (USDA1, USDA2, USDA3, pulp probes)
+     */
+    getColumnPatterns() {
+        return {
+            containerId: /container|cntr|unit\s*(id|no|number)/i,
+            setPoint: /set\s*-?\s*point|set\s*temp|^sp$/i,
+            supply: /supply|^sup\b|^sas?\b/i,
+            return: /return|^ret\b|^ras?\b/i,
+            usda: /usda|probe|pulp|cargo\s*temp/i,
+            defrost: /defrost|^dfr?$/i,
+            event: /event|mode|status|state/i
+        };
+    }
+
+    /**
+     * Parse one controller export, CSV or Excel
+     * @returns {Object} containerId -> { readings: [{ time, channels, defrost }], setPoints: [] }
+     */
+    async loadLoggerFile(filePath) {
+        if (/\.xlsx?$/i.test(filePath)) {
+            return await this.parseLoggerWorkbook(filePath);
+        }
+        return this.parseLoggerFile(filePath);
+    }
+
+    /**
+     * Parse one controller CSV export
+     */
+    parseLoggerFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        const delimiter = this.detectDelimiter(lines.slice(0, 20));
+        const rows = lines.map(line => this.parseCSVLine(line, delimiter));
+
+        return this.parseLoggerRows(rows, filePath, delimiter === ';');
+    }
+
+    /**
+     * Parse an Excel logger export: every sheet as text rows (dates as yyyy-mm-dd hh:mm:ss)
+     */
+    async parseLoggerWorkbook(filePath) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.readFile(filePath);
+        const units = {};
+
+        workbook.eachSheet(worksheet => {
+            const rows = [];
+            worksheet.eachRow(row => {
+                const cells = [];
+                row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+                    cells[colNumber - 1] = this.cellToText(cell.value);
+                });
+                rows.push(Array.from(cells, cell => cell || ''));
+            });
+
+            for (const [containerId, unit] of Object.entries(this.parseLoggerRows(rows, filePath, false))) {
+                if (!units[containerId]) {
+                    units[containerId] = { readings: [], setPoints: [] };
+                }
+                units[containerId].readings.push(...unit.readings);
+                units[containerId].setPoints.push(...unit.setPoints);
+            }
+        });
+
+        return units;
+    }
+
+    /**
+     * Text of an Excel cell; dates keep the logger clock (ExcelJS reads them as UTC)
+     */
+    cellToText(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) {
+            return value.toISOString().replace('T', ' ').substring(0, 19);
+        }
+        if (typeof value === 'object') {
+            if ('result' in value) return this.cellToText(value.result);
+            if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+            if ('text' in value) return this.cellToText(value.text);
+        }
+        return value.toString().trim();
+    }
+
+    /**
+     * Collect readings per container across several logger files
+     * @returns {Object} containerId -> { readings, setPoints, files }
+     */
+    async loadLoggerData(filePaths) {
+        const loggerData = {};
+
+        for (const filePath of filePaths) {
+            const parsed = await this.loadLoggerFile(filePath);
+            console.log(`📈 ${path.basename(filePath)}: ${Object.keys(parsed).length} units`);
+
+            for (const [containerId, unit] of Object.entries(parsed)) {
+                if (!loggerData[containerId]) {
+                    loggerData[containerId] = { readings: [], setPoints: [], files: [] };
+                }
+                loggerData[containerId].readings.push(...unit.readings);
+                loggerData[containerId].setPoints.push(...unit.setPoints);
+                loggerData[containerId].files.push(path.basename(filePath));
+            }
+        }
+
+        return loggerData;
+    }
+
+    /**
+     * Parse logger rows (header row, optional metadata lines above it)
+     */
+    parseLoggerRows(rows, filePath, decimalComma) {
+        const headerIndex = rows.findIndex(row => this.isHeaderRow(row));
+        if (headerIndex === -1) {
+            console.warn(`⚠️ ${path.basename(filePath)}: no logger header row found`);
+            return {};
+        }
+
+        // Metadata lines above the header (unit ID, set point) apply to the whole file
+        const metadata = this.parseMetadata(rows.slice(0, headerIndex), decimalComma);
+        const fileContainerId = metadata.containerId || this.reeferChecker.detectContainerId(
+            (path.basename(filePath, path.extname(filePath)).match(/[A-Z]{4}\d{7}/i) || [])[0]
+        );
+
+        const columns = this.mapColumns(rows[headerIndex]);
+        const units = {};
+
+        for (const row of rows.slice(headerIndex + 1)) {
+            const time = this.parseRowTimestamp(row, columns);
+            if (time === null) continue;
+
+            const containerId = columns.containerId !== -1
+                ? this.reeferChecker.detectContainerId(row[columns.containerId]) || fileContainerId
+                : fileContainerId;
+            if (!containerId) continue;
+
+            const channels = {};
+            for (const [channel, col] of Object.entries(columns.channels)) {
+                channels[channel] = this.parseReading(row[col], decimalComma);
+            }
+
+            if (!units[containerId]) {
+                units[containerId] = { readings: [], setPoints: metadata.setPoint !== null ? [metadata.setPoint] : [] };
+            }
+
+            const setPoint = columns.setPoint !== -1 ? this.parseReading(row[columns.setPoint], decimalComma) : null;
+            if (setPoint !== null) {
+                units[containerId].setPoints.push(setPoint);
+            }
+
+            units[containerId].readings.push({
+                time: time,
+                channels: channels,
+                defrost: this.isDefrostRow(row, columns)
+            });
+        }
+
+        return units;
+    }
+
+    /**
+     * Pick the delimiter used most consistently in the first lines
+     */
+    detectDelimiter(lines) {
+        const candidates = [',', ';', '\t'];
+        let best = ',';
+        let bestCount = 0;
+
+        for (const delimiter of candidates) {
+            const count = lines.reduce((sum, line) => sum + line.split(delimiter).length - 1, 0);
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Split a CSV line, honouring double-quoted fields
+     */
+    parseCSVLine(line, delimiter) {
+        const cells = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === delimiter && !inQuotes) {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    /**
+     * Header row: a time column plus at least one temperature channel
+     */
+    isHeaderRow(row) {
+        const patterns = this.getColumnPatterns();
+        const hasTime = row.some(cell => /date|time/i.test(cell));
+        const hasChannel = row.some(cell =>
+            patterns.supply.test(cell) || patterns.return.test(cell) || patterns.usda.test(cell)
+        );
+        return hasTime && hasChannel;
+    }
+
+    /**
+     * Read unit ID and set point from "key: value" / "key,value" lines above the header
+     */
+    parseMetadata(rows, decimalComma) {
+        const metadata = { containerId: null, setPoint: null };
+
+        for (const row of rows) {
+            const text = row.join(' ');
+
+            if (!metadata.containerId) {
+                const idMatch = text.toUpperCase().match(/[A-Z]{4}\d{7}/);
+                if (idMatch) metadata.containerId = idMatch[0];
+            }
+
+            if (metadata.setPoint === null && /set\s*-?\s*point|set\s*temp/i.test(text)) {
+                const valueCell = row.slice(1).find(cell => this.parseReading(cell, decimalComma) !== null);
+                const value = valueCell !== undefined
+                    ? this.parseReading(valueCell, decimalComma)
+                    : this.parseReading((text.split(/:/)[1] || ''), decimalComma);
+                if (value !== null) metadata.setPoint = value;
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Map header cells to container, time, set point, defrost and reading channels
+     */
+    mapColumns(headerRow) {
+        const patterns = this.getColumnPatterns();
+        const columns = {
+            containerId: -1,
+            timestamp: -1,
+            date: -1,
+            time: -1,
+            setPoint: -1,
+            defrost: -1,
+            event: -1,
+            channels: {}
+        };
+        let probeCount = 0;
+
+        headerRow.forEach((header, col) => {
+            const h = header.trim();
+            if (!h) return;
+
+            if (/date/i.test(h) && /time/i.test(h) || /timestamp/i.test(h)) {
+                if (columns.timestamp === -1) columns.timestamp = col;
+            } else if (/date/i.test(h)) {
+                if (columns.date === -1) columns.date = col;
+            } else if (/^time\b|\btime$/i.test(h)) {
+                if (columns.time === -1) columns.time = col;
+            } else if (patterns.containerId.test(h)) {
+                if (columns.containerId === -1) columns.containerId = col;
+            } else if (patterns.setPoint.test(h)) {
+                if (columns.setPoint === -1) columns.setPoint = col;
+            } else if (patterns.supply.test(h)) {
+                if (columns.channels.supply === undefined) columns.channels.supply = col;
+            } else if (patterns.return.test(h)) {
+                if (columns.channels.return === undefined) columns.channels.return = col;
+            } else if (patterns.usda.test(h)) {
+                probeCount++;
+                columns.channels[`usda${probeCount}`] = col;
+            } else if (patterns.defrost.test(h)) {
+                if (columns.defrost === -1) columns.defrost = col;
+            } else if (patterns.event.test(h)) {
+                if (columns.event === -1) columns.event = col;
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Timestamp of a row from a combined column or separate date and time columns
+     */
+    parseRowTimestamp(row, columns) {
+        if (columns.timestamp !== -1) {
+            return this.parseTimestamp(row[columns.timestamp]);
+        }
+        if (columns.date !== -1) {
+            const time = columns.time !== -1 ? row[columns.time] : '00:00';
+            return this.parseTimestamp(`${row[columns.date]} ${time}`);
+        }
+        return null;
+    }
+
+    /**
+     * Parse ISO (2024-03-01 12:00) or day-first (01/03/2024 12:00) timestamps
+     * Month-first is only assumed when the first part cannot be a month
+     * @returns {number|null} Milliseconds (UTC clock of the logger)
+     */
+    parseTimestamp(raw) {
+        if (!raw) return null;
+        const s = raw.toString().trim();
+
+        let match = s.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (match) {
+            const [, year, month, day, hour, minute, second] = match;
+            return Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0));
+        }
+
+        match = s.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2,4})[ T]+(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+        if (match) {
+            let [, first, second, year, hour, minute, seconds] = match;
+            let day = +first;
+            let month = +second;
+            if (month > 12 && day <= 12) {
+                [day, month] = [month, day];
+            }
+            const fullYear = year.length === 2 ? 2000 + +year : +year;
+            return Date.UTC(fullYear, month - 1, day, +hour, +minute, +(seconds || 0));
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a temperature reading; blanks and sensor error codes give null
+     */
+    parseReading(raw, decimalComma = false) {
+        if (raw === undefined || raw === null) return null;
+        let s = raw.toString().trim().replace(/\u2212/g, '-');
+        if (decimalComma) s = s.replace(',', '.');
+
+        const match = s.match(/^[+-]?\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : null;
+    }
+
+    /**
+     * Defrost rows: a truthy defrost column or an event/mode mentioning defrost
+     */
+    isDefrostRow(row, columns) {
+        if (columns.defrost !== -1) {
+            const value = (row[columns.defrost] || '').toString().trim().toUpperCase();
+            if (/^(Y|YES|1|ON|TRUE|DEFROST|DF)$/.test(value)) return true;
+        }
+        if (columns.event !== -1 && /defrost|dfr/i.test(row[columns.event] || '')) {
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Analyze one unit's readings against its set point
+     */
+    analyzeUnit(containerId, unit, manifestRecord) {
+        const readings = [...unit.readings].sort((a, b) => a.time - b.time);
+        const loggerSetPoint = this.mostCommonValue(unit.setPoints);
+
+        const setPoint = manifestRecord ? manifestRecord.temp : loggerSetPoint;
+        const setPointSource = manifestRecord ? 'MANIFEST' : (loggerSetPoint !== null ? 'LOGGER' : null);
+        const commodity = manifestRecord ? manifestRecord.commodity : null;
+        const profile = this.reeferChecker.resolveToleranceProfile(commodity, setPoint);
+        const tolerance = profile.excursionTolerance;
+
+        const { excluded, defrostPeriods } = this.markDefrostExclusions(readings);
+        const channelNames = [...new Set(readings.flatMap(r => Object.keys(r.channels)))];
+
+        const channels = {};
+        const excursions = [];
+
+        for (const channel of channelNames) {
+            const values = readings
+                .filter((r, i) => !excluded[i] && r.channels[channel] !== null && r.channels[channel] !== undefined)
+                .map(r => r.channels[channel]);
+
+            const channelExcursions = setPoint !== null
+                ? this.findExcursions(readings, excluded, channel, setPoint, tolerance)
+                : [];
+
+            channels[channel] = {
+                min: values.length > 0 ? Math.min(...values) : null,
+                max: values.length > 0 ? Math.max(...values) : null,
+                avg: values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+                excursionCount: channelExcursions.length,
+                excursionMinutes: channelExcursions.reduce((sum, e) => sum + e.durationMinutes, 0)
+            };
+            excursions.push(...channelExcursions);
+        }
+
+        excursions.sort((a, b) => a.start - b.start);
+        const worst = excursions.reduce((max, e) =>
+            max === null || Math.abs(e.maxDeviation) > Math.abs(max) ? e.maxDeviation : max, null);
+
+        let status = 'OK';
+        if (setPoint === null) status = 'NO_SET_POINT';
+        else if (excursions.length > 0) status = 'EXCURSION';
+
+        return {
+            id: containerId,
+            setPoint: setPoint,
+            setPointSource: setPointSource,
+            loggerSetPoint: loggerSetPoint,
+            commodity: commodity,
+            profile: profile.cargoType,
+            profileLabel: profile.label,
+            tolerance: tolerance,
+            files: unit.files,
+            readingCount: readings.length,
+            excludedReadings: excluded.filter(Boolean).length,
+            start: readings.length > 0 ? readings[0].time : null,
+            end: readings.length > 0 ? readings[readings.length - 1].time : null,
+            defrostPeriods: defrostPeriods,
+            channels: channels,
+            excursions: excursions,
+            totalExcursionMinutes: excursions.reduce((sum, e) => sum + e.durationMinutes, 0),
+            maxDeviation: worst,
+            status: status
+        };
+    }
+
+    /**
+     * Mark defrost readings and the recovery window after each defrost as excluded
+     */
+    markDefrostExclusions(readings) {
+        const recoveryMs = this.defrostRecoveryMinutes * 60000;
+        const excluded = new Array(readings.length).fill(false);
+        const defrostPeriods = [];
+        let current = null;
+
+        readings.forEach((reading, i) => {
+            if (reading.defrost) {
+                if (!current) {
+                    current = { start: reading.time, end: reading.time };
+                    defrostPeriods.push(current);
+                }
+                current.end = reading.time;
+                excluded[i] = true;
+            } else {
+                current = null;
+            }
+        });
+
+        // Air temperatures stay off set point for a while after the heaters stop
+        readings.forEach((reading, i) => {
+            if (defrostPeriods.some(p => reading.time >= p.start && reading.time <= p.end + recoveryMs)) {
+                excluded[i] = true;
+            }
+        });
+
+        return { excluded, defrostPeriods };
+    }
+
+    /**
+     * Consecutive readings of one channel outside set point ± tolerance
+     * An excursion ends at the first reading back in tolerance or excluded (defrost)
+     */
+    findExcursions(readings, excluded, channel, setPoint, tolerance) {
+        const excursions = [];
+        let current = null;
+
+        const close = (endTime) => {
+            if (!current) return;
+            current.end = endTime;
+            current.durationMinutes = Math.round((current.end - current.start) / 60000);
+            excursions.push(current);
+            current = null;
+        };
+
+        readings.forEach((reading, i) => {
+            const value = reading.channels[channel];
+
+            if (excluded[i]) {
+                close(reading.time);
+                return;
+            }
+            if (value === null || value === undefined) return;
+
+            // Rounded to 0.01°C: 8.78 - 4 is 4.779999999999999 in floating point
+            const deviation = Math.round((value - setPoint) * 100) / 100;
+            const direction = deviation > tolerance ? 'ABOVE' : (deviation < -tolerance ? 'BELOW' : null);
+
+            if (!direction) {
+                close(reading.time);
+                return;
+            }
+
+            if (current && current.direction !== direction) {
+                close(reading.time);
+            }
+
+            if (!current) {
+                current = {
+                    channel: channel,
+                    direction: direction,
+                    start: reading.time,
+                    lastTime: reading.time,
+                    maxDeviation: deviation,
+                    readings: 0
+                };
+            }
+
+            current.readings++;
+            current.lastTime = reading.time;
+            if (Math.abs(deviation) > Math.abs(current.maxDeviation)) {
+                current.maxDeviation = deviation;
+            }
+        });
+
+        // Still out of tolerance at the end of the download
+        if (current) close(current.lastTime);
+
+        return excursions.map(({ lastTime, ...excursion }) => excursion);
+    }
+
+    mostCommonValue(values) {
+        if (!values || values.length === 0) return null;
+        const counts = {};
+        values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+        return parseFloat(Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0]);
+    }
+
+    /**
+     * Format a logger timestamp as YYYY-MM-DD HH:MM
+     */
+    formatTimestamp(time) {
+        if (time === null || time === undefined) return '';
+        return new Date(time).toISOString().replace('T', ' ').substring(0, 16);
+    }
+
+    printExcursionSummary() {
+        const { units, notLogged } = this.results;
+
+        console.log(`\n📈 DATA-LOGGER EXCURSION SUMMARY:`);
+        console.log(`   Units logged: ${units.length}`);
+        console.log(`   ✅ Within tolerance: ${units.filter(u => u.status === 'OK').length}`);
+        console.log(`   ❌ With excursions: ${units.filter(u => u.status === 'EXCURSION').length}`);
+        console.log(`   ⚠️ No set point: ${units.filter(u => u.status === 'NO_SET_POINT').length}`);
+        console.log(`   ⚠️ On manifest without logger data: ${notLogged.length}`);
+
+        units.filter(u => u.status === 'EXCURSION').slice(0, 10).forEach(u => {
+            console.log(`   ${u.id}: ${u.excursions.length} excursions, ${u.totalExcursionMinutes} min, max ${u.maxDeviation.toFixed(1)}°C (±${u.tolerance}°C ${u.profileLabel})`);
+        });
+    }
+
+    generateSummary() {
+        if (!this.results) return null;
+        const { units, notLogged, loggerFiles } = this.results;
+
+        return {
+            loggerFiles: loggerFiles.length,
+            totalUnits: units.length,
+            unitsOk: units.filter(u => u.status === 'OK').length,
+            unitsWithExcursions: units.filter(u => u.status === 'EXCURSION').length,
+            noSetPoint: units.filter(u => u.status === 'NO_SET_POINT').length,
+            totalExcursions: units.reduce((sum, u) => sum + u.excursions.length, 0),
+            defrostPeriods: units.reduce((sum, u) => sum + u.defrostPeriods.length, 0),
+            notLogged: notLogged.length,
+            notLoggedList: notLogged
+        };
+    }
+
+    /**
+     * Per-container excursion report: one row per excursion, one OK row for clean units
+     */
+    prepareDownloadData() {
+        if (!this.results || this.results.units.length === 0) {
+            return null;
+        }
+
+        const rows = [["Container ID", "Commodity", "Profile", "Set Point (°C)", "Set Point Source", "Tolerance (±°C)", "Channel", "Direction", "Start", "End", "Duration (min)", "Max Deviation (°C)", "Defrost Periods Excluded", "Status"]];
+
+        this.results.units.forEach(u => {
+            const base = [
+                u.id,
+                u.commodity || '',
+                u.profileLabel,
+                u.setPoint !== null ? u.setPoint.toFixed(1) : '',
+                u.setPointSource || '',
+                u.tolerance
+            ];
+
+            if (u.excursions.length === 0) {
+                rows.push([...base, '', '', this.formatTimestamp(u.start), this.formatTimestamp(u.end), 0, '', u.defrostPeriods.length, u.status]);
+                return;
+            }
+
+            u.excursions.forEach(e => {
+                rows.push([
+                    ...base,
+                    e.channel.toUpperCase(),
+                    e.direction,
+                    this.formatTimestamp(e.start),
+                    this.formatTimestamp(e.end),
+                    e.durationMinutes,
+                    e.maxDeviation.toFixed(2),
+                    u.defrostPeriods.length,
+                    u.status
+                ]);
+            });
+        });
+
+        this.results.notLogged.forEach(id => {
+            rows.push([id, '', '', '', 'MANIFEST', '', '', '', '', '', '', '', '', 'NO_LOGGER_DATA']);
+        });
+
+        return {
+            filename: `reefer_logger_excursions_${new Date().toISOString().split('T')[0]}.xlsx`,
+            data: rows,
+            summary: this.generateSummary()
+        };
+    }
+}
+
+module.exports = ReeferLoggerAnalyzer;
@@ -3,6 +3,9 @@ const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const fs = require('fs');
 const path = require('path');
+const MaritimeRulesEngine = require('../ai/rules-engine');
+const ConfigTables = require('./config-tables');
+const ReportSheet = require('./report-sheet');
 
 /**
  * Reefer Temperature Checker Module (Simple Container Search)
@@ -15,6 +18,313 @@ class ReeferChecker {
         this.results = null;
         this.initialized = true; // No AI initialization needed
         this.processingPlan = null;
+        this.rulesEngine = new MaritimeRulesEngine();
+        this.configTables = new ConfigTables();
+        this.toleranceProfiles = this.loadToleranceProfiles();
+        this.commodityRanges = this.loadCommodityRanges();
+    }
+
+    /**
+     * Default tolerance profiles, one per cargo type of the rules engine ranges
+     * tolerance: max difference still counted as a match (°C)
+     * criticalAbove: differences above this are CRITICAL, between tolerance and this WARNING
+     * excursionTolerance: allowed deviation of data-logger readings from the set point (°C)
+     */
+    getDefaultToleranceProfiles() {
+        const ranges = this.rulesEngine.rules.temperatureValidation.ranges;
+        const settings = {
+            general: { label: 'General', tolerance: 0.1, criticalAbove: 1.0, excursionTolerance: 2.0 },
+            frozen: { label: 'Frozen', tolerance: 1.0, criticalAbove: 3.0, excursionTolerance: 3.0, matchByTemperature: true },
+            chilled: { label: 'Chilled', tolerance: 0.5, criticalAbove: 1.0, excursionTolerance: 1.0, matchByTemperature: true },
+            pharmaceutical: { label: 'Pharma', tolerance: 0.1, criticalAbove: 0.5, excursionTolerance: 3.0 },
+            banana: { label: 'Banana', tolerance: 0.3, criticalAbove: 0.5, excursionTolerance: 1.0 },
+            citrus: { label: 'Citrus', tolerance: 0.5, criticalAbove: 1.0, excursionTolerance: 1.0 }
+        };
+
+        const profiles = {};
+        for (const [cargoType, range] of Object.entries(ranges)) {
+            profiles[cargoType] = {
+                cargoType: cargoType,
+                range: { ...range },
+                ...(settings[cargoType] || settings.general)
+            };
+        }
+        return profiles;
+    }
+
+    /**
+     * Load tolerance profiles (defaults + saved overrides in storage)
+     */
+    loadToleranceProfiles() {
+        const defaults = this.getDefaultToleranceProfiles();
+        const profiles = this.configTables.load('reefer_tolerance_profiles', defaults);
+
+        // Saved entries may only override a few fields of a default profile
+        for (const [cargoType, profile] of Object.entries(profiles)) {
+            profiles[cargoType] = { ...(defaults[cargoType] || defaults.general), ...profile, cargoType };
+        }
+        return profiles;
+    }
+
+    /**
+     * Pick the tolerance profile for a container: the cargo type of the commodity table entry first,
+     * then the broad frozen/chilled bands by set temperature, else general
+     */
+    resolveToleranceProfile(commodity, setTemp) {
+        const profiles = Object.values(this.toleranceProfiles);
+
+        const rule = this.resolveCommodityRule(commodity);
+        if (rule && this.toleranceProfiles[rule.cargoType]) {
+            return this.toleranceProfiles[rule.cargoType];
+        }
+
+        if (setTemp !== undefined && setTemp !== null) {
+            const byTemperature = profiles.find(p =>
+                p.matchByTemperature && p.range && setTemp >= p.range.min && setTemp <= p.range.max
+            );
+            if (byTemperature) return byTemperature;
+        }
+
+        return this.toleranceProfiles.general || profiles[0];
+    }
+
+    /**
+     * Severity band of a temperature difference under a profile
+     */
+    classifyTemperatureDiff(diff, profile) {
+        if (diff <= profile.tolerance) return 'OK';
+        if (diff > profile.criticalAbove) return 'CRITICAL';
+        return 'WARNING';
+    }
+
+    /**
+     * Default commodity set-point table (editable, saved as storage/reefer_commodity_ranges.json)
+     * cargoType: rules engine range the commodity belongs to
+     * min/max: optional narrower range for this commodity (null = cargo type range)
+     * The longest matching keyword decides, so "FRESH FISH" wins over "FISH"; at equal length
+     * a keyword with a state word (FRESH, CHILLED, FROZEN) wins over a bare product word
+     */
+    getDefaultCommodityRanges() {
+        return [
+            { label: 'Bananas', cargoType: 'banana', min: null, max: null, keywords: ['BANANA', 'PLANTAIN'] },
+            { label: 'Citrus', cargoType: 'citrus', min: null, max: null, keywords: ['CITRUS', 'ORANGE', 'LEMON', 'LIME', 'MANDARIN', 'GRAPEFRUIT', 'CLEMENTINE'] },
+            { label: 'Pharmaceuticals', cargoType: 'pharmaceutical', min: null, max: null, keywords: ['PHARMA', 'VACCINE', 'MEDIC', 'INSULIN', 'DRUG'] },
+            { label: 'Frozen fish / seafood', cargoType: 'frozen', min: -30, max: -18, keywords: ['FROZEN FISH', 'FROZEN SHRIMP', 'FROZEN PRAWN', 'FROZEN SEAFOOD', 'FISH', 'SHRIMP', 'PRAWN', 'SQUID', 'SEAFOOD', 'TUNA'] },
+            { label: 'Fresh fish', cargoType: 'chilled', min: -1, max: 4, keywords: ['FRESH FISH', 'CHILLED FISH'] },
+            { label: 'Fresh seafood', cargoType: 'chilled', min: -1, max: 4, keywords: ['FRESH SHRIMP', 'CHILLED SHRIMP', 'FRESH PRAWN', 'CHILLED PRAWN', 'FRESH SEAFOOD', 'CHILLED SEAFOOD', 'FRESH TUNA', 'CHILLED TUNA'] },
+            { label: 'Frozen meat / poultry', cargoType: 'frozen', min: null, max: null, keywords: ['FROZEN MEAT', 'FROZEN BEEF', 'FROZEN PORK', 'FROZEN CHICKEN', 'POULTRY'] },
+            { label: 'Chilled meat', cargoType: 'chilled', min: -2, max: 4, keywords: ['CHILLED MEAT', 'CHILLED BEEF', 'FRESH MEAT', 'MEAT'] },
+            { label: 'Chilled poultry', cargoType: 'chilled', min: -2, max: 4, keywords: ['CHILLED POULTRY', 'FRESH POULTRY', 'CHILLED CHICKEN', 'FRESH CHICKEN'] },
+            { label: 'Ice cream', cargoType: 'frozen', min: -30, max: -20, keywords: ['ICE CREAM'] },
+            { label: 'Frozen (other)', cargoType: 'frozen', min: null, max: null, keywords: ['FROZEN', 'FRZ'] },
+            { label: 'Chilled (other)', cargoType: 'chilled', min: null, max: null, keywords: ['CHILLED', 'FRESH'] },
+            { label: 'Fresh fruit / vegetables', cargoType: 'chilled', min: null, max: null, keywords: ['APPLE', 'PEAR', 'GRAPE', 'BERR', 'AVOCADO', 'MANGO', 'KIWI', 'VEGETABLE', 'POTATO', 'ONION'] },
+            { label: 'Dairy', cargoType: 'chilled', min: -2, max: 8, keywords: ['CHEESE', 'DAIRY', 'MILK', 'YOGHURT', 'YOGURT'] }
+        ];
+    }
+
+    /**
+     * Load the commodity table (saved table replaces the defaults as a whole)
+     */
+    loadCommodityRanges() {
+        return this.configTables.load('reefer_commodity_ranges', this.getDefaultCommodityRanges());
+    }
+
+    /**
+     * Save an edited commodity table
+     */
+    saveCommodityRanges(table) {
+        if (!Array.isArray(table)) {
+            return { success: false, error: 'Commodity table must be a list of entries' };
+        }
+
+        const cleaned = table
+            .filter(entry => entry && entry.label && Array.isArray(entry.keywords) && entry.keywords.length > 0)
+            .map(entry => ({
+                label: entry.label.toString().trim(),
+                cargoType: entry.cargoType || 'general',
+                min: entry.min === '' || entry.min === null || entry.min === undefined ? null : parseFloat(entry.min),
+                max: entry.max === '' || entry.max === null || entry.max === undefined ? null : parseFloat(entry.max),
+                keywords: entry.keywords.map(keyword => keyword.toString().trim().toUpperCase()).filter(Boolean)
+            }));
+
+        const result = this.configTables.save('reefer_commodity_ranges', cleaned);
+        if (result.success) {
+            this.commodityRanges = cleaned;
+        }
+        return result;
+    }
+
+    /**
+     * Find the commodity table entry for a declared commodity
+     */
+    resolveCommodityRule(commodity) {
+        if (!commodity) return null;
+        const text = commodity.toString().toUpperCase();
+        const stateWord = /\b(FRESH|CHILLED|FROZEN)\b/;
+        let best = null;
+        let bestLength = 0;
+        let bestHasState = false;
+
+        for (const entry of this.commodityRanges) {
+            for (const keyword of entry.keywords || []) {
+                const upper = keyword ? keyword.toUpperCase() : '';
+                if (!upper || !text.includes(upper)) continue;
+
+                const hasState = stateWord.test(upper);
+                if (upper.length > bestLength || (upper.length === bestLength && hasState && !bestHasState)) {
+                    best = entry;
+                    bestLength = upper.length;
+                    bestHasState = hasState;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Flag a set point that is implausible for the declared commodity
+     * @returns {Object|null} Suspect set point finding, null when plausible or commodity unknown
+     */
+    checkSetPointPlausibility(id, setPoint, commodity) {
+        const rule = this.resolveCommodityRule(commodity);
+        if (!rule || setPoint === null || setPoint === undefined) return null;
+
+        const rangeOverride = rule.min !== null && rule.min !== undefined && rule.max !== null && rule.max !== undefined
+            ? { min: rule.min, max: rule.max }
+            : null;
+        const validation = this.rulesEngine.rules.temperatureValidation.validateRange(setPoint, rule.cargoType, rangeOverride);
+        if (validation.valid) return null;
+
+        return {
+            id: id,
+            setPoint: setPoint,
+            commodity: commodity,
+            rule: rule.label,
+            cargoType: rule.cargoType,
+            range: validation.range,
+            message: `${rule.label}: set point ${setPoint}°C outside ${validation.range.min}°C to ${validation.range.max}°C`
+        };
+    }
+
+    /**
+     * Reefer settings compared alongside temperature
+     * 'number' parameters match within tolerance, 'flag' parameters (Y/N) must be equal.
+     * headerPattern maps sheet columns, textPattern reads labelled values from free text (PDF lines).
+     */
+    getReeferParameters() {
+        return [
+            {
+                key: 'ventilation', label: 'Ventilation (%)', type: 'number', tolerance: 5,
+                headerPattern: /vent(ilation)?\.?\s*(%|perc|open|setting)|fresh\s*air|air\s*fresh/i,
+                textPattern: /\bVENT(?:ILATION|S)?\s*[:=]?\s*(\d+(?:\.\d+)?|CLOSED)\s*%?/i
+            },
+            {
+                key: 'humidity', label: 'Dehumidification (%)', type: 'number', tolerance: 5,
+                headerPattern: /dehumid|humidity|\brh\b/i,
+                textPattern: /\b(?:DEHUMID\w*|HUMIDITY|RH)\s*[:=]?\s*(\d+(?:\.\d+)?)\s*%?/i
+            },
+            {
+                key: 'o2', label: 'CA O2 (%)', type: 'number', tolerance: 0.5,
+                headerPattern: /\bo2\b|oxygen/i,
+                textPattern: /\bO2\s*[:=]?\s*(\d+(?:\.\d+)?)\s*%?/i
+            },
+            {
+                key: 'co2', label: 'CA CO2 (%)', type: 'number', tolerance: 0.5,
+                headerPattern: /\bco2\b|carbon\s*dioxide/i,
+                textPattern: /\bCO2\s*[:=]?\s*(\d+(?:\.\d+)?)\s*%?/i
+            },
+            {
+                key: 'coldTreatment', label: 'Cold Treatment', type: 'flag',
+                headerPattern: /cold\s*treat|^ct$|usda/i,
+                textPattern: /\bCOLD\s*TREAT\w*\s*[:=(]?\s*(Y|N|YES|NO)\b/i
+            },
+            {
+                key: 'controlledAtmosphere', label: 'Controlled Atmosphere', type: 'flag',
+                headerPattern: /atmosphere|^ca$/i,
+                textPattern: /\b(?:CONTROLLED\s*)?ATMOSPHERE(?:\s*CONTROL)?\s*[:=(]?\s*(Y|N|YES|NO)\b/i
+            }
+        ];
+    }
+
+    /**
+     * Parse a raw parameter cell into a number, a boolean flag or null
+     */
+    parseParameterValue(raw, spec) {
+        if (raw === undefined || raw === null) return null;
+        const s = raw.toString().trim();
+        if (!s) return null;
+
+        if (spec.type === 'flag') {
+            if (/^(Y|YES|TRUE|X|1)$/i.test(s)) return true;
+            if (/^(N|NO|FALSE|0)$/i.test(s)) return false;
+            return null;
+        }
+
+        if (/closed/i.test(s)) return 0;
+        const numMatch = s.match(/-?\d+(?:\.\d+)?/);
+        return numMatch ? parseFloat(numMatch[0]) : null;
+    }
+
+    /**
+     * Read reefer parameters of one row: mapped columns first, labelled text as fallback
+     */
+    extractRowParameters(row, parameterCols = {}) {
+        const params = {};
+        const rowText = row.filter(cell => cell !== undefined && cell !== null).join(' ');
+
+        for (const spec of this.getReeferParameters()) {
+            let value = null;
+            const col = parameterCols[spec.key];
+
+            if (col !== undefined && col !== -1) {
+                value = this.parseParameterValue(row[col], spec);
+            } else {
+                const textMatch = rowText.match(spec.textPattern);
+                if (textMatch) value = this.parseParameterValue(textMatch[1], spec);
+            }
+
+            params[spec.key] = value;
+        }
+
+        return params;
+    }
+
+    /**
+     * Compare reefer parameters of one container, values missing on either side are skipped
+     */
+    compareParameters(id, checkParams = {}, manifestParams = {}) {
+        const mismatches = [];
+
+        for (const spec of this.getReeferParameters()) {
+            const checkValue = checkParams[spec.key];
+            const manifestValue = manifestParams[spec.key];
+            if (checkValue === null || checkValue === undefined) continue;
+            if (manifestValue === null || manifestValue === undefined) continue;
+
+            const isMismatch = spec.type === 'number'
+                ? Math.round(Math.abs(checkValue - manifestValue) * 100) / 100 > spec.tolerance
+                : checkValue !== manifestValue;
+
+            if (isMismatch) {
+                mismatches.push({
+                    id,
+                    parameter: spec.key,
+                    label: spec.label,
+                    checkValue: this.formatParameterValue(checkValue, spec),
+                    manifestValue: this.formatParameterValue(manifestValue, spec),
+                    tolerance: spec.type === 'number' ? spec.tolerance : null
+                });
+            }
+        }
+
+        return mismatches;
+    }
+
+    formatParameterValue(value, spec) {
+        if (value === null || value === undefined) return '';
+        if (spec.type === 'flag') return value ? 'Y' : 'N';
+        return value;
     }
 
     /**
@@ -33,11 +343,21 @@ class ReeferChecker {
      */
     async processReeferCheck(options) {
         try {
-            const { checkFilePath, manifestFilePath } = options;
+            const { checkFilePath, manifestFilePath, voyage = null } = options;
 
             // Simple initialization
             this.initialized = true;
 
+            // Reload so edits to the stored tables apply to this run
+            this.toleranceProfiles = this.loadToleranceProfiles();
+            this.commodityRanges = this.loadCommodityRanges();
+
+            this.voyage = voyage ? voyage.toString().trim().toUpperCase() : null;
+            this.inputFiles = {
+                check: path.basename(checkFilePath),
+                manifest: path.basename(manifestFilePath)
+            };
+
             // Load and parse files based on extension
             this.checkData = await this.loadFile(checkFilePath);
             this.manifestData = await this.loadFile(manifestFilePath);
@@ -69,6 +389,7 @@ class ReeferChecker {
 
             // Process comparison (like HTML version)
             this.results = this.compareTemperatures(checkMap, manifestMap);
+            validationResult.warnings.push(...this.getUnitWarnings(checkMap, manifestMap));
 
             return {
                 success: true,
@@ -163,12 +484,16 @@ class ReeferChecker {
         
         return {
             SheetNames: Object.keys(sheets),
-            Sheets: sheets
+            Sheets: sheets,
+            // Sheets are named after the "Destination Port:" sections
+            destinationSheets: /Destination Port:/i.test(result.value)
         };
     }
 
     /**
      * Parse DOCX HTML content to extract reefer manifest tables
+     * Each destination section becomes one sheet per table layout, keeping the real
+     * header and cells so columns are mapped by analyzeSheetUniversal like Excel sheets
      */
     parseDOCXHTML(html) {
         const sheets = {};
@@ -180,75 +505,97 @@ class ReeferChecker {
             const destination = destSections[i].trim();
             const sectionContent = destSections[i + 1] || '';
             
-            // Extract all containers and temperatures from this section
-            const sectionData = this.extractContainersFromHTML(sectionContent, destination);
-            
-            if (sectionData.length > 0) {
-                sheets[destination] = sectionData;
-            }
+            this.addDOCXSectionSheets(sheets, destination, sectionContent);
         }
         
         // If no destination-based sections found, parse entire HTML
         if (Object.keys(sheets).length === 0) {
-            const allData = this.extractContainersFromHTML(html, 'MANIFEST');
-            if (allData.length > 0) {
-                sheets['MANIFEST'] = allData;
-            }
+            this.addDOCXSectionSheets(sheets, 'MANIFEST', html);
         }
         
         return sheets;
     }
 
     /**
-     * Extract containers from HTML content
+     * Add the container tables of one DOCX section to the sheet set
      */
-    extractContainersFromHTML(html, destination) {
-        const rows = [];
+    addDOCXSectionSheets(sheets, destination, html) {
+        let current = null;
+        let tableCount = 0;
         
-        // Add header row
-        rows.push([
-            'Shipper & Forwarder', 'Container #', 'Size', 'Commodity', 
-            'No. of Packages', 'Weight (Kgs)', 'Volume', 'Temperature (C)',
-            'Vent. Percentage', 'Dehumidification(%)', 'Ventilated(Y/N)',
-            'Air Fresh Vents', 'Cold Treatment(Y/N)', 'Atmosphere Control (Y/N)'
-        ]);
-        
-        // Find all container IDs in this section
-        const containerMatches = [...html.matchAll(/([A-Z]{4}\d{7})/g)];
-        
-        for (const containerMatch of containerMatches) {
-            const containerId = containerMatch[1];
-            const matchIndex = containerMatch.index;
+        for (const table of this.extractHTMLTables(html)) {
+            if (table.length === 0) continue;
+            const hasHeader = !table[0].some(cell => this.detectContainerId(cell));
             
-            // Look for temperature near this container ID (within 500 characters)
-            const contextStart = Math.max(0, matchIndex - 250);
-            const contextEnd = Math.min(html.length, matchIndex + 250);
-            const context = html.substring(contextStart, contextEnd);
+            // Continuation table (split across pages): append to the previous table
+            if (current && !hasHeader && table[0].length === current[0].length) {
+                current.push(...table);
+                continue;
+            }
             
-            // Find temperature in context
-            const tempMatch = context.match(/(-?\d+(?:\.\d+)?\s*C)/i);
-            const temperature = tempMatch ? tempMatch[1] : '0 C';
+            if (!this.hasContainerData(table)) continue;
             
-            // Create row with container data
-            const row = [
-                'TRANSSHIPMENT',  // Shipper
-                containerId,      // Container #
-                '1 x 40 HR',      // Size
-                'CARGO',          // Commodity
-                '1',              // Packages
-                '0',              // Weight
-                '0',              // Volume
-                temperature,      // Temperature
-                '0',              // Vent %
-                '0',              // Dehumidification
-                'N',              // Ventilated
-                'VENTS CLOSED',   // Air Fresh Vents
-                'N',              // Cold Treatment
-                'N'               // Atmosphere Control
-            ];
+            // Same layout repeated: append data rows only
+            if (current && hasHeader && table[0].join('|') === current[0].join('|')) {
+                current.push(...table.slice(1));
+                continue;
+            }
             
-            rows.push(row);
+            tableCount++;
+            current = table;
+            sheets[tableCount === 1 ? destination : `${destination} - Table ${tableCount}`] = current;
+        }
+        
+        // No usable tables: fall back to scanning the section text
+        if (tableCount === 0) {
+            const textData = this.extractContainersFromHTML(html, destination);
+            if (textData.length > 1) {
+                sheets[destination] = textData;
+            }
         }
+    }
+
+    /**
+     * Split HTML into tables, each trimmed so the header row comes first
+     */
+    extractHTMLTables(html) {
+        let tableHtmls = html.match(/<table[^>]*>.*?<\/table>/gis) || [];
+        
+        // Section split inside a table: parse the loose rows as one table
+        if (tableHtmls.length === 0 && /<tr[^>]*>/i.test(html)) {
+            tableHtmls = [html];
+        }
+        
+        return tableHtmls.map(tableHtml => {
+            const rows = this.parseHTMLTable(tableHtml);
+            
+            // Drop title rows above the header (the row just before the first container)
+            const firstDataRow = rows.findIndex(row => row.some(cell => this.detectContainerId(cell)));
+            return firstDataRow > 1 ? rows.slice(firstDataRow - 1) : rows;
+        });
+    }
+
+    /**
+     * Extract containers from loose HTML text (no table structure)
+     * Each container only reads the text up to the next container ID,
+     * so a neighbouring unit's temperature is never picked up; that text is kept as
+     * Details for the labelled reefer parameters (vent, humidity, CA, cold treatment)
+     */
+    extractContainersFromHTML(html, destination) {
+        const rows = [['Container #', 'Temperature (C)', 'Details']];
+        const text = html.replace(/<[^>]*>/g, ' ');
+        
+        // Find all container IDs in this section
+        const containerMatches = [...text.matchAll(/([A-Z]{4}\d{7})/g)];
+        
+        containerMatches.forEach((containerMatch, index) => {
+            const start = containerMatch.index + containerMatch[1].length;
+            const next = containerMatches[index + 1];
+            const context = text.substring(start, next ? next.index : Math.min(text.length, start + 250));
+            const tempMatch = context.match(/(-?\d+(?:\.\d+)?\s*°?\s*C\b)/i);
+            
+            rows.push([containerMatch[1], tempMatch ? tempMatch[1] : '', context.replace(/\s+/g, ' ').trim()]);
+        });
         
         return rows;
     }
@@ -450,7 +797,11 @@ class ReeferChecker {
                 columnMappings: {
                     containerId: bestSheet.containerCol,
                     setTemp: bestSheet.tempCol,
-                    actualTemp: bestSheet.tempCol
+                    actualTemp: bestSheet.tempCol,
+                    commodity: bestSheet.commodityCol,
+                    parameters: bestSheet.parameterCols,
+                    pod: bestSheet.podCol,
+                    tempUnit: bestSheet.tempUnit
                 },
                 detectionSummary: validation.detectionSummary,
                 criticalIssues: validation.issues,
@@ -519,12 +870,18 @@ class ReeferChecker {
             
             for (const sheetInfo of processingPlan.validSheets) {
                 const rows = workbook.Sheets[sheetInfo.sheetName];
-                const extracted = this.extractFromSheet(rows, sheetInfo.sheetName, sheetInfo.containerCol, sheetInfo.tempCol);
+                const extracted = this.extractFromSheet(rows, sheetInfo.sheetName, sheetInfo.containerCol, sheetInfo.tempCol, sheetInfo.commodityCol, sheetInfo.parameterCols, sheetInfo.podCol, sheetInfo.tempUnit);
+                
+                // DOCX destination sections give the POD when the table has no POD column
+                if (workbook.destinationSheets) {
+                    const sectionPod = this.normalizePod(sheetInfo.sheetName.replace(/\s+-\s+Table \d+$/, ''));
+                    Object.values(extracted).forEach(record => { record.pod = record.pod || sectionPod; });
+                }
                 
                 // Merge into main map (avoid duplicates)
-                for (const [containerId, temp] of Object.entries(extracted)) {
+                for (const [containerId, record] of Object.entries(extracted)) {
                     if (!(containerId in map)) {
-                        map[containerId] = temp;
+                        map[containerId] = record;
                     }
                 }
             }
@@ -532,11 +889,12 @@ class ReeferChecker {
             // Single sheet extraction (fallback)
             const sheetName = bestSheetName || workbook.SheetNames[0];
             const rows = workbook.Sheets[sheetName];
-            const idCol = processingPlan.columnMappings.containerId;
-            const tempCol = processingPlan.columnMappings.setTemp || processingPlan.columnMappings.actualTemp;
+            const mappings = processingPlan.columnMappings;
+            const idCol = mappings.containerId;
+            const tempCol = mappings.setTemp || mappings.actualTemp;
             
             console.log(`\n📤 EXTRACTING from ${sheetName} (SINGLE-SHEET mode)`);
-            const extracted = this.extractFromSheet(rows, sheetName, idCol, tempCol);
+            const extracted = this.extractFromSheet(rows, sheetName, idCol, tempCol, mappings.commodity, mappings.parameters, mappings.pod, mappings.tempUnit);
             Object.assign(map, extracted);
         }
         
@@ -546,7 +904,7 @@ class ReeferChecker {
         // Show some sample containers for verification
         if (totalContainers > 0) {
             const sampleIds = Object.keys(map).slice(0, 3);
-            const sampleData = sampleIds.map(id => `${id}=${map[id]}°C`);
+            const sampleData = sampleIds.map(id => `${id}=${map[id].temp}°C`);
             console.log(`   🔍 Sample containers: ${sampleData.join(', ')}`);
         
         // Additional debugging for low extraction counts
@@ -652,11 +1010,17 @@ class ReeferChecker {
 
     /**
      * Compare temperatures between check and manifest data (with debugging)
+     * Each container is judged against the tolerance profile of its commodity.
+     * Reconciles both ways: check-only, manifest-only, matched and mismatched.
      */
     compareTemperatures(checkMap, manifestMap) {
         const checkIds = Object.keys(checkMap || {});
         const missing = [];
+        const manifestOnly = [];
+        const matched = [];
         const mismatches = [];
+        const parameterMismatches = [];
+        const unitWarnings = [];
         let found = 0;
         let exactMatches = 0;
 
@@ -668,58 +1032,246 @@ class ReeferChecker {
         const sampleCheck = checkIds.slice(0, 3);
         const sampleManifest = Object.keys(manifestMap || {}).slice(0, 3);
         
-        console.log(`   Sample CHECK: ${sampleCheck.map(id => `${id}=${checkMap[id]}°C`).join(', ')}`);
-        console.log(`   Sample MANIFEST: ${sampleManifest.map(id => `${id}=${manifestMap[id]}°C`).join(', ')}`);
+        console.log(`   Sample CHECK: ${sampleCheck.map(id => `${id}=${checkMap[id].temp}°C`).join(', ')}`);
+        console.log(`   Sample MANIFEST: ${sampleManifest.map(id => `${id}=${manifestMap[id].temp}°C`).join(', ')}`);
 
         for (const id of checkIds) {
-            const setT = checkMap[id];
-            const manT = manifestMap[id];
+            const checkRecord = checkMap[id];
+            const manifestRecord = manifestMap[id];
 
-            if (manT === undefined) {
+            if (manifestRecord === undefined) {
                 missing.push(id);
                 continue;
             }
             found++;
 
-            const diff = Math.abs(setT - manT);
-            if (diff > 0.1) {
-                mismatches.push({ id, setT: setT, manT: manT, diff: diff });
-            } else {
+            const setT = checkRecord.temp;
+            const manT = manifestRecord.temp;
+            const commodity = manifestRecord.commodity || checkRecord.commodity || null;
+            const pod = manifestRecord.pod || checkRecord.pod || null;
+            const profile = this.resolveToleranceProfile(commodity, setT);
+            // Rounded to 0.01°C: 13.3 - 13.0 is 0.30000000000000007 in floating point
+            const diff = Math.round(Math.abs(setT - manT) * 100) / 100;
+            const severity = this.classifyTemperatureDiff(diff, profile);
+            
+            parameterMismatches.push(...this.compareParameters(id, checkRecord.params, manifestRecord.params));
+            
+            // Both sides are compared in °C, but a °F / °C pair is never matched silently
+            const checkOriginal = this.formatOriginalTemp(checkRecord);
+            const manifestOriginal = this.formatOriginalTemp(manifestRecord);
+            const mixedUnits = (checkRecord.tempUnit || 'C') !== (manifestRecord.tempUnit || 'C');
+            if (mixedUnits) {
+                unitWarnings.push({
+                    id,
+                    checkOriginal: checkOriginal,
+                    manifestOriginal: manifestOriginal,
+                    setT: setT,
+                    manT: manT,
+                    pod: pod,
+                    message: `Mixed units: CHECK ${checkOriginal} vs MANIFEST ${manifestOriginal} (compared as ${setT}°C vs ${manT}°C)`
+                });
+            }
+
+            if (severity === 'OK') {
+                matched.push({
+                    id,
+                    setT: setT,
+                    manT: manT,
+                    diff: diff,
+                    commodity: commodity,
+                    profile: profile.cargoType,
+                    profileLabel: profile.label,
+                    checkOriginal: checkOriginal,
+                    manifestOriginal: manifestOriginal,
+                    mixedUnits: mixedUnits,
+                    pod: pod
+                });
                 exactMatches++;
+            } else {
+                mismatches.push({
+                    id,
+                    setT: setT,
+                    manT: manT,
+                    diff: diff,
+                    commodity: commodity,
+                    profile: profile.cargoType,
+                    profileLabel: profile.label,
+                    tolerance: profile.tolerance,
+                    criticalAbove: profile.criticalAbove,
+                    severity: severity,
+                    checkOriginal: checkOriginal,
+                    manifestOriginal: manifestOriginal,
+                    mixedUnits: mixedUnits,
+                    pod: pod
+                });
+            }
+        }
+        
+        // Reverse pass: reefers on the MANIFEST that nobody is monitoring on the CHECK sheet
+        for (const id of Object.keys(manifestMap || {})) {
+            if (!(id in (checkMap || {}))) {
+                manifestOnly.push(id);
+            }
+        }
+        
+        // Plausibility: set point vs declared commodity, even when both files agree
+        const suspectSetPoints = [];
+        for (const id of new Set([...checkIds, ...Object.keys(manifestMap || {})])) {
+            const checkRecord = (checkMap || {})[id];
+            const manifestRecord = (manifestMap || {})[id];
+            const source = checkRecord ? 'CHECK' : 'MANIFEST';
+            const record = checkRecord || manifestRecord;
+            const commodity = (manifestRecord && manifestRecord.commodity) || (checkRecord && checkRecord.commodity) || null;
+            
+            const finding = this.checkSetPointPlausibility(id, record.temp, commodity);
+            if (finding) {
+                suspectSetPoints.push({ ...finding, source, pod: (manifestRecord && manifestRecord.pod) || record.pod || null });
             }
         }
         
         console.log(`   ✅ Found matches: ${found}`);
         console.log(`   🎯 Exact matches: ${exactMatches}`);
         console.log(`   ⚠️ Mismatches: ${mismatches.length}`);
-        console.log(`   ❌ Missing: ${missing.length}`);
+        console.log(`   ❌ Missing from MANIFEST (check-only): ${missing.length}`);
+        console.log(`   🚨 Missing from CHECK (manifest-only): ${manifestOnly.length}`);
+        console.log(`   🌬️ Parameter mismatches (vent/humidity/CA/CT): ${parameterMismatches.length}`);
+        console.log(`   🍌 Suspect set points (vs commodity): ${suspectSetPoints.length}`);
+        console.log(`   🌡️ Mixed °F/°C comparisons: ${unitWarnings.length}`);
         
         // Show first few mismatches for debugging
         if (mismatches.length > 0) {
             console.log(`   🔍 Sample mismatches:`);
             mismatches.slice(0, 3).forEach(m => {
-                console.log(`      ${m.id}: CHECK=${m.setT}°C vs MANIFEST=${m.manT}°C (diff=${m.diff.toFixed(2)}°C)`);
+                console.log(`      ${m.id}: CHECK=${m.setT}°C vs MANIFEST=${m.manT}°C (diff=${m.diff.toFixed(2)}°C, ${m.profileLabel} ±${m.tolerance}°C, ${m.severity})`);
             });
         }
         
         // Print comprehensive summary
-        this.printComparisonSummary(checkIds.length, Object.keys(manifestMap || {}).length, found, exactMatches, mismatches, missing);
+        this.printComparisonSummary(checkIds.length, Object.keys(manifestMap || {}).length, found, exactMatches, mismatches, missing, manifestOnly);
 
         return {
             totalCheck: checkIds.length,
             totalManifest: Object.keys(manifestMap || {}).length,
             found: found,
             missing: missing,
+            checkOnly: missing,
+            manifestOnly: manifestOnly,
+            matched: matched,
             mismatches: mismatches,
+            parameterMismatches: parameterMismatches,
+            suspectSetPoints: suspectSetPoints,
+            unitWarnings: unitWarnings,
             checkMap: checkMap,
             manifestMap: manifestMap
         };
     }
 
+    /**
+     * CHECK set points of the current run, as saved in the run history
+     */
+    getRunSnapshot() {
+        if (!this.results) return {};
+        const snapshot = {};
+        for (const [id, record] of Object.entries(this.results.checkMap || {})) {
+            snapshot[id] = {
+                temp: record.temp,
+                tempOriginal: record.tempOriginal ?? record.temp,
+                tempUnit: record.tempUnit || 'C',
+                commodity: record.commodity || null,
+                pod: record.pod || null
+            };
+        }
+        return snapshot;
+    }
+
+    /**
+     * Diff the current CHECK set points against a previous run of the same voyage
+     * @param {Object} previousRun - Saved run { id, timestamp, check_file, containers }
+     * @param {string} currentDate - Timestamp of the current run
+     * @returns {Object} { added, removed, changed, unchanged } with the date of each run
+     */
+    diffSetPoints(previousRun, currentDate = new Date().toISOString()) {
+        if (!this.results || !previousRun) return null;
+
+        const current = this.getRunSnapshot();
+        const previous = previousRun.containers || {};
+        const added = [];
+        const removed = [];
+        const changed = [];
+        let unchanged = 0;
+
+        for (const [id, record] of Object.entries(current)) {
+            const old = previous[id];
+            if (!old) {
+                added.push({ id, temp: record.temp, commodity: record.commodity, pod: record.pod });
+                continue;
+            }
+
+            const delta = Math.round((record.temp - old.temp) * 100) / 100;
+            if (Math.abs(delta) > 0.05) {
+                changed.push({
+                    id,
+                    oldTemp: old.temp,
+                    newTemp: record.temp,
+                    delta: delta,
+                    oldDate: previousRun.timestamp,
+                    newDate: currentDate,
+                    commodity: record.commodity || old.commodity,
+                    pod: record.pod || old.pod
+                });
+            } else {
+                unchanged++;
+            }
+        }
+
+        for (const [id, old] of Object.entries(previous)) {
+            if (!(id in current)) {
+                removed.push({ id, temp: old.temp, commodity: old.commodity, pod: old.pod });
+            }
+        }
+
+        console.log(`\n🔁 SET-POINT DIFF vs run ${previousRun.id} (${previousRun.timestamp}):`);
+        console.log(`   Added: ${added.length}, Removed: ${removed.length}, Changed: ${changed.length}, Unchanged: ${unchanged}`);
+        changed.slice(0, 5).forEach(c => console.log(`      ${c.id}: ${c.oldTemp}°C → ${c.newTemp}°C`));
+
+        this.results.setPointDiff = {
+            previousRun: {
+                id: previousRun.id,
+                timestamp: previousRun.timestamp,
+                checkFile: previousRun.check_file || null
+            },
+            currentDate: currentDate,
+            added: added,
+            removed: removed,
+            changed: changed,
+            unchanged: unchanged
+        };
+        return this.results.setPointDiff;
+    }
+
+    /**
+     * Processing warnings for temperatures quoted in °F
+     */
+    getUnitWarnings(checkMap, manifestMap) {
+        const warnings = [];
+        const fahrenheitCount = map => Object.values(map || {}).filter(r => r.tempUnit === 'F').length;
+        const checkF = fahrenheitCount(checkMap);
+        const manifestF = fahrenheitCount(manifestMap);
+
+        if (checkF > 0) warnings.push(`CHECK: ${checkF} temperatures quoted in °F, converted to °C`);
+        if (manifestF > 0) warnings.push(`MANIFEST: ${manifestF} temperatures quoted in °F, converted to °C`);
+
+        const mixed = (this.results?.unitWarnings || []).length;
+        if (mixed > 0) warnings.push(`${mixed} containers compared across °F and °C - check the converted set points`);
+
+        warnings.forEach(w => console.log(`   🌡️ ${w}`));
+        return warnings;
+    }
+
     /**
      * Print comprehensive comparison summary
      */
-    printComparisonSummary(totalCheck, totalManifest, found, exactMatches, mismatches, missing) {
+    printComparisonSummary(totalCheck, totalManifest, found, exactMatches, mismatches, missing, manifestOnly = []) {
         console.log(`\n📊 COMPARISON SUMMARY:`);
         console.log(`────────────────────────────────────────`);
         
@@ -729,21 +1281,26 @@ class ReeferChecker {
         
         console.log(`\n🔍 MATCHING RESULTS:`);
         console.log(`   • Containers found in both files: ${found}`);
-        console.log(`   • Perfect temperature matches: ${exactMatches}`);
-        console.log(`   • Temperature mismatches (>0.1°C): ${mismatches.length}`);
+        console.log(`   • Matches within profile tolerance: ${exactMatches}`);
+        console.log(`   • Temperature mismatches (outside tolerance): ${mismatches.length}`);
         console.log(`   • Missing from MANIFEST: ${missing.length}`);
+        console.log(`   • Missing from CHECK (not monitored): ${manifestOnly.length}`);
         
         if (mismatches.length > 0) {
             console.log(`\n⚠️ TEMPERATURE MISMATCHES:`);
-            const criticalMismatches = mismatches.filter(m => m.diff > 1.0);
-            const minorMismatches = mismatches.filter(m => m.diff <= 1.0);
+            const criticalMismatches = mismatches.filter(m => m.severity === 'CRITICAL');
+            const minorMismatches = mismatches.filter(m => m.severity === 'WARNING');
             
             if (criticalMismatches.length > 0) {
-                console.log(`   • Critical (>1.0°C difference): ${criticalMismatches.length}`);
+                console.log(`   • Critical (above profile critical band): ${criticalMismatches.length}`);
             }
             if (minorMismatches.length > 0) {
-                console.log(`   • Minor (0.1-1.0°C difference): ${minorMismatches.length}`);
+                console.log(`   • Warning (outside tolerance, within critical band): ${minorMismatches.length}`);
             }
+            
+            const byProfile = {};
+            mismatches.forEach(m => { byProfile[m.profileLabel] = (byProfile[m.profileLabel] || 0) + 1; });
+            console.log(`   • By profile: ${Object.entries(byProfile).map(([label, count]) => `${label}=${count}`).join(', ')}`);
         }
         
         if (missing.length > 0) {
@@ -756,8 +1313,18 @@ class ReeferChecker {
             }
         }
         
+        if (manifestOnly.length > 0) {
+            console.log(`\n🚨 NOT MONITORED (on MANIFEST, not on CHECK):`);
+            console.log(`   • ${manifestOnly.length} reefers from MANIFEST not found in CHECK file`);
+            if (manifestOnly.length <= 10) {
+                console.log(`   • IDs: ${manifestOnly.join(', ')}`);
+            } else {
+                console.log(`   • First 10: ${manifestOnly.slice(0, 10).join(', ')}...`);
+            }
+        }
+        
         console.log(`\n✅ SUMMARY:`);
-        if (found === totalCheck && exactMatches === found) {
+        if (found === totalCheck && exactMatches === found && manifestOnly.length === 0) {
             console.log(`   • 🎉 PERFECT MATCH! All containers found with exact temperatures.`);
         } else if (found === totalCheck && mismatches.length <= 5) {
             console.log(`   • ✅ EXCELLENT! All containers found, only ${mismatches.length} minor temperature differences.`);
@@ -772,26 +1339,137 @@ class ReeferChecker {
     
     /**
      * Generate comprehensive summary (without accuracy)
+     * Counts every reconciliation group: check-only, manifest-only, matched, mismatched
+     * @param {Object} results - Full results (default) or a POD subset from filterResultsByPod
      */
-    generateSummary() {
-        if (!this.results) return 'No results available';
+    generateSummary(results = this.results) {
+        if (!results) return null;
         
-        const { totalCheck, totalManifest, found, missing, mismatches } = this.results;
-        const matches = found - mismatches.length;
+        const { totalCheck, totalManifest, found, missing, manifestOnly, matched, mismatches, parameterMismatches, suspectSetPoints = [], unitWarnings = [] } = results;
+        const matches = matched.length;
+        
+        const parameterMismatchCounts = {};
+        parameterMismatches.forEach(m => {
+            parameterMismatchCounts[m.label] = (parameterMismatchCounts[m.label] || 0) + 1;
+        });
         
         return {
             totalCheck,
             totalManifest, 
             found,
             missing: missing.length,
+            checkOnly: missing.length,
+            manifestOnly: manifestOnly.length,
+            matched: matches,
             mismatches: mismatches.length,
+            criticalMismatches: mismatches.filter(m => m.severity === 'CRITICAL').length,
+            warningMismatches: mismatches.filter(m => m.severity === 'WARNING').length,
             matches,
             missingList: missing,
+            manifestOnlyList: manifestOnly,
             mismatchList: mismatches,
+            parameterMismatches: parameterMismatches.length,
+            parameterMismatchCounts: parameterMismatchCounts,
+            suspectSetPoints: suspectSetPoints.length,
+            unitWarnings: unitWarnings.length,
+            fahrenheitCheck: Object.values(results.checkMap || {}).filter(r => r.tempUnit === 'F').length,
+            fahrenheitManifest: Object.values(results.manifestMap || {}).filter(r => r.tempUnit === 'F').length,
+            podBreakdown: results === this.results ? this.generatePodBreakdown() : undefined,
             debug: `CHECK IDs w/ temp = ${totalCheck}, MANIFEST IDs w/ temp = ${totalManifest}`
         };
     }
 
+    /**
+     * Normalize a port of discharge name (DOCX section or POD column)
+     */
+    normalizePod(value) {
+        if (value === undefined || value === null) return null;
+        const pod = value.toString().trim().replace(/\s+/g, ' ').toUpperCase();
+        return pod || null;
+    }
+
+    /**
+     * Port of discharge of a container, MANIFEST first, then CHECK
+     */
+    getContainerPod(id, results = this.results) {
+        const manifestRecord = results.manifestMap[id];
+        const checkRecord = results.checkMap[id];
+        return (manifestRecord && manifestRecord.pod) || (checkRecord && checkRecord.pod) || 'UNKNOWN';
+    }
+
+    /**
+     * All ports of discharge in the results, UNKNOWN last
+     */
+    getPods() {
+        if (!this.results) return [];
+        const ids = new Set([...Object.keys(this.results.checkMap), ...Object.keys(this.results.manifestMap)]);
+        const pods = [...new Set([...ids].map(id => this.getContainerPod(id)))];
+        return pods.sort((a, b) => (a === 'UNKNOWN') - (b === 'UNKNOWN') || a.localeCompare(b));
+    }
+
+    /**
+     * Restrict the results to the containers of one port of discharge
+     */
+    filterResultsByPod(pod) {
+        const inPod = id => this.getContainerPod(id) === pod;
+        const pick = map => Object.fromEntries(Object.entries(map).filter(([id]) => inPod(id)));
+        const matched = this.results.matched.filter(m => inPod(m.id));
+        const mismatches = this.results.mismatches.filter(m => inPod(m.id));
+
+        return {
+            ...this.results,
+            totalCheck: Object.keys(this.results.checkMap).filter(inPod).length,
+            totalManifest: Object.keys(this.results.manifestMap).filter(inPod).length,
+            found: matched.length + mismatches.length,
+            missing: this.results.missing.filter(inPod),
+            checkOnly: this.results.checkOnly.filter(inPod),
+            manifestOnly: this.results.manifestOnly.filter(inPod),
+            matched: matched,
+            mismatches: mismatches,
+            parameterMismatches: this.results.parameterMismatches.filter(p => inPod(p.id)),
+            suspectSetPoints: (this.results.suspectSetPoints || []).filter(f => inPod(f.id)),
+            unitWarnings: (this.results.unitWarnings || []).filter(w => inPod(w.id)),
+            checkMap: pick(this.results.checkMap),
+            manifestMap: pick(this.results.manifestMap)
+        };
+    }
+
+    /**
+     * Reconciliation counts per port of discharge
+     */
+    generatePodBreakdown() {
+        return this.getPods().map(pod => {
+            const summary = this.generateSummary(this.filterResultsByPod(pod));
+            return {
+                pod: pod,
+                totalCheck: summary.totalCheck,
+                totalManifest: summary.totalManifest,
+                found: summary.found,
+                missing: summary.missing,
+                manifestOnly: summary.manifestOnly,
+                matched: summary.matched,
+                mismatches: summary.mismatches,
+                criticalMismatches: summary.criticalMismatches,
+                warningMismatches: summary.warningMismatches,
+                parameterMismatches: summary.parameterMismatches,
+                suspectSetPoints: summary.suspectSetPoints,
+                unitWarnings: summary.unitWarnings
+            };
+        });
+    }
+
+    /**
+     * Reconciliation status of one container for handover lists
+     */
+    getContainerStatus(id, results = this.results) {
+        const mismatch = results.mismatches.find(m => m.id === id);
+        if (mismatch) return mismatch.severity;
+        if (results.matched.some(m => m.id === id)) return 'MATCHED';
+        if (results.missing.includes(id)) return 'MISSING FROM MANIFEST';
+        if (results.manifestOnly.includes(id)) return 'NOT MONITORED';
+        return '';
+    }
+
     /**
      * Universal sheet analysis with adaptive format detection
      */
@@ -801,12 +1479,15 @@ class ReeferChecker {
         
         // Multi-pass analysis for maximum compatibility
         const headerAnalysis = this.analyzeHeaders(rows[0] || [], maxCols);
-        const dataAnalysis = this.analyzeDataPatterns(rows, maxCols, scanRows);
+        const headerUnits = Object.fromEntries(headerAnalysis.tempHeaders.filter(h => h.unit).map(h => [h.col, h.unit]));
+        const dataAnalysis = this.analyzeDataPatterns(rows, maxCols, scanRows, headerUnits);
         const structureAnalysis = this.analyzeDataStructure(rows, scanRows);
         
         // Combine analyses with confidence scoring
         const containerCol = this.selectBestContainerColumn(dataAnalysis.containerCols, headerAnalysis);
         const tempCol = this.selectBestTempColumn(dataAnalysis.tempCols, headerAnalysis);
+        const commodityCol = headerAnalysis.commodityHeaders.length > 0 ? headerAnalysis.commodityHeaders[0].col : -1;
+        const podCol = headerAnalysis.podHeaders.length > 0 ? headerAnalysis.podHeaders[0].col : -1;
         
         const confidence = this.calculateSheetConfidence(containerCol, tempCol, dataAnalysis, structureAnalysis);
         
@@ -823,6 +1504,10 @@ class ReeferChecker {
             tempCount: tempCol.count,
             containerCol: containerCol.col,
             tempCol: tempCol.col,
+            commodityCol: commodityCol,
+            podCol: podCol,
+            tempUnit: headerUnits[tempCol.col] || null,
+            parameterCols: headerAnalysis.parameterHeaders,
             confidence: confidence,
             reason: isValid ? 'Valid container data detected' : this.getDiagnosticReason(containerCol, tempCol, confidence),
             headerAnalysis,
@@ -833,8 +1518,9 @@ class ReeferChecker {
     
     /**
      * Extract containers from a single sheet
+     * @returns {Object} containerId -> { temp, commodity, pod, params }
      */
-    extractFromSheet(rows, sheetName, containerCol, tempCol) {
+    extractFromSheet(rows, sheetName, containerCol, tempCol, commodityCol = -1, parameterCols = {}, podCol = -1, tempUnit = null) {
         const map = {};
         let extracted = 0;
         let skipped = 0;
@@ -858,8 +1544,8 @@ class ReeferChecker {
             
             // Get temperature
             const cellTemp = row[tempCol];
-            const temp = this.detectTempNumber(cellTemp);
-            if (temp === null) {
+            const reading = this.detectTempReading(cellTemp, tempUnit);
+            if (reading === null) {
                 // Debug: show what we're skipping
                 if (skipped < 3) {
                     console.log(`      Debug: Row ${r}, Container ${id}, TempCell="${cellTemp}" -> no temp detected`);
@@ -870,12 +1556,20 @@ class ReeferChecker {
             
             // Add to map (avoid duplicates)
             if (!(id in map)) {
-                map[id] = temp;
+                const rawCommodity = commodityCol !== -1 ? row[commodityCol] : null;
+                map[id] = {
+                    temp: reading.value,
+                    tempOriginal: reading.original,
+                    tempUnit: reading.unit,
+                    commodity: rawCommodity ? rawCommodity.toString().trim() : null,
+                    pod: podCol !== -1 ? this.normalizePod(row[podCol]) : null,
+                    params: this.extractRowParameters(row, parameterCols)
+                };
                 extracted++;
                 
                 // Debug: show first few extractions
                 if (extracted <= 3) {
-                    console.log(`      Debug: Row ${r}, Container ${id}, Temp=${temp}°C`);
+                    console.log(`      Debug: Row ${r}, Container ${id}, Temp=${reading.value}°C${reading.unit === 'F' ? ` (${reading.original}°F)` : ''}`);
                 }
             }
         }
@@ -922,10 +1616,73 @@ class ReeferChecker {
     
     /**
      * Universal temperature detection with context awareness
+     * @param {string} defaultUnit - Unit of the column header ('C' / 'F') when the cell has none
+     * @returns {number|null} Temperature in °C
      */
-    detectTempNumber(cell) {
+    detectTempNumber(cell, defaultUnit = null) {
+        const reading = this.detectTempReading(cell, defaultUnit);
+        return reading ? reading.value : null;
+    }
+
+    /**
+     * Unit-aware temperature detection
+     * Fahrenheit values (cell or header unit) are converted to °C, keeping the original
+     * @returns {Object|null} { value (°C), original, unit }
+     */
+    detectTempReading(cell, defaultUnit = null) {
         if (cell === undefined || cell === null) return null;
-        let s = cell.toString().trim();
+        const s = cell.toString().trim();
+        const unit = this.detectTempUnit(s) || defaultUnit;
+
+        if (unit === 'F') {
+            const numMatch = s.match(/[-+]?\d*\.?\d+/);
+            if (!numMatch) return null;
+            const f = parseFloat(numMatch[0]);
+            const c = this.fahrenheitToCelsius(f);
+            if (isNaN(c) || c < -50 || c > 60) return null;
+            return { value: c, original: f, unit: 'F' };
+        }
+
+        const value = this.detectCelsiusNumber(s);
+        return value === null ? null : { value: value, original: value, unit: 'C' };
+    }
+
+    /**
+     * Temperature unit quoted in a cell or header: 'F', 'C' or null
+     */
+    detectTempUnit(text) {
+        if (text === undefined || text === null) return null;
+        const s = text.toString();
+
+        if (/°\s*F\b|\bdeg(rees?)?\.?\s*F\b|\bFAH(R(ENHEIT)?)?\b|\d\s*F\b|[(\[]\s*F\s*[)\]]|\btemp\w*\.?\s+F\b/i.test(s)) {
+            return 'F';
+        }
+        if (/°\s*C\b|\bdeg(rees?)?\.?\s*C\b|celsius|centigrade|\d\s*C\b|[(\[]\s*C\s*[)\]]|\btemp\w*\.?\s+C\b/i.test(s)) {
+            return 'C';
+        }
+        return null;
+    }
+
+    /**
+     * Convert °F to °C (2 decimals)
+     */
+    fahrenheitToCelsius(f) {
+        return Math.round((f - 32) * 5 / 9 * 100) / 100;
+    }
+
+    /**
+     * Format a record temperature as quoted in its source file, e.g. "0°F"
+     */
+    formatOriginalTemp(record) {
+        if (!record || record.temp === undefined || record.temp === null) return '';
+        const original = record.tempOriginal ?? record.temp;
+        return `${original}°${record.tempUnit || 'C'}`;
+    }
+
+    /**
+     * Celsius temperature detection (cells without a Fahrenheit unit)
+     */
+    detectCelsiusNumber(s) {
         
         // Handle various temperature formats with context
         const tempPatterns = [
@@ -982,31 +1739,234 @@ class ReeferChecker {
      * Prepare comprehensive data for Excel download
      */
     prepareDownloadData() {
-        if (!this.results || !this.results.mismatches || this.results.mismatches.length === 0) {
+        if (!this.results) {
             return null;
         }
 
-        const rows = [["Container ID", "Set Temp (°C)", "Manifest Temp (°C)", "Difference (°C)", "Status", "Route"]];
+        const rows = [["Container ID", "Set Temp (°C)", "Manifest Temp (°C)", "Difference (°C)", "Commodity", "Profile", "Tolerance (°C)", "Status", "POD", "CHECK (as quoted)", "MANIFEST (as quoted)"]];
         this.results.mismatches.forEach(m => {
-            const status = Math.abs(m.diff) > 1.0 ? 'CRITICAL' : 'WARNING';
-            const route = m.route || 'Unknown';
             rows.push([
                 m.id, 
                 m.setT.toFixed(1), 
                 m.manT.toFixed(1), 
                 m.diff.toFixed(2),
-                status,
-                route
+                m.commodity || '',
+                m.profileLabel,
+                `±${m.tolerance} (critical >${m.criticalAbove})`,
+                m.severity,
+                m.pod || 'UNKNOWN',
+                m.checkOriginal,
+                m.manifestOriginal
             ]);
         });
 
         return {
-            filename: `reefer_temperature_mismatches_${new Date().toISOString().split('T')[0]}.xlsx`,
+            filename: `reefer_temperature_report_${new Date().toISOString().split('T')[0]}.xlsx`,
             data: rows,
             summary: this.generateSummary()
         };
     }
 
+    /**
+     * Export the full comparison report
+     * Sheets: Summary, POD_Breakdown, Matches, Mismatches, Parameter_Mismatches,
+     * Suspect_Set_Points, Set_Point_Changes (when diffed against a previous run), Unit_Warnings, Missing_from_Manifest, Missing_from_Check and one handover sheet per POD
+     * @param {string} options.pod - Only export the containers of this port of discharge
+     */
+    async exportResults(outputPath, options = {}) {
+        if (!this.results) {
+            throw new Error('No results to export');
+        }
+
+        try {
+            const workbook = new ExcelJS.Workbook();
+            const results = options.pod ? this.filterResultsByPod(options.pod) : this.results;
+            const summary = this.generateSummary(results);
+            const { checkMap, manifestMap } = results;
+            const pods = options.pod ? [options.pod] : this.getPods();
+
+            // Summary sheet
+            const summarySheet = workbook.addWorksheet('Summary');
+            summarySheet.addRow(['Reefer Temperature Check Report']).font = { bold: true, size: 14 };
+            summarySheet.addRow(['Generated', new Date().toLocaleString()]);
+            summarySheet.addRow(['CHECK File', this.inputFiles?.check || '']);
+            summarySheet.addRow(['MANIFEST File', this.inputFiles?.manifest || '']);
+            summarySheet.addRow(['Ports of Discharge', pods.join(', ')]);
+            if (this.voyage) {
+                summarySheet.addRow(['Voyage', this.voyage]);
+            }
+            if (options.pod) {
+                summarySheet.addRow(['Filtered to POD', options.pod]);
+            }
+            summarySheet.addRow([]);
+            summarySheet.addRow(['Summary Statistics']).font = { bold: true };
+            summarySheet.addRow(['CHECK Containers', summary.totalCheck]);
+            summarySheet.addRow(['MANIFEST Containers', summary.totalManifest]);
+            summarySheet.addRow(['Found in Both', summary.found]);
+            summarySheet.addRow(['Matched within Tolerance', summary.matched]);
+            summarySheet.addRow(['Mismatches', summary.mismatches]);
+            summarySheet.addRow(['  Critical', summary.criticalMismatches]);
+            summarySheet.addRow(['  Warning', summary.warningMismatches]);
+            summarySheet.addRow(['Parameter Mismatches', summary.parameterMismatches]);
+            summarySheet.addRow(['Suspect Set Points (vs commodity)', summary.suspectSetPoints]);
+            summarySheet.addRow(['CHECK Temps in °F (converted)', summary.fahrenheitCheck]);
+            summarySheet.addRow(['MANIFEST Temps in °F (converted)', summary.fahrenheitManifest]);
+            summarySheet.addRow(['Mixed °F/°C Comparisons', summary.unitWarnings]);
+            if (this.results.setPointDiff) {
+                const diff = this.results.setPointDiff;
+                summarySheet.addRow(['Previous Run (voyage diff)', `${diff.previousRun.timestamp} (${diff.previousRun.checkFile || 'unknown file'})`]);
+                summarySheet.addRow(['Set Points Changed / Added / Removed', `${diff.changed.length} / ${diff.added.length} / ${diff.removed.length}`]);
+            }
+            summarySheet.addRow(['Missing from MANIFEST (check-only)', summary.checkOnly]);
+            summarySheet.addRow(['Missing from CHECK (not monitored)', summary.manifestOnly]);
+            summarySheet.getColumn(1).width = 36;
+            summarySheet.getColumn(2).width = 40;
+
+            // Per-POD breakdown
+            ReportSheet.add(workbook, 'POD_Breakdown',
+                ['POD', 'CHECK', 'MANIFEST', 'Matched', 'Mismatches', 'Critical', 'Warning', 'Parameter Mismatches', 'Missing from MANIFEST', 'Missing from CHECK'],
+                this.generatePodBreakdown()
+                    .filter(b => !options.pod || b.pod === options.pod)
+                    .map(b => [b.pod, b.totalCheck, b.totalManifest, b.matched, b.mismatches, b.criticalMismatches, b.warningMismatches, b.parameterMismatches, b.missing, b.manifestOnly])
+            );
+
+            // Matches sheet
+            ReportSheet.add(workbook, 'Matches',
+                ['Container ID', 'Set Temp (°C)', 'Manifest Temp (°C)', 'Difference (°C)', 'Commodity', 'Profile', 'POD', 'CHECK (as quoted)', 'MANIFEST (as quoted)'],
+                results.matched.map(m => [m.id, m.setT, m.manT, Number(m.diff.toFixed(2)), m.commodity || '', m.profileLabel, m.pod || 'UNKNOWN', m.checkOriginal, m.manifestOriginal])
+            );
+
+            // Mismatches sheet, severity highlighted
+            const mismatchSheet = ReportSheet.add(workbook, 'Mismatches',
+                ['Container ID', 'Set Temp (°C)', 'Manifest Temp (°C)', 'Difference (°C)', 'Commodity', 'Profile', 'Tolerance (°C)', 'Severity', 'POD', 'CHECK (as quoted)', 'MANIFEST (as quoted)'],
+                results.mismatches.map(m => [
+                    m.id, m.setT, m.manT, Number(m.diff.toFixed(2)), m.commodity || '', m.profileLabel,
+                    `±${m.tolerance} (critical >${m.criticalAbove})`, m.severity, m.pod || 'UNKNOWN', m.checkOriginal, m.manifestOriginal
+                ])
+            );
+            if (results.mismatches.length > 0) {
+                const ref = `A2:K${results.mismatches.length + 1}`;
+                mismatchSheet.addConditionalFormatting({
+                    ref: ref,
+                    rules: [
+                        {
+                            type: 'expression',
+                            formulae: ['$H2="CRITICAL"'],
+                            style: {
+                                fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFC7CE' } },
+                                font: { color: { argb: 'FF9C0006' }, bold: true }
+                            }
+                        },
+                        {
+                            type: 'expression',
+                            formulae: ['$H2="WARNING"'],
+                            style: {
+                                fill: { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFFFEB9C' } },
+                                font: { color: { argb: 'FF9C5700' } }
+                            }
+                        }
+                    ]
+                });
+            }
+
+            // Parameter mismatches sheet
+            ReportSheet.add(workbook, 'Parameter_Mismatches',
+                ['Container ID', 'Parameter', 'CHECK Value', 'MANIFEST Value', 'Tolerance'],
+                results.parameterMismatches.map(p => [p.id, p.label, p.checkValue, p.manifestValue, p.tolerance !== null ? `±${p.tolerance}` : 'exact'])
+            );
+
+            // Suspect set points sheet
+            ReportSheet.add(workbook, 'Suspect_Set_Points',
+                ['Container ID', 'Set Point (°C)', 'Source', 'Commodity', 'Rule', 'Allowed Range (°C)', 'POD'],
+                (results.suspectSetPoints || []).map(f => [
+                    f.id, f.setPoint, f.source, f.commodity, f.rule, `${f.range.min} to ${f.range.max}`, f.pod || 'UNKNOWN'
+                ])
+            );
+
+            // Set-point changes against the previous run of the voyage
+            const setPointDiff = this.results.setPointDiff;
+            if (setPointDiff) {
+                const inResults = id => !options.pod || this.getContainerPod(id) === options.pod;
+                ReportSheet.add(workbook, 'Set_Point_Changes',
+                    ['Container ID', 'Change', 'Old Set Point (°C)', 'New Set Point (°C)', 'Delta (°C)', 'Previous Run', 'Current Run', 'Commodity', 'POD'],
+                    [
+                        ...setPointDiff.changed.filter(c => inResults(c.id)).map(c => [
+                            c.id, 'CHANGED', c.oldTemp, c.newTemp, c.delta, c.oldDate, c.newDate, c.commodity || '', c.pod || 'UNKNOWN'
+                        ]),
+                        ...setPointDiff.added.filter(a => inResults(a.id)).map(a => [
+                            a.id, 'ADDED', '', a.temp, '', '', setPointDiff.currentDate, a.commodity || '', a.pod || 'UNKNOWN'
+                        ]),
+                        ...setPointDiff.removed.filter(r => !options.pod || r.pod === options.pod).map(r => [
+                            r.id, 'REMOVED', r.temp, '', '', setPointDiff.previousRun.timestamp, '', r.commodity || '', r.pod || 'UNKNOWN'
+                        ])
+                    ]
+                );
+            }
+
+            // Mixed-unit comparisons
+            ReportSheet.add(workbook, 'Unit_Warnings',
+                ['Container ID', 'CHECK (as quoted)', 'MANIFEST (as quoted)', 'CHECK (°C)', 'MANIFEST (°C)', 'Status', 'POD'],
+                (results.unitWarnings || []).map(w => [
+                    w.id, w.checkOriginal, w.manifestOriginal, w.setT, w.manT, this.getContainerStatus(w.id, results), w.pod || 'UNKNOWN'
+                ])
+            );
+
+            // Missing sheets (one per direction)
+            ReportSheet.add(workbook, 'Missing_from_Manifest',
+                ['Container ID', 'Set Temp (°C)', 'Commodity', 'POD', 'As Quoted'],
+                results.missing.map(id => {
+                    const record = checkMap[id] || {};
+                    return [id, record.temp ?? '', record.commodity || '', this.getContainerPod(id), this.formatOriginalTemp(record)];
+                })
+            );
+            ReportSheet.add(workbook, 'Missing_from_Check',
+                ['Container ID', 'Manifest Temp (°C)', 'Commodity', 'POD', 'As Quoted'],
+                results.manifestOnly.map(id => {
+                    const record = manifestMap[id] || {};
+                    return [id, record.temp ?? '', record.commodity || '', this.getContainerPod(id), this.formatOriginalTemp(record)];
+                })
+            );
+
+            // Discharge-port handover lists
+            pods.forEach((pod, index) => {
+                const podResults = options.pod ? results : this.filterResultsByPod(pod);
+                const ids = [...new Set([...Object.keys(podResults.manifestMap), ...Object.keys(podResults.checkMap)])];
+                let sheetName = `POD_${pod}`.replace(/[\\\/?*\[\]:]/g, '-').substring(0, 31);
+                if (workbook.getWorksheet(sheetName)) {
+                    sheetName = `${sheetName.substring(0, 27)}_${index + 1}`;
+                }
+                ReportSheet.add(workbook, sheetName,
+                    ['Container ID', 'Set Temp (°C)', 'Manifest Temp (°C)', 'Commodity', 'Status'],
+                    ids.sort().map(id => {
+                        const checkRecord = podResults.checkMap[id] || {};
+                        const manifestRecord = podResults.manifestMap[id] || {};
+                        return [
+                            id,
+                            checkRecord.temp ?? '',
+                            manifestRecord.temp ?? '',
+                            manifestRecord.commodity || checkRecord.commodity || '',
+                            this.getContainerStatus(id, podResults)
+                        ];
+                    })
+                );
+            });
+
+            await workbook.xlsx.writeFile(outputPath);
+
+            return {
+                success: true,
+                outputPath: outputPath
+            };
+
+        } catch (error) {
+            console.error('Export error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     // ========= NEW HELPER METHODS FOR UNIVERSAL ANALYSIS =========
     
     /**
@@ -1015,6 +1975,10 @@ class ReeferChecker {
     analyzeHeaders(headerRow, maxCols) {
         const tempHeaders = [];
         const containerHeaders = [];
+        const commodityHeaders = [];
+        const podHeaders = [];
+        const parameterHeaders = {};
+        const parameterSpecs = this.getReeferParameters();
         
         for (let col = 0; col < maxCols; col++) {
             const header = headerRow[col];
@@ -1024,12 +1988,12 @@ class ReeferChecker {
             
             // Temperature header patterns
             const tempPatterns = [
-                /temp/i, /°/i, /deg/i, /celsius/i, /centigrade/i,
+                /temp/i, /°/i, /deg/i, /celsius/i, /centigrade/i, /fahrenheit/i,
                 /set.*temp/i, /manifest.*temp/i, /actual.*temp/i
             ];
             
             if (tempPatterns.some(p => p.test(headerStr))) {
-                tempHeaders.push({ col, header: headerStr, confidence: this.getTempHeaderConfidence(headerStr) });
+                tempHeaders.push({ col, header: headerStr, confidence: this.getTempHeaderConfidence(headerStr), unit: this.detectTempUnit(header) });
             }
             
             // Container header patterns
@@ -1040,15 +2004,31 @@ class ReeferChecker {
             if (containerPatterns.some(p => p.test(headerStr))) {
                 containerHeaders.push({ col, header: headerStr, confidence: this.getContainerHeaderConfidence(headerStr) });
             }
+            
+            // Commodity header patterns (used to pick the tolerance profile)
+            if (/commodity|cargo\s*(type|desc)|description|goods|product/i.test(headerStr)) {
+                commodityHeaders.push({ col, header: headerStr });
+            }
+            
+            // Port of discharge header patterns
+            if (/\bpod\b|port\s*of\s*disch|disch(arge|\.)?\s*port|destination|\bdest\b/i.test(headerStr)) {
+                podHeaders.push({ col, header: headerStr });
+            }
+            
+            // Reefer parameter columns (first matching column wins)
+            const spec = parameterSpecs.find(p => p.headerPattern.test(headerStr.trim()));
+            if (spec && parameterHeaders[spec.key] === undefined) {
+                parameterHeaders[spec.key] = col;
+            }
         }
         
-        return { tempHeaders, containerHeaders };
+        return { tempHeaders, containerHeaders, commodityHeaders, podHeaders, parameterHeaders };
     }
     
     /**
      * Analyze data patterns in all columns
      */
-    analyzeDataPatterns(rows, maxCols, scanRows) {
+    analyzeDataPatterns(rows, maxCols, scanRows, headerUnits = {}) {
         const containerCols = [];
         const tempCols = [];
         
@@ -1068,14 +2048,14 @@ class ReeferChecker {
                 }
                 
                 // Temperature detection with scoring
-                const temp = this.detectTempNumber(cell);
+                const temp = this.detectTempNumber(cell, headerUnits[col]);
                 if (temp !== null) {
                     tempCount++;
                     if (temp !== 0 && temp !== 1) realTempCount++;
                     
                     const cellStr = cell.toString();
                     if (temp >= -30 && temp <= 25) tempScore += 2;
-                    if (cellStr.includes('C') || cellStr.includes('°')) tempScore += 3;
+                    if (cellStr.includes('C') || cellStr.includes('°') || this.detectTempUnit(cellStr) === 'F') tempScore += 3;
                     if (temp < 0) tempScore += 1;
                 }
             }
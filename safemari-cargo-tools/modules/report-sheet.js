@@ -0,0 +1,30 @@
+/**
+ * Report Sheet
+ * Excel report sheet with a bold grey header row, fitted column widths and a frozen header,
+ * as used by the module exports
+ */
+class ReportSheet {
+    /**
+     * Add a sheet with a styled header row and data rows
+     * @param {ExcelJS.Workbook} workbook
+     * @param {string} name - Sheet name
+     * @param {Array} headers - Header labels, one per column
+     * @param {Array} rows - Data rows (more can be added to the returned sheet)
+     * @returns {ExcelJS.Worksheet}
+     */
+    static add(workbook, name, headers, rows = []) {
+        const sheet = workbook.addWorksheet(name);
+        const headerRow = sheet.addRow(headers);
+        headerRow.font = { bold: true };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+        rows.forEach(row => sheet.addRow(row));
+
+        sheet.columns.forEach((column, index) => {
+            column.width = Math.min(Math.max(headers[index].length, 12) + 4, 40);
+        });
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        return sheet;
+    }
+}
+
+module.exports = ReportSheet;
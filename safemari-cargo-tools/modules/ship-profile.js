@@ -0,0 +1,158 @@
+const ConfigTables = require('./config-tables');
+const StowagePosition = require('./stowage-position');
+
+/**
+ * Ship Profile
+ * Vessel particulars the stowage checks measure against: first on-deck tier,
+ * hold boundaries (bulkheads), the fore-and-aft length of a 20ft bay and the bays
+ * next to accommodation and heated structures.
+ * Kept in storage/ship_profile.json
+ */
+class ShipProfile {
+    constructor() {
+        this.configTables = new ConfigTables();
+        this.profile = this.load();
+    }
+
+    /**
+     * Built-in profile
+     * holds: [{ name, fromBay, toBay }] in bay numbers; with no holds configured
+     * every 40ft bay is taken as its own compartment
+     * centreRow: true / false, or 'auto' to assume a row 00 when a list uses one
+     * accommodation: [{ name, fromBay, toBay, level }] bays within 3 m of living quarters,
+     * air intakes or machinery spaces; heatSources: the same for bays within 2.4 m of heated
+     * structures (heated fuel tanks, engine room bulkhead). level: 'deck', 'hold' or 'both'
+     */
+    getDefaultProfile() {
+        return {
+            name: 'Default',
+            tierThreshold: 80,
+            bayLength: 6.4,
+            centreRow: 'auto',
+            holds: [],
+            accommodation: [],
+            heatSources: []
+        };
+    }
+
+    load() {
+        return this.configTables.load('ship_profile', this.getDefaultProfile());
+    }
+
+    /**
+     * Validate and save the profile
+     */
+    save(profile) {
+        const tierThreshold = parseInt(profile.tierThreshold, 10);
+        const bayLength = parseFloat(profile.bayLength);
+
+        if (isNaN(tierThreshold) || tierThreshold < 1 || tierThreshold > 98) {
+            return { success: false, error: 'First on-deck tier must be between 1 and 98' };
+        }
+        if (isNaN(bayLength) || bayLength <= 0) {
+            return { success: false, error: 'Bay length must be a positive number of metres' };
+        }
+
+        const holds = [];
+        for (const hold of profile.holds || []) {
+            const fromBay = parseInt(hold.fromBay, 10);
+            const toBay = parseInt(hold.toBay, 10);
+            if (isNaN(fromBay) || isNaN(toBay) || fromBay < 1 || toBay < fromBay) {
+                return { success: false, error: `Hold '${hold.name || '?'}' needs a bay range (from ≤ to)` };
+            }
+            holds.push({ name: (hold.name || `Hold ${holds.length + 1}`).toString().trim(), fromBay, toBay });
+        }
+
+        const zones = {};
+        const zoneLabels = { accommodation: 'Accommodation zone', heatSources: 'Heat source' };
+        for (const type of ['accommodation', 'heatSources']) {
+            zones[type] = [];
+            for (const zone of profile[type] || []) {
+                const fromBay = parseInt(zone.fromBay, 10);
+                const toBay = parseInt(zone.toBay, 10);
+                const level = zone.level || 'both';
+                if (isNaN(fromBay) || isNaN(toBay) || fromBay < 1 || toBay < fromBay) {
+                    return { success: false, error: `${zoneLabels[type]} '${zone.name || '?'}' needs a bay range (from ≤ to)` };
+                }
+                if (!['deck', 'hold', 'both'].includes(level)) {
+                    return { success: false, error: `${zoneLabels[type]} '${zone.name || '?'}': level must be deck, hold or both` };
+                }
+                zones[type].push({ name: (zone.name || `${zoneLabels[type]} ${zones[type].length + 1}`).toString().trim(), fromBay, toBay, level });
+            }
+        }
+
+        const cleaned = {
+            name: (profile.name || 'Default').toString().trim(),
+            tierThreshold: tierThreshold,
+            bayLength: bayLength,
+            centreRow: profile.centreRow === true || profile.centreRow === false ? profile.centreRow : 'auto',
+            holds: holds.sort((a, b) => a.fromBay - b.fromBay),
+            accommodation: zones.accommodation,
+            heatSources: zones.heatSources
+        };
+
+        const result = this.configTables.save('ship_profile', cleaned);
+        if (result.success) {
+            this.profile = this.load();
+        }
+        return result;
+    }
+
+    get holdsConfigured() {
+        return (this.profile.holds || []).length > 0;
+    }
+
+    /**
+     * Compartment index of a position, counted from forward
+     * Configured holds match on any bay the slot covers; without holds, the 40ft bay
+     */
+    holdIndex(position) {
+        position = StowagePosition.parse(position);
+        if (!position) return null;
+
+        if (!this.holdsConfigured) {
+            return Math.floor((position.fortyFootBay - 2) / 4);
+        }
+
+        const bays = this.baysCovered(position);
+        const index = this.profile.holds.findIndex(hold => bays.some(bay => bay >= hold.fromBay && bay <= hold.toBay));
+        return index === -1 ? null : index;
+    }
+
+    /**
+     * Bay numbers a slot covers: a 40ft bay spans its two 20ft bays
+     */
+    baysCovered(position) {
+        return position.isFortyFootBay ? [position.bay - 1, position.bay, position.bay + 1] : [position.bay];
+    }
+
+    zonesConfigured(type) {
+        return (this.profile[type] || []).length > 0;
+    }
+
+    /**
+     * Accommodation / heat-source zones ('accommodation' or 'heatSources') a position lies in
+     */
+    zonesAt(position, type) {
+        position = StowagePosition.parse(position);
+        if (!position) return [];
+
+        const bays = this.baysCovered(position);
+        const level = position.isOnDeck(this.profile.tierThreshold) ? 'deck' : 'hold';
+        return (this.profile[type] || []).filter(zone =>
+            (zone.level === 'both' || zone.level === level) && bays.some(bay => bay >= zone.fromBay && bay <= zone.toBay));
+    }
+
+    holdName(position) {
+        const index = this.holdIndex(position);
+        if (index === null) return null;
+        return this.holdsConfigured ? this.profile.holds[index].name : `Bay ${String(StowagePosition.parse(position).fortyFootBay).padStart(2, '0')}`;
+    }
+
+    isOnDeck(position) {
+        position = StowagePosition.parse(position);
+        return position ? position.isOnDeck(this.profile.tierThreshold) : null;
+    }
+}
+
+module.exports = ShipProfile;
@@ -0,0 +1,225 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const CTStowageSorter = require('./ct');
+const StowagePosition = require('./stowage-position');
+const ReportSheet = require('./report-sheet');
+
+/**
+ * Stowage Diff Module
+ * Compares the stowage of two reefer / stowage lists (before and after a port call)
+ * and reports containers loaded, discharged and restowed
+ */
+class StowageDiff {
+    constructor() {
+        // Reads the lists the same way as the CT reefer list
+        this.stowageReader = new CTStowageSorter();
+        this.results = null;
+    }
+
+    /**
+     * Compare two stowage lists
+     * @param {Object} options - Processing options
+     * @param {string} options.previousListPath - List before the port call
+     * @param {string} options.currentListPath - Updated list after the port call
+     * @param {number} options.tierThreshold - First on-deck tier (default 80)
+     * @returns {Object} Processing results
+     */
+    async processStowageDiff(options) {
+        try {
+            const { previousListPath, currentListPath, tierThreshold = 80 } = options;
+
+            if (!previousListPath || !currentListPath) {
+                throw new Error('Select both the previous and the updated stowage list');
+            }
+
+            console.log('\n=== STOWAGE DIFF ===');
+            const previousMap = await this.loadStowageMap(previousListPath);
+            const currentMap = await this.loadStowageMap(currentListPath);
+
+            this.results = this.compareStowageMaps(previousMap, currentMap, tierThreshold);
+            this.results.files = {
+                previous: path.basename(previousListPath),
+                current: path.basename(currentListPath)
+            };
+
+            return {
+                success: true,
+                results: this.results,
+                summary: this.generateSummary(this.results)
+            };
+
+        } catch (error) {
+            console.error('Stowage diff error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Container -> stowage map of one list (CTStowageSorter universal analysis)
+     */
+    async loadStowageMap(filePath) {
+        const reader = this.stowageReader;
+
+        reader.fullReeferData = await reader.loadFile(filePath);
+        const analysis = await reader.analyzeDocumentStructure(reader.fullReeferData, 'reefer', filePath);
+        const map = await reader.buildStowageMapUniversal(analysis);
+
+        if (Object.keys(map).length === 0) {
+            throw new Error(`No container stowage positions found in ${path.basename(filePath)}`);
+        }
+        return map;
+    }
+
+    /**
+     * Loaded, discharged and restowed containers between two stowage maps
+     * A 40ft box listed under its 20ft bay in one list and its 40ft bay in the other has not moved
+     * @returns {Object} { loaded, discharged, restowed, unchanged, tierThreshold, summary }
+     */
+    compareStowageMaps(previousMap, currentMap, tierThreshold = 80) {
+        const loaded = [];
+        const discharged = [];
+        const restowed = [];
+        let unchanged = 0;
+
+        const ids = new Set([...Object.keys(previousMap), ...Object.keys(currentMap)]);
+
+        for (const id of ids) {
+            const before = previousMap[id];
+            const after = currentMap[id];
+
+            if (before && !after) {
+                discharged.push({ id, stowage: this.displayStowage(before), position: StowagePosition.parse(before) });
+                continue;
+            }
+            if (!before && after) {
+                loaded.push({ id, stowage: this.displayStowage(after), position: StowagePosition.parse(after) });
+                continue;
+            }
+
+            const from = StowagePosition.parse(before);
+            const to = StowagePosition.parse(after);
+
+            if (from && to ? from.sameSlot(to) : this.displayStowage(before) === this.displayStowage(after)) {
+                unchanged++;
+                continue;
+            }
+
+            const fromLevel = from ? (from.isOnDeck(tierThreshold) ? 'deck' : 'hold') : null;
+            const toLevel = to ? (to.isOnDeck(tierThreshold) ? 'deck' : 'hold') : null;
+
+            restowed.push({
+                id,
+                from: this.displayStowage(before),
+                to: this.displayStowage(after),
+                fromLevel,
+                toLevel,
+                levelChange: Boolean(fromLevel && toLevel && fromLevel !== toLevel),
+                bayChange: Boolean(from && to && from.fortyFootBay !== to.fortyFootBay),
+                position: to
+            });
+        }
+
+        const byPosition = (a, b) => {
+            if (!a.position || !b.position) return a.position ? -1 : b.position ? 1 : a.id.localeCompare(b.id);
+            return StowagePosition.compare(a.position, b.position);
+        };
+        loaded.sort(byPosition);
+        discharged.sort(byPosition);
+        // Deck <-> hold moves first: they change plug and CT monitoring assignments
+        restowed.sort((a, b) => (b.levelChange - a.levelChange) || byPosition(a, b));
+
+        // Positions only serve the ordering
+        [loaded, discharged, restowed].forEach(list => list.forEach(item => delete item.position));
+
+        const summary = {
+            previous: Object.keys(previousMap).length,
+            current: Object.keys(currentMap).length,
+            loaded: loaded.length,
+            discharged: discharged.length,
+            restowed: restowed.length,
+            deckHoldChanges: restowed.filter(move => move.levelChange).length,
+            unchanged: unchanged
+        };
+
+        console.log(`   ➕ Loaded: ${summary.loaded}, ➖ Discharged: ${summary.discharged}, 🔁 Restowed: ${summary.restowed} ` +
+            `(${summary.deckHoldChanges} between deck and hold), unchanged: ${summary.unchanged}`);
+
+        return { loaded, discharged, restowed, unchanged, tierThreshold, summary };
+    }
+
+    displayStowage(stowage) {
+        const position = StowagePosition.parse(stowage);
+        return position ? position.toString() : String(stowage).trim().toUpperCase();
+    }
+
+    generateSummary(results) {
+        const { summary } = results;
+
+        let text = `Stowage Diff Summary:\n`;
+        text += `• Previous list: ${summary.previous} containers, updated list: ${summary.current}\n`;
+        text += `• Loaded: ${summary.loaded}\n`;
+        text += `• Discharged: ${summary.discharged}\n`;
+        text += `• Restowed: ${summary.restowed}`;
+        if (summary.deckHoldChanges > 0) {
+            text += `\n• ⚠️ ${summary.deckHoldChanges} moved between deck and hold (check plug and CT monitoring assignments)`;
+        }
+        return text;
+    }
+
+    /**
+     * Export the diff: Summary, Restowed (deck / hold changes highlighted), Loaded, Discharged
+     */
+    async exportResults(outputPath) {
+        try {
+            if (!this.results) {
+                throw new Error('No stowage diff results to export');
+            }
+
+            const { summary, files, tierThreshold } = this.results;
+            const workbook = new ExcelJS.Workbook();
+
+            const summarySheet = ReportSheet.add(workbook, 'Summary', ['Item', 'Value']);
+            [
+                ['Previous list', files.previous],
+                ['Updated list', files.current],
+                ['First on-deck tier', tierThreshold],
+                ['Containers before', summary.previous],
+                ['Containers after', summary.current],
+                ['Loaded', summary.loaded],
+                ['Discharged', summary.discharged],
+                ['Restowed', summary.restowed],
+                ['  Between deck and hold', summary.deckHoldChanges],
+                ['Unchanged', summary.unchanged]
+            ].forEach(row => summarySheet.addRow(row));
+
+            const restowSheet = ReportSheet.add(workbook, 'Restowed', ['Container ID', 'From', 'To', 'From Level', 'To Level', 'Deck / Hold Change', 'Bay Change']);
+            this.results.restowed.forEach(move => {
+                const row = restowSheet.addRow([
+                    move.id, move.from, move.to, move.fromLevel || '', move.toLevel || '',
+                    move.levelChange ? `${move.fromLevel} → ${move.toLevel}` : '', move.bayChange ? 'Yes' : ''
+                ]);
+                if (move.levelChange) {
+                    row.font = { bold: true };
+                    row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFDE68A' } };
+                }
+            });
+
+            const loadedSheet = ReportSheet.add(workbook, 'Loaded', ['Container ID', 'Stowage']);
+            this.results.loaded.forEach(item => loadedSheet.addRow([item.id, item.stowage]));
+
+            const dischargedSheet = ReportSheet.add(workbook, 'Discharged', ['Container ID', 'Last Stowage']);
+            this.results.discharged.forEach(item => dischargedSheet.addRow([item.id, item.stowage]));
+
+            await workbook.xlsx.writeFile(outputPath);
+            return { success: true, outputPath: outputPath };
+        } catch (error) {
+            console.error('Stowage diff export error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = StowageDiff;
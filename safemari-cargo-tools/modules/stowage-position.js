@@ -0,0 +1,179 @@
+/**
+ * Stowage Position
+ * Bay / row / tier slot parsed from BBRRTT or BBBRRTT notation (with or without separators)
+ *
+ * Bay numbering: odd bays are 20ft slots, even bays are 40ft slots covering the odd bay on
+ * either side (bay 14 = bays 13 + 15). Rows run outward from the centre line: odd rows to
+ * starboard, even rows to port, 00 on the centre line.
+ */
+class StowagePosition {
+    /**
+     * @param {number} bay - 1-999
+     * @param {number} row - 0-99
+     * @param {number} tier - 1-99
+     * @param {number} bayDigits - Bay digits of the source notation (2 or 3)
+     */
+    constructor(bay, row, tier, bayDigits = 2) {
+        this.bay = bay;
+        this.row = row;
+        this.tier = tier;
+        this.bayDigits = bay > 99 ? 3 : bayDigits;
+    }
+
+    /**
+     * Parse a stowage cell
+     * Accepts 120882, 0120882, 12.08.82, 012-08-82, 12 8 82, Bay 12 Row 08 Tier 82;
+     * a 5-digit number is a 6-digit position that lost its leading zero in Excel
+     * @returns {StowagePosition|null}
+     */
+    static parse(value) {
+        if (value === undefined || value === null || value instanceof Date) return null;
+        if (value instanceof StowagePosition) return value;
+
+        const s = value.toString().trim();
+        let match;
+        let bayDigits = 2;
+        let parts = null;
+
+        if ((match = s.match(/^(\d{6,7})$/)) || (typeof value === 'number' && (match = s.match(/^(\d{5})$/)))) {
+            const digits = match[1].length === 5 ? `0${match[1]}` : match[1];
+            bayDigits = digits.length - 4;
+            parts = [digits.slice(0, bayDigits), digits.slice(-4, -2), digits.slice(-2)];
+        } else if ((match = s.match(/^(\d{1,3})[\s.\-_/]+(\d{1,2})[\s.\-_/]+(\d{1,2})$/))) {
+            bayDigits = match[1].length === 3 ? 3 : 2;
+            parts = [match[1], match[2], match[3]];
+        } else if ((match = s.match(/^(?:Bay|Hold)\s*(\d{1,3})\W*(?:Row|Bay)\s*(\d{1,2})\W*Tier\s*(\d{1,2})$/i))) {
+            bayDigits = match[1].length === 3 ? 3 : 2;
+            parts = [match[1], match[2], match[3]];
+        }
+
+        if (!parts) return null;
+
+        const [bay, row, tier] = parts.map(part => parseInt(part, 10));
+        if (bay < 1 || bay > 999 || row < 0 || row > 99 || tier < 1 || tier > 99) {
+            return null;
+        }
+
+        return new StowagePosition(bay, row, tier, bayDigits);
+    }
+
+    /**
+     * Compare two positions numerically by bay, row, tier (for Array.sort)
+     */
+    static compare(a, b) {
+        return (a.bay - b.bay) || (a.row - b.row) || (a.tier - b.tier);
+    }
+
+    /**
+     * 40ft bay containing this bay: even bays are their own, odd bays belong to
+     * the even bay they share (1 and 3 -> 2, 13 and 15 -> 14)
+     */
+    get fortyFootBay() {
+        if (this.bay % 2 === 0) return this.bay;
+        return this.bay % 4 === 1 ? this.bay + 1 : this.bay - 1;
+    }
+
+    get isFortyFootBay() {
+        return this.bay % 2 === 0;
+    }
+
+    /**
+     * Same physical slot, allowing for a 40ft box listed under either of its 20ft bays
+     * (13 or 15 in one list, 14 in another). Two odd bays are different 20ft slots.
+     */
+    sameSlot(other) {
+        other = StowagePosition.parse(other);
+        if (!other || this.row !== other.row || this.tier !== other.tier) return false;
+        if (this.bay === other.bay) return true;
+        if (this.isFortyFootBay || other.isFortyFootBay) {
+            return this.fortyFootBay === other.fortyFootBay;
+        }
+        return false;
+    }
+
+    /**
+     * Position as listed for a box of the given length: 40ft / 45ft boxes in an odd bay
+     * move to their 40ft bay, 20ft boxes stay as they are
+     */
+    normalizeForSize(lengthFt) {
+        if (lengthFt >= 40 && !this.isFortyFootBay) {
+            return new StowagePosition(this.fortyFootBay, this.row, this.tier, this.bayDigits);
+        }
+        return this;
+    }
+
+    isOnDeck(tierThreshold = 80) {
+        return this.tier >= tierThreshold;
+    }
+
+    /**
+     * Athwartship position: positive to starboard, negative to port, 0 on the centre line
+     */
+    get lateralPosition() {
+        return this.row % 2 === 1 ? (this.row + 1) / 2 : -(this.row / 2);
+    }
+
+    /**
+     * Fore-and-aft 20ft bay slots covered (bays 01, 03 -> 0, 1; 40ft bay 02 -> 0..1)
+     * @returns {Array} [first, last]
+     */
+    get baySlots() {
+        if (this.isFortyFootBay) {
+            return [(this.bay - 2) / 2, this.bay / 2];
+        }
+        return [(this.bay - 1) / 2, (this.bay - 1) / 2];
+    }
+
+    /**
+     * 20ft bay slots between two positions fore and aft (-1 = overlapping, 0 = next bay)
+     */
+    slotsBetween(other) {
+        const [fromA, toA] = this.baySlots;
+        const [fromB, toB] = other.baySlots;
+        if (fromA <= toB && fromB <= toA) return -1;
+        return Math.max(fromA, fromB) - Math.min(toA, toB) - 1;
+    }
+
+    /**
+     * Rows between two positions athwartships (-1 = same row, 0 = next row)
+     * @param {boolean} centreRow - The ship has a row 00; without one, rows 01 and 02 are neighbours
+     */
+    rowsBetween(other, centreRow) {
+        const lateralA = this.lateralPosition;
+        const lateralB = other.lateralPosition;
+        if (lateralA === lateralB) return -1;
+
+        let gap = Math.abs(lateralA - lateralB) - 1;
+        if (!centreRow && lateralA * lateralB < 0) gap -= 1;
+        return gap;
+    }
+
+    /**
+     * Fixed-width sort key BBBRRTT (3-digit bay, so 2- and 3-digit bays sort together)
+     */
+    key() {
+        return `${String(this.bay).padStart(3, '0')}${String(this.row).padStart(2, '0')}${String(this.tier).padStart(2, '0')}`;
+    }
+
+    /**
+     * BBRRTT, or BBBRRTT for 3-digit bays and 7-digit sources
+     */
+    toString(separator = '') {
+        return [
+            String(this.bay).padStart(this.bayDigits, '0'),
+            String(this.row).padStart(2, '0'),
+            String(this.tier).padStart(2, '0')
+        ].join(separator);
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Sort key of a position that did not parse: after every real position
+ */
+StowagePosition.MISSING_KEY = 'ZZZZZZZ';
+
+module.exports = StowagePosition;
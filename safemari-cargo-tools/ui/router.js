@@ -9,6 +9,7 @@ class Router {
         this.currentView = 'welcome';
         this.selectedFiles = {};
         this.viewStates = {}; // Store view states
+        this.compareMode = 'lists'; // List Compare: 'lists' or 'stowage' (restow detection)
         
         this.initializeRouter();
     }
@@ -77,9 +78,11 @@ class Router {
         const views = {
             'welcome': this.showWelcome,
             'reefer-temp': this.showReeferTemp,
+            'reefer-logger': this.showReeferLogger,
             'ct-stowage': this.showCTStowage,
             'dg-checker': this.showDGChecker,
             'list-compare': this.showListCompare,
+            'bay-plan': this.showBayPlan,
             'logs': this.showLogs,
             'settings': this.showSettings,
             'license-info': this.showLicenseInfo,
@@ -95,7 +98,7 @@ class Router {
     }
 
     requiresLicense(viewName) {
-        const licensedViews = ['reefer-temp', 'ct-stowage', 'dg-checker', 'list-compare'];
+        const licensedViews = ['reefer-temp', 'reefer-logger', 'ct-stowage', 'dg-checker', 'list-compare', 'bay-plan'];
         return licensedViews.includes(viewName);
     }
 
@@ -163,6 +166,12 @@ class Router {
                     </div>
                 </div>
 
+                <div class="form-group">
+                    <label for="reeferVoyage">Voyage (optional)</label>
+                    <input type="text" id="reeferVoyage" placeholder="e.g. 245E">
+                    <p style="font-size: 12px; color: #64748b; margin-top: 4px;">Runs are saved per voyage; set points are compared with the previous run of the same voyage</p>
+                </div>
+
                 <div class="actions">
                     <button id="processReeferBtn" class="btn-primary" disabled>Process Temperature Check</button>
                 </div>
@@ -174,6 +183,56 @@ class Router {
         this.initializeReeferTemp();
     }
 
+    showReeferLogger() {
+        this.viewContainer.innerHTML = `
+            <div class="view-content">
+                <h2>Reefer Data-Logger Excursions</h2>
+                <p>Check controller trip-log downloads against manifest set points and report temperature excursions per container.</p>
+                
+                <div class="file-inputs">
+                    <div class="form-group">
+                        <label>Data-Logger Files (Controller Downloads)</label>
+                        <div class="drop-zone" data-file-type="logger-files">
+                            <div class="drop-zone-content">
+                                <h4>Drop logger CSV / Excel files here</h4>
+                                <p>or <button type="button" class="btn-secondary">Browse Files</button></p>
+                                <p>Supported formats: CSV (.csv, .txt) or Excel (.xlsx) from Carrier, Thermo King and Daikin controllers</p>
+                                <p style="font-size: 12px; color: #64748b; margin-top: 8px;">Should contain timestamps with supply, return and/or USDA probe readings; several files can be selected</p>
+                            </div>
+                        </div>
+                        <div class="file-info" id="loggerFilesInfo" style="display: none;"></div>
+                    </div>
+
+                    <div class="form-group">
+                        <label>MANIFEST File (Set Points)</label>
+                        <div class="drop-zone" data-file-type="logger-manifest">
+                            <div class="drop-zone-content">
+                                <h4>Drop MANIFEST file here</h4>
+                                <p>or <button type="button" class="btn-secondary">Browse Files</button></p>
+                                <p>Supported formats: Excel (.xlsx, .xls), PDF (.pdf), Word (.docx, .doc)</p>
+                                <p style="font-size: 12px; color: #64748b; margin-top: 8px;">Should contain container IDs, set temperatures and commodities</p>
+                            </div>
+                        </div>
+                        <div class="file-info" id="loggerManifestInfo" style="display: none;"></div>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label for="defrostRecoveryMinutes">Minutes excluded after each defrost</label>
+                    <input type="number" id="defrostRecoveryMinutes" value="30" min="0" max="240">
+                </div>
+
+                <div class="actions">
+                    <button id="processLoggerBtn" class="btn-primary" disabled>Process Logger Excursions</button>
+                </div>
+
+                <div id="loggerResults" style="display: none;"></div>
+            </div>
+        `;
+        
+        this.initializeReeferLogger();
+    }
+
     showCTStowage() {
         this.viewContainer.innerHTML = `
             <div class="view-content">
@@ -206,6 +265,54 @@ class Router {
                         </div>
                         <div class="file-info" id="ctSheetFileInfo" style="display: none;"></div>
                     </div>
+
+                    <div class="form-group">
+                        <label>Logger Exports (optional, fills probe readings)</label>
+                        <div class="drop-zone" data-file-type="ct-logger-files">
+                            <div class="drop-zone-content">
+                                <h4>Drop logger CSV / Excel files here</h4>
+                                <p>or <button type="button" class="btn-secondary">Browse Files</button></p>
+                                <p>Supported formats: CSV (.csv, .txt) or Excel (.xlsx) controller downloads</p>
+                                <p style="font-size: 12px; color: #64748b; margin-top: 8px;">Readings are written into the day / probe cells of each block; the CT sheet needs dated (or DAY n) columns</p>
+                            </div>
+                        </div>
+                        <div class="file-info" id="ctLoggerFilesInfo" style="display: none;"></div>
+                        <label for="ctTreatmentStart" style="margin-top: 8px;">Treatment start (DAY 1, for sheets headed DAY n)</label>
+                        <input type="date" id="ctTreatmentStart">
+                        <label style="margin-top: 8px;">
+                            <input type="checkbox" id="ctOverwriteReadings">
+                            Overwrite readings already in the sheet (every overwrite is reported)
+                        </label>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label for="ctTemplate">CT form template</label>
+                    <select id="ctTemplate">
+                        <option value="auto">Auto-detect</option>
+                    </select>
+                    <p style="font-size: 12px; color: #64748b; margin-top: 4px;">Decides which cell receives the stowage; templates are edited in Settings</p>
+                </div>
+
+                <div class="form-group">
+                    <label for="ctProtocol">Cold-treatment protocol</label>
+                    <select id="ctProtocol">
+                        <option value="">None (sort only)</option>
+                    </select>
+                    <p style="font-size: 12px; color: #64748b; margin-top: 4px;">Checks the PROBE / USDA readings of each block; protocols are edited in Settings</p>
+                </div>
+
+                <div class="form-group">
+                    <label for="ctSortStrategy">Block order</label>
+                    <select id="ctSortStrategy">
+                        <option value="bbrrtt">Bay-Row-Tier (BBRRTT)</option>
+                        <option value="deck-split">On deck, then under deck</option>
+                        <option value="serpentine">Walking route (serpentine)</option>
+                        <option value="pod">Port of discharge</option>
+                    </select>
+                    <label for="ctTierThreshold" style="margin-top: 8px;">First on-deck tier</label>
+                    <input type="number" id="ctTierThreshold" min="1" max="98" step="2" placeholder="Ship profile">
+                    <p style="font-size: 12px; color: #64748b; margin-top: 4px;">The walking route goes bay by bay, alternating port/starboard direction; POD order needs a POD column in the reefer list</p>
                 </div>
 
                 <div class="actions">
@@ -213,6 +320,32 @@ class Router {
                 </div>
 
                 <div id="ctResults" style="display: none;"></div>
+
+                <div class="form-group" style="margin-top: 30px;">
+                    <h3>No CT sheet yet? Generate one from the reefer list</h3>
+                    <p style="font-size: 12px; color: #64748b; margin-bottom: 8px;">One block per cold-treatment container (CT column or cold treatment / USDA remark), laid out by the selected template (Auto-detect uses the numbered probe form) and sorted by the block order above</p>
+                    <label for="ctGenVessel">Vessel</label>
+                    <input type="text" id="ctGenVessel">
+                    <label for="ctGenVoyage">Voyage</label>
+                    <input type="text" id="ctGenVoyage">
+                    <label for="ctGenStart">Departure</label>
+                    <input type="date" id="ctGenStart">
+                    <label for="ctGenEnd">Arrival</label>
+                    <input type="date" id="ctGenEnd">
+                    <label for="ctGenDays">Reading days (overrides the dates; defaults to the protocol length)</label>
+                    <input type="number" id="ctGenDays" min="1" max="90">
+                    <label for="ctGenPerDay">Readings per day</label>
+                    <select id="ctGenPerDay">
+                        <option value="1">1</option>
+                        <option value="2">2 (AM / PM)</option>
+                    </select>
+                </div>
+
+                <div class="actions">
+                    <button id="generateCTBtn" class="btn-secondary" disabled>Generate CT Sheet</button>
+                </div>
+
+                <div id="ctGenerateResult" style="display: none;"></div>
             </div>
         `;
         
@@ -269,6 +402,17 @@ class Router {
             <div class="view-content">
                 <h2>List Reconciliation</h2>
                 <p>Compare two container lists to identify common containers, unique entries, and data differences.</p>
+
+                <div class="form-group">
+                    <label for="compareMode">Compare</label>
+                    <select id="compareMode">
+                        <option value="lists"${this.compareMode === 'lists' ? ' selected' : ''}>Container lists (reconciliation)</option>
+                        <option value="stowage"${this.compareMode === 'stowage' ? ' selected' : ''}>Stowage positions (loaded, discharged, restowed)</option>
+                    </select>
+                    <p style="font-size: 12px; color: #64748b; margin-top: 4px;">Stowage mode reads two reefer / stowage lists like the CT reefer list: List A is the previous list, List B the updated one</p>
+                    <label for="compareTierThreshold" style="margin-top: 8px;">First on-deck tier (stowage mode)</label>
+                    <input type="number" id="compareTierThreshold" min="1" max="98" step="2" placeholder="Ship profile">
+                </div>
                 
                 <div class="file-inputs">
                     <div class="form-group">
@@ -309,6 +453,58 @@ class Router {
         this.initializeListCompare();
     }
 
+    showBayPlan() {
+        this.viewContainer.innerHTML = `
+            <div class="view-content">
+                <h2>Bay Plan</h2>
+                <p>Reefer and DG positions per bay, on deck and under deck, from the latest CT Stowage, Temp Checker and DG Checker runs.</p>
+
+                <div class="form-group">
+                    <label for="bayPlanTitle">Title (printed on the export)</label>
+                    <input type="text" id="bayPlanTitle" placeholder="e.g. MV Example 245E - Reefer / DG Bay Plan">
+                    <label for="bayPlanTierThreshold" style="margin-top: 8px;">First on-deck tier</label>
+                    <input type="number" id="bayPlanTierThreshold" min="1" max="98" step="2" placeholder="Ship profile">
+                    <p style="font-size: 12px; color: #64748b; margin-top: 4px;">Reefer positions come from the CT Stowage reefer list, DG positions from a stowage column in the DG Checker stowage file</p>
+                </div>
+
+                <div class="actions">
+                    <button id="refreshBayPlanBtn" class="btn-primary">Build Bay Plan</button>
+                    <button id="exportBayPlanSvgBtn" class="btn-secondary" disabled>Export SVG</button>
+                    <button id="exportBayPlanPdfBtn" class="btn-secondary" disabled>Export PDF</button>
+                </div>
+
+                <div id="bayPlanSummary" style="display: none;"></div>
+                <div id="bayPlanCanvas" style="overflow: auto; max-height: 70vh; border: 1px solid #e2e8f0; border-radius: 8px; margin-top: 15px; display: none;"></div>
+                <div id="bayPlanDetails" style="display: none;"></div>
+                <div id="bayPlanUnplaced" style="display: none;"></div>
+
+                <h3 style="margin: 25px 0 10px 0; font-size: 18px;">DG Next to Reefers</h3>
+                <p style="font-size: 13px; color: #64748b;">Organic peroxides, self-reactive substances, low-flashpoint class 3 and SW1 entries in slots next to plugged reefers (every reefer on the CT Stowage reefer list counts as plugged)</p>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="adjacencyStack" checked>
+                        Same stack (slot directly above or below)
+                    </label>
+                    <label for="adjacencyRows" style="margin-top: 8px;">Neighbouring rows athwartships (0 = not checked)</label>
+                    <input type="number" id="adjacencyRows" value="1" min="0" max="10">
+                    <label for="adjacencyBays" style="margin-top: 8px;">Neighbouring 20ft bays fore and aft (0 = not checked)</label>
+                    <input type="number" id="adjacencyBays" value="1" min="0" max="10">
+                    <label for="adjacencyFlashpoint" style="margin-top: 8px;">Class 3 below flashpoint (°C)</label>
+                    <input type="number" id="adjacencyFlashpoint" value="23" step="1">
+                </div>
+
+                <div class="actions">
+                    <button id="checkAdjacencyBtn" class="btn-primary">Check DG next to reefers</button>
+                    <button id="exportAdjacencyBtn" class="btn-secondary" disabled>Export Report</button>
+                </div>
+
+                <div id="adjacencyResults" style="display: none;"></div>
+            </div>
+        `;
+
+        this.initializeBayPlan();
+    }
+
     async showLogs() {
         this.viewContainer.innerHTML = `
             <div class="view-content">
@@ -385,6 +581,48 @@ class Router {
                         <button id="saveSettings" class="btn-primary">Save Settings</button>
                         <button id="resetSettings" class="btn-secondary">Reset to Defaults</button>
                     </div>
+                    
+                    <div class="setting-section">
+                        <h3>Reefer Commodity Set Points</h3>
+                        <p style="font-size: 13px; color: #64748b;">Set points outside these ranges are reported as suspect. Leave Min/Max empty to use the cargo type range.</p>
+                        <div id="commodityRangesEditor">Loading...</div>
+                        <button id="addCommodityRange" class="btn-secondary">Add Commodity</button>
+                        <button id="saveCommodityRanges" class="btn-primary">Save Commodity Table</button>
+                        <button id="resetCommodityRanges" class="btn-secondary">Restore Defaults</button>
+                    </div>
+                    
+                    <div class="setting-section">
+                        <h3>Cold-Treatment Protocols</h3>
+                        <p style="font-size: 13px; color: #64748b;">Every probe must stay at or below the threshold for the required consecutive days.</p>
+                        <div id="ctProtocolsEditor">Loading...</div>
+                        <button id="addCTProtocol" class="btn-secondary">Add Protocol</button>
+                        <button id="saveCTProtocols" class="btn-primary">Save Protocols</button>
+                        <button id="resetCTProtocols" class="btn-secondary">Restore Defaults</button>
+                    </div>
+                    
+                    <div class="setting-section">
+                        <h3>CT Form Templates</h3>
+                        <p style="font-size: 13px; color: #64748b;">One entry per CT form: <code>detect</code> labels identify the form; each field names an <code>anchor</code> label (or <code>@id</code> for the container ID cell), a <code>scope</code> (<code>block</code> or <code>header</code>) and <code>rowOffset</code> / <code>colOffset</code> from the anchor. <code>probeRows</code> lists the probe row labels.</p>
+                        <textarea id="ctTemplatesEditor" rows="18" style="width: 100%; font-family: 'Courier New', monospace; font-size: 12px;">Loading...</textarea>
+                        <button id="saveCTTemplates" class="btn-primary">Save Templates</button>
+                        <button id="resetCTTemplates" class="btn-secondary">Restore Defaults</button>
+                    </div>
+                    
+                    <div class="setting-section">
+                        <h3>Ship Profile</h3>
+                        <p style="font-size: 13px; color: #64748b;">Used by the DG segregation and stowage checks. <code>tierThreshold</code> is the first on-deck tier, <code>bayLength</code> the length of a 20ft bay in metres. <code>holds</code>, <code>accommodation</code> (bays within 3 m of living quarters, air intakes or machinery spaces) and <code>heatSources</code> (bays within 2.4 m of heated tanks or the engine room bulkhead) are lists of <code>{ "name", "fromBay", "toBay" }</code>; zones also take a <code>level</code>: <code>deck</code>, <code>hold</code> or <code>both</code>.</p>
+                        <textarea id="shipProfileEditor" rows="14" style="width: 100%; font-family: 'Courier New', monospace; font-size: 12px;">Loading...</textarea>
+                        <button id="saveShipProfile" class="btn-primary">Save Ship Profile</button>
+                        <button id="resetShipProfile" class="btn-secondary">Restore Defaults</button>
+                    </div>
+                    
+                    <div class="setting-section">
+                        <h3>Dangerous Goods List</h3>
+                        <p style="font-size: 13px; color: #64748b;">UN number reference for the DG Checker (PSN, class, subsidiary risks, packing group, EmS, stowage category and codes, marine pollutant). The built-in list covers common entries; import the full list from your IMDG edition as Excel or CSV with UN, PSN, Class, Subsidiary, PG, EmS, Stowage Category, Stowage Codes and MP columns.</p>
+                        <div id="dgListStatus" style="font-size: 13px; margin-bottom: 8px;">Loading...</div>
+                        <button id="importDGList" class="btn-primary">Import DG List</button>
+                        <button id="restoreDGList" class="btn-secondary">Restore Built-in List</button>
+                    </div>
                 </div>
             </div>
         `;
@@ -481,18 +719,81 @@ class Router {
         this.updateProcessButton();
     }
 
+    initializeReeferLogger() {
+        console.log('Reefer Logger view initialized');
+        
+        // Logger downloads are usually one file per unit
+        this.initializeFileUpload('logger-files', ['csv', 'txt', 'xlsx'], true);
+        this.initializeFileUpload('logger-manifest', ['xlsx', 'xls', 'pdf', 'docx', 'doc']);
+        
+        const processBtn = document.getElementById('processLoggerBtn');
+        if (processBtn) {
+            processBtn.addEventListener('click', () => this.processReeferLogger());
+        }
+        
+        this.updateProcessButton();
+    }
+
     initializeCTStowage() {
         console.log('CT Stowage view initialized');
         
         // Initialize unified file upload handlers
         this.initializeFileUpload('reefer-list', ['xlsx', 'xls', 'pdf', 'docx', 'doc']);
         this.initializeFileUpload('ct-sheet', ['xlsx', 'xls', 'pdf', 'docx', 'doc']);
+        this.initializeFileUpload('ct-logger-files', ['csv', 'txt', 'xlsx'], true);
+        this.fillTierThreshold('ctTierThreshold');
         
         // Initialize process button
         const processBtn = document.getElementById('processCTBtn');
         if (processBtn) {
             processBtn.addEventListener('click', () => this.processCTStowage());
         }
+        
+        const generateBtn = document.getElementById('generateCTBtn');
+        if (generateBtn) {
+            generateBtn.addEventListener('click', () => this.generateCTSheet());
+        }
+        
+        this.loadCTProtocolOptions();
+        this.loadCTTemplateOptions();
+    }
+    
+    async loadCTTemplateOptions() {
+        const select = document.getElementById('ctTemplate');
+        if (!select) return;
+        
+        try {
+            const result = await window.safeMariAPI.getCTTemplates();
+            if (!result.success) throw new Error(result.error);
+            
+            Object.entries(result.templates).forEach(([id, template]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = template.label;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load CT templates:', error);
+        }
+    }
+    
+    async loadCTProtocolOptions() {
+        const select = document.getElementById('ctProtocol');
+        if (!select) return;
+        
+        try {
+            const result = await window.safeMariAPI.getCTProtocols();
+            if (!result.success) throw new Error(result.error);
+            
+            Object.entries(result.protocols).forEach(([id, protocol]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = protocol.label;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load CT protocols:', error);
+        }
     }
 
     initializeDGChecker() {
@@ -514,11 +815,229 @@ class Router {
         // Initialize unified file upload handlers
         this.initializeFileUpload('list-a', ['xlsx', 'xls', 'pdf', 'docx', 'doc']);
         this.initializeFileUpload('list-b', ['xlsx', 'xls', 'pdf', 'docx', 'doc']);
+        this.fillTierThreshold('compareTierThreshold');
         
         const processBtn = document.getElementById('processCompareBtn');
         if (processBtn) {
             processBtn.addEventListener('click', () => this.processListCompare());
         }
+
+        document.getElementById('compareMode')?.addEventListener('change', (event) => {
+            this.compareMode = event.target.value;
+            this.updateProcessButton();
+        });
+    }
+
+    initializeBayPlan() {
+        console.log('Bay Plan view initialized');
+
+        document.getElementById('refreshBayPlanBtn')?.addEventListener('click', () => this.loadBayPlan());
+        document.getElementById('exportBayPlanSvgBtn')?.addEventListener('click', () => this.downloadBayPlan('svg'));
+        document.getElementById('exportBayPlanPdfBtn')?.addEventListener('click', () => this.downloadBayPlan('pdf'));
+        document.getElementById('checkAdjacencyBtn')?.addEventListener('click', () => this.checkDGReeferAdjacency());
+        document.getElementById('exportAdjacencyBtn')?.addEventListener('click', () => this.downloadDGReeferAdjacencyReport());
+
+        this.fillTierThreshold('bayPlanTierThreshold');
+
+        // Clicking a slot shows its container(s)
+        document.getElementById('bayPlanCanvas')?.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-ids]');
+            if (slot) this.showBayPlanDetails(slot.getAttribute('data-ids').split(','));
+        });
+
+        this.loadBayPlan();
+    }
+
+    async loadBayPlan() {
+        const summaryDiv = document.getElementById('bayPlanSummary');
+        const canvas = document.getElementById('bayPlanCanvas');
+        const unplacedDiv = document.getElementById('bayPlanUnplaced');
+        if (!summaryDiv || !canvas) return;
+
+        try {
+            const result = await window.safeMariAPI.getBayPlan({
+                title: document.getElementById('bayPlanTitle')?.value || null,
+                tierThreshold: parseInt(document.getElementById('bayPlanTierThreshold')?.value, 10) || null
+            });
+            if (!result.success) throw new Error(result.error);
+
+            const { plan } = result;
+            this.bayPlanData = plan;
+            summaryDiv.style.display = 'block';
+            document.getElementById('bayPlanDetails').style.display = 'none';
+
+            if (plan.summary.containers === 0) {
+                summaryDiv.innerHTML = `<div style="background: #f8fafc; padding: 12px; border-radius: 6px; color: #64748b;">No positions yet: run CT Stowage (reefer list) and/or DG Checker first.</div>`;
+                canvas.style.display = 'none';
+                unplacedDiv.style.display = 'none';
+                this.setBayPlanExportEnabled(false);
+                return;
+            }
+
+            summaryDiv.innerHTML = `
+                <div style="background: #f1f5f9; padding: 12px; border-radius: 6px; font-size: 13px; color: #475569;">
+                    <strong>${plan.summary.placed}</strong> containers in <strong>${plan.summary.bays}</strong> bays ·
+                    Reefers: <strong>${plan.summary.reefers}</strong>
+                    (${Object.entries(plan.summary.reeferStatus).map(([status, count]) => `${status} ${count}`).join(', ') || 'none'}) ·
+                    DG: <strong>${plan.summary.dg}</strong>
+                    (${Object.entries(plan.summary.dgClasses).map(([dgClass, count]) => `class ${dgClass}: ${count}`).join(', ') || 'none'}${plan.summary.dgMixed > 0 ? `; ${plan.summary.dgMixed} mixed loads` : ''}) ·
+                    Without stowage: <strong style="color: ${plan.summary.unplaced > 0 ? '#f59e0b' : '#16a34a'};">${plan.summary.unplaced}</strong>
+                    <br>Click a slot for the container details.
+                </div>
+            `;
+
+            canvas.innerHTML = result.svg;
+            canvas.style.display = 'block';
+
+            if (plan.unplaced.length > 0) {
+                unplacedDiv.style.display = 'block';
+                unplacedDiv.innerHTML = `
+                    <h3 style="color: #f59e0b; margin: 15px 0 10px 0; font-size: 18px;">Not on the Plan (${plan.unplaced.length}):</h3>
+                    <div style="background: #fffbeb; padding: 12px; border-radius: 6px; max-height: 150px; overflow-y: auto;">
+                        ${plan.unplaced.slice(0, 20).map(item => 
+                            `<div style="font-family: 'Courier New', monospace; color: #b45309; margin-bottom: 3px; font-size: 13px;">${item.id} - ${item.reason}</div>`
+                        ).join('')}
+                        ${plan.unplaced.length > 20 ? `<div style="color: #64748b; font-style: italic; font-size: 13px;">... and ${plan.unplaced.length - 20} more</div>` : ''}
+                    </div>
+                `;
+            } else {
+                unplacedDiv.style.display = 'none';
+            }
+
+            this.setBayPlanExportEnabled(plan.summary.placed > 0);
+        } catch (error) {
+            console.error('Bay plan error:', error);
+            summaryDiv.style.display = 'block';
+            summaryDiv.innerHTML = `<div style="background: #fef2f2; padding: 12px; border-radius: 6px; color: #dc2626;">Bay plan failed: ${error.message}</div>`;
+            this.setBayPlanExportEnabled(false);
+        }
+    }
+
+    setBayPlanExportEnabled(enabled) {
+        ['exportBayPlanSvgBtn', 'exportBayPlanPdfBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !enabled;
+        });
+    }
+
+    showBayPlanDetails(ids) {
+        const detailsDiv = document.getElementById('bayPlanDetails');
+        if (!detailsDiv || !this.bayPlanData) return;
+
+        const rows = ids.map(id => this.bayPlanData.containers[id]).filter(Boolean).map(container => {
+            const reefer = container.reefer;
+            const dg = container.dg;
+            return `
+                <div style="background: #f8fafc; padding: 12px; border-radius: 6px; margin-bottom: 8px; font-size: 13px;">
+                    <div style="font-family: 'Courier New', monospace; font-size: 15px; font-weight: bold; color: #1e293b;">${container.id} ${container.stowage || ''}</div>
+                    ${reefer ? `
+                    <div style="margin-top: 6px;"><strong>Reefer</strong> (${reefer.status}): ${reefer.detail}</div>
+                    ${reefer.coldTreatment ? `<div>Cold treatment${reefer.ctBlock ? ', has a CT block' : ', no CT block'}${reefer.ctStatus ? ` - ${reefer.ctStatus}: ${reefer.ctMessage}` : ''}</div>` : ''}
+                    ` : ''}
+                    ${dg ? `
+                    <div style="margin-top: 6px;"><strong>DG</strong> class ${dg.class || '?'}${dg.mixed ? ' (mixed load)' : ''}, UN ${dg.unNumber || '?'}${dg.psn ? `, ${dg.psn}` : ''}</div>
+                    <div>${dg.status}</div>
+                    ${dg.mismatches.map(m => `<div style="color: #dc2626;">${m}</div>`).join('')}
+                    ` : ''}
+                    ${container.notes.map(note => `<div style="color: #b45309;">${note}</div>`).join('')}
+                </div>
+            `;
+        });
+
+        detailsDiv.style.display = 'block';
+        detailsDiv.innerHTML = `
+            <h3 style="color: #2563eb; margin: 15px 0 10px 0; font-size: 18px;">Slot Details</h3>
+            ${rows.join('')}
+        `;
+    }
+
+    async downloadBayPlan(format) {
+        try {
+            const result = await window.safeMariAPI.downloadBayPlan({
+                format: format,
+                title: document.getElementById('bayPlanTitle')?.value || null
+            });
+            if (result.success && !result.cancelled) {
+                alert('Bay plan exported successfully!');
+            } else if (result.cancelled) {
+                console.log('Export cancelled by user');
+            } else {
+                alert(`Export failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Bay plan export error:', error);
+            alert(`Export failed: ${error.message}`);
+        }
+    }
+
+    async checkDGReeferAdjacency() {
+        const resultsDiv = document.getElementById('adjacencyResults');
+        const exportBtn = document.getElementById('exportAdjacencyBtn');
+        if (!resultsDiv) return;
+
+        try {
+            const result = await window.safeMariAPI.checkDGReeferAdjacency({
+                options: {
+                    stack: document.getElementById('adjacencyStack')?.checked,
+                    rows: document.getElementById('adjacencyRows')?.value,
+                    bays: document.getElementById('adjacencyBays')?.value,
+                    flashpointLimit: document.getElementById('adjacencyFlashpoint')?.value
+                }
+            });
+            if (!result.success) throw new Error(result.error);
+
+            const { findings, notChecked, summary } = result.results;
+            resultsDiv.style.display = 'block';
+            resultsDiv.innerHTML = `
+                <div class="section-title">${summary.sensitive} heat-sensitive DG lines, ${summary.reefers} plugged reefers:</div>
+                ${findings.length === 0 ? `
+                    <div class="data-preview" style="background: #f0fdf4; padding: 12px; border-radius: 6px; font-size: 13px; color: #166534;">
+                        ✅ No heat-sensitive DG unit next to a plugged reefer
+                    </div>
+                ` : `
+                    <table class="data-table" style="width: 100%; font-size: 13px;">
+                        <thead>
+                            <tr><th>DG Container</th><th>UN / Class</th><th>Why</th><th>Reefers</th></tr>
+                        </thead>
+                        <tbody>
+                            ${findings.map(finding => `
+                                <tr>
+                                    <td style="font-family: monospace;">${finding.containerId}<br>${finding.stowage}</td>
+                                    <td>UN${finding.unNumber || '?'} · ${finding.class || '?'}</td>
+                                    <td>${finding.basis}</td>
+                                    <td style="color: #dc2626;">${finding.reefers.map(reefer => `<span style="font-family: monospace;">${reefer.containerId} ${reefer.stowage}</span> - ${reefer.relation}`).join('<br>')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+                ${notChecked.length > 0 ? `
+                    <div style="font-size: 13px; color: #64748b; margin-top: 8px;">${notChecked.length} not checked: ${notChecked.slice(0, 5).map(item => `${item.containerId} UN${item.unNumber} (${item.reason})`).join(', ')}${notChecked.length > 5 ? ' ...' : ''}</div>
+                ` : ''}
+            `;
+            if (exportBtn) exportBtn.disabled = false;
+        } catch (error) {
+            console.error('DG / reefer adjacency error:', error);
+            resultsDiv.style.display = 'block';
+            resultsDiv.innerHTML = `<div style="background: #fef2f2; padding: 12px; border-radius: 6px; color: #dc2626;">Check failed: ${error.message}</div>`;
+            if (exportBtn) exportBtn.disabled = true;
+        }
+    }
+
+    async downloadDGReeferAdjacencyReport() {
+        try {
+            const result = await window.safeMariAPI.downloadDGReeferAdjacencyReport({});
+            if (result.success && !result.cancelled) {
+                alert('DG next to reefers report exported successfully!');
+            } else if (result.cancelled) {
+                console.log('Export cancelled by user');
+            } else {
+                alert(`Export failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('DG / reefer adjacency export error:', error);
+            alert(`Export failed: ${error.message}`);
+        }
     }
 
     async initializeLogs() {
@@ -562,6 +1081,336 @@ class Router {
                 await this.resetSettings();
             });
         }
+        
+        await this.initializeCommodityRanges();
+        await this.initializeCTProtocols();
+        await this.initializeCTTemplates();
+        await this.initializeShipProfile();
+        await this.initializeDGList();
+    }
+    
+    /**
+     * Show the ship profile's first on-deck tier in an empty tier input
+     * (left empty, the main process uses the ship profile as well)
+     */
+    async fillTierThreshold(inputId) {
+        try {
+            const result = await window.safeMariAPI.getShipProfile();
+            const input = document.getElementById(inputId);
+            if (result.success && input && !input.value) {
+                input.value = result.profile.tierThreshold;
+            }
+        } catch (error) {
+            console.error('Ship profile error:', error);
+        }
+    }
+
+    async initializeShipProfile() {
+        const editor = document.getElementById('shipProfileEditor');
+        if (!editor) return;
+        
+        try {
+            const result = await window.safeMariAPI.getShipProfile();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.shipProfileDefaults = result.defaults;
+            editor.value = JSON.stringify(result.profile, null, 2);
+        } catch (error) {
+            console.error('Failed to load ship profile:', error);
+            editor.value = 'Failed to load ship profile: ' + error.message;
+            return;
+        }
+        
+        document.getElementById('saveShipProfile')?.addEventListener('click', async () => {
+            let profile;
+            try {
+                profile = JSON.parse(editor.value);
+            } catch (error) {
+                alert('Ship profile is not valid JSON: ' + error.message);
+                return;
+            }
+            
+            const result = await window.safeMariAPI.saveShipProfile(profile);
+            if (result.success) {
+                alert('Ship profile saved');
+            } else {
+                alert('Failed to save ship profile: ' + result.error);
+            }
+        });
+        
+        document.getElementById('resetShipProfile')?.addEventListener('click', async () => {
+            if (!confirm('Restore the default ship profile?')) return;
+            const result = await window.safeMariAPI.saveShipProfile(this.shipProfileDefaults);
+            if (result.success) {
+                editor.value = JSON.stringify(this.shipProfileDefaults, null, 2);
+            } else {
+                alert('Failed to restore ship profile: ' + result.error);
+            }
+        });
+    }
+    
+    async initializeDGList() {
+        const statusDiv = document.getElementById('dgListStatus');
+        if (!statusDiv) return;
+        
+        const showStatus = (status) => {
+            statusDiv.textContent = status.imported > 0
+                ? `${status.total} UN numbers (${status.imported} imported over ${status.builtIn} built-in)`
+                : `${status.total} UN numbers (built-in list)`;
+        };
+        
+        try {
+            const result = await window.safeMariAPI.getDGListStatus();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            showStatus(result.status);
+        } catch (error) {
+            console.error('Failed to load DG List status:', error);
+            statusDiv.textContent = 'Failed to load DG List: ' + error.message;
+        }
+        
+        document.getElementById('importDGList')?.addEventListener('click', async () => {
+            const file = await window.safeMariAPI.selectFile({
+                filters: [
+                    { name: 'Excel / CSV Files', extensions: ['xlsx', 'csv', 'txt'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+            if (!file.success || file.cancelled) return;
+            
+            const result = await window.safeMariAPI.importDGList(file.filePath);
+            if (result.success) {
+                showStatus(result.status);
+                alert(`DG List imported: ${result.unNumbers} UN numbers, ${result.entries} entries`);
+            } else {
+                alert('Failed to import DG List: ' + result.error);
+            }
+        });
+        
+        document.getElementById('restoreDGList')?.addEventListener('click', async () => {
+            if (!confirm('Remove the imported DG List and use the built-in list?')) return;
+            const result = await window.safeMariAPI.restoreDGList();
+            if (result.success) {
+                showStatus(result.status);
+            } else {
+                alert('Failed to restore the DG List: ' + result.error);
+            }
+        });
+    }
+    
+    async initializeCTTemplates() {
+        const editor = document.getElementById('ctTemplatesEditor');
+        if (!editor) return;
+        
+        try {
+            const result = await window.safeMariAPI.getCTTemplates();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.ctTemplateDefaults = result.defaults;
+            editor.value = JSON.stringify(result.templates, null, 2);
+        } catch (error) {
+            console.error('Failed to load CT templates:', error);
+            editor.value = 'Failed to load CT templates: ' + error.message;
+            return;
+        }
+        
+        document.getElementById('saveCTTemplates')?.addEventListener('click', async () => {
+            let templates;
+            try {
+                templates = JSON.parse(editor.value);
+            } catch (error) {
+                alert('CT templates are not valid JSON: ' + error.message);
+                return;
+            }
+            
+            const result = await window.safeMariAPI.saveCTTemplates(templates);
+            if (result.success) {
+                alert('CT templates saved');
+            } else {
+                alert('Failed to save CT templates: ' + result.error);
+            }
+        });
+        
+        document.getElementById('resetCTTemplates')?.addEventListener('click', async () => {
+            if (!confirm('Restore the default CT templates?')) return;
+            const result = await window.safeMariAPI.saveCTTemplates(this.ctTemplateDefaults);
+            if (result.success) {
+                editor.value = JSON.stringify(this.ctTemplateDefaults, null, 2);
+            } else {
+                alert('Failed to restore CT templates: ' + result.error);
+            }
+        });
+    }
+    
+    async initializeCTProtocols() {
+        try {
+            const result = await window.safeMariAPI.getCTProtocols();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.ctProtocolDefaults = result.defaults;
+            this.renderCTProtocols(result.protocols);
+        } catch (error) {
+            console.error('Failed to load CT protocols:', error);
+            const editor = document.getElementById('ctProtocolsEditor');
+            if (editor) editor.textContent = 'Failed to load CT protocols: ' + error.message;
+            return;
+        }
+        
+        document.getElementById('addCTProtocol')?.addEventListener('click', () => {
+            const protocols = this.readCTProtocols();
+            protocols[`CUSTOM-${Object.keys(protocols).length + 1}`] = { label: '', maxTemp: '', days: '' };
+            this.renderCTProtocols(protocols);
+        });
+        
+        document.getElementById('saveCTProtocols')?.addEventListener('click', async () => {
+            const result = await window.safeMariAPI.saveCTProtocols(this.readCTProtocols());
+            if (result.success) {
+                alert('CT protocols saved');
+            } else {
+                alert('Failed to save CT protocols: ' + result.error);
+            }
+        });
+        
+        document.getElementById('resetCTProtocols')?.addEventListener('click', async () => {
+            if (!confirm('Restore the default CT protocols?')) return;
+            const result = await window.safeMariAPI.saveCTProtocols(this.ctProtocolDefaults);
+            if (result.success) {
+                this.renderCTProtocols(this.ctProtocolDefaults);
+            } else {
+                alert('Failed to restore CT protocols: ' + result.error);
+            }
+        });
+    }
+    
+    renderCTProtocols(protocols) {
+        const editor = document.getElementById('ctProtocolsEditor');
+        if (!editor) return;
+        
+        const cellStyle = 'padding: 4px;';
+        editor.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 12px;">
+                <tr style="background: #f1f5f9; text-align: left;">
+                    <th style="${cellStyle}">ID</th><th style="${cellStyle}">Label</th>
+                    <th style="${cellStyle}">Max °C</th><th style="${cellStyle}">Days</th>
+                </tr>
+                ${Object.entries(protocols).map(([id, protocol]) => `
+                <tr class="ct-protocol-row" data-id="${id}">
+                    <td style="${cellStyle}"><input type="text" class="ctp-id" style="width: 110px;" value="${id}"></td>
+                    <td style="${cellStyle}"><input type="text" class="ctp-label" style="width: 100%;" value="${protocol.label || ''}"></td>
+                    <td style="${cellStyle}"><input type="number" step="0.01" class="ctp-max" style="width: 70px;" value="${protocol.maxTemp ?? ''}"></td>
+                    <td style="${cellStyle}"><input type="number" step="1" min="1" class="ctp-days" style="width: 60px;" value="${protocol.days ?? ''}"></td>
+                </tr>`).join('')}
+            </table>
+        `;
+    }
+    
+    readCTProtocols() {
+        const protocols = {};
+        document.querySelectorAll('.ct-protocol-row').forEach(row => {
+            const id = row.querySelector('.ctp-id').value.trim();
+            protocols[id] = {
+                label: row.querySelector('.ctp-label').value.trim(),
+                maxTemp: row.querySelector('.ctp-max').value,
+                days: row.querySelector('.ctp-days').value
+            };
+        });
+        return protocols;
+    }
+    
+    async initializeCommodityRanges() {
+        try {
+            const result = await window.safeMariAPI.getCommodityRanges();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.commodityCargoTypes = result.cargoTypes;
+            this.commodityDefaults = result.defaults;
+            this.renderCommodityRanges(result.ranges);
+        } catch (error) {
+            console.error('Failed to load commodity table:', error);
+            const editor = document.getElementById('commodityRangesEditor');
+            if (editor) editor.textContent = 'Failed to load commodity table: ' + error.message;
+            return;
+        }
+        
+        document.getElementById('addCommodityRange')?.addEventListener('click', () => {
+            const ranges = this.readCommodityRanges();
+            ranges.push({ label: '', cargoType: 'chilled', min: null, max: null, keywords: [] });
+            this.renderCommodityRanges(ranges);
+        });
+        
+        document.getElementById('saveCommodityRanges')?.addEventListener('click', async () => {
+            const result = await window.safeMariAPI.saveCommodityRanges(this.readCommodityRanges());
+            if (result.success) {
+                alert('Commodity table saved');
+            } else {
+                alert('Failed to save commodity table: ' + result.error);
+            }
+        });
+        
+        document.getElementById('resetCommodityRanges')?.addEventListener('click', async () => {
+            if (!confirm('Restore the default commodity table?')) return;
+            const result = await window.safeMariAPI.saveCommodityRanges(this.commodityDefaults);
+            if (result.success) {
+                this.renderCommodityRanges(this.commodityDefaults);
+            } else {
+                alert('Failed to restore commodity table: ' + result.error);
+            }
+        });
+    }
+    
+    renderCommodityRanges(ranges) {
+        const editor = document.getElementById('commodityRangesEditor');
+        if (!editor) return;
+        
+        const cellStyle = 'padding: 4px;';
+        editor.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 12px;">
+                <tr style="background: #f1f5f9; text-align: left;">
+                    <th style="${cellStyle}">Commodity</th><th style="${cellStyle}">Keywords (comma separated)</th>
+                    <th style="${cellStyle}">Cargo type</th><th style="${cellStyle}">Min °C</th><th style="${cellStyle}">Max °C</th><th></th>
+                </tr>
+                ${ranges.map((entry, index) => `
+                <tr class="commodity-range-row" data-index="${index}">
+                    <td style="${cellStyle}"><input type="text" class="cr-label" value="${entry.label || ''}"></td>
+                    <td style="${cellStyle}"><input type="text" class="cr-keywords" style="width: 100%;" value="${(entry.keywords || []).join(', ')}"></td>
+                    <td style="${cellStyle}">
+                        <select class="cr-cargo-type">
+                            ${this.commodityCargoTypes.map(type => `<option value="${type}" ${type === entry.cargoType ? 'selected' : ''}>${type}</option>`).join('')}
+                        </select>
+                    </td>
+                    <td style="${cellStyle}"><input type="number" step="0.5" class="cr-min" style="width: 70px;" value="${entry.min ?? ''}"></td>
+                    <td style="${cellStyle}"><input type="number" step="0.5" class="cr-max" style="width: 70px;" value="${entry.max ?? ''}"></td>
+                    <td style="${cellStyle}"><button type="button" class="btn-secondary cr-remove">✕</button></td>
+                </tr>`).join('')}
+            </table>
+        `;
+        
+        editor.querySelectorAll('.cr-remove').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const row = e.target.closest('.commodity-range-row');
+                const ranges = this.readCommodityRanges().filter((entry, index) => index !== parseInt(row.dataset.index, 10));
+                this.renderCommodityRanges(ranges);
+            });
+        });
+    }
+    
+    readCommodityRanges() {
+        return Array.from(document.querySelectorAll('.commodity-range-row')).map(row => ({
+            label: row.querySelector('.cr-label').value.trim(),
+            keywords: row.querySelector('.cr-keywords').value.split(',').map(k => k.trim()).filter(Boolean),
+            cargoType: row.querySelector('.cr-cargo-type').value,
+            min: row.querySelector('.cr-min').value === '' ? null : parseFloat(row.querySelector('.cr-min').value),
+            max: row.querySelector('.cr-max').value === '' ? null : parseFloat(row.querySelector('.cr-max').value)
+        }));
     }
     
     async saveSettings() {
@@ -702,7 +1551,7 @@ class Router {
         }
     }
 
-    initializeFileUpload(fileType, allowedExtensions) {
+    initializeFileUpload(fileType, allowedExtensions, multiple = false) {
         const dropZone = document.querySelector(`[data-file-type="${fileType}"]`);
         const browseBtn = dropZone?.querySelector('.btn-secondary');
         
@@ -723,12 +1572,15 @@ class Router {
             if (allowedExtensions.includes('docx') || allowedExtensions.includes('doc')) {
                 filters.push({ name: 'Word Documents', extensions: ['docx', 'doc'] });
             }
+            if (allowedExtensions.includes('csv')) {
+                filters.push({ name: 'CSV Files', extensions: ['csv', 'txt'] });
+            }
             filters.push({ name: 'All Files', extensions: ['*'] });
 
-            const result = await window.safeMariAPI.selectFile({ filters });
+            const result = await window.safeMariAPI.selectFile({ filters, multiple });
             
             if (result.success && !result.cancelled) {
-                this.handleFileSelection(fileType, result.filePath);
+                this.handleFileSelection(fileType, multiple ? result.filePaths : result.filePath);
             }
         });
 
@@ -748,12 +1600,15 @@ class Router {
             if (allowedExtensions.includes('docx') || allowedExtensions.includes('doc')) {
                 filters.push({ name: 'Word Documents', extensions: ['docx', 'doc'] });
             }
+            if (allowedExtensions.includes('csv')) {
+                filters.push({ name: 'CSV Files', extensions: ['csv', 'txt'] });
+            }
             filters.push({ name: 'All Files', extensions: ['*'] });
 
-            const result = await window.safeMariAPI.selectFile({ filters });
+            const result = await window.safeMariAPI.selectFile({ filters, multiple });
             
             if (result.success && !result.cancelled) {
-                this.handleFileSelection(fileType, result.filePath);
+                this.handleFileSelection(fileType, multiple ? result.filePaths : result.filePath);
             }
         });
         
@@ -783,6 +1638,20 @@ class Router {
             dropZone.classList.remove('dragover');
             
             const files = Array.from(e.dataTransfer.files);
+            
+            // Multi-file zones take every dropped file of an allowed type
+            if (multiple) {
+                const filePaths = files
+                    .filter(file => allowedExtensions.includes(file.name.split('.').pop().toLowerCase()) && file.path)
+                    .map(file => file.path);
+                if (filePaths.length > 0) {
+                    this.handleFileSelection(fileType, filePaths);
+                } else {
+                    alert(`Invalid file type. Please select: ${allowedExtensions.join(', ')}`);
+                }
+                return;
+            }
+            
             if (files.length > 0) {
                 const file = files[0];
                 const extension = file.name.split('.').pop().toLowerCase();
@@ -824,6 +1693,12 @@ class Router {
     handleFileSelection(fileType, filePath, fileObject = null) {
         console.log(`File selection for ${fileType}:`, { filePath, fileObject: fileObject?.name });
         
+        // Multiple files (data-logger downloads)
+        if (Array.isArray(filePath)) {
+            this.handleMultiFileSelection(fileType, filePath);
+            return;
+        }
+        
         // Store the file path or object
         if (fileObject && fileObject.path) {
             // Electron environment with file.path
@@ -863,9 +1738,21 @@ class Router {
         this.updateProcessButton();
     }
 
+    handleMultiFileSelection(fileType, filePaths) {
+        this.updateDropZoneUI(fileType, filePaths);
+
+        if (!this.selectedFiles) this.selectedFiles = {};
+        this.selectedFiles[fileType] = filePaths;
+        
+        console.log('Stored file paths:', this.selectedFiles);
+        
+        this.updateProcessButton();
+    }
+
     updateProcessButton() {
         // Handle different process buttons based on current view
         const reeferBtn = document.getElementById('processReeferBtn');
+        const loggerBtn = document.getElementById('processLoggerBtn');
         const ctBtn = document.getElementById('processCTBtn');
         const dgBtn = document.getElementById('processDGBtn');
         const compareBtn = document.getElementById('processCompareBtn');
@@ -889,6 +1776,21 @@ class Router {
             }
         }
 
+        // Reefer Data-Logger
+        if (loggerBtn) {
+            const loggerFiles = this.selectedFiles['logger-files'];
+            const hasManifestFile = this.selectedFiles['logger-manifest'];
+            const canProcess = loggerFiles && loggerFiles.length > 0 && hasManifestFile;
+            
+            loggerBtn.disabled = !canProcess;
+            
+            if (canProcess) {
+                loggerBtn.textContent = `Process Logger Excursions (${loggerFiles.length} logger file${loggerFiles.length > 1 ? 's' : ''} + ${this.getFileFormat(hasManifestFile)})`;
+            } else {
+                loggerBtn.textContent = 'Process Logger Excursions';
+            }
+        }
+
         // CT Stowage Sorter
         if (ctBtn) {
             const hasReeferFile = this.selectedFiles['reefer-list'];
@@ -906,6 +1808,11 @@ class Router {
             }
         }
 
+        const generateCTBtn = document.getElementById('generateCTBtn');
+        if (generateCTBtn) {
+            generateCTBtn.disabled = !this.selectedFiles['reefer-list'];
+        }
+
         // DG Manifest Checker
         if (dgBtn) {
             const hasManifestFile = this.selectedFiles['dg-manifest'];
@@ -929,14 +1836,16 @@ class Router {
             const hasFileB = this.selectedFiles['list-b'];
             const canProcess = hasFileA && hasFileB;
             
+            const action = this.compareMode === 'stowage' ? 'Process Stowage Diff' : 'Process List Reconciliation';
+            
             compareBtn.disabled = !canProcess;
             
             if (canProcess) {
                 const fileAName = this.getFileName(hasFileA);
                 const fileBName = this.getFileName(hasFileB);
-                compareBtn.textContent = `Process List Reconciliation (${fileAName} vs ${fileBName})`;
+                compareBtn.textContent = `${action} (${fileAName} vs ${fileBName})`;
             } else {
-                compareBtn.textContent = 'Process List Reconciliation';
+                compareBtn.textContent = action;
             }
         }
     }
@@ -997,7 +1906,8 @@ class Router {
         try {
             const result = await window.safeMariAPI.processReefer({
                 checkFilePath: checkFile,
-                manifestFilePath: manifestFile
+                manifestFilePath: manifestFile,
+                voyage: document.getElementById('reeferVoyage')?.value.trim() || null
             });
 
             // Log the operation
@@ -1026,6 +1936,61 @@ class Router {
         }
     }
 
+    async processReeferLogger() {
+        const loggerFiles = this.selectedFiles?.['logger-files'];
+        const manifestFile = this.selectedFiles?.['logger-manifest'];
+
+        if (!loggerFiles || loggerFiles.length === 0 || !manifestFile) {
+            alert('Please select the logger files and the MANIFEST file');
+            return;
+        }
+
+        const resultsDiv = document.getElementById('loggerResults');
+        if (resultsDiv) {
+            resultsDiv.style.display = 'block';
+            resultsDiv.innerHTML = `
+                <div style="text-align: center; padding: 40px; background: #f8fafc; border-radius: 8px;">
+                    <div style="font-size: 18px; color: #2563eb; margin-bottom: 12px;">🔄 Processing Logger Files...</div>
+                    <div style="color: #64748b;">Reading trip logs and checking readings against set points</div>
+                </div>
+            `;
+        }
+
+        const recoveryInput = document.getElementById('defrostRecoveryMinutes');
+        const defrostRecoveryMinutes = recoveryInput ? parseInt(recoveryInput.value, 10) : 30;
+        const startTime = Date.now();
+        
+        try {
+            const result = await window.safeMariAPI.processReeferLogger({
+                loggerFilePaths: loggerFiles,
+                manifestFilePath: manifestFile,
+                defrostRecoveryMinutes: isNaN(defrostRecoveryMinutes) ? 30 : defrostRecoveryMinutes
+            });
+
+            // Log the operation
+            const duration = Date.now() - startTime;
+            await window.safeMariAPI.addLog({
+                module: 'reefer-logger',
+                fileA: loggerFiles[0],
+                fileB: manifestFile,
+                resultSummary: result.success ? `Checked ${result.summary?.totalUnits || 0} logged units, ${result.summary?.unitsWithExcursions || 0} with excursions` : 'Processing failed',
+                operationDuration: duration,
+                success: result.success,
+                errorMessage: result.success ? null : result.error
+            });
+
+            this.reeferLoggerResult = result.success ? result : null;
+            this.displayReeferLoggerResults(result);
+            
+        } catch (error) {
+            console.error('Reefer logger processing error:', error);
+            this.displayReeferLoggerResults({
+                success: false,
+                error: `Unexpected error: ${error.message}`
+            });
+        }
+    }
+
     async processCTStowage() {
         if (!this.selectedFiles) {
             alert('Please select files first');
@@ -1045,7 +2010,14 @@ class Router {
         try {
             const result = await window.safeMariAPI.processCT({
                 reeferListPath: reeferFile,
-                ctSheetPath: ctFile
+                ctSheetPath: ctFile,
+                templateId: document.getElementById('ctTemplate')?.value || 'auto',
+                protocolId: document.getElementById('ctProtocol')?.value || null,
+                sortStrategy: document.getElementById('ctSortStrategy')?.value || 'bbrrtt',
+                tierThreshold: parseInt(document.getElementById('ctTierThreshold')?.value, 10) || null,
+                loggerFilePaths: this.selectedFiles['ct-logger-files'] || [],
+                treatmentStart: document.getElementById('ctTreatmentStart')?.value || null,
+                overwriteReadings: document.getElementById('ctOverwriteReadings')?.checked || false
             });
 
             // Log the operation
@@ -1116,6 +2088,10 @@ class Router {
             return;
         }
 
+        if (this.compareMode === 'stowage') {
+            return this.processStowageDiff(fileA, fileB);
+        }
+
         const resultsDiv = document.getElementById('compareResults');
         if (resultsDiv) {
             resultsDiv.style.display = 'block';
@@ -1133,34 +2109,78 @@ class Router {
         const startTime = Date.now();
         
         try {
-            const result = await window.safeMariAPI.processCompare({
-                fileAPath: fileA,
-                fileBPath: fileB
+            const result = await window.safeMariAPI.processCompare({
+                fileAPath: fileA,
+                fileBPath: fileB
+            });
+
+            const duration = Date.now() - startTime;
+            await window.safeMariAPI.addLog({
+                module: 'compare',
+                fileA: fileA,
+                fileB: fileB,
+                resultSummary: result.success ? `Compared ${result.results?.statistics?.totalA || 0} vs ${result.results?.statistics?.totalB || 0} containers, ${result.results?.statistics?.commonCount || 0} common` : 'Comparison failed',
+                operationDuration: duration,
+                success: result.success,
+                errorMessage: result.success ? null : result.error
+            });
+
+            this.displayCompareResults(result);
+            
+        } catch (error) {
+            console.error('Compare processing error:', error);
+            this.displayCompareResults({
+                success: false,
+                error: `Unexpected error: ${error.message}`
+            });
+        }
+    }
+
+    async processStowageDiff(previousList, currentList) {
+        const resultsDiv = document.getElementById('compareResults');
+        if (resultsDiv) {
+            resultsDiv.style.display = 'block';
+            resultsDiv.innerHTML = `
+                <div style="text-align: center; padding: 40px; background: #f8fafc; border-radius: 8px;">
+                    <div style="font-size: 18px; color: #2563eb; margin-bottom: 12px;">🔄 Comparing Stowage...</div>
+                    <div style="color: #64748b;">Reading positions from both lists and finding loaded, discharged and restowed containers</div>
+                </div>
+            `;
+        }
+
+        const startTime = Date.now();
+
+        try {
+            const result = await window.safeMariAPI.processStowageDiff({
+                previousListPath: previousList,
+                currentListPath: currentList,
+                tierThreshold: parseInt(document.getElementById('compareTierThreshold')?.value, 10) || null
             });
 
             const duration = Date.now() - startTime;
+            const summary = result.results?.summary || {};
             await window.safeMariAPI.addLog({
-                module: 'compare',
-                fileA: fileA,
-                fileB: fileB,
-                resultSummary: result.success ? `Compared ${result.results?.statistics?.totalA || 0} vs ${result.results?.statistics?.totalB || 0} containers, ${result.results?.statistics?.commonCount || 0} common` : 'Comparison failed',
+                module: 'stowage-diff',
+                fileA: previousList,
+                fileB: currentList,
+                resultSummary: result.success ? `${summary.loaded} loaded, ${summary.discharged} discharged, ${summary.restowed} restowed (${summary.deckHoldChanges} deck/hold)` : 'Stowage diff failed',
                 operationDuration: duration,
                 success: result.success,
                 errorMessage: result.success ? null : result.error
             });
 
-            this.displayCompareResults(result);
-            
+            this.displayStowageDiffResults(result);
+
         } catch (error) {
-            console.error('Compare processing error:', error);
-            this.displayCompareResults({
+            console.error('Stowage diff processing error:', error);
+            this.displayStowageDiffResults({
                 success: false,
                 error: `Unexpected error: ${error.message}`
             });
         }
     }
 
-    displayReeferResults(result) {
+    displayReeferResults(result, podFilter = '') {
         const resultsDiv = document.getElementById('reeferResults');
         if (!resultsDiv) return;
         
@@ -1188,9 +2208,23 @@ class Router {
             return;
         }
         
-        const summary = result.summary || {};
-        const mismatches = result.results?.mismatches || [];
-        const missing = result.results?.missing || [];
+        // Optional port of discharge filter
+        const podBreakdown = result.summary?.podBreakdown || [];
+        const podOf = (id) => result.results?.manifestMap?.[id]?.pod || result.results?.checkMap?.[id]?.pod || 'UNKNOWN';
+        const inPod = (id) => !podFilter || podOf(id) === podFilter;
+        const podSummary = podBreakdown.find(b => b.pod === podFilter);
+        const showPods = podBreakdown.length > 1 || (podBreakdown.length === 1 && podBreakdown[0].pod !== 'UNKNOWN');
+        
+        const summary = podSummary ? { ...result.summary, ...podSummary, debug: null } : (result.summary || {});
+        const mismatches = (result.results?.mismatches || []).filter(m => inPod(m.id));
+        const missing = (result.results?.missing || []).filter(inPod);
+        const manifestOnly = (result.results?.manifestOnly || []).filter(inPod);
+        const matched = (result.results?.matched || []).filter(m => inPod(m.id));
+        const parameterMismatches = (result.results?.parameterMismatches || []).filter(p => inPod(p.id));
+        const suspectSetPoints = (result.results?.suspectSetPoints || []).filter(f => inPod(f.id));
+        const unitWarnings = (result.results?.unitWarnings || []).filter(w => inPod(w.id));
+        const setPointDiff = result.results?.setPointDiff || null;
+        const setPointChanges = setPointDiff ? setPointDiff.changed.filter(c => inPod(c.id)) : [];
         const processingPlan = result.processingPlan || {};
         
         window.reeferDownloadData = result.downloadData;
@@ -1212,6 +2246,16 @@ class Router {
                 </div>
                 ` : ''}
                 
+                ${showPods ? `
+                <div style="margin-bottom: 16px;">
+                    <label for="reeferPodFilter" style="font-weight: 600; color: #374151;">Port of discharge:</label>
+                    <select id="reeferPodFilter">
+                        <option value="">All ports (${podBreakdown.length})</option>
+                        ${podBreakdown.map(b => `<option value="${b.pod}" ${b.pod === podFilter ? 'selected' : ''}>${b.pod}</option>`).join('')}
+                    </select>
+                </div>
+                ` : ''}
+                
                 <div class="results-grid">
                     <div class="result-item">
                         <span class="label">Total in CHECK:</span>
@@ -1230,9 +2274,29 @@ class Router {
                         <span class="value ${summary.missing > 0 ? 'warn' : 'ok'}">${summary.missing || 0}</span>
                     </div>
                     <div class="result-item">
-                        <span class="label">Temperature mismatches (> 0.1°C):</span>
+                        <span class="label">Not monitored (in MANIFEST, not in CHECK):</span>
+                        <span class="value ${summary.manifestOnly > 0 ? 'warn' : 'ok'}">${summary.manifestOnly || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Matched within tolerance:</span>
+                        <span class="value ok">${summary.matched || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Temperature mismatches (outside profile tolerance):</span>
                         <span class="value ${summary.mismatches > 0 ? 'warn' : 'ok'}">${summary.mismatches || 0}</span>
                     </div>
+                    <div class="result-item">
+                        <span class="label">Critical / Warning:</span>
+                        <span class="value ${summary.criticalMismatches > 0 ? 'warn' : 'ok'}">${summary.criticalMismatches || 0} / ${summary.warningMismatches || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Suspect set points (vs commodity):</span>
+                        <span class="value ${summary.suspectSetPoints > 0 ? 'warn' : 'ok'}">${summary.suspectSetPoints || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Mixed °F/°C comparisons:</span>
+                        <span class="value ${summary.unitWarnings > 0 ? 'warn' : 'ok'}">${summary.unitWarnings || 0}</span>
+                    </div>
                 </div>
                 
                 ${summary.debug ? `<div class="debug-info">${summary.debug}</div>` : ''}
@@ -1248,9 +2312,10 @@ class Router {
                                 const mismatches = summary.mismatches || 0;
                                 const missing = summary.missing || 0;
                                 const exactMatches = found - mismatches;
+                                const manifestOnlyCount = summary.manifestOnly || 0;
                                 const matchRate = totalCheck > 0 ? ((found / totalCheck) * 100).toFixed(1) : 0;
                                 
-                                if (found === totalCheck && mismatches === 0) {
+                                if (found === totalCheck && mismatches === 0 && manifestOnlyCount === 0) {
                                     return `Perfect validation achieved with all ${totalCheck} containers from CHECK file successfully matched in MANIFEST with exact temperature alignment. No discrepancies detected.`;
                                 } else if (found === totalCheck && mismatches <= 5) {
                                     return `Excellent validation results with ${matchRate}% container matching success. All ${totalCheck} containers located in MANIFEST with ${exactMatches} exact temperature matches and only ${mismatches} minor temperature variations within acceptable tolerance.`;
@@ -1259,10 +2324,20 @@ class Router {
                                 } else {
                                     return `Validation requires attention with ${matchRate}% matching rate. Located ${found} containers out of ${totalCheck} total, with ${exactMatches} exact matches and ${mismatches} temperature discrepancies. ${missing} containers missing from MANIFEST need investigation.`;
                                 }
+                            })()}${(() => {
+                                const manifestOnlyCount = summary.manifestOnly || 0;
+                                return manifestOnlyCount > 0
+                                    ? ` <strong style="color: #dc2626;">${manifestOnlyCount} reefers on the MANIFEST are not on the CHECK sheet and are not being monitored.</strong>`
+                                    : '';
                             })()} 
                         </div>
                     </div>
                     
+                ${manifestOnly.length > 0 ? `
+                    <div class="section-title" style="color: #dc2626;">Not monitored (in MANIFEST but not in CHECK):</div>
+                    <div class="data-preview" style="background: #fef2f2; color: #dc2626;">${manifestOnly.slice(0, 10).join(', ')}${manifestOnly.length > 10 ? ` ... and ${manifestOnly.length - 10} more` : ''}</div>
+                ` : ''}
+                
                 ${missing && missing.length > 0 ? `
                     <div class="section-title">Missing containers (in CHECK but not in MANIFEST):</div>
                     <div class="data-preview">${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ` ... and ${missing.length - 10} more` : ''}</div>
@@ -1272,21 +2347,94 @@ class Router {
                     <div class="section-title">Temperature mismatches (Set vs Manifest):</div>
                     <div class="data-preview">
                         ${mismatches.slice(0, 5).map(m => 
-                            `${m.id}: Set=${m.setT}°C, Man=${m.manT}°C, Diff=${m.diff.toFixed(2)}°C`
+                            `<span style="color: ${m.severity === 'CRITICAL' ? '#dc2626' : '#d97706'}; font-weight: 600;">[${m.severity}]</span> ` +
+                            `${m.id}: Set=${m.setT}°C, Man=${m.manT}°C, Diff=${m.diff.toFixed(2)}°C ` +
+                            `(${m.profileLabel} profile, ±${m.tolerance}°C)`
                         ).join('<br>')}
                         ${mismatches.length > 5 ? `<br>... and ${mismatches.length - 5} more mismatches` : ''}
                     </div>
-                    <div class="download-section">
-                        <button onclick="downloadReeferReport()" class="btn-primary">Download Excel Report (mismatches only)</button>
-                    </div>
                 ` : `
                     <div class="section-title">Temperature mismatches:</div>
-                    <div class="data-preview">None – all matched within ±0.1°C tolerance.</div>
+                    <div class="data-preview">None – all matched within their commodity profile tolerance.</div>
                 `}
+                
+                ${setPointDiff ? `
+                    <div class="section-title">Set-point changes since previous run (${new Date(setPointDiff.previousRun.timestamp).toLocaleString()}):</div>
+                    <div class="data-preview">
+                        ${setPointChanges.length} changed, ${setPointDiff.added.length} added, ${setPointDiff.removed.length} removed
+                        ${setPointChanges.length > 0 ? '<br>' + setPointChanges.slice(0, 10).map(c => 
+                            `${c.id}: ${c.oldTemp}°C → ${c.newTemp}°C`
+                        ).join('<br>') : ''}
+                        ${setPointChanges.length > 10 ? `<br>... and ${setPointChanges.length - 10} more set-point changes` : ''}
+                    </div>
+                ` : ''}
+                
+                ${unitWarnings.length > 0 ? `
+                    <div class="section-title" style="color: #d97706;">Mixed units (°F vs °C, converted before comparing):</div>
+                    <div class="data-preview" style="background: #fffbeb;">
+                        ${unitWarnings.slice(0, 10).map(w => `${w.id}: ${w.message}`).join('<br>')}
+                        ${unitWarnings.length > 10 ? `<br>... and ${unitWarnings.length - 10} more mixed-unit containers` : ''}
+                    </div>
+                ` : ''}
+                
+                ${suspectSetPoints.length > 0 ? `
+                    <div class="section-title" style="color: #d97706;">Suspect set points (implausible for the declared commodity):</div>
+                    <div class="data-preview" style="background: #fffbeb;">
+                        ${suspectSetPoints.slice(0, 10).map(f => 
+                            `${f.id}: ${f.setPoint}°C for "${f.commodity}" – ${f.message} (${f.source})`
+                        ).join('<br>')}
+                        ${suspectSetPoints.length > 10 ? `<br>... and ${suspectSetPoints.length - 10} more suspect set points` : ''}
+                    </div>
+                ` : ''}
+                
+                ${parameterMismatches.length > 0 ? `
+                    <div class="section-title">Parameter mismatches (Check vs Manifest):</div>
+                    <div class="data-preview">
+                        ${parameterMismatches.slice(0, 10).map(p => 
+                            `${p.id}: ${p.label} Check=${p.checkValue}, Man=${p.manifestValue}`
+                        ).join('<br>')}
+                        ${parameterMismatches.length > 10 ? `<br>... and ${parameterMismatches.length - 10} more parameter mismatches` : ''}
+                    </div>
+                ` : ''}
+                
+                ${matched.length > 0 ? `
+                    <div class="section-title">Matched (in both files, within tolerance):</div>
+                    <div class="data-preview">${matched.slice(0, 10).map(m => m.id).join(', ')}${matched.length > 10 ? ` ... and ${matched.length - 10} more` : ''}</div>
+                ` : ''}
+                
+                ${showPods && !podFilter ? `
+                    <div class="section-title">By port of discharge:</div>
+                    <table style="width: 100%; border-collapse: collapse; font-size: 13px; margin-bottom: 16px;">
+                        <tr style="background: #f1f5f9; text-align: left;">
+                            <th style="padding: 6px;">POD</th><th style="padding: 6px;">CHECK</th><th style="padding: 6px;">MANIFEST</th>
+                            <th style="padding: 6px;">Matched</th><th style="padding: 6px;">Mismatches</th>
+                            <th style="padding: 6px;">Missing</th><th style="padding: 6px;">Not monitored</th>
+                        </tr>
+                        ${podBreakdown.map(b => `
+                        <tr style="border-top: 1px solid #e2e8f0;">
+                            <td style="padding: 6px; font-weight: 600;">${b.pod}</td>
+                            <td style="padding: 6px;">${b.totalCheck}</td>
+                            <td style="padding: 6px;">${b.totalManifest}</td>
+                            <td style="padding: 6px; color: #16a34a;">${b.matched}</td>
+                            <td style="padding: 6px; color: ${b.mismatches > 0 ? '#dc2626' : '#16a34a'};">${b.mismatches}${b.criticalMismatches > 0 ? ` (${b.criticalMismatches} critical)` : ''}</td>
+                            <td style="padding: 6px; color: ${b.missing > 0 ? '#d97706' : '#16a34a'};">${b.missing}</td>
+                            <td style="padding: 6px; color: ${b.manifestOnly > 0 ? '#dc2626' : '#16a34a'};">${b.manifestOnly}</td>
+                        </tr>`).join('')}
+                    </table>
+                ` : ''}
+                
+                <div class="download-section">
+                    <button onclick="downloadReeferReport()" class="btn-primary">Download Excel Report (${podFilter || 'all ports'})</button>
+                </div>
             </div>
         `;
         
         resultsDiv.innerHTML = html;
+        
+        const podSelect = document.getElementById('reeferPodFilter');
+        if (podSelect) {
+            podSelect.addEventListener('change', (e) => this.displayReeferResults(result, e.target.value));
+        }
     }
     
     getQualityLabel(confidence) {
@@ -1298,6 +2446,143 @@ class Router {
         return 'Very Poor';
     }
 
+    displayReeferLoggerResults(result) {
+        const resultsDiv = document.getElementById('loggerResults');
+        if (!resultsDiv) return;
+        
+        resultsDiv.style.display = 'block';
+        
+        if (!result.success) {
+            resultsDiv.innerHTML = `
+                <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 20px; color: #dc2626;">
+                    <div style="font-weight: bold; margin-bottom: 8px;">❌ Logger processing failed</div>
+                    <div>${result.error}</div>
+                </div>
+            `;
+            return;
+        }
+        
+        const summary = result.summary || {};
+        const units = result.results?.units || [];
+        const excursionUnits = units.filter(u => u.status === 'EXCURSION');
+        const noSetPoint = units.filter(u => u.status === 'NO_SET_POINT');
+        const notLogged = result.results?.notLogged || [];
+        const formatTime = (time) => time ? new Date(time).toISOString().replace('T', ' ').substring(0, 16) : '';
+        
+        window.reeferLoggerDownloadData = result.downloadData;
+        
+        resultsDiv.innerHTML = `
+            <div class="compact-results">
+                <h3>Data-Logger Excursion Results</h3>
+                
+                <div class="results-grid">
+                    <div class="result-item">
+                        <span class="label">Logger files:</span>
+                        <span class="value">${summary.loggerFiles || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Units logged:</span>
+                        <span class="value">${summary.totalUnits || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Within tolerance:</span>
+                        <span class="value ok">${summary.unitsOk || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Units with excursions:</span>
+                        <span class="value ${summary.unitsWithExcursions > 0 ? 'warn' : 'ok'}">${summary.unitsWithExcursions || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">Defrost periods excluded:</span>
+                        <span class="value">${summary.defrostPeriods || 0}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="label">On MANIFEST without logger data:</span>
+                        <span class="value ${summary.notLogged > 0 ? 'warn' : 'ok'}">${summary.notLogged || 0}</span>
+                    </div>
+                </div>
+                
+                ${excursionUnits.length > 0 ? `
+                    <div class="section-title">Excursions (outside set point ± profile tolerance):</div>
+                    <div class="data-preview">
+                        ${excursionUnits.slice(0, 10).map(u => 
+                            `<strong>${u.id}</strong> (set ${u.setPoint}°C, ${u.profileLabel} ±${u.tolerance}°C): ` +
+                            u.excursions.slice(0, 3).map(e => 
+                                `${e.channel.toUpperCase()} ${e.direction} ${formatTime(e.start)} for ${e.durationMinutes} min, max ${e.maxDeviation.toFixed(1)}°C`
+                            ).join('; ') +
+                            (u.excursions.length > 3 ? `; ... and ${u.excursions.length - 3} more` : '')
+                        ).join('<br>')}
+                        ${excursionUnits.length > 10 ? `<br>... and ${excursionUnits.length - 10} more units` : ''}
+                    </div>
+                ` : `
+                    <div class="section-title">Excursions:</div>
+                    <div class="data-preview">None – all logged readings within tolerance outside defrost periods.</div>
+                `}
+                
+                ${noSetPoint.length > 0 ? `
+                    <div class="section-title">No set point (not on MANIFEST and none in the logger file):</div>
+                    <div class="data-preview">${noSetPoint.map(u => u.id).join(', ')}</div>
+                ` : ''}
+                
+                ${notLogged.length > 0 ? `
+                    <div class="section-title">On MANIFEST without logger data:</div>
+                    <div class="data-preview">${notLogged.slice(0, 20).join(', ')}${notLogged.length > 20 ? ` ... and ${notLogged.length - 20} more` : ''}</div>
+                ` : ''}
+                
+                <div class="download-section">
+                    <button onclick="downloadReeferLoggerReport()" class="btn-primary">Download Excursion Report</button>
+                </div>
+            </div>
+        `;
+    }
+
+    async generateCTSheet() {
+        const reeferFile = this.selectedFiles && this.selectedFiles['reefer-list'];
+        if (!reeferFile) {
+            alert('Please select the reefer list first');
+            return;
+        }
+
+        const templateId = document.getElementById('ctTemplate')?.value;
+        const resultDiv = document.getElementById('ctGenerateResult');
+        
+        try {
+            const result = await window.safeMariAPI.generateCTSheet({
+                reeferListPath: reeferFile,
+                templateId: templateId && templateId !== 'auto' ? templateId : 'probe-form',
+                protocolId: document.getElementById('ctProtocol')?.value || null,
+                sortStrategy: document.getElementById('ctSortStrategy')?.value || 'bbrrtt',
+                tierThreshold: parseInt(document.getElementById('ctTierThreshold')?.value, 10) || null,
+                vessel: document.getElementById('ctGenVessel')?.value.trim() || '',
+                voyage: document.getElementById('ctGenVoyage')?.value.trim() || '',
+                startDate: document.getElementById('ctGenStart')?.value || null,
+                endDate: document.getElementById('ctGenEnd')?.value || null,
+                readingDays: parseInt(document.getElementById('ctGenDays')?.value, 10) || null,
+                readingsPerDay: parseInt(document.getElementById('ctGenPerDay')?.value, 10) || 1
+            });
+
+            if (result.cancelled) return;
+            if (!result.success) {
+                alert(`CT sheet generation failed: ${result.error}`);
+                return;
+            }
+
+            if (resultDiv) {
+                resultDiv.style.display = 'block';
+                resultDiv.innerHTML = `
+                    <div style="background: #f0fdf4; padding: 12px; border-radius: 6px; border-left: 4px solid #16a34a; font-size: 14px;">
+                        <div style="font-weight: bold; color: #16a34a;">CT sheet generated: ${result.containers} containers, ${result.readingSlots} reading slots</div>
+                        <div style="color: #475569; margin-top: 4px;">${result.template.label} · ${result.sortStrategy.label} · ${result.outputPath}</div>
+                        ${result.withoutStowage.length > 0 ? `<div style="color: #b45309; margin-top: 6px;">No stowage in the reefer list (placed last): ${result.withoutStowage.join(', ')}</div>` : ''}
+                    </div>
+                `;
+            }
+        } catch (error) {
+            console.error('CT generation error:', error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
     displayCTResults(result) {
         const resultsDiv = document.getElementById('ctResults');
         if (!resultsDiv) return;
@@ -1322,6 +2607,13 @@ class Router {
         const totalContainers = result.results.totalContainers || 0;
         const blocksWithKey = result.results.blocksWithKey || [];
         const missingContainers = blocksWithKey.filter(block => !block.stow).map(block => block.id);
+        const compliance = result.results.compliance || null;
+        const sortStrategy = result.results.sortStrategy || null;
+        const template = result.results.template || null;
+        const unplaced = result.results.unplaced || [];
+        const reconciliation = result.results.reconciliation || null;
+        const probeFill = result.results.probeFill || null;
+        const nonCompliant = compliance ? compliance.containers.filter(c => c.status !== 'COMPLIANT') : [];
         
         resultsDiv.innerHTML = `
             <h2 style="color: #2563eb; margin-bottom: 20px;">CT Stowage Results</h2>
@@ -1357,8 +2649,21 @@ class Router {
             
             <div style="background: #f1f5f9; padding: 12px; border-radius: 6px; margin-bottom: 15px; font-family: 'Courier New', monospace; color: #475569; font-style: italic; font-size: 14px;">
                 CT containers = ${totalContainers}, Found with stowage = ${matched}
+                ${sortStrategy ? `<br>Sort order: ${sortStrategy.label}${sortStrategy.tierThreshold ? ` (on deck from tier ${sortStrategy.tierThreshold})` : ''}` : ''}
+                <br>CT template: ${template ? template.label : 'none matched (existing stowage cells only)'}
             </div>
             
+            ${unplaced.length > 0 ? `
+            <h3 style="color: #f59e0b; margin: 15px 0 10px 0; font-size: 18px;">No Stowage Cell Found (${unplaced.length}):</h3>
+            <div style="background: #fffbeb; padding: 12px; border-radius: 6px; max-height: 150px; overflow-y: auto;">
+                <div style="color: #64748b; font-size: 13px; margin-bottom: 6px;">Stowage is known but the block has no template stowage cell; these blocks are sorted but left unchanged.</div>
+                ${unplaced.slice(0, 10).map(container => 
+                    `<div style="font-family: 'Courier New', monospace; color: #b45309; margin-bottom: 3px; font-size: 13px;">${container}</div>`
+                ).join('')}
+                ${unplaced.length > 10 ? `<div style="color: #64748b; font-style: italic; font-size: 13px;">... and ${unplaced.length - 10} more</div>` : ''}
+            </div>
+            ` : ''}
+            
             ${missing > 0 && missingContainers.length > 0 ? `
             <h3 style="color: #2563eb; margin: 15px 0 10px 0; font-size: 18px;">Missing Containers (No stowage found):</h3>
             <div style="background: #fef2f2; padding: 12px; border-radius: 6px; max-height: 150px; overflow-y: auto;">
@@ -1369,6 +2674,74 @@ class Router {
             </div>
             ` : ''}
             
+            ${reconciliation ? `
+            <h3 style="color: #2563eb; margin: 15px 0 10px 0; font-size: 18px;">Cross-Check: CT Sheet vs Reefer List</h3>
+            <div style="background: #f8fafc; padding: 12px; border-radius: 6px; font-size: 13px;">
+                <div style="margin-bottom: 6px;">
+                    No stowage: <strong>${reconciliation.summary.noStowage}</strong> ·
+                    CT in reefer list without a block: <strong style="color: ${reconciliation.summary.notInCtSheet > 0 ? '#dc2626' : '#16a34a'};">${reconciliation.summary.notInCtSheet}</strong> ·
+                    Duplicated blocks: <strong style="color: ${reconciliation.summary.duplicates > 0 ? '#dc2626' : '#16a34a'};">${reconciliation.summary.duplicates}</strong>
+                </div>
+                ${reconciliation.summary.reeferCTFlagged === 0 ? `<div style="color: #64748b; font-style: italic;">The reefer list has no CT column or cold-treatment remarks, so missing CT blocks were not checked</div>` : ''}
+                ${reconciliation.notInCtSheet.slice(0, 10).map(item => 
+                    `<div style="font-family: 'Courier New', monospace; color: #dc2626; margin-bottom: 3px;">${item.id} ${item.stowage || ''} - marked cold treatment, no CT block</div>`
+                ).join('')}
+                ${reconciliation.notInCtSheet.length > 10 ? `<div style="color: #64748b; font-style: italic;">... and ${reconciliation.notInCtSheet.length - 10} more without a block</div>` : ''}
+                ${reconciliation.duplicates.map(item => 
+                    `<div style="font-family: 'Courier New', monospace; color: #dc2626; margin-bottom: 3px;">${item.id} - ${item.count} CT blocks (rows ${item.sheetRows.join(', ')})</div>`
+                ).join('')}
+                <div style="color: #64748b; margin-top: 6px;">The full list is exported as the CT_Cross_Check sheet of the CT report</div>
+            </div>
+            ` : ''}
+            
+            ${probeFill ? `
+            <h3 style="color: #2563eb; margin: 15px 0 10px 0; font-size: 18px;">Logger Readings (${probeFill.files.join(', ')})</h3>
+            <div style="background: #f8fafc; padding: 12px; border-radius: 6px; font-size: 13px;">
+                <div style="margin-bottom: 6px;">
+                    Filled: <strong>${probeFill.filled}</strong> ·
+                    Existing values kept: <strong style="color: ${probeFill.skipped.length > 0 ? '#f59e0b' : '#16a34a'};">${probeFill.skipped.length}</strong> ·
+                    Overwritten: <strong style="color: ${probeFill.overwritten.length > 0 ? '#f59e0b' : '#16a34a'};">${probeFill.overwritten.length}</strong> ·
+                    Above ${probeFill.threshold !== null ? `${probeFill.threshold}°C` : 'threshold'}: <strong style="color: ${probeFill.aboveThreshold.length > 0 ? '#dc2626' : '#16a34a'};">${probeFill.aboveThreshold.length}</strong>
+                </div>
+                ${probeFill.threshold === null ? `<div style="color: #64748b; font-style: italic;">No protocol selected, so readings were not checked against a threshold</div>` : ''}
+                ${probeFill.aboveThreshold.slice(0, 10).map(item => 
+                    `<div style="font-family: 'Courier New', monospace; color: #dc2626; margin-bottom: 3px;">${item.id} ${item.probe} ${item.day}: ${item.logger}°C</div>`
+                ).join('')}
+                ${probeFill.skipped.slice(0, 10).map(item => 
+                    `<div style="font-family: 'Courier New', monospace; color: #b45309; margin-bottom: 3px;">${item.id} ${item.probe} ${item.day}: sheet ${item.existing}, logger ${item.logger} - kept</div>`
+                ).join('')}
+                ${probeFill.noLoggerData.length > 0 ? `<div style="color: #b45309;">No logger data: ${probeFill.noLoggerData.slice(0, 10).join(', ')}${probeFill.noLoggerData.length > 10 ? ` ... and ${probeFill.noLoggerData.length - 10} more` : ''}</div>` : ''}
+                ${probeFill.unmatchedDays.length > 0 ? `<div style="color: #64748b;">Logger days without a sheet column: ${probeFill.unmatchedDays.join(', ')}</div>` : ''}
+                <div style="color: #64748b; margin-top: 6px;">Every warning is exported as the CT_Probe_Fill sheet of the CT report; readings above the threshold are red</div>
+            </div>
+            ` : ''}
+            
+            ${compliance ? `
+            <h3 style="color: #2563eb; margin: 15px 0 10px 0; font-size: 18px;">Cold Treatment: ${compliance.protocol.label}</h3>
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px; margin-bottom: 15px;">
+                <div style="background: #f8fafc; padding: 15px; border-radius: 8px; border-left: 4px solid #16a34a;">
+                    <div style="color: #64748b; font-size: 12px; margin-bottom: 4px;">COMPLIANT:</div>
+                    <div style="font-size: 28px; font-weight: bold; color: #16a34a;">${compliance.summary.compliant}</div>
+                </div>
+                <div style="background: #f8fafc; padding: 15px; border-radius: 8px; border-left: 4px solid ${compliance.summary.broken > 0 ? '#dc2626' : '#16a34a'};">
+                    <div style="color: #64748b; font-size: 12px; margin-bottom: 4px;">BROKEN:</div>
+                    <div style="font-size: 28px; font-weight: bold; color: ${compliance.summary.broken > 0 ? '#dc2626' : '#16a34a'};">${compliance.summary.broken}</div>
+                </div>
+                <div style="background: #f8fafc; padding: 15px; border-radius: 8px; border-left: 4px solid ${compliance.summary.insufficient > 0 ? '#f59e0b' : '#16a34a'};">
+                    <div style="color: #64748b; font-size: 12px; margin-bottom: 4px;">INSUFFICIENT DATA:</div>
+                    <div style="font-size: 28px; font-weight: bold; color: ${compliance.summary.insufficient > 0 ? '#f59e0b' : '#16a34a'};">${compliance.summary.insufficient}</div>
+                </div>
+            </div>
+            ${nonCompliant.length > 0 ? `
+            <div style="background: #fef2f2; padding: 12px; border-radius: 6px; max-height: 200px; overflow-y: auto;">
+                ${nonCompliant.slice(0, 20).map(c => 
+                    `<div style="font-family: 'Courier New', monospace; color: ${c.status === 'BROKEN' ? '#dc2626' : '#b45309'}; margin-bottom: 3px; font-size: 13px;">${c.id} ${c.status}: ${c.message}</div>`
+                ).join('')}
+                ${nonCompliant.length > 20 ? `<div style="color: #64748b; font-style: italic; font-size: 13px;">... and ${nonCompliant.length - 20} more</div>` : ''}
+            </div>
+            ` : ''}
+            ` : ''}
+            
             <div style="text-align: center; margin-top: 20px;">
                 <button onclick="downloadCTReport()" style="background: #2563eb; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 14px; cursor: pointer; transition: background-color 0.2s;" onmouseover="this.style.background='#1d4ed8'" onmouseout="this.style.background='#2563eb'">
                     Download Sorted CT Excel
@@ -1479,11 +2852,17 @@ class Router {
                     <div class="section-title">UN/Class Mismatches:</div>
                     <div class="data-preview" style="background: #fef2f2; padding: 12px; border-radius: 6px; font-family: monospace; font-size: 13px; color: #dc2626;">
                         ${results.unClassMismatches.slice(0, 5).map(item => 
-                            `${item.containerId}: ${item.mismatches.map(m => `${m.field} (M:${m.manifest} vs S:${m.stowage})`).join(', ')}`
+                            `${item.containerId}: ${item.mismatches.map(m => `${m.unNumber ? `UN${m.unNumber} ` : ''}${m.field} (M:${m.manifest} vs S:${m.stowage})`).join(', ')}`
                         ).join('<br>')}${results.unClassMismatches.length > 5 ? `<br>... and ${results.unClassMismatches.length - 5} more mismatches` : ''}
                     </div>
                 ` : ''}
                 
+                ${this.renderSegregationResults(results.segregation)}
+                
+                ${this.renderDGListResults(results.dgListCheck)}
+                
+                ${this.renderDGStowageResults(results.stowageCheck)}
+                
                 <div class="download-section" style="text-align: center; margin-top: 20px;">
                     <button onclick="downloadDGReport()" class="btn-primary" style="background: #2563eb; color: white; border: none; padding: 12px 24px; border-radius: 6px; font-size: 14px; cursor: pointer;">Download DG Validation Report</button>
                 </div>
@@ -1491,6 +2870,122 @@ class Router {
         `;
     }
 
+    renderDGListResults(dgListCheck) {
+        if (!dgListCheck) return '';
+
+        const { issues = [], notInList = [], checked = 0 } = dgListCheck;
+
+        return `
+            <div class="section-title">DG List Check (${checked} lines checked against the UN number reference):</div>
+            ${issues.length === 0 ? `
+                <div class="data-preview" style="background: #f0fdf4; padding: 12px; border-radius: 6px; font-size: 13px; color: #166534;">
+                    ✅ Class, subsidiary risk, PSN and packing group consistent with the DG List
+                </div>
+            ` : `
+                <table class="data-table" style="width: 100%; font-size: 13px;">
+                    <thead>
+                        <tr><th>Container</th><th>Source</th><th>UN</th><th>Field</th><th>Value</th><th>DG List</th></tr>
+                    </thead>
+                    <tbody>
+                        ${issues.map(issue => `
+                            <tr>
+                                <td style="font-family: monospace;">${issue.containerId}</td>
+                                <td>${issue.source}</td>
+                                <td>UN${issue.unNumber}</td>
+                                <td>${issue.field}</td>
+                                <td style="color: #dc2626;">${issue.value}</td>
+                                <td>${issue.expected}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${notInList.length > 0 ? `
+                <div style="font-size: 13px; color: #64748b; margin-top: 8px;">Not in the DG List (not checked): ${[...new Set(notInList.map(item => `UN${item.unNumber}`))].join(', ')}. Import the full list in Settings.</div>
+            ` : ''}
+        `;
+    }
+
+    renderDGStowageResults(stowageCheck) {
+        if (!stowageCheck) return '';
+
+        const { violations = [], notChecked = [], checked = 0, tierThreshold = 80, zones = {} } = stowageCheck;
+        const missingZones = [!zones.accommodation && 'accommodation', !zones.heatSources && 'heat-source'].filter(Boolean);
+
+        return `
+            <div class="section-title">DG Stowage Category and Codes (${checked} stowed DG lines, on deck from tier ${tierThreshold}):</div>
+            ${violations.length === 0 ? `
+                <div class="data-preview" style="background: #f0fdf4; padding: 12px; border-radius: 6px; font-size: 13px; color: #166534;">
+                    ✅ No DG unit stowed where its stowage category or codes forbid
+                </div>
+            ` : `
+                <table class="data-table" style="width: 100%; font-size: 13px;">
+                    <thead>
+                        <tr><th>Container</th><th>UN / Class</th><th>Rule</th><th>Required</th><th>Actual</th></tr>
+                    </thead>
+                    <tbody>
+                        ${violations.map(v => `
+                            <tr>
+                                <td style="font-family: monospace;">${v.containerId}<br>${v.stowage}</td>
+                                <td>UN${v.unNumber} · ${v.class || '?'}</td>
+                                <td><strong>${v.rule}</strong>${v.note ? `<br><span style="color: #64748b;">${v.note}</span>` : ''}</td>
+                                <td>${v.required}</td>
+                                <td style="color: #dc2626;">${v.actual}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${notChecked.length > 0 ? `
+                <div style="font-size: 13px; color: #64748b; margin-top: 8px;">${notChecked.length} not checked: ${notChecked.slice(0, 5).map(item => `${item.containerId} UN${item.unNumber} (${item.reason})`).join(', ')}${notChecked.length > 5 ? ' ...' : ''}</div>
+            ` : ''}
+            ${missingZones.length > 0 ? `
+                <div style="font-size: 12px; color: #64748b; margin-top: 8px;">No ${missingZones.join(' or ')} bays in the ship profile (Settings): SW2 clear of living quarters / SW1 protected from sources of heat are only checked for configured bays.</div>
+            ` : ''}
+        `;
+    }
+
+    renderSegregationResults(segregation) {
+        if (!segregation) return '';
+
+        const { violations = [], manualChecks = [], notChecked = [], checked = 0 } = segregation;
+
+        return `
+            <div class="section-title">IMDG Segregation (${checked} stowed DG units checked):</div>
+            ${violations.length === 0 ? `
+                <div class="data-preview" style="background: #f0fdf4; padding: 12px; border-radius: 6px; font-size: 13px; color: #166534;">
+                    ✅ No segregation violations between stowed DG units
+                </div>
+            ` : `
+                <table class="data-table" style="width: 100%; font-size: 13px;">
+                    <thead>
+                        <tr><th>Unit A</th><th>Unit B</th><th>Requirement</th><th>Required</th><th>Actual</th></tr>
+                    </thead>
+                    <tbody>
+                        ${violations.map(v => `
+                            <tr>
+                                <td style="font-family: monospace;">${v.containerA}<br>${v.stowageA} · ${v.classA}</td>
+                                <td style="font-family: monospace;">${v.containerB}<br>${v.stowageB} · ${v.classB}</td>
+                                <td><strong>${v.requirement}</strong> ${v.requirementLabel} (${v.governingClasses})</td>
+                                <td>${v.required}</td>
+                                <td style="color: #dc2626;">${v.actual}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${manualChecks.length > 0 ? `
+                <div style="font-size: 13px; color: #92400e; margin-top: 8px;">🔎 ${manualChecks.length} class 1 pair${manualChecks.length > 1 ? 's' : ''} in the same compartment: check compatibility groups (IMDG 7.2.7)</div>
+            ` : ''}
+            ${notChecked.length > 0 ? `
+                <div style="font-size: 13px; color: #64748b; margin-top: 8px;">${notChecked.length} DG unit${notChecked.length > 1 ? 's' : ''} not checked (no position or class): ${notChecked.slice(0, 5).map(item => item.containerId).join(', ')}${notChecked.length > 5 ? ' ...' : ''}</div>
+            ` : ''}
+            ${segregation.holdsConfigured ? '' : `
+                <div style="font-size: 12px; color: #64748b; margin-top: 8px;">No holds in the ship profile (Settings): each 40ft bay is taken as a compartment. All units are treated as closed containers.</div>
+            `}
+        `;
+    }
+
     displayCompareResults(result) {
         const resultsDiv = document.getElementById('compareResults');
         if (!resultsDiv) return;
@@ -1620,6 +3115,85 @@ class Router {
         `;
     }
 
+    displayStowageDiffResults(result) {
+        const resultsDiv = document.getElementById('compareResults');
+        if (!resultsDiv) return;
+
+        resultsDiv.style.display = 'block';
+
+        if (!result.success) {
+            resultsDiv.innerHTML = `
+                <div style="background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 20px; margin: 16px 0;">
+                    <h3 style="color: #dc2626; margin: 0 0 12px;">❌ Stowage Diff Failed</h3>
+                    <div style="color: #991b1b; font-weight: 500;">${result.error}</div>
+                </div>
+            `;
+            return;
+        }
+
+        const { summary = {}, restowed = [], loaded = [], discharged = [], files = {} } = result.results || {};
+
+        window.stowageDiffDownloadData = result;
+
+        const card = (label, value, color, note) => `
+            <div style="background: #f8fafc; padding: 15px; border-radius: 8px; border-left: 4px solid ${color};">
+                <div style="color: #64748b; font-size: 12px; margin-bottom: 4px;">${label}:</div>
+                <div style="font-size: 28px; font-weight: bold; color: ${color};">${value || 0}</div>
+                <div style="font-size: 11px; color: #64748b; margin-top: 4px;">${note}</div>
+            </div>
+        `;
+
+        resultsDiv.innerHTML = `
+            <div class="compact-results">
+                <h3>Stowage Diff Results</h3>
+
+                <div class="results-grid" style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 15px; margin-bottom: 20px;">
+                    ${card('LOADED', summary.loaded, '#16a34a', `Only in ${files.current || 'List B'}`)}
+                    ${card('DISCHARGED', summary.discharged, '#64748b', `Only in ${files.previous || 'List A'}`)}
+                    ${card('RESTOWED', summary.restowed, '#2563eb', `${summary.unchanged || 0} unchanged`)}
+                    ${card('DECK ↔ HOLD', summary.deckHoldChanges, summary.deckHoldChanges > 0 ? '#d97706' : '#16a34a', 'Check plugs and CT monitoring')}
+                </div>
+
+                ${restowed.length > 0 ? `
+                    <div class="section-title">Restowed containers (old → new position):</div>
+                    <table class="data-table" style="width: 100%; font-size: 13px;">
+                        <thead>
+                            <tr><th>Container</th><th>From</th><th>To</th><th>Deck / Hold</th></tr>
+                        </thead>
+                        <tbody>
+                            ${restowed.map(move => `
+                                <tr style="${move.levelChange ? 'background: #fde68a; font-weight: 600;' : ''}">
+                                    <td style="font-family: monospace;">${move.id}</td>
+                                    <td style="font-family: monospace;">${move.from}</td>
+                                    <td style="font-family: monospace;">${move.to}</td>
+                                    <td>${move.levelChange ? `⚠️ ${move.fromLevel} → ${move.toLevel}` : (move.toLevel || '')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+
+                ${loaded.length > 0 ? `
+                    <div class="section-title">Loaded:</div>
+                    <div class="data-preview" style="background: #f0fdf4; padding: 12px; border-radius: 6px; font-family: monospace; font-size: 13px; color: #166534;">
+                        ${loaded.slice(0, 15).map(c => `${c.id} (${c.stowage})`).join(', ')}${loaded.length > 15 ? ` ... and ${loaded.length - 15} more` : ''}
+                    </div>
+                ` : ''}
+
+                ${discharged.length > 0 ? `
+                    <div class="section-title">Discharged:</div>
+                    <div class="data-preview" style="background: #f8fafc; padding: 12px; border-radius: 6px; font-family: monospace; font-size: 13px; color: #475569;">
+                        ${discharged.slice(0, 15).map(c => `${c.id} (${c.stowage})`).join(', ')}${discharged.length > 15 ? ` ... and ${discharged.length - 15} more` : ''}
+                    </div>
+                ` : ''}
+
+                <div class="download-section" style="text-align: center; margin-top: 20px;">
+                    <button onclick="downloadStowageDiffReport()" class="btn-primary" style="background: #2563eb; color: white; border: none; padding: 12px 24px; border-radius: 6px; font-size: 14px; cursor: pointer;">Download Stowage Diff Report</button>
+                </div>
+            </div>
+        `;
+    }
+
     async loadLogs() {
         try {
             const filters = {
@@ -1677,6 +3251,7 @@ class Router {
                             log.module === 'ct' ? 'CT Stowage Sort' :
                             log.module === 'dg' ? 'DG Check' :
                             log.module === 'compare' ? 'Document Compare' : 
+                            log.module === 'stowage-diff' ? 'Stowage Diff' :
                             'Processing';
             const details = log.result_summary || log.error_message || 'N/A';
             
@@ -1763,14 +3338,18 @@ class Router {
         if (viewName === 'reefer-temp' && window.reeferDownloadData) {
             this.viewStates[viewName].results = window.reeferDownloadData;
         }
+        if (viewName === 'reefer-logger' && this.reeferLoggerResult) {
+            this.viewStates[viewName].results = this.reeferLoggerResult;
+        }
         if (viewName === 'ct-stowage' && this.ctResultData) {
             this.viewStates[viewName].results = this.ctResultData;
         }
         if (viewName === 'dg-checker' && window.dgDownloadData) {
             this.viewStates[viewName].results = window.dgDownloadData;
         }
-        if (viewName === 'list-compare' && window.compareDownloadData) {
-            this.viewStates[viewName].results = window.compareDownloadData;
+        if (viewName === 'list-compare') {
+            const results = this.compareMode === 'stowage' ? window.stowageDiffDownloadData : window.compareDownloadData;
+            if (results) this.viewStates[viewName].results = results;
         }
     }
     
@@ -1799,12 +3378,18 @@ class Router {
             if (viewName === 'reefer-temp') {
                 window.reeferDownloadData = state.results;
                 this.displayReeferResults({ success: true, ...state.results });
+            } else if (viewName === 'reefer-logger') {
+                this.reeferLoggerResult = state.results;
+                this.displayReeferLoggerResults(state.results);
             } else if (viewName === 'ct-stowage') {
                 this.ctResultData = state.results;
                 this.displayCTResults(state.results);
             } else if (viewName === 'dg-checker') {
                 window.dgDownloadData = state.results;
                 this.displayDGResults({ success: true, ...state.results });
+            } else if (viewName === 'list-compare' && this.compareMode === 'stowage') {
+                window.stowageDiffDownloadData = state.results;
+                this.displayStowageDiffResults({ success: true, ...state.results });
             } else if (viewName === 'list-compare') {
                 window.compareDownloadData = state.results;
                 this.displayCompareResults({ success: true, ...state.results });
@@ -1817,7 +3402,14 @@ class Router {
         if (dropZone) {
             dropZone.classList.add('has-file');
             const content = dropZone.querySelector('.drop-zone-content');
-            if (content) {
+            if (content && Array.isArray(filePath)) {
+                const fileNames = filePath.map(p => p.split(/[\\\/]/).pop());
+                content.innerHTML = `
+                    <h4>✓ ${fileNames.length} File${fileNames.length > 1 ? 's' : ''} Selected</h4>
+                    <p><strong>${fileNames.slice(0, 3).join(', ')}${fileNames.length > 3 ? ` ... and ${fileNames.length - 3} more` : ''}</strong></p>
+                    <p>Click to change files</p>
+                `;
+            } else if (content) {
                 const fileName = filePath.split(/[\\\/]/).pop();
                 content.innerHTML = `
                     <h4>✓ File Selected</h4>
@@ -1830,23 +3422,42 @@ class Router {
 
     async downloadReeferReportGlobal() {
         if (!window.reeferDownloadData) {
-            alert('No mismatches to export.');
+            alert('No results to export.');
             return;
         }
         
         try {
-            // Extract the actual rows data from the download data object
-            const rows = window.reeferDownloadData.data || window.reeferDownloadData;
-            const filename = window.reeferDownloadData.filename || 'reefer_mismatches_report.xlsx';
+            // Full multi-sheet report is built from the results held by the main process
+            const pod = document.getElementById('reeferPodFilter')?.value || null;
+            const filename = window.reeferDownloadData.filename || 'reefer_temperature_report.xlsx';
+            const result = await window.safeMariAPI.downloadReeferReport({
+                filename: pod ? filename.replace(/\.xlsx$/, `_${pod.replace(/[^A-Z0-9]+/gi, '_')}.xlsx`) : filename,
+                pod: pod
+            });
             
-            // Validate that rows is an array
-            if (!Array.isArray(rows)) {
-                throw new Error('Invalid data format for Excel export');
+            if (result.success && !result.cancelled) {
+                alert('Report exported successfully!');
+            } else if (result.cancelled) {
+                console.log('Export cancelled by user');
+            } else {
+                alert(`Export failed: ${result.error}`);
             }
-            
+        } catch (error) {
+            console.error('Download error:', error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
+    async downloadReeferLoggerReportGlobal() {
+        if (!window.reeferLoggerDownloadData) {
+            alert('No excursion report to export.');
+            return;
+        }
+        
+        try {
             const result = await window.safeMariAPI.downloadExcelReport({
-                rows: rows,
-                filename: filename
+                rows: window.reeferLoggerDownloadData.data,
+                filename: window.reeferLoggerDownloadData.filename
             });
             
             if (result.success && !result.cancelled) {
@@ -1870,7 +3481,6 @@ class Router {
         
         try {
             const result = await window.safeMariAPI.downloadCTReport({
-                sortedCtRows: this.ctResultData.sortedCtRows,
                 filename: 'CT_Sorted_By_Stowage.xlsx'
             });
             
@@ -1912,6 +3522,30 @@ class Router {
         }
     }
 
+    async downloadStowageDiffReportGlobal() {
+        if (!window.stowageDiffDownloadData) {
+            alert('No stowage diff results to export.');
+            return;
+        }
+
+        try {
+            const result = await window.safeMariAPI.downloadStowageDiffReport({
+                filename: 'stowage_diff_report.xlsx'
+            });
+
+            if (result.success && !result.cancelled) {
+                alert('Stowage diff report exported successfully!');
+            } else if (result.cancelled) {
+                console.log('Export cancelled by user');
+            } else {
+                alert(`Export failed: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('Stowage diff download error:', error);
+            alert(`Error: ${error.message}`);
+        }
+    }
+
     async downloadDGReportGlobal() {
         if (!window.dgDownloadData) {
             alert('No DG validation results to export.');
@@ -1945,6 +3579,12 @@ function downloadReeferReport() {
     }
 }
 
+function downloadReeferLoggerReport() {
+    if (window.router) {
+        window.router.downloadReeferLoggerReportGlobal();
+    }
+}
+
 function downloadCTReport() {
     if (window.router) {
         window.router.downloadCTReportGlobal();
@@ -1957,6 +3597,12 @@ function downloadCompareReport() {
     }
 }
 
+function downloadStowageDiffReport() {
+    if (window.router) {
+        window.router.downloadStowageDiffReportGlobal();
+    }
+}
+
 function downloadDGReport() {
     if (window.router) {
         window.router.downloadDGReportGlobal();
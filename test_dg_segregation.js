@@ -0,0 +1,75 @@
+const DGSegregationChecker = require('./safemari-cargo-tools/modules/dg-segregation.js');
+const StowagePosition = require('./safemari-cargo-tools/modules/stowage-position.js');
+
+console.log('🚀 Starting DG segregation test...');
+
+let failures = 0;
+
+function check(label, actual, expected) {
+    if (actual === expected) {
+        console.log(`  ✅ ${label}: ${actual}`);
+    } else {
+        failures++;
+        console.log(`  ❌ ${label}: got ${actual}, expected ${expected}`);
+    }
+}
+
+function test() {
+    const checker = new DGSegregationChecker();
+
+    // Built-in ship profile (no holds: every 40ft bay is a compartment), whatever is saved in storage
+    const profile = checker.shipProfile.getDefaultProfile();
+    checker.shipProfile.profile = profile;
+
+    console.log('\n=== IMDG 7.2.4 SEGREGATION TABLE ===');
+    const table = checker.getSegregationTable();
+    check('Class 3 vs 5.1 (separated from)', table['3']['5.1'], '2');
+    check('Class 5.1 vs 3', table['5.1']['3'], '2');
+    check('Class 3 vs 6.2 (separated by a complete compartment)', table['3']['6.2'], '3');
+    check('Class 6.2 vs 3', table['6.2']['3'], '3');
+    check('Class 3 vs 3', table['3']['3'], 'X');
+
+    console.log('\n=== STOWAGE POSITION DISTANCES ===');
+    const pos = value => StowagePosition.parse(value);
+    check('Bays 13 / 15 (next 20ft bay)', pos('130282').slotsBetween(pos('150282')), 0);
+    check('Bays 13 / 17 (one bay between)', pos('130282').slotsBetween(pos('170282')), 1);
+    check('40ft bay 14 / bay 15 (overlapping)', pos('140282').slotsBetween(pos('150282')), -1);
+    check('40ft bays 14 / 18 (next 40ft bay)', pos('140282').slotsBetween(pos('180282')), 0);
+    check('Rows 02 / 02 (same row)', pos('140282').rowsBetween(pos('140284'), true), -1);
+    check('Rows 02 / 04 (next row)', pos('140282').rowsBetween(pos('140482'), true), 0);
+    check('Rows 01 / 02 with a row 00 (one row between)', pos('140182').rowsBetween(pos('140282'), true), 1);
+    check('Rows 01 / 02 without a row 00 (next row)', pos('140182').rowsBetween(pos('140282'), false), 0);
+
+    console.log('\n=== CONTAINERSHIP RULES (closed containers) ===');
+    const unit = value => ({ position: pos(value) });
+    const separation = (a, b) => checker.measureSeparation(unit(a), unit(b), profile, true);
+
+    // Adjacent bay on deck: 0 bays between
+    const nextBay = separation('130282', '150282');
+    check('Next bay, separated from (2)', checker.evaluate(2, nextBay).compliant, false);
+    check('Next bay, separated by a compartment (3)', checker.evaluate(3, nextBay).compliant, false);
+
+    // One bay between on deck
+    const bayBetween = separation('130282', '170282');
+    check('One bay between, separated from (2)', checker.evaluate(2, bayBetween).compliant, true);
+    check('One bay between on deck, separated by a compartment (3)', checker.evaluate(3, bayBetween).compliant, true);
+
+    // Adjacent row on deck: 0 rows between
+    const nextRow = separation('140282', '140482');
+    check('Next row, separated from (2)', checker.evaluate(2, nextRow).compliant, false);
+    check('Next row, separated by a compartment (3)', checker.evaluate(3, nextRow).compliant, false);
+
+    // One row between on deck: enough for 2, 3 needs two rows between on deck
+    const rowBetween = separation('140282', '140682');
+    check('One row between, separated from (2)', checker.evaluate(2, rowBetween).compliant, true);
+    check('One row between on deck, separated by a compartment (3)', checker.evaluate(3, rowBetween).compliant, false);
+
+    // Under deck next row: same hold, no bulkhead
+    const holdNextRow = separation('140202', '140602');
+    check('Under deck same hold, separated by a compartment (3)', checker.evaluate(3, holdNextRow).compliant, false);
+
+    console.log(failures === 0 ? '\n🎉 ALL CHECKS PASSED' : `\n❌ ${failures} CHECK(S) FAILED`);
+    process.exitCode = failures === 0 ? 0 : 1;
+}
+
+test();